@@ -191,6 +191,20 @@ class CardMockup {
             ${this.renderMoveStrategy()}
           </div>
         </div>
+
+        <div class="stat-field">
+          <div class="stat-label">Rarity</div>
+          <div class="enum-cycler" id="rarity" data-field="Rarity">
+            <span class="label">${CARD_RARITY.describe({ Rarity: this.monster.Rarity })}</span>
+          </div>
+        </div>
+
+        <div class="stat-field">
+          <div class="stat-label">Draw Weight</div>
+          <div class="enum-cycler" id="draw-weight" data-field="Weight" title="Tap to set a custom weight">
+            <span class="label">${CARD_RARITY.weightOf(this.monster)}${typeof this.monster.Weight === 'number' ? ' (custom)' : ''}</span>
+          </div>
+        </div>
       </div>
     `;
   }
@@ -276,6 +290,17 @@ class CardMockup {
       moveStrategy.addEventListener('click', () => this.cycleMoveStrategy());
     }
 
+    // Rarity click (cycle) and custom draw weight
+    const rarity = document.getElementById('rarity');
+    if (rarity) {
+      rarity.addEventListener('click', () => this.cycleRarity());
+    }
+
+    const drawWeight = document.getElementById('draw-weight');
+    if (drawWeight) {
+      drawWeight.addEventListener('click', () => this.openWeightEditor());
+    }
+
     // Numeric steppers
     document.querySelectorAll('.numeric-stepper').forEach(stepper => {
       const field = stepper.dataset.field;
@@ -388,6 +413,34 @@ class CardMockup {
     this.updateField('MoveStrategy', newStrategy);
   }
 
+  /**
+   * Cycle rarity (common -> uncommon -> rare -> legendary -> common)
+   */
+  cycleRarity() {
+    const rarities = CARD_RARITY.rarities();
+    const current = CARD_RARITY.normalize(this.monster.Rarity) || CARD_RARITY.DEFAULT_RARITY;
+    const next = rarities[(rarities.indexOf(current) + 1) % rarities.length];
+    this.updateField('Rarity', next === CARD_RARITY.DEFAULT_RARITY ? null : next);
+  }
+
+  /**
+   * Set a custom draw weight (blank goes back to the rarity's weight)
+   */
+  openWeightEditor() {
+    const input = prompt('Custom draw weight (blank = use the rarity\'s weight):', this.monster.Weight ?? '');
+    if (input === null) return;
+    if (input.trim() === '') {
+      this.updateField('Weight', null);
+      return;
+    }
+    const weight = parseFloat(input);
+    if (!Number.isFinite(weight) || weight < 0) {
+      alert('Weight must be a number of 0 or more');
+      return;
+    }
+    this.updateField('Weight', weight);
+  }
+
   /**
    * Update numeric field
    */
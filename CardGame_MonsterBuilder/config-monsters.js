@@ -390,3 +390,8 @@ const MONSTER_CONFIG = {
     return typeTags.every(tag => validTags.includes(tag));
   }
 };
+
+// Export for use in other modules (server-side validation reads the icon code lists)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MONSTER_CONFIG;
+}
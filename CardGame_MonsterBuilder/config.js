@@ -19,6 +19,15 @@ const CONFIG = {
     return `${this.API_BASE_URL}/api/health`;
   },
   
+  // Per-card endpoints: /api/decks/:deck/cards[/:id]
+  deckCardsUrl(deckKey) {
+    return `${this.API_BASE_URL}/api/decks/${encodeURIComponent(deckKey)}/cards`;
+  },
+  
+  cardUrl(deckKey, cardId) {
+    return `${this.deckCardsUrl(deckKey)}/${encodeURIComponent(cardId)}`;
+  },
+  
   // Environment detection
   get isLocal() {
     return window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
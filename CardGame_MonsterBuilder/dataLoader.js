@@ -7,6 +7,7 @@
 class DataLoader {
   constructor() {
     this.monsters = [];
+    this.loadedMonsterIds = new Set();
     this.allCards = {};
     this.serverMode = false;
   }
@@ -79,14 +80,7 @@ class DataLoader {
         console.log('Loaded data from localStorage');
       } else {
         // Initialize with empty structure
-        this.allCards = {
-          monsters: [],
-          npcs: [],
-          questtemplates: [],
-          locations: [],
-          twists: [],
-          loot: []
-        };
+        this.allCards = DECK_REGISTRY.emptyDecks();
         console.log('Initialized empty card structure');
       }
     } catch (error) {
@@ -101,6 +95,8 @@ class DataLoader {
   populateMonsters() {
     const monstersData = this.allCards.monsters || this.allCards.Monster || [];
     this.monsters = monstersData.map(monster => this.normalizeMonster(monster));
+    // Monsters this session has seen on the server; only these may be removed by a sync
+    this.loadedMonsterIds = new Set(this.monsters.map(m => m.id));
   }
 
   /**
@@ -178,28 +174,94 @@ class DataLoader {
     this.allCards.monsters = this.monsters;
 
     if (this.serverMode) {
-      return await this.saveToAPI();
+      return await this.syncMonstersToAPI();
     } else {
       return await this.saveToLocalStorage();
     }
   }
 
   /**
-   * Save to server API
+   * Save a single monster (per-card API when online)
+   * The monster's revision is updated with the one the server assigned.
    */
-  async saveToAPI() {
+  async saveMonsterData(monster) {
+    this.allCards.monsters = this.monsters;
+
+    if (this.serverMode) {
+      return await this.saveMonsterToAPI(monster);
+    } else {
+      return await this.saveToLocalStorage();
+    }
+  }
+
+  /**
+   * Delete a single monster from storage (per-card API when online)
+   * @param {string} id - Monster id
+   * @param {number} revision - Revision the monster had when loaded
+   */
+  async deleteMonsterData(id, revision) {
+    this.allCards.monsters = this.monsters;
+
+    if (this.serverMode) {
+      return await this.deleteMonsterFromAPI(id, revision);
+    } else {
+      return await this.saveToLocalStorage();
+    }
+  }
+
+  /**
+   * Build an error from a failed API response
+   * (409/428 errors carry the server's current monster and ETag)
+   */
+  async apiError(response, fallbackMessage) {
+    const errorData = await response.json().catch(() => ({}));
+    // Validation failures (400) list per-field problems
+    const details = Array.isArray(errorData.errors) && errorData.errors.length
+      ? `: ${errorData.errors.map(issue => `${issue.field}: ${issue.message}`).join(', ')}`
+      : '';
+    const error = new Error((errorData.error || fallbackMessage) + details);
+    error.status = response.status;
+    error.current = errorData.current;
+    error.etag = errorData.etag;
+    return error;
+  }
+
+  /**
+   * Author header for the revision history (name set in the Card Manager's history panel)
+   */
+  authorHeaders() {
+    const author = localStorage.getItem('cardManagerAuthor');
+    return author ? { 'X-Author': author } : {};
+  }
+
+  /**
+   * If-Match header for a monster loaded from the server (new monsters have no revision yet)
+   */
+  revisionHeaders(revision) {
+    return revision ? { 'If-Match': `"${revision}"` } : {};
+  }
+
+  /**
+   * Save one monster to the server API
+   */
+  async saveMonsterToAPI(monster) {
     try {
-      const response = await fetch(CONFIG.API_CARDS, {
-        method: 'POST',
+      const response = await fetch(CONFIG.cardUrl('monsters', monster.id), {
+        method: 'PUT',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...this.revisionHeaders(monster.revision),
+          ...this.authorHeaders()
         },
-        body: JSON.stringify(this.allCards)
+        body: JSON.stringify(monster)
       });
 
-      if (!response.ok) throw new Error('Failed to save to API');
+      if (!response.ok) throw await this.apiError(response, 'Failed to save to API');
       
-      console.log('Saved data to API');
+      const saved = await response.json();
+      monster.revision = saved.revision;
+      this.loadedMonsterIds.add(monster.id);
+      console.log('Saved monster to API:', monster.CardName);
       return true;
     } catch (error) {
       console.error('API save failed:', error);
@@ -207,6 +269,64 @@ class DataLoader {
     }
   }
 
+  /**
+   * Delete one monster through the server API
+   */
+  async deleteMonsterFromAPI(id, revision) {
+    try {
+      const response = await fetch(CONFIG.cardUrl('monsters', id), {
+        method: 'DELETE',
+        headers: { ...this.revisionHeaders(revision), ...this.authorHeaders() }
+      });
+
+      // 404 means it was never saved to the server - nothing to delete
+      if (!response.ok && response.status !== 404) throw await this.apiError(response, 'Failed to delete from API');
+      
+      this.loadedMonsterIds.delete(id);
+      console.log('Deleted monster from API:', id);
+      return true;
+    } catch (error) {
+      console.error('API delete failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make the server's monster deck match the local monster list,
+   * one card at a time so other decks are never touched.
+   * Monsters added on the server by someone else are left alone,
+   * and a monster changed on the server fails with a 409 instead of being overwritten.
+   */
+  async syncMonstersToAPI() {
+    try {
+      const response = await fetch(CONFIG.deckCardsUrl('monsters'));
+      if (!response.ok) throw new Error('Failed to fetch monsters from API');
+      const serverMonsters = await response.json();
+      const serverById = new Map(serverMonsters.map(m => [m.id, m]));
+
+      const localIds = new Set(this.monsters.map(m => m.id));
+      for (const serverMonster of serverMonsters) {
+        if (!localIds.has(serverMonster.id) && this.loadedMonsterIds.has(serverMonster.id)) {
+          await this.deleteMonsterFromAPI(serverMonster.id, serverMonster.revision);
+        }
+      }
+
+      for (const monster of this.monsters) {
+        const serverMonster = serverById.get(monster.id);
+        if (serverMonster && JSON.stringify(this.normalizeMonster(serverMonster)) === JSON.stringify(monster)) {
+          continue; // Unchanged
+        }
+        await this.saveMonsterToAPI(monster);
+      }
+
+      console.log('Synced monsters to API');
+      return true;
+    } catch (error) {
+      console.error('API sync failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Save to localStorage (fallback)
    */
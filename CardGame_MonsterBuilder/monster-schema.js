@@ -159,6 +159,26 @@ const MONSTER_SCHEMA = {
       description: 'Movement behavior pattern'
     },
 
+    Rarity: {
+      type: 'enum',
+      required: false,
+      editable: true,
+      default: null,
+      options: CARD_RARITY.rarities(),
+      description: 'How often the Quest Generator draws this monster (null = common)'
+    },
+
+    Weight: {
+      type: 'number',
+      required: false,
+      editable: true,
+      default: null,
+      description: 'Custom draw weight; overrides Rarity (null = use Rarity)',
+      validation: {
+        min: 0
+      }
+    },
+
     Habitat: {
       type: 'array',
       required: false,
@@ -312,6 +332,12 @@ const MONSTER_SCHEMA = {
       }
     }
 
+    if (monster.Weight !== null && monster.Weight !== undefined) {
+      if (typeof monster.Weight !== 'number' || !(monster.Weight >= 0)) {
+        errors.push('Weight must be a number of 0 or more');
+      }
+    }
+
     return {
       valid: errors.length === 0,
       errors
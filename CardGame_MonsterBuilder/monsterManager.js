@@ -11,6 +11,7 @@ class MonsterManager {
     this.currentMonsterIndex = -1;
     this.serverMode = false;
     this.autoSaveTimeout = null;
+    this.resolvingConflict = false; // Suppresses auto-save while the conflict dialog is open
     this.cardMockup = null;
     this.iconPalette = null;
     this.init();
@@ -125,6 +126,9 @@ class MonsterManager {
     if (!this.currentMonster) {
       throw new Error('No monster to save');
     }
+    if (this.resolvingConflict) {
+      return false;
+    }
 
     // Validate
     const validation = MONSTER_SCHEMA.validate(this.currentMonster);
@@ -133,28 +137,137 @@ class MonsterManager {
       return false;
     }
 
+    // Shared card checks (same rules the server applies)
+    const cardValidation = CARD_VALIDATOR.validateCard(this.currentMonster, { deck: 'monsters' });
+    if (!cardValidation.valid) {
+      this.showNotification(`Validation failed: ${cardValidation.errors.map(issue => `${issue.field}: ${issue.message}`).join(', ')}`, 'error');
+      return false;
+    }
+    if (cardValidation.warnings.length > 0) {
+      console.warn('⚠ Monster warnings:', cardValidation.warnings.map(issue => CARD_VALIDATOR.formatIssue(issue)));
+    }
+
     try {
       // Update or add
+      let savedMonster;
       if (this.currentMonsterIndex >= 0) {
-        this.dataLoader.updateMonster(this.currentMonster.id, this.currentMonster);
+        savedMonster = this.dataLoader.updateMonster(this.currentMonster.id, this.currentMonster);
         console.log('Monster updated:', this.currentMonster.CardName);
       } else {
-        this.dataLoader.addMonster(this.currentMonster);
+        savedMonster = this.dataLoader.addMonster(this.currentMonster);
         this.currentMonsterIndex = this.dataLoader.monsters.length - 1;
         console.log('Monster added:', this.currentMonster.CardName);
       }
 
       // Save to storage
-      await this.dataLoader.saveData();
+      await this.dataLoader.saveMonsterData(savedMonster);
+      this.currentMonster.revision = savedMonster.revision;
       this.showNotification('Monster saved successfully', 'success');
       return true;
     } catch (error) {
+      if (error.status === 409 || error.status === 428) {
+        return this.resolveConflict(this.dataLoader.getMonsterById(this.currentMonster.id), error);
+      }
       console.error('Save failed:', error);
       this.showNotification(`Save failed: ${error.message}`, 'error');
       return false;
     }
   }
 
+  /**
+   * Let the user resolve a monster that was changed on the server since it was loaded
+   * @param {Object} monster - Local monster that failed to save
+   * @param {Error} error - 409/428 error from the DataLoader (carries the server's version)
+   * @returns {Promise<boolean>} Whether the monster ended up saved
+   */
+  async resolveConflict(monster, error) {
+    if (this.autoSaveTimeout) {
+      clearTimeout(this.autoSaveTimeout);
+    }
+    this.resolvingConflict = true;
+
+    let result;
+    try {
+      result = await ConflictDialog.open({
+        title: `"${monster.CardName}" was changed on the server`,
+        mine: monster,
+        theirs: error.current ? this.dataLoader.normalizeMonster(error.current) : null
+      });
+    } finally {
+      this.resolvingConflict = false;
+    }
+
+    if (result.action === 'cancel') {
+      this.showNotification('Save cancelled - monster was changed on the server', 'warning');
+      return false;
+    }
+
+    const isCurrent = this.currentMonster && this.currentMonster.id === monster.id;
+
+    if (result.action === 'theirs') {
+      if (result.card) {
+        const theirs = this.dataLoader.updateMonster(monster.id, result.card);
+        if (isCurrent) this.currentMonster = MONSTER_SCHEMA.normalize(theirs);
+      } else {
+        // Deleted on the server: drop the local copy too
+        this.dataLoader.deleteMonster(monster.id);
+        if (isCurrent) {
+          this.currentMonster = null;
+          this.currentMonsterIndex = -1;
+        }
+      }
+      if (isCurrent && this.cardMockup && this.currentMonster) {
+        this.cardMockup.loadMonster(this.currentMonster);
+      }
+      this.showNotification('Loaded the latest version from the server', 'info');
+      return true;
+    }
+
+    // Keep mine / merged: save again on top of the server's revision
+    const resolved = { ...result.card, id: monster.id, revision: error.current ? error.current.revision : undefined };
+    const saved = this.dataLoader.updateMonster(monster.id, resolved);
+    if (isCurrent) {
+      this.currentMonster = MONSTER_SCHEMA.normalize(saved);
+      if (this.cardMockup) this.cardMockup.loadMonster(this.currentMonster);
+    }
+    try {
+      await this.dataLoader.saveMonsterData(saved);
+      if (isCurrent) this.currentMonster.revision = saved.revision;
+      this.showNotification('Monster saved successfully', 'success');
+      return true;
+    } catch (retryError) {
+      if (retryError.status === 409 || retryError.status === 428) {
+        return this.resolveConflict(saved, retryError);
+      }
+      console.error('Save failed:', retryError);
+      this.showNotification(`Save failed: ${retryError.message}`, 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Save every monster, resolving conflicts one monster at a time
+   */
+  async syncAllMonsters() {
+    try {
+      await this.dataLoader.saveData();
+    } catch (error) {
+      if (error.status !== 409 && error.status !== 428) throw error;
+      const monster = this.dataLoader.getMonsterById(error.current ? error.current.id : null);
+      if (!monster && error.current) {
+        // Deleted here but edited on the server: keep the server's version
+        this.dataLoader.addMonster(error.current);
+        this.showNotification(`"${error.current.CardName}" was changed on the server and was not deleted`, 'warning');
+        return this.syncAllMonsters();
+      }
+      if (!monster || !(await this.resolveConflict(monster, error))) {
+        throw new Error('Save cancelled - a monster was changed on the server');
+      }
+      // Continue with the remaining monsters
+      await this.syncAllMonsters();
+    }
+  }
+
   /**
    * Delete monster by ID
    */
@@ -164,8 +277,9 @@ class MonsterManager {
     }
 
     try {
+      const monster = this.dataLoader.getMonsterById(id);
       this.dataLoader.deleteMonster(id);
-      await this.dataLoader.saveData();
+      await this.dataLoader.deleteMonsterData(id, monster && monster.revision);
       
       // Clear current if it was deleted
       if (this.currentMonster && this.currentMonster.id === id) {
@@ -176,6 +290,12 @@ class MonsterManager {
       this.showNotification('Monster deleted', 'success');
       return true;
     } catch (error) {
+      if ((error.status === 409 || error.status === 428) && error.current) {
+        // Someone edited it meanwhile: keep their version instead of deleting it
+        this.dataLoader.addMonster(error.current);
+        this.showNotification(`"${error.current.CardName}" was changed on the server and was not deleted`, 'warning');
+        return false;
+      }
       console.error('Delete failed:', error);
       this.showNotification(`Delete failed: ${error.message}`, 'error');
       return false;
@@ -256,7 +376,7 @@ class MonsterManager {
       const success = this.dataLoader.importJSON(text);
       
       if (success) {
-        await this.dataLoader.saveData();
+        await this.syncAllMonsters();
         this.showNotification('Monsters imported successfully', 'success');
         return true;
       } else {
@@ -773,8 +893,8 @@ class MonsterManager {
       if (!saved) throw new Error('Current monster validation failed — aborting save');
     }
 
-    // Save all data via DataLoader (will POST to /api/cards when serverMode is true)
-    await this.dataLoader.saveData();
+    // Save all data via DataLoader (syncs the monster deck card-by-card when serverMode is true)
+    await this.syncAllMonsters();
     this.showNotification('Monsters saved to server (cards.json)', 'success');
   }
 }
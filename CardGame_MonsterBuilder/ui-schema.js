@@ -102,6 +102,23 @@ const UI_SCHEMA = {
       label: 'Strategy'
     },
 
+    Rarity: {
+      component: 'EnumCycler',
+      displayMode: 'inline',
+      location: 'card-stats',
+      options: CARD_RARITY.rarities(),
+      allowNull: true,
+      label: 'Rarity'
+    },
+
+    Weight: {
+      component: 'NumericField',
+      displayMode: 'inline',
+      location: 'card-stats',
+      min: 0,
+      label: 'Weight'
+    },
+
     Habitat: {
       component: 'MultiSelect',
       displayMode: 'sheet',
@@ -176,7 +193,7 @@ const UI_SCHEMA = {
     image: ['CardImage'],
     tags: ['TypeTags', 'AspectTags'],
     iconArrays: ['BlockCost', 'ToVanquish', 'OnHit'],
-    stats: ['MoveDistance', 'AttackRange', 'MoveStrategy'],
+    stats: ['MoveDistance', 'AttackRange', 'MoveStrategy', 'Rarity', 'Weight'],
     footer: ['Habitat', 'Instructions', 'FlavorText', 'SpecialAbilities', 'OnDefeat', 'OnReveal', 'DesignerNotes', 'FrameStyle']
   },
 
@@ -6,6 +6,7 @@
 let dataLoader;
 let questEngine;
 let validator;
+let probabilityCalculator;
 let uiManager;
 
 /**
@@ -19,6 +20,9 @@ async function initializeApp() {
       console.log('TAG_CONFIG_MANAGER initialized. Sample tag (Martial):', window.TAG_CONFIG_MANAGER.getConfig('Martial'));
     }
 
+    // Deck registry must be loaded before DataLoader/QuestEngine build their decks
+    await DECK_REGISTRY.init();
+
     // Check data source from server health endpoint
     let dataSourceInfo = 'Unknown';
     try {
@@ -44,8 +48,11 @@ async function initializeApp() {
     // Create Validator
     validator = new QuestValidator(questEngine, dataLoader);
 
-    // Create UI Manager
-    uiManager = new UIManager(questEngine, validator);
+    // Create draw-probability calculator
+    probabilityCalculator = new DrawProbabilityCalculator(questEngine, dataLoader);
+
+    // Create UI Manager (validation baselines and campaigns are kept on the server, or in this browser if it's offline)
+    uiManager = new UIManager(questEngine, validator, probabilityCalculator, new BaselineStore(), new CampaignStore());
     uiManager.initialize();
 
     // Make uiManager globally accessible for toggle buttons
@@ -60,6 +67,12 @@ async function initializeApp() {
     uiManager.addLog(`📊 Data source: ${dataSourceInfo}`);
     uiManager.addLog(`Loaded ${dataLoader.getAllCards().length} cards across ${Object.keys(dataLoader.decks).length} decks`);
     uiManager.addLog('Ready to generate quests!');
+
+    // Shared quest link (index.html?quest=<code>) - regenerate that quest
+    const questCode = new URLSearchParams(window.location.search).get('quest');
+    if (questCode) {
+      uiManager.loadQuestCode(questCode);
+    }
   } catch (error) {
     console.error('Failed to initialize app:', error);
     document.getElementById('log-window').innerHTML = `<div class="log-entry"><span style="color: red;">ERROR: ${error.message}</span></div>`;
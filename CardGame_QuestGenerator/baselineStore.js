@@ -0,0 +1,119 @@
+/**
+ * baselineStore.js
+ * Saved validation reports (baselines) that later runs are compared against. Kept on the server
+ * (validation-baselines.json) so the whole team sees them, or in localStorage when it's offline
+ */
+
+const BASELINE_STORAGE_KEY = 'questGenerator_validationBaselines_v1';
+
+class BaselineStore {
+  constructor(apiUrl = `${CONFIG.API_BASE_URL}/api/validation-baselines`) {
+    this.apiUrl = apiUrl;
+    this.offline = false; // Set once the server can't be reached - localStorage is used from then on
+  }
+
+  /**
+   * Saved baselines, newest first, without their reports
+   * @returns {Promise<Array>} [{ name, savedAt, dataRevision, iterations, settings }]
+   */
+  async list() {
+    const data = await this.request('', { method: 'GET' });
+    if (data) return data.baselines;
+
+    return Object.values(this.readLocal())
+      .map(({ report, ...baseline }) => ({ ...baseline, iterations: report.summary.totalIterations }))
+      .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  /**
+   * Load one baseline including its report
+   * @throws {Error} If there is no baseline with that name
+   */
+  async load(name) {
+    const data = await this.request(`/${encodeURIComponent(name)}`, { method: 'GET' });
+    if (data) return data;
+
+    const baseline = this.readLocal()[name];
+    if (!baseline) throw new Error(`Baseline "${name}" not found`);
+    return baseline;
+  }
+
+  /**
+   * Save a validation report as a baseline (replacing one with the same name)
+   * @param {string} name - Baseline name
+   * @param {Object} report - QuestValidator report
+   * @param {Object} settings - Settings the report was run with ({ maxRedraws, generationMode, templates, ... })
+   */
+  async save(name, report, settings = {}) {
+    const data = await this.request(`/${encodeURIComponent(name)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ report, settings })
+    });
+    if (data) return data.baseline;
+
+    const baselines = this.readLocal();
+    baselines[name] = { name, savedAt: new Date().toISOString(), dataRevision: report.summary.dataRevision || null, settings, report };
+    this.writeLocal(baselines);
+    return { ...baselines[name], report: undefined };
+  }
+
+  /**
+   * Delete a baseline
+   */
+  async remove(name) {
+    const data = await this.request(`/${encodeURIComponent(name)}`, { method: 'DELETE' });
+    if (data) return;
+
+    const baselines = this.readLocal();
+    delete baselines[name];
+    this.writeLocal(baselines);
+  }
+
+  /**
+   * Helper: Call the baselines API. Returns null when the server can't be reached (the caller
+   * then uses localStorage)
+   * @throws {Error} With the server's message if it answers with an error
+   */
+  async request(path, options) {
+    if (this.offline) return null;
+
+    let response;
+    try {
+      response = await fetch(this.apiUrl + path, options);
+    } catch (error) {
+      console.warn('Server unavailable for validation baselines, using localStorage:', error.message);
+      this.offline = true;
+      return null;
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Baseline request failed: ${response.status} ${response.statusText}`);
+    }
+    return data;
+  }
+
+  /**
+   * Helper: Baselines kept in localStorage ({ name: baseline })
+   */
+  readLocal() {
+    try {
+      return JSON.parse(localStorage.getItem(BASELINE_STORAGE_KEY) || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Helper: Store baselines in localStorage
+   */
+  writeLocal(baselines) {
+    localStorage.setItem(BASELINE_STORAGE_KEY, JSON.stringify(baselines));
+  }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BaselineStore;
+}
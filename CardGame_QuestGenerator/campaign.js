@@ -0,0 +1,242 @@
+/**
+ * campaign.js
+ * Campaign mode: a sequence of quests drawn from shared decks that run down as the campaign goes
+ * on, so later quests meet new NPCs and places - unless a reshuffle rule brings the used cards
+ * back, or an NPC from an earlier quest returns
+ */
+
+const CAMPAIGN_RESHUFFLE_RULES = ['never', 'low', 'interval'];
+
+class CampaignGenerator {
+  /**
+   * @param {QuestEngine} engine - Engine to generate with (its settings are used as they are)
+   * @param {DataLoader} dataLoader - Card data
+   * @param {Object} options - {
+   *   quests: number of quests,
+   *   seed: campaign seed (quest N is generated with "<seed>-N"),
+   *   templates: QuestTemplate names used in turn ([] = a random template per quest),
+   *   reshuffle: 'never' | 'low' (a deck with fewer than reshuffleBelow cards gets its used cards
+   *     back before the next quest) | 'interval' (every reshuffleEvery quests, all used cards return),
+   *   recurringChance: 0-1 chance that each card met in recurringDecks returns before the next quest,
+   *   recurringDecks: deck keys whose cards can recur (default ['npcs']) }
+   * @throws {Error} If an option is out of range
+   */
+  constructor(engine, dataLoader, options = {}) {
+    this.engine = engine;
+    this.dataLoader = dataLoader;
+    this.settings = {
+      quests: options.quests || 5,
+      seed: options.seed || SeededRandom.randomSeed(),
+      templates: options.templates || [],
+      reshuffle: options.reshuffle || 'never',
+      reshuffleBelow: options.reshuffleBelow || 3,
+      reshuffleEvery: options.reshuffleEvery || 3,
+      recurringChance: options.recurringChance || 0,
+      recurringDecks: (options.recurringDecks || ['npcs']).map(deck => DECK_REGISTRY.resolveKey(deck) || deck)
+    };
+
+    if (!Number.isInteger(this.settings.quests) || this.settings.quests < 1) {
+      throw new Error('A campaign needs at least one quest');
+    }
+    if (!CAMPAIGN_RESHUFFLE_RULES.includes(this.settings.reshuffle)) {
+      throw new Error(`Unknown reshuffle rule "${this.settings.reshuffle}"`);
+    }
+    if (this.settings.recurringChance < 0 || this.settings.recurringChance > 1) {
+      throw new Error('The recurring chance must be between 0 and 1');
+    }
+  }
+
+  /**
+   * Generate the whole campaign
+   * @returns {Object} { seed, createdAt, dataRevision, settings, deckSizes, quests: [{ number, seed,
+   *   quest (null if it failed), error, recurring, returned, reshuffled, discarded, deckSizes }] }
+   */
+  generate() {
+    const templateKey = DECK_REGISTRY.resolveKey('QuestTemplate');
+    const random = new SeededRandom(this.settings.seed);
+    const decks = this.dataLoader.getDecks();
+    const used = {}; // Deck key -> cards drawn or discarded so far (out of play until they return)
+    const firstSeen = {}; // Card key -> number of the quest it first appeared in
+    const campaign = {
+      seed: this.settings.seed,
+      createdAt: new Date().toISOString(),
+      dataRevision: this.dataLoader.dataRevision || null,
+      settings: {
+        ...this.settings,
+        generationMode: this.engine.generationMode,
+        maxRedraws: this.engine.maxRedraws
+      },
+      deckSizes: this.deckSizes(decks, templateKey),
+      quests: []
+    };
+
+    for (let number = 1; number <= this.settings.quests; number++) {
+      const entry = { number, seed: `${this.settings.seed}-${number}`, quest: null, error: null, recurring: [], returned: [], reshuffled: [], discarded: [] };
+
+      if (number > 1) {
+        entry.reshuffled = this.reshuffleUsed(decks, used, number, templateKey);
+        entry.returned = this.returnRecurring(decks, used, firstSeen, random);
+      }
+
+      // Templates aren't used up - every quest can draw from all of them
+      decks[templateKey] = this.dataLoader.getDecks()[templateKey] || [];
+      const before = {};
+      Object.keys(decks).forEach(key => { before[key] = decks[key].slice(); });
+
+      this.engine.prepareRun(decks, entry.seed);
+      const template = this.chooseTemplate(decks[templateKey], number);
+      const quest = this.engine.generateQuest(template);
+
+      if (quest) {
+        const drawn = new Set(CampaignGenerator.questCards(quest));
+        Object.keys(decks).filter(key => key !== templateKey).forEach(key => {
+          const remaining = new Set(decks[key]);
+          before[key].filter(card => !remaining.has(card)).forEach(card => {
+            const cardKey = CampaignGenerator.cardKey(card);
+            (used[key] = used[key] || []).push(card);
+            if (!drawn.has(card)) {
+              entry.discarded.push({ deck: key, cardName: card.CardName });
+            } else if (firstSeen[cardKey]) {
+              entry.recurring.push({ deck: key, cardName: card.CardName, firstQuest: firstSeen[cardKey] });
+            } else {
+              firstSeen[cardKey] = number;
+            }
+          });
+        });
+        // A quest code can't reproduce the depleted decks, so only the campaign seed is kept
+        entry.quest = { ...quest, code: null };
+      } else {
+        // A failed quest isn't played: its cards go back as they were
+        Object.keys(before).forEach(key => {
+          const remaining = new Set(decks[key]);
+          decks[key] = before[key].map(card => remaining.has(card) ? card : this.freshCard(key, card));
+        });
+        const errors = this.engine.getLogs().filter(log => log.type === 'error');
+        entry.error = errors.length > 0 ? errors[0].message : 'Quest generation failed';
+      }
+
+      entry.deckSizes = this.deckSizes(decks, templateKey);
+      campaign.quests.push(entry);
+    }
+
+    return campaign;
+  }
+
+  /**
+   * Helper: The template for quest `number` (null = the engine draws one at random)
+   */
+  chooseTemplate(templateDeck, number) {
+    const names = this.settings.templates;
+    if (names.length === 0) return null;
+    const name = names[(number - 1) % names.length];
+    const template = templateDeck.find(t => t.CardName === name);
+    if (!template) throw new Error(`Quest template "${name}" not found`);
+    return template;
+  }
+
+  /**
+   * Helper: Apply the reshuffle rule before quest `number` - used cards go back into their decks
+   * @returns {Array} [{ deck, count }] for each deck that got cards back
+   */
+  reshuffleUsed(decks, used, number, templateKey) {
+    const { reshuffle, reshuffleBelow, reshuffleEvery } = this.settings;
+    if (reshuffle === 'never') return [];
+
+    return Object.keys(used)
+      .filter(key => key !== templateKey && used[key].length > 0)
+      .filter(key => reshuffle === 'interval'
+        ? (number - 1) % reshuffleEvery === 0
+        : decks[key].length < reshuffleBelow)
+      .map(key => {
+        const cards = used[key].splice(0);
+        decks[key].push(...cards.map(card => this.freshCard(key, card)));
+        return { deck: key, count: cards.length };
+      });
+  }
+
+  /**
+   * Helper: Each card met in an earlier quest (from recurringDecks) returns to its deck with
+   * recurringChance
+   * @returns {Array} [{ deck, cardName, firstQuest }]
+   */
+  returnRecurring(decks, used, firstSeen, random) {
+    if (this.settings.recurringChance <= 0) return [];
+
+    const returned = [];
+    this.settings.recurringDecks.forEach(key => {
+      if (!used[key] || !decks[key]) return;
+      used[key] = used[key].filter(card => {
+        const firstQuest = firstSeen[CampaignGenerator.cardKey(card)];
+        if (!firstQuest || random.next() >= this.settings.recurringChance) return true;
+        decks[key].push(this.freshCard(key, card));
+        returned.push({ deck: key, cardName: card.CardName, firstQuest });
+        return false;
+      });
+    });
+    return returned;
+  }
+
+  /**
+   * Helper: An unplayed copy of a card (drawing changes a card's mutable tags)
+   */
+  freshCard(deckKey, card) {
+    const original = (this.dataLoader.decks[deckKey] || []).find(c => CampaignGenerator.cardKey(c) === CampaignGenerator.cardKey(card));
+    return original ? JSON.parse(JSON.stringify(original)) : card;
+  }
+
+  /**
+   * Helper: Cards left in each deck ({ deckKey: count }, quest templates left out)
+   */
+  deckSizes(decks, templateKey) {
+    const sizes = {};
+    Object.keys(decks).filter(key => key !== templateKey && Array.isArray(decks[key])).forEach(key => {
+      sizes[key] = decks[key].length;
+    });
+    return sizes;
+  }
+
+  /**
+   * Helper: Identifies a card across copies
+   */
+  static cardKey(card) {
+    return card.id || `${card.Deck}:${card.CardName}`;
+  }
+
+  /**
+   * Every card in a quest's components, including its sub-quests'
+   */
+  static questCards(quest) {
+    const cards = Object.values(quest.components || {}).flat().filter(Boolean);
+    Object.values(quest.subQuests || {}).forEach(subQuest => {
+      cards.push(...CampaignGenerator.questCards(subQuest));
+    });
+    return cards;
+  }
+
+  /**
+   * A campaign's settings as text (e.g. "5 quests, reshuffle when fewer than 3 cards are left, NPCs recur 20%")
+   */
+  static describeSettings(settings) {
+    const parts = [`${settings.quests} quest${settings.quests === 1 ? '' : 's'}`];
+    if (settings.reshuffle === 'low') {
+      parts.push(`reshuffle when fewer than ${settings.reshuffleBelow} cards are left`);
+    } else if (settings.reshuffle === 'interval') {
+      parts.push(`reshuffle every ${settings.reshuffleEvery} quests`);
+    } else {
+      parts.push('no reshuffle');
+    }
+    if (settings.recurringChance > 0) {
+      const decks = settings.recurringDecks.map(key => DECK_REGISTRY.displayName(key)).join('/');
+      parts.push(`${decks} cards recur ${Math.round(settings.recurringChance * 100)}%`);
+    }
+    if (settings.templates && settings.templates.length > 0) {
+      parts.push(`templates: ${settings.templates.join(', ')}`);
+    }
+    return parts.join(', ');
+  }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CampaignGenerator;
+}
@@ -0,0 +1,131 @@
+/**
+ * campaignStore.js
+ * Saved campaigns (see campaign.js). Kept on the server (campaigns.json), or in localStorage
+ * when it's offline
+ */
+
+const CAMPAIGN_STORAGE_KEY = 'questGenerator_campaigns_v1';
+
+class CampaignStore {
+  constructor(apiUrl = `${CONFIG.API_BASE_URL}/api/campaigns`) {
+    this.apiUrl = apiUrl;
+    this.offline = false; // Set once the server can't be reached - localStorage is used from then on
+  }
+
+  /**
+   * Saved campaigns, newest first, without their quests
+   * @returns {Promise<Array>} [{ name, savedAt, seed, dataRevision, settings, questCount, completed }]
+   */
+  async list() {
+    const data = await this.request('', { method: 'GET' });
+    if (data) return data.campaigns;
+
+    return Object.values(this.readLocal())
+      .map(({ campaign, ...saved }) => ({ ...saved, ...CampaignStore.summarize(campaign) }))
+      .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  /**
+   * Load one saved campaign ({ name, savedAt, campaign })
+   * @throws {Error} If there is no campaign with that name
+   */
+  async load(name) {
+    const data = await this.request(`/${encodeURIComponent(name)}`, { method: 'GET' });
+    if (data) return data;
+
+    const saved = this.readLocal()[name];
+    if (!saved) throw new Error(`Campaign "${name}" not found`);
+    return saved;
+  }
+
+  /**
+   * Save a campaign (replacing one with the same name)
+   * @param {string} name - Campaign name
+   * @param {Object} campaign - CampaignGenerator.generate() result
+   */
+  async save(name, campaign) {
+    const data = await this.request(`/${encodeURIComponent(name)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ campaign })
+    });
+    if (data) return data.campaign;
+
+    const campaigns = this.readLocal();
+    campaigns[name] = { name, savedAt: new Date().toISOString(), campaign };
+    this.writeLocal(campaigns);
+    return { name, savedAt: campaigns[name].savedAt, ...CampaignStore.summarize(campaign) };
+  }
+
+  /**
+   * Delete a campaign
+   */
+  async remove(name) {
+    const data = await this.request(`/${encodeURIComponent(name)}`, { method: 'DELETE' });
+    if (data) return;
+
+    const campaigns = this.readLocal();
+    delete campaigns[name];
+    this.writeLocal(campaigns);
+  }
+
+  /**
+   * Helper: What the campaign list shows of a campaign
+   */
+  static summarize(campaign) {
+    return {
+      seed: campaign.seed,
+      dataRevision: campaign.dataRevision || null,
+      settings: campaign.settings,
+      questCount: campaign.quests.length,
+      completed: campaign.quests.filter(entry => entry.quest).length
+    };
+  }
+
+  /**
+   * Helper: Call the campaigns API. Returns null when the server can't be reached (the caller
+   * then uses localStorage)
+   * @throws {Error} With the server's message if it answers with an error
+   */
+  async request(path, options) {
+    if (this.offline) return null;
+
+    let response;
+    try {
+      response = await fetch(this.apiUrl + path, options);
+    } catch (error) {
+      console.warn('Server unavailable for campaigns, using localStorage:', error.message);
+      this.offline = true;
+      return null;
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Campaign request failed: ${response.status} ${response.statusText}`);
+    }
+    return data;
+  }
+
+  /**
+   * Helper: Campaigns kept in localStorage ({ name: { name, savedAt, campaign } })
+   */
+  readLocal() {
+    try {
+      return JSON.parse(localStorage.getItem(CAMPAIGN_STORAGE_KEY) || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Helper: Store campaigns in localStorage
+   */
+  writeLocal(campaigns) {
+    localStorage.setItem(CAMPAIGN_STORAGE_KEY, JSON.stringify(campaigns));
+  }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CampaignStore;
+}
@@ -34,6 +34,8 @@ class CardManager {
     this.drawInstructionData = []; // For QuestTemplate DrawInstructions
     this.editingInstructionIndex = -1; // -1 means not editing
     this.editingDrawInstructionIndex = -1; // -1 means not editing
+    this.editingDrawInstructionList = null; // List the draw instruction modal saves into (the template's, or a branch's)
+    this.editingChooseOptions = []; // Options of the choose instruction in the modal
     this.allTags = {
       type: new Set(),
       aspect: new Set(),
@@ -43,6 +45,7 @@ class CardManager {
     };
     this.autocompleteSetupDone = false; // Track if event listeners are set up
     this.serverMode = false; // Detected if server is available
+    this.collectionETag = null; // Version of the collection last loaded from the server (sent as If-Match)
     this.selectedSuggestionIndex = -1; // Track keyboard navigation in autocomplete
     this.init();
   }
@@ -82,9 +85,7 @@ class CardManager {
       
       if (this.serverMode) {
         // Load from server API
-        const response = await fetch(CONFIG.API_CARDS);
-        if (response.ok) {
-          this.cards = await response.json();
+        if (await this.fetchServerCards()) {
           console.log('✓ Loaded cards from server');
           
           // Get data source info from health endpoint
@@ -151,15 +152,34 @@ class CardManager {
   }
 
   /**
-   * Save cards with auto-persistence
+   * Load the collection from the server, remembering its ETag for later bulk saves
+   * @returns {Promise<boolean>} Whether the load succeeded
    */
-  async saveCardsToFile() {
+  async fetchServerCards() {
+    const response = await fetch(CONFIG.API_CARDS);
+    if (!response.ok) return false;
+    this.cards = await response.json();
+    this.collectionETag = response.headers.get('ETag');
+    return true;
+  }
+
+  /**
+   * Save the whole card collection (bulk import/reset)
+   * @param {Object} options
+   * @param {boolean} options.force - Overwrite the server even if someone else changed it
+   * @param {string} options.message - Revision message for the history
+   */
+  async saveCardsToFile({ force = false, message = null } = {}) {
     if (this.serverMode) {
       // Save to server
       try {
         const response = await fetch(CONFIG.API_CARDS, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: {
+            'Content-Type': 'application/json',
+            'If-Match': force ? '*' : (this.collectionETag || ''),
+            ...this.authorHeaders(message)
+          },
           body: JSON.stringify(this.cards)
         });
         
@@ -167,13 +187,20 @@ class CardManager {
           console.log('✓ Cards saved to database');
           this.showNotification('✓ Cards saved to database', 'success');
           
+          // Reload so local cards carry the ids/revisions the server assigned
+          await this.fetchServerCards();
+          this.renderCardsList();
+          
           // Also save to localStorage as backup
           localStorage.setItem('cardManagerCards', JSON.stringify(this.cards));
+        } else if (response.status === 409 || response.status === 428) {
+          const conflict = await response.json();
+          await this.resolveCollectionConflict(conflict);
         } else {
           // Get error details from response
           const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
           console.error('Server save failed:', errorData);
-          throw new Error(errorData.error || 'Server save failed');
+          throw new Error(this.describeServerError(errorData) || 'Server save failed');
         }
       } catch (error) {
         console.error('Server save error:', error);
@@ -187,6 +214,228 @@ class CardManager {
       this.showNotification('⚠️ Server offline - saved to localStorage only', 'warning');
     }
   }
+
+  /**
+   * Let the user resolve a rejected bulk save deck by deck
+   * @param {Object} conflict - 409 response body ({ error, current, etag })
+   */
+  async resolveCollectionConflict(conflict) {
+    const { action, card: resolved } = await ConflictDialog.open({
+      title: 'The card collection was changed on the server',
+      mine: this.cards,
+      theirs: conflict.current
+    });
+
+    if (action === 'cancel') {
+      localStorage.setItem('cardManagerCards', JSON.stringify(this.cards));
+      this.showNotification('⚠️ Save cancelled - your changes are only in localStorage', 'warning');
+      return;
+    }
+
+    this.cards = resolved;
+    this.collectionETag = conflict.etag;
+    if (action === 'theirs') {
+      localStorage.setItem('cardManagerCards', JSON.stringify(this.cards));
+      this.extractAllTags();
+      this.refreshAutocomplete();
+      this.renderCardsList();
+      this.showNotification('Loaded the latest cards from the server', 'info');
+      return;
+    }
+    await this.saveCardsToFile();
+  }
+  
+  /**
+   * Send a request to the per-card API, throwing with the server's error message on failure
+   * (409/428 errors carry the server's current card and ETag)
+   */
+  async sendCardRequest(url, options = {}) {
+    const response = await fetch(url, options);
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+      const error = new Error(this.describeServerError(errorData) || `Request failed (${response.status})`);
+      error.status = response.status;
+      error.current = errorData.current;
+      error.etag = errorData.etag;
+      error.validationErrors = errorData.errors;
+      throw error;
+    }
+    return response;
+  }
+
+  /**
+   * Error message from a server response body, listing the first few validation problems if any
+   */
+  describeServerError(errorData) {
+    if (!Array.isArray(errorData.errors) || errorData.errors.length === 0) {
+      return errorData.error;
+    }
+    const shown = errorData.errors.slice(0, 3).map(issue => CARD_VALIDATOR.formatIssue(issue));
+    const more = errorData.errors.length > shown.length ? ` (+${errorData.errors.length - shown.length} more)` : '';
+    return `${errorData.error}: ${shown.join('; ')}${more}`;
+  }
+
+  /**
+   * Headers identifying who made a change (recorded in the revision history)
+   * @param {string} message - Optional revision message (defaults to one generated by the server)
+   */
+  authorHeaders(message = null) {
+    const headers = {};
+    const author = localStorage.getItem('cardManagerAuthor');
+    if (author) headers['X-Author'] = author;
+    if (message) headers['X-Revision-Message'] = message;
+    return headers;
+  }
+
+  /**
+   * If-Match header for a card loaded from the server (new cards have no revision yet)
+   */
+  revisionHeaders(card) {
+    return card.revision ? { 'If-Match': `"${card.revision}"` } : {};
+  }
+
+  /**
+   * Save a single created/edited card
+   * @param {string} deckKey - Deck the card belongs to
+   * @param {Object} card - Full card data (must have an id); updated in place with the server's revision
+   * @param {string|null} previousDeckKey - Deck the card was moved out of, if it changed decks
+   */
+  async saveCard(deckKey, card, previousDeckKey = null) {
+    if (!this.serverMode) {
+      return this.saveCardsToFile();
+    }
+
+    const moved = previousDeckKey && previousDeckKey !== deckKey;
+    let requestDeckKey = deckKey;
+    try {
+      if (moved) {
+        requestDeckKey = previousDeckKey;
+        try {
+          await this.sendCardRequest(CONFIG.cardUrl(previousDeckKey, card.id), {
+            method: 'DELETE',
+            headers: { ...this.revisionHeaders(card), ...this.authorHeaders(`Moved card "${card.CardName}" to ${deckKey}`) }
+          });
+        } catch (error) {
+          // Card was never stored in the old deck - nothing to remove
+          if (error.status !== 404) throw error;
+        }
+      }
+
+      requestDeckKey = deckKey;
+      const response = await this.sendCardRequest(CONFIG.cardUrl(deckKey, card.id), {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          // After a move the card is new to the target deck
+          ...(moved ? {} : this.revisionHeaders(card)),
+          ...this.authorHeaders()
+        },
+        body: JSON.stringify(card)
+      });
+      Object.assign(card, await response.json());
+
+      console.log(`✓ Card "${card.CardName}" saved to database`);
+      this.showNotification(`✓ Card "${card.CardName}" saved to database`, 'success');
+      localStorage.setItem('cardManagerCards', JSON.stringify(this.cards));
+    } catch (error) {
+      if (error.status === 409 || error.status === 428) {
+        return this.resolveCardConflict(requestDeckKey, deckKey, card, error);
+      }
+      console.error('Server save error:', error);
+      this.showNotification(`⚠️ Server save failed: ${error.message} - saved to localStorage only`, 'warning');
+      localStorage.setItem('cardManagerCards', JSON.stringify(this.cards));
+    }
+  }
+
+  /**
+   * Let the user resolve a rejected card save, then apply their choice
+   * @param {string} conflictDeckKey - Deck the conflicting server version lives in
+   * @param {string} deckKey - Deck the local card is in
+   * @param {Object} card - Local card that failed to save
+   * @param {Error} error - 409/428 error from sendCardRequest
+   */
+  async resolveCardConflict(conflictDeckKey, deckKey, card, error) {
+    const theirs = error.current || null;
+    const { action, card: resolved } = await ConflictDialog.open({
+      title: `"${card.CardName}" was changed on the server`,
+      mine: card,
+      theirs
+    });
+
+    if (action === 'cancel') {
+      localStorage.setItem('cardManagerCards', JSON.stringify(this.cards));
+      this.showNotification(`⚠️ "${card.CardName}" not saved - your changes are only in localStorage`, 'warning');
+      return;
+    }
+
+    const deck = this.cards[deckKey];
+    const index = deck.indexOf(card);
+
+    if (action === 'theirs') {
+      // Take the server's version (which may live in another deck, or be gone)
+      if (index >= 0) deck.splice(index, 1);
+      if (theirs) {
+        if (!Array.isArray(this.cards[conflictDeckKey])) this.cards[conflictDeckKey] = [];
+        this.cards[conflictDeckKey].push(theirs);
+      }
+      localStorage.setItem('cardManagerCards', JSON.stringify(this.cards));
+      this.extractAllTags();
+      this.refreshAutocomplete();
+      this.renderCardsList();
+      return;
+    }
+
+    // Keep mine / merged: save again against the server's current revision
+    const id = card.id;
+    Object.keys(card).forEach(key => delete card[key]);
+    Object.assign(card, resolved, { id });
+    if (theirs) {
+      card.revision = theirs.revision;
+    } else {
+      delete card.revision;
+    }
+    this.renderCardsList();
+    await this.saveCard(deckKey, card, conflictDeckKey !== deckKey && theirs ? conflictDeckKey : null);
+  }
+
+  /**
+   * Delete a single card from storage
+   */
+  async removeCard(deckKey, card) {
+    if (!this.serverMode) {
+      return this.saveCardsToFile();
+    }
+
+    try {
+      await this.sendCardRequest(CONFIG.cardUrl(deckKey, card.id), {
+        method: 'DELETE',
+        headers: { ...this.revisionHeaders(card), ...this.authorHeaders(`Deleted card "${card.CardName}" from ${deckKey}`) }
+      });
+      console.log(`✓ Card "${card.CardName}" deleted from database`);
+      localStorage.setItem('cardManagerCards', JSON.stringify(this.cards));
+    } catch (error) {
+      if ((error.status === 409 || error.status === 428) && error.current) {
+        if (confirm(`"${card.CardName}" was changed on the server since you loaded it. Delete it anyway?`)) {
+          return this.removeCard(deckKey, error.current);
+        }
+        // Keep the server's version
+        this.cards[deckKey].push(error.current);
+        localStorage.setItem('cardManagerCards', JSON.stringify(this.cards));
+        this.extractAllTags();
+        this.refreshAutocomplete();
+        this.renderCardsList();
+        return;
+      }
+      if (error.status === 404) {
+        // Already deleted by someone else
+        localStorage.setItem('cardManagerCards', JSON.stringify(this.cards));
+        return;
+      }
+      console.error('Server delete error:', error);
+      this.showNotification(`⚠️ Server delete failed: ${error.message} - saved to localStorage only`, 'warning');
+      localStorage.setItem('cardManagerCards', JSON.stringify(this.cards));
+    }
+  }
   
   /**
    * Show notification to user
@@ -333,6 +582,12 @@ class CardManager {
       cancelInstrBtn.addEventListener('click', () => this.closeInstructionModal());
     }
 
+    // Show the instruction modal fields the chosen action uses
+    ['instruction-action', 'instruction-target-deck'].forEach(id => {
+      const select = document.getElementById(id);
+      if (select) select.addEventListener('change', () => this.updateInstructionActionFields());
+    });
+
     // Draw instruction modal controls
     const drawModalClose = document.getElementById('draw-modal-close');
     if (drawModalClose) {
@@ -351,9 +606,27 @@ class CardManager {
 
     this.setupTagAutocomplete('instruction-tags', 'instruction-tags-suggestions', Array.from(this.allTags.instructionTags));
     this.setupTagAutocomplete('draw-tags-input', 'draw-tags-suggestions', Array.from(this.allTags.instructionTags));
+    this.setupTagExpressionBuilder('instruction');
+    this.setupTagExpressionBuilder('draw');
+    this.setupTagExpressionBuilder('condition');
+
+    // Draw instruction action decides which fields the modal shows
+    const drawActionSelect = document.getElementById('draw-action');
+    if (drawActionSelect) {
+      drawActionSelect.addEventListener('change', () => this.updateDrawActionFields());
+    }
+
+    const addChooseOptionBtn = document.getElementById('btn-add-choose-option');
+    if (addChooseOptionBtn) {
+      addChooseOptionBtn.addEventListener('click', () => {
+        this.editingChooseOptions.push({ name: '', weight: 1, instructions: [] });
+        this.renderChooseOptions();
+      });
+    }
 
     // Populate all deck select dropdowns
     this.populateAllDeckSelects();
+    this.populateRaritySelect();
 
     // Filter and search
     const filterDeck = document.getElementById('filter-deck');
@@ -437,6 +710,25 @@ class CardManager {
       reloadDataBtn.addEventListener('click', () => this.reloadCardData());
     }
 
+    // Revision history
+    const historyBtn = document.getElementById('btn-show-history');
+    if (historyBtn) {
+      historyBtn.addEventListener('click', () => this.openHistoryModal());
+    }
+
+    const historyClose = document.getElementById('history-modal-close');
+    if (historyClose) {
+      historyClose.addEventListener('click', () => this.closeHistoryModal());
+    }
+
+    const historyAuthor = document.getElementById('history-author');
+    if (historyAuthor) {
+      historyAuthor.value = localStorage.getItem('cardManagerAuthor') || '';
+      historyAuthor.addEventListener('change', () => {
+        localStorage.setItem('cardManagerAuthor', historyAuthor.value.trim());
+      });
+    }
+
     // Setup collapsible sections
     this.setupCollapsibleSections();
   }
@@ -792,7 +1084,7 @@ class CardManager {
    */
   handleDeckChange(e) {
     const selectedDeck = e.target.value;
-    const isQuestTemplate = selectedDeck === 'questtemplates';
+    const isQuestTemplate = DECK_REGISTRY.usesDrawInstructions(selectedDeck);
     
     // Show/hide appropriate fields based on deck type
     const instructionsSection = document.getElementById('instructions-section');
@@ -804,6 +1096,47 @@ class CardManager {
     if (questTemplateFields) {
       questTemplateFields.style.display = isQuestTemplate ? 'block' : 'none';
     }
+
+    const habitatGroup = document.getElementById('habitat-group');
+    if (habitatGroup) {
+      habitatGroup.style.display = this.hasHabitat(selectedDeck) ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Helper: Whether a deck's schema has a Habitat field
+   */
+  hasHabitat(deckName) {
+    const schema = DECK_REGISTRY.schema(deckName);
+    return Boolean(schema && schema.fields && schema.fields.Habitat);
+  }
+
+  /**
+   * Helper: Habitat names from a comma-separated input
+   */
+  parseHabitat(text) {
+    return this.dedupeTags((text || '').split(',').map(habitat => habitat.trim()).filter(Boolean));
+  }
+
+  /**
+   * Fill the rarity dropdown from shared/cardRarity.js (with each rarity's draw weight)
+   */
+  populateRaritySelect() {
+    const select = document.getElementById('rarity-select');
+    if (!select) return;
+    select.innerHTML = CARD_RARITY.rarities().map(rarity =>
+      `<option value="${rarity}"${rarity === CARD_RARITY.DEFAULT_RARITY ? ' selected' : ''}>${CARD_RARITY.describe({ Rarity: rarity })} (weight ${CARD_RARITY.WEIGHTS[rarity]})</option>`
+    ).join('');
+  }
+
+  /**
+   * Show a card's Rarity and custom Weight in the form
+   */
+  setRarityFields(card) {
+    const raritySelect = document.getElementById('rarity-select');
+    if (raritySelect) raritySelect.value = CARD_RARITY.normalize(card.Rarity) || CARD_RARITY.DEFAULT_RARITY;
+    const weightInput = document.getElementById('card-weight');
+    if (weightInput) weightInput.value = typeof card.Weight === 'number' ? card.Weight : '';
   }
 
   /**
@@ -837,10 +1170,13 @@ class CardManager {
       return;
     }
 
-    const isQuestTemplate = deckSelect === 'questtemplates';
+    const isQuestTemplate = DECK_REGISTRY.usesDrawInstructions(deckSelect);
+
+    const rarity = document.getElementById('rarity-select')?.value || CARD_RARITY.DEFAULT_RARITY;
+    const weightText = document.getElementById('card-weight')?.value.trim() || '';
 
     const cardData = {
-      Deck: this.getDeckDisplayName(deckSelect),
+      Deck: DECK_REGISTRY.deckValue(deckSelect),
       CardName: cardName,
       Polarity: polarity,
       TypeTags: typeTags,
@@ -858,6 +1194,44 @@ class CardManager {
       cardData.Instructions = this.instructionData;
     }
 
+    if (this.hasHabitat(deckSelect)) {
+      cardData.Habitat = this.parseHabitat(document.getElementById('card-habitat')?.value);
+    }
+
+    // Keep the id and any fields this form does not edit (e.g. monster stats)
+    const previousDeckName = this.originalDeckName;
+    const originalCard = previousDeckName && this.originalCardName && Array.isArray(this.cards[previousDeckName])
+      ? this.cards[previousDeckName].find(c => c.CardName === this.originalCardName)
+      : null;
+    const savedCard = originalCard
+      ? { ...originalCard, ...cardData }
+      : { id: `${cardData.Deck}-${cardName}-${Math.random()}`, ...cardData };
+    if (!savedCard.id) {
+      savedCard.id = `${cardData.Deck}-${cardName}-${Math.random()}`;
+    }
+
+    // Rarity and Weight are only stored when they differ from a plain common card
+    if (rarity !== CARD_RARITY.DEFAULT_RARITY) {
+      savedCard.Rarity = rarity;
+    } else {
+      delete savedCard.Rarity;
+    }
+    if (weightText !== '') {
+      savedCard.Weight = parseFloat(weightText);
+    } else {
+      delete savedCard.Weight;
+    }
+
+    // Same checks the server runs before accepting the card
+    const validation = CARD_VALIDATOR.validateCard(savedCard, { deck: deckSelect });
+    if (!validation.valid) {
+      alert(`❌ Card can't be saved:\n\n${validation.errors.map(issue => `• ${issue.field}: ${issue.message}`).join('\n')}`);
+      return;
+    }
+    if (validation.warnings.length > 0) {
+      console.warn(`⚠ Card "${cardName}" warnings:`, validation.warnings.map(issue => CARD_VALIDATOR.formatIssue(issue)));
+    }
+
     // If editing an existing card
     if (this.originalDeckName && this.originalCardName) {
       // Remove from original deck if deck was changed
@@ -882,7 +1256,7 @@ class CardManager {
       if (!Array.isArray(this.cards[deckSelect])) {
         this.cards[deckSelect] = [];
       }
-      this.cards[deckSelect].push(cardData);
+      this.cards[deckSelect].push(savedCard);
       
       // Clear edit tracking
       this.originalDeckName = null;
@@ -892,10 +1266,10 @@ class CardManager {
       if (!Array.isArray(this.cards[deckSelect])) {
         this.cards[deckSelect] = [];
       }
-      this.cards[deckSelect].push(cardData);
+      this.cards[deckSelect].push(savedCard);
     }
 
-    this.saveCardsToFile();
+    this.saveCard(deckSelect, savedCard, previousDeckName);
     alert(`✓ Card "${cardName}" saved successfully!`);
     
     // Re-extract tags and refresh autocomplete after saving
@@ -910,34 +1284,14 @@ class CardManager {
    * Get display name for deck
    */
   getDeckDisplayName(deckKey) {
-    const mapping = {
-      'npcs': 'NPC',
-      'questtemplates': 'Quest Template',
-      'locations': 'Location',
-      'twists': 'Twist',
-      'magicitems': 'Magic Item',
-      'monsters': 'Monster',
-      'encounters': 'Encounter',
-      'loot': 'Loot'
-    };
-    return mapping[deckKey] || deckKey;
+    return DECK_REGISTRY.displayName(deckKey);
   }
 
   /**
    * Get key for deck display name
    */
   getDeckKey(displayName) {
-    const mapping = {
-      'NPC': 'npcs',
-      'Quest Template': 'questtemplates',
-      'Location': 'locations',
-      'Twist': 'twists',
-      'Magic Item': 'magicitems',
-      'Monster': 'monsters',
-      'Encounter': 'encounters',
-      'Loot': 'loot'
-    };
-    return mapping[displayName] || displayName.toLowerCase();
+    return DECK_REGISTRY.resolveKey(displayName) || displayName.toLowerCase();
   }
 
   /**
@@ -958,8 +1312,8 @@ class CardManager {
    * This ensures consistency across the application
    */
   populateAllDeckSelects() {
-    // Get deck names from loaded data and sort them
-    const deckNames = Object.keys(this.cards).sort().filter(deckKey => Array.isArray(this.cards[deckKey]));
+    // Registry decks (in registry order) plus any other decks in the loaded data
+    const deckNames = DECK_REGISTRY.orderedKeys(this.cards);
 
     // Populate the main card form deck selector
     const deckSelect = document.getElementById('deck-select');
@@ -1055,11 +1409,14 @@ class CardManager {
       this.editingInstructionIndex = -1; // -1 means adding new
       this.instructionData.push({ TargetDeck: '', Tags: [], faceDown: false, InstructionText: '' });
 
-      // Clear faceDown checkbox and instruction text
+      // Clear action fields, faceDown checkbox, pending semantics, instruction text and tag expression
+      this.setInstructionActionFields({});
       const faceDownCheckbox = document.getElementById('instruction-face-down');
       if (faceDownCheckbox) faceDownCheckbox.checked = false;
+      this.setInstructionSemantics({});
       const instrText = document.getElementById('instruction-text');
       if (instrText) instrText.value = '';
+      this.setTagExpression('instruction', '');
     }
   }
 
@@ -1076,20 +1433,24 @@ class CardManager {
     // Populate modal with instruction data
     const targetDeckSelect = document.getElementById('instruction-target-deck');
     if (targetDeckSelect) {
-      targetDeckSelect.value = instruction.TargetDeck;
+      targetDeckSelect.value = instruction.TargetDeck || '';
     }
+    this.setInstructionActionFields(instruction);
 
     // Clear and populate tags list
     this.clearTagList('instruction-tags-list');
-    instruction.Tags.forEach(tag => {
+    (instruction.Tags || []).forEach(tag => {
       this.addTag('instruction-tags', tag);
     });
+    this.setTagExpression('instruction', instruction.TagExpression || '');
 
     // Set faceDown checkbox
     const faceDownCheckbox = document.getElementById('instruction-face-down');
     if (faceDownCheckbox) {
       faceDownCheckbox.checked = instruction.faceDown || false;
     }
+    this.setInstructionSemantics(instruction);
+    this.updateInstructionActionFields();
 
     // Populate instruction text
     const instrText = document.getElementById('instruction-text');
@@ -1123,20 +1484,47 @@ class CardManager {
    * Save instruction from modal
    */
   saveInstruction() {
+    const action = document.getElementById('instruction-action')?.value || 'addTags';
+    if (!['addTags', 'removeTags', 'forbidTags'].includes(action)) {
+      const instruction = this.getActionInstruction(action);
+      if (instruction) this.storeInstruction(instruction);
+      return;
+    }
+
     const targetDeck = document.getElementById('instruction-target-deck').value;
     if (!targetDeck) {
       alert('Please select a target deck');
       return;
     }
+    if (action === 'forbidTags' && targetDeck.toLowerCase() === 'thiscard') {
+      alert('Forbidding tags filters a deck that will be drawn from later, so it can\'t target This Card');
+      return;
+    }
 
     const tags = this.dedupeTags(this.getTagsFromList('instruction-tags-list'));
-    if (tags.length === 0) {
-      alert('Please add at least one tag to the instruction');
+    const tagExpression = this.getTagExpression('instruction');
+    if (tagExpression === null) return; // Invalid expression (already reported)
+    if (tagExpression && targetDeck.toLowerCase() === 'thiscard') {
+      alert('A tag expression filters a deck that will be drawn from later, so it can\'t target This Card');
+      return;
+    }
+    if (tags.length === 0 && !tagExpression) {
+      alert('Please add at least one tag or a tag expression to the instruction');
+      return;
+    }
+    if (action !== 'addTags' && tags.length === 0) {
+      alert('Please add at least one tag to remove or forbid');
       return;
     }
 
     const faceDown = document.getElementById('instruction-face-down').checked;
     const instructionText = document.getElementById('instruction-text')?.value.trim() || '';
+    const semantics = this.getInstructionSemantics();
+    if (!semantics) return; // Invalid ExpiresAfter (already reported)
+    if ((targetDeck.toLowerCase() === 'thiscard' || action === 'removeTags') && Object.keys(semantics).length > 0) {
+      alert('Stacking, consume and expiry only apply to instructions for a deck drawn later, not This Card or tag removal');
+      return;
+    }
 
     const instruction = {
       TargetDeck: targetDeck,
@@ -1144,7 +1532,64 @@ class CardManager {
       faceDown: faceDown,
       InstructionText: instructionText
     };
+    if (action !== 'addTags') instruction.Action = action;
+    if (tagExpression) instruction.TagExpression = tagExpression;
+    Object.assign(instruction, semantics);
+    this.storeInstruction(instruction);
+  }
+
+  /**
+   * Helper: An instruction for an action that doesn't use tags (forcePolarity, extraDraw, discard,
+   * swap, reveal) from the modal, or null if a field is missing or invalid (already reported)
+   */
+  getActionInstruction(action) {
+    const instruction = { Action: action };
+    if (['forcePolarity', 'discard'].includes(action)) {
+      const targetDeck = document.getElementById('instruction-target-deck').value;
+      if (!targetDeck || targetDeck.toLowerCase() === 'thiscard') {
+        alert('Please select a target deck (This Card can\'t be used with this action)');
+        return null;
+      }
+      instruction.TargetDeck = targetDeck;
+    } else {
+      const targetLabel = document.getElementById('instruction-target-label')?.value.trim() || '';
+      if (!targetLabel) {
+        alert('Please enter the label of the draw instruction to act on');
+        return null;
+      }
+      instruction.TargetLabel = targetLabel;
+    }
+
+    if (action === 'forcePolarity') {
+      instruction.Polarity = document.getElementById('instruction-polarity').value;
+    }
+    if (['extraDraw', 'discard'].includes(action)) {
+      const count = Number(document.getElementById('instruction-count')?.value || 1);
+      if (!Number.isInteger(count) || count < 1) {
+        alert('Count must be a whole number (1 or more)');
+        return null;
+      }
+      instruction.Count = count;
+    }
+
+    if (['forcePolarity', 'extraDraw'].includes(action)) {
+      const semantics = this.getInstructionSemantics();
+      if (!semantics) return null; // Invalid ExpiresAfter (already reported)
+      delete semantics.Consume;
+      // A forced polarity is consumed by the next draw unless the box is cleared (extra draws always are)
+      if (action === 'forcePolarity' && !document.getElementById('instruction-consume')?.checked) semantics.Consume = false;
+      Object.assign(instruction, semantics);
+    }
 
+    const instructionText = document.getElementById('instruction-text')?.value.trim() || '';
+    if (instructionText) instruction.InstructionText = instructionText;
+    return instruction;
+  }
+
+  /**
+   * Helper: Put a saved instruction in place of the one being edited (or the new placeholder) and close the modal
+   */
+  storeInstruction(instruction) {
     if (this.editingInstructionIndex >= 0) {
       // Editing existing instruction
       this.instructionData[this.editingInstructionIndex] = instruction;
@@ -1159,6 +1604,108 @@ class CardManager {
     this.closeInstructionModal();
   }
 
+  /**
+   * Helper: Fill the modal's Action, Target Label, Polarity and Count fields from an instruction
+   */
+  setInstructionActionFields(instruction) {
+    const action = document.getElementById('instruction-action');
+    if (action) action.value = instruction.Action || 'addTags';
+    const targetLabel = document.getElementById('instruction-target-label');
+    if (targetLabel) targetLabel.value = instruction.TargetLabel || '';
+    const polarity = document.getElementById('instruction-polarity');
+    if (polarity) polarity.value = instruction.Polarity || 'Light';
+    const count = document.getElementById('instruction-count');
+    if (count) count.value = instruction.Count || 1;
+    this.updateInstructionActionFields();
+  }
+
+  /**
+   * Helper: Show only the instruction modal fields the selected action uses
+   */
+  updateInstructionActionFields() {
+    const action = document.getElementById('instruction-action')?.value || 'addTags';
+    const thisCard = (document.getElementById('instruction-target-deck')?.value || '').toLowerCase() === 'thiscard';
+    const byLabel = ['extraDraw', 'swap', 'reveal'].includes(action);
+    const pending = ['addTags', 'forbidTags', 'forcePolarity', 'extraDraw'].includes(action) && !(thisCard && !byLabel);
+    const visible = {
+      'instruction-target-deck-group': !byLabel,
+      'instruction-target-label-group': byLabel,
+      'instruction-tags-group': ['addTags', 'removeTags', 'forbidTags'].includes(action),
+      'instruction-tag-expression-group': action === 'addTags',
+      'instruction-polarity-group': action === 'forcePolarity',
+      'instruction-count-group': ['extraDraw', 'discard'].includes(action),
+      'instruction-stacking-group': pending,
+      'instruction-consume-group': pending && action !== 'extraDraw',
+      'instruction-expires-after-group': pending,
+      'instruction-face-down-group': action === 'addTags'
+    };
+    Object.entries(visible).forEach(([id, show]) => {
+      const group = document.getElementById(id);
+      if (group) group.style.display = show ? '' : 'none';
+    });
+  }
+
+  /**
+   * Helper: Heading for an instruction in the card's instruction list, e.g. "Location" or "Discard 2 from Location"
+   */
+  describeInstructionAction(instruction) {
+    const count = instruction.Count || 1;
+    switch (instruction.Action || 'addTags') {
+      case 'removeTags': return `Remove from ${instruction.TargetDeck}`;
+      case 'forbidTags': return `Forbid in ${instruction.TargetDeck}`;
+      case 'forcePolarity': return `Force ${instruction.Polarity} on ${instruction.TargetDeck}`;
+      case 'extraDraw': return `${count} extra for ${instruction.TargetLabel}`;
+      case 'discard': return `Discard ${count} from ${instruction.TargetDeck}`;
+      case 'swap': return `Swap ${instruction.TargetLabel}`;
+      case 'reveal': return `Reveal ${instruction.TargetLabel}`;
+      default: return instruction.TargetDeck;
+    }
+  }
+
+  /**
+   * Helper: Fill the modal's Stacking, Consume and Expires After fields from an instruction
+   */
+  setInstructionSemantics(instruction) {
+    const stacking = document.getElementById('instruction-stacking');
+    if (stacking) stacking.value = instruction.Stacking || 'replace';
+    const consume = document.getElementById('instruction-consume');
+    if (consume) consume.checked = instruction.Action === 'forcePolarity' ? instruction.Consume !== false : instruction.Consume === true;
+    const expiresAfter = document.getElementById('instruction-expires-after');
+    if (expiresAfter) expiresAfter.value = instruction.ExpiresAfter || '';
+  }
+
+  /**
+   * Helper: The modal's Stacking, Consume and ExpiresAfter fields (only those that differ from the
+   * defaults - replace, persistent, never expires), or null if Expires After is invalid
+   */
+  getInstructionSemantics() {
+    const semantics = {};
+    if (document.getElementById('instruction-stacking')?.value === 'accumulate') semantics.Stacking = 'accumulate';
+    if (document.getElementById('instruction-consume')?.checked) semantics.Consume = true;
+    const expiresAfter = document.getElementById('instruction-expires-after')?.value.trim() || '';
+    if (expiresAfter) {
+      const draws = Number(expiresAfter);
+      if (!Number.isInteger(draws) || draws < 1) {
+        alert('Expires After must be a whole number of draws (1 or more), or empty');
+        return null;
+      }
+      semantics.ExpiresAfter = draws;
+    }
+    return semantics;
+  }
+
+  /**
+   * Helper: Short labels for an instruction's non-default semantics, e.g. ["Accumulates", "Consumed on use"]
+   */
+  describeInstructionSemantics(instruction) {
+    const labels = [];
+    if (instruction.Stacking === 'accumulate') labels.push('Accumulates');
+    if (instruction.Consume && instruction.Action !== 'forcePolarity') labels.push('Consumed on use');
+    if (instruction.Consume === false && instruction.Action === 'forcePolarity') labels.push('Lasts the whole quest');
+    if (instruction.ExpiresAfter) labels.push(`Expires after ${instruction.ExpiresAfter} draw${instruction.ExpiresAfter === 1 ? '' : 's'}`);
+    return labels;
+  }
+
   /**
    * Render instructions list
    */
@@ -1174,16 +1721,18 @@ class CardManager {
       item.style.cursor = 'pointer';
       item.title = 'Click to edit';
       // Get card's Polarity to display as first tag
-      const polarityTag = this.currentCardPolarity ? `<span class="polarity-badge polarity-${this.currentCardPolarity.toLowerCase()}">${this.currentCardPolarity}</span>` : '';
+      const polarityTag = this.currentCardPolarity && !instr.Action ? `<span class="polarity-badge polarity-${this.currentCardPolarity.toLowerCase()}">${this.currentCardPolarity}</span>` : '';
       
       item.innerHTML = `
-        <h4>${instr.TargetDeck}</h4>
+        <h4>${this.escapeHtml(this.describeInstructionAction(instr))}</h4>
         <div class="instruction-tags">
           ${polarityTag}
-          ${instr.Tags.map(tag => {
+          ${(instr.Tags || []).map(tag => {
             const tagLabel = window.TAG_CONFIG_MANAGER?.getLabel(tag) || tag;
             return `<span class="tag tag-${tag.toLowerCase()}">${tagLabel}</span>`;
           }).join('')}
+          ${instr.TagExpression ? `<span class="tag-expression">${this.escapeHtml(instr.TagExpression)}</span>` : ''}
+          ${this.describeInstructionSemantics(instr).map(text => `<span class="instruction-semantics">${text}</span>`).join('')}
         </div>
         <span class="instruction-remove" data-index="${index}">✕</span>
       `;
@@ -1239,17 +1788,374 @@ class CardManager {
     });
   }
 
+  /**
+   * Wire up a tag expression builder ('draw', 'condition' or 'instruction'): operator buttons and the
+   * tag picker insert at the cursor, and the status line shows errors and the match pool size
+   */
+  setupTagExpressionBuilder(prefix) {
+    const input = document.getElementById(`${prefix}-tag-expression`);
+    if (!input) return;
+
+    const tagSelect = document.getElementById(`${prefix}-tag-expression-tag`);
+    if (tagSelect) {
+      // Draws match TypeTags and mutable tags only (not AspectTags)
+      const tags = Array.from(this.allTags.instructionTags).sort();
+      tagSelect.innerHTML = '<option value="">+ Tag</option>' +
+        tags.map(tag => `<option value="${this.escapeHtml(tag)}">${this.escapeHtml(tag)}</option>`).join('');
+      tagSelect.addEventListener('change', () => {
+        if (!tagSelect.value) return;
+        const tag = /^[^\s()&|!"']+$/.test(tagSelect.value) ? tagSelect.value : `"${tagSelect.value}"`;
+        this.insertIntoTagExpression(input, tag);
+        tagSelect.value = '';
+      });
+    }
+
+    document.querySelectorAll(`.tag-expression-builder[data-target="${prefix}-tag-expression"] [data-insert]`).forEach(button => {
+      button.addEventListener('click', () => this.insertIntoTagExpression(input, button.dataset.insert));
+    });
+
+    input.addEventListener('input', () => this.updateTagExpressionStatus(prefix));
+    // Conditions have no deck to count matches in
+    const deckSelect = document.getElementById({ draw: 'draw-deck', instruction: 'instruction-target-deck' }[prefix]);
+    if (deckSelect) deckSelect.addEventListener('change', () => this.updateTagExpressionStatus(prefix));
+    const polaritySelect = prefix === 'draw' ? document.getElementById('draw-polarity') : null;
+    if (polaritySelect) polaritySelect.addEventListener('change', () => this.updateTagExpressionStatus(prefix));
+  }
+
+  /**
+   * Insert text at the cursor of a tag expression input, padded with spaces
+   */
+  insertIntoTagExpression(input, text) {
+    const start = input.selectionStart ?? input.value.length;
+    const end = input.selectionEnd ?? input.value.length;
+    const before = input.value.slice(0, start);
+    const after = input.value.slice(end);
+    const padBefore = before && !/[\s(]$/.test(before) && text !== ')' ? ' ' : '';
+    const padAfter = after && !/^[\s)]/.test(after) && text !== '(' ? ' ' : '';
+    input.value = `${before}${padBefore}${text}${padAfter}${after}`;
+    const cursor = (before + padBefore + text).length;
+    input.focus();
+    input.setSelectionRange(cursor, cursor);
+    input.dispatchEvent(new Event('input'));
+  }
+
+  /**
+   * Set a modal's tag expression input and refresh its status
+   */
+  setTagExpression(prefix, value) {
+    const input = document.getElementById(`${prefix}-tag-expression`);
+    if (input) input.value = value;
+    this.updateTagExpressionStatus(prefix);
+  }
+
+  /**
+   * Read a modal's tag expression: '' when empty, null (after an alert) when it doesn't parse
+   */
+  getTagExpression(prefix) {
+    const input = document.getElementById(`${prefix}-tag-expression`);
+    const text = input ? input.value.trim() : '';
+    if (!text) return '';
+    const result = TAG_EXPRESSION.validate(text);
+    if (!result.valid) {
+      alert(`Invalid tag expression: ${result.error}`);
+      return null;
+    }
+    return text;
+  }
+
+  /**
+   * Show whether the expression parses and how many cards of the chosen deck it matches
+   * (together with the instruction's tags and polarity, as the quest engine combines them)
+   */
+  updateTagExpressionStatus(prefix) {
+    const status = document.getElementById(`${prefix}-tag-expression-status`);
+    const input = document.getElementById(`${prefix}-tag-expression`);
+    if (!status || !input) return;
+
+    const result = TAG_EXPRESSION.validate(input.value);
+    if (!result.valid) {
+      status.textContent = `⚠ ${result.error}`;
+      status.className = 'tag-expression-status invalid';
+      return;
+    }
+
+    const deckSelect = document.getElementById({ draw: 'draw-deck', instruction: 'instruction-target-deck' }[prefix]);
+    const deckKey = deckSelect ? DECK_REGISTRY.resolveKey(deckSelect.value) : null;
+    const deck = deckKey ? this.cards[deckKey] || [] : null;
+    if (!result.expression || !deck) {
+      status.textContent = result.expression ? `✓ ${TAG_EXPRESSION.toString(result.expression)}` : 'Optional - e.g. Justice AND Urban, NOT Undead';
+      status.className = 'tag-expression-status';
+      return;
+    }
+
+    // References ($QuestGiver.TypeTags, ...) depend on the quest being generated
+    const allTags = this.getTagsFromList(`${prefix}-tags-list`);
+    const tags = allTags.filter(tag => !TAG_EXPRESSION.isReference(tag));
+    const polarity = prefix === 'draw' ? document.getElementById('draw-polarity')?.value : '';
+    if (TAG_EXPRESSION.references(result.expression).length > 0 || tags.length < allTags.length || TAG_EXPRESSION.isReference(polarity)) {
+      status.textContent = `✓ ${TAG_EXPRESSION.toString(result.expression)} - uses references, so the match pool depends on earlier draws`;
+      status.className = 'tag-expression-status';
+      return;
+    }
+    const requirement = TAG_EXPRESSION.allOf([TAG_EXPRESSION.anyOf(tags), result.expression]);
+    const matchCount = deck.filter(card =>
+      (!polarity || card.Polarity === polarity) &&
+      TAG_EXPRESSION.evaluate(requirement, [...(card.TypeTags || []), ...(card.mutableTags || [])])
+    ).length;
+
+    status.textContent = `✓ ${TAG_EXPRESSION.toString(result.expression)} - ${matchCount} of ${deck.length} ${DECK_REGISTRY.displayName(deckKey)} cards match`;
+    status.className = `tag-expression-status${matchCount === 0 ? ' invalid' : ''}`;
+  }
+
+  /**
+   * Nested instruction lists of an if/chance/choose instruction: [{ key, name, instructions }]
+   * (instructions is undefined for a branch that has none yet)
+   */
+  getBranchLists(instruction) {
+    if (instruction.action === 'choose') {
+      return (instruction.options || []).map((option, i) => ({
+        key: i,
+        name: `${option.name || `Option ${i + 1}`} (weight ${option.weight === undefined ? 1 : option.weight})`,
+        instructions: option.instructions
+      }));
+    }
+    return [
+      { key: 'then', name: 'Then', instructions: instruction.then },
+      { key: 'else', name: 'Else', instructions: instruction.else }
+    ];
+  }
+
+  /**
+   * Short description of an if/chance/choose instruction, e.g. "If Location has (Forest OR Marsh)"
+   */
+  describeBranch(instruction) {
+    if (instruction.action === 'if') {
+      const condition = instruction.condition || {};
+      const parts = [];
+      if (condition.tagExpression) parts.push(`has (${condition.tagExpression})`);
+      if (condition.polarity) parts.push(`is ${condition.polarity}`);
+      return `If ${condition.label || '?'} ${parts.join(' and ') || 'was drawn'}`;
+    }
+    if (instruction.action === 'chance') {
+      return `${instruction.chance}% chance`;
+    }
+    return `Choose one of ${(instruction.options || []).length}`;
+  }
+
+  /**
+   * Labels certainly drawn before a position in the template (branches only count labels
+   * every branch draws), as the card validator checks references
+   * @param {Array} targetList - List holding the position (the template's or a branch's)
+   * @param {number} targetIndex - Position in that list
+   * @returns {{found: boolean, labels: string[]}}
+   */
+  drawnLabelsBefore(targetList, targetIndex, list = this.drawInstructionData, labels = []) {
+    for (let i = 0; i <= list.length; i++) {
+      if (list === targetList && i === targetIndex) return { found: true, labels };
+      const instr = list[i];
+      if (!instr) break;
+
+      if (CARD_VALIDATOR.BRANCH_ACTIONS.includes(instr.action)) {
+        const results = this.getBranchLists(instr)
+          .map(branch => this.drawnLabelsBefore(targetList, targetIndex, branch.instructions || [], [...labels]));
+        const found = results.find(result => result.found);
+        if (found) return found;
+        if (results.length > 0) {
+          labels = results.map(result => result.labels).reduce((common, branchLabels) => common.filter(label => branchLabels.includes(label)));
+        }
+      } else if (instr.action === 'draw' && instr.label && !labels.includes(instr.label)) {
+        labels = [...labels, instr.label];
+      }
+    }
+    return { found: false, labels };
+  }
+
+  /**
+   * Show the modal fields for the selected action: deck/tags for draw and addToken, template and
+   * tags for subQuest, condition, chance or options for branches
+   */
+  updateDrawActionFields() {
+    const action = document.getElementById('draw-action').value;
+    const show = (id, visible) => {
+      const element = document.getElementById(id);
+      if (element) element.style.display = visible ? '' : 'none';
+    };
+    show('draw-fields', !CARD_VALIDATOR.BRANCH_ACTIONS.includes(action));
+    ['draw-deck-group', 'draw-count-group', 'draw-prefix-group', 'draw-suffix-group', 'draw-habitat-group', 'draw-face-down-group'].forEach(id => show(id, action !== 'subQuest'));
+    show('draw-subquest-group', action === 'subQuest');
+    show('branch-if-fields', action === 'if');
+    show('branch-chance-fields', action === 'chance');
+    show('branch-choose-fields', action === 'choose');
+    if (action === 'choose' && this.editingChooseOptions.length === 0) {
+      this.editingChooseOptions = [{ name: '', weight: 1, instructions: [] }, { name: '', weight: 1, instructions: [] }];
+      this.renderChooseOptions();
+    }
+  }
+
+  /**
+   * Render the name/weight rows of the choose instruction being edited
+   */
+  renderChooseOptions() {
+    const container = document.getElementById('draw-choose-options');
+    if (!container) return;
+    container.innerHTML = '';
+
+    this.editingChooseOptions.forEach((option, index) => {
+      const row = document.createElement('div');
+      row.className = 'choose-option-row';
+      row.innerHTML = `
+        <input type="text" class="choose-option-name" placeholder="Option ${index + 1} name (e.g., Ambush)" value="${this.escapeHtml(option.name || '')}">
+        <input type="number" class="choose-option-weight" min="0" step="any" title="Weight" value="${option.weight === undefined ? 1 : option.weight}">
+        <span class="choose-option-count">${(option.instructions || []).length} instr.</span>
+        <button type="button" class="instruction-remove" title="Remove option">✕</button>
+      `;
+      row.querySelector('.choose-option-name').addEventListener('input', (e) => { option.name = e.target.value; });
+      row.querySelector('.choose-option-weight').addEventListener('input', (e) => { option.weight = parseFloat(e.target.value); });
+      row.querySelector('.instruction-remove').addEventListener('click', () => {
+        if ((option.instructions || []).length > 0 && !confirm(`Remove this option and its ${option.instructions.length} instruction(s)?`)) return;
+        this.editingChooseOptions.splice(index, 1);
+        this.renderChooseOptions();
+      });
+      container.appendChild(row);
+    });
+  }
+
+  /**
+   * Build an if/chance/choose instruction from the modal, keeping the branches' instructions
+   * @param {Object|null} existing - Instruction being edited
+   * @returns {Object|null} The instruction, or null (after an alert) when a field is missing
+   */
+  readBranchInstruction(action, existing) {
+    const then = existing && Array.isArray(existing.then) ? existing.then : [];
+    const otherwise = existing && Array.isArray(existing.else) ? existing.else : [];
+
+    if (action === 'if') {
+      const label = document.getElementById('draw-condition-label').value;
+      if (!label) {
+        alert('Please choose the earlier draw the condition checks');
+        return null;
+      }
+      const tagExpression = this.getTagExpression('condition');
+      if (tagExpression === null) return null;
+      const polarity = document.getElementById('draw-condition-polarity').value;
+      const condition = { label };
+      if (tagExpression) condition.tagExpression = tagExpression;
+      if (polarity) condition.polarity = polarity;
+      return { action, condition, then, else: otherwise };
+    }
+
+    if (action === 'chance') {
+      const chance = parseFloat(document.getElementById('draw-chance').value);
+      if (!Number.isFinite(chance) || chance < 0 || chance > 100) {
+        alert('Chance must be a percentage between 0 and 100');
+        return null;
+      }
+      return { action, chance, then, else: otherwise };
+    }
+
+    const options = this.editingChooseOptions.map(option => ({
+      name: (option.name || '').trim(),
+      weight: Number.isFinite(option.weight) ? option.weight : 1,
+      instructions: option.instructions || []
+    }));
+    if (options.length === 0) {
+      alert('Please add at least one option');
+      return null;
+    }
+    if (options.some(option => option.weight < 0)) {
+      alert('Option weights must be 0 or more');
+      return null;
+    }
+    return { action, options };
+  }
+
+  /**
+   * Offer references to the labels drawn before this draw instruction: "Same as/Opposite of"
+   * polarity options and a picker that adds $Label.TypeTags / paired($Label.TypeTags) to the tags,
+   * and the labels an if condition can check
+   * @param {string} currentPolarity - Polarity value to keep selectable even if its label is gone
+   * @param {string} currentConditionLabel - Condition label to keep selectable even if it is gone
+   */
+  populateReferenceOptions(currentPolarity = '', currentConditionLabel = '') {
+    const list = this.editingDrawInstructionList || this.drawInstructionData;
+    const end = this.editingDrawInstructionIndex >= 0 ? this.editingDrawInstructionIndex : list.length;
+    const { labels } = this.drawnLabelsBefore(list, end);
+
+    const conditionSelect = document.getElementById('draw-condition-label');
+    if (conditionSelect) {
+      const conditionLabels = currentConditionLabel && !labels.includes(currentConditionLabel)
+        ? [...labels, currentConditionLabel]
+        : labels;
+      conditionSelect.innerHTML = `<option value="">${labels.length > 0 ? '-- Select Earlier Draw --' : 'No earlier draws to check'}</option>` +
+        conditionLabels.map(label => `<option value="${this.escapeHtml(label)}">${this.escapeHtml(label)}</option>`).join('');
+      conditionSelect.value = currentConditionLabel;
+    }
+    const ref = (label) => /^[A-Za-z0-9_-]+$/.test(label) ? `$${label}` : `$"${label}"`;
+
+    const polaritySelect = document.getElementById('draw-polarity');
+    if (polaritySelect) {
+      polaritySelect.querySelectorAll('option[data-reference]').forEach(option => option.remove());
+      const options = labels.flatMap(label => [
+        [`${ref(label)}.Polarity`, `Same as ${label}`],
+        [`opposite(${ref(label)}.Polarity)`, `Opposite of ${label}`]
+      ]);
+      if (TAG_EXPRESSION.isReference(currentPolarity) && !options.some(([value]) => value === currentPolarity)) {
+        options.push([currentPolarity, currentPolarity]);
+      }
+      options.forEach(([value, text]) => {
+        const option = new Option(text, value);
+        option.dataset.reference = 'true';
+        polaritySelect.add(option);
+      });
+    }
+
+    const tagReferenceSelect = document.getElementById('draw-tags-reference');
+    if (tagReferenceSelect) {
+      tagReferenceSelect.innerHTML = `<option value="">${labels.length > 0 ? '+ Tags from an earlier draw' : 'No earlier draws to reference'}</option>` +
+        labels.flatMap(label => [
+          `<option value="${this.escapeHtml(`${ref(label)}.TypeTags`)}">${this.escapeHtml(label)}'s TypeTags</option>`,
+          `<option value="${this.escapeHtml(`paired(${ref(label)}.TypeTags)`)}">Paired with ${this.escapeHtml(label)}'s TypeTags</option>`
+        ]).join('');
+      tagReferenceSelect.disabled = labels.length === 0;
+      tagReferenceSelect.onchange = () => {
+        if (!tagReferenceSelect.value) return;
+        this.addTag('draw-tags-input', tagReferenceSelect.value);
+        tagReferenceSelect.value = '';
+        this.updateTagExpressionStatus('draw');
+      };
+    }
+
+    const habitatReferenceSelect = document.getElementById('draw-habitat-reference');
+    if (habitatReferenceSelect) {
+      habitatReferenceSelect.innerHTML = `<option value="">${labels.length > 0 ? '+ Habitat of an earlier draw' : 'No earlier draws to reference'}</option>` +
+        labels.flatMap(label => [
+          `<option value="${this.escapeHtml(`${ref(label)}.Habitat`)}">${this.escapeHtml(label)}'s Habitat</option>`,
+          `<option value="${this.escapeHtml(`${ref(label)}.AspectTags`)}">${this.escapeHtml(label)}'s AspectTags</option>`
+        ]).join('');
+      habitatReferenceSelect.disabled = labels.length === 0;
+      habitatReferenceSelect.onchange = () => {
+        if (!habitatReferenceSelect.value) return;
+        const habitatInput = document.getElementById('draw-habitat');
+        habitatInput.value = this.parseHabitat(`${habitatInput.value},${habitatReferenceSelect.value}`).join(', ');
+        habitatReferenceSelect.value = '';
+      };
+    }
+  }
+
   /**
    * Open draw instruction modal
+   * @param {Array} list - List to add the instruction to (a branch's, or the template's by default)
    */
-  openDrawInstructionModal() {
+  openDrawInstructionModal(list = this.drawInstructionData) {
     const modal = document.getElementById('draw-instruction-modal');
     if (modal) {
       modal.style.display = 'flex';
       this.editingDrawInstructionIndex = -1; // -1 means adding new
+      this.editingDrawInstructionList = list;
       
-      // Populate deck dropdown
+      // Populate deck dropdown and references to earlier draws
       this.populateDrawDeckDropdown();
+      this.populateReferenceOptions();
       
       // Reset form
       document.getElementById('draw-action').value = '';
@@ -1259,6 +2165,8 @@ class CardManager {
       document.getElementById('draw-prefix').value = '';
       document.getElementById('draw-suffix').value = '';
       document.getElementById('draw-polarity').value = '';
+      document.getElementById('draw-habitat').value = '';
+      this.populateSubQuestTemplates('');
       this.clearTagList('draw-tags-list');
       
       // Clear faceDown checkbox
@@ -1266,6 +2174,15 @@ class CardManager {
       if (faceDownCheckbox) faceDownCheckbox.checked = false;
       const drawText = document.getElementById('draw-instruction-text');
       if (drawText) drawText.value = '';
+      this.setTagExpression('draw', '');
+
+      // Reset branch settings
+      document.getElementById('draw-condition-polarity').value = '';
+      document.getElementById('draw-chance').value = '50';
+      this.setTagExpression('condition', '');
+      this.editingChooseOptions = [];
+      this.renderChooseOptions();
+      this.updateDrawActionFields();
     }
   }
 
@@ -1285,6 +2202,23 @@ class CardManager {
    */
   saveDrawInstruction() {
     const action = document.getElementById('draw-action').value;
+    const list = this.editingDrawInstructionList || this.drawInstructionData;
+
+    if (CARD_VALIDATOR.BRANCH_ACTIONS.includes(action)) {
+      const existing = this.editingDrawInstructionIndex >= 0 ? list[this.editingDrawInstructionIndex] : null;
+      const branchInstruction = this.readBranchInstruction(action, existing);
+      if (!branchInstruction) return;
+      this.storeDrawInstruction(list, branchInstruction);
+      return;
+    }
+
+    if (action === 'subQuest') {
+      const subQuestInstruction = this.readSubQuestInstruction();
+      if (!subQuestInstruction) return;
+      this.storeDrawInstruction(list, subQuestInstruction);
+      return;
+    }
+
     const deck = document.getElementById('draw-deck').value;
     const count = parseInt(document.getElementById('draw-count').value);
     const label = document.getElementById('draw-label').value.trim();
@@ -1292,7 +2226,11 @@ class CardManager {
     const suffix = document.getElementById('draw-suffix').value.trim();
     const polarity = document.getElementById('draw-polarity').value || null;
     const tags = this.dedupeTags(this.getTagsFromList('draw-tags-list'));
+    const habitat = this.parseHabitat(document.getElementById('draw-habitat').value);
     const faceDown = document.getElementById('draw-face-down').checked; 
+    const instructionText = document.getElementById('draw-instruction-text')?.value.trim() || '';
+    const tagExpression = this.getTagExpression('draw');
+    if (tagExpression === null) return; // Invalid expression (already reported)
 
     if (!action) {
       alert('Please select an action');
@@ -1321,13 +2259,87 @@ class CardManager {
       faceDown: faceDown,
       InstructionText: instructionText
     };
+    if (tagExpression) drawInstruction.tagExpression = tagExpression;
+    if (habitat.length > 0) drawInstruction.habitat = habitat;
+
+    // Keep an edited addToken's pending semantics (they aren't fields of this modal)
+    const existing = this.editingDrawInstructionIndex >= 0 ? list[this.editingDrawInstructionIndex] : null;
+    if (action === 'addToken' && existing) {
+      ['stacking', 'consume', 'expiresAfter'].forEach(field => {
+        if (existing[field] !== undefined) drawInstruction[field] = existing[field];
+      });
+    }
+
+    this.storeDrawInstruction(list, drawInstruction);
+  }
+
+  /**
+   * Build a subQuest instruction from the modal: a named template, or the polarity/tags a drawn one must have
+   * @returns {Object|null} The instruction, or null (after an alert) when a field is missing
+   */
+  readSubQuestInstruction() {
+    const label = document.getElementById('draw-label').value.trim();
+    if (!label) {
+      alert('Please enter a label for the sub-quest');
+      return null;
+    }
+    const tagExpression = this.getTagExpression('draw');
+    if (tagExpression === null) return null;
 
+    const instruction = { action: 'subQuest', label };
+    const template = document.getElementById('draw-subquest-template').value;
+    if (template) {
+      instruction.template = template;
+    } else {
+      const polarity = document.getElementById('draw-polarity').value;
+      const tags = this.dedupeTags(this.getTagsFromList('draw-tags-list'));
+      if (polarity) instruction.polarity = polarity;
+      if (tags.length > 0) instruction.tags = tags;
+      if (tagExpression) instruction.tagExpression = tagExpression;
+    }
+    const instructionText = document.getElementById('draw-instruction-text')?.value.trim() || '';
+    if (instructionText) instruction.InstructionText = instructionText;
+    return instruction;
+  }
+
+  /**
+   * Helper: Fill the sub-quest template dropdown with the QuestTemplates
+   */
+  populateSubQuestTemplates(selected) {
+    const select = document.getElementById('draw-subquest-template');
+    if (!select) return;
+    const deckKey = DECK_REGISTRY.resolveKey('QuestTemplate');
+    const names = (this.cards[deckKey] || [])
+      .map(card => card.CardName)
+      .filter(Boolean)
+      .sort();
+    select.innerHTML = '<option value="">-- Draw one matching the polarity/tags below --</option>';
+    names.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    if (selected && !names.includes(selected)) {
+      // Keep a name that isn't loaded so saving doesn't lose it
+      const option = document.createElement('option');
+      option.value = selected;
+      option.textContent = selected;
+      select.appendChild(option);
+    }
+    select.value = selected || '';
+  }
+
+  /**
+   * Put the instruction from the modal into its list (replacing the one being edited) and close
+   */
+  storeDrawInstruction(list, drawInstruction) {
     if (this.editingDrawInstructionIndex >= 0) {
       // Editing existing instruction
-      this.drawInstructionData[this.editingDrawInstructionIndex] = drawInstruction;
+      list[this.editingDrawInstructionIndex] = drawInstruction;
     } else {
       // Adding new instruction
-      this.drawInstructionData.push(drawInstruction);
+      list.push(drawInstruction);
     }
 
     this.renderDrawInstructions();
@@ -1342,53 +2354,87 @@ class CardManager {
     if (!list) return;
 
     list.innerHTML = '';
+    this.renderDrawInstructionList(this.drawInstructionData, list);
+  }
 
-    this.drawInstructionData.forEach((instr, index) => {
+  /**
+   * Render one list of draw instructions (the template's, or a branch's) into a container;
+   * if/chance/choose instructions render their branches as nested lists
+   */
+  renderDrawInstructionList(instructions, list) {
+    instructions.forEach((instr, index) => {
       const item = document.createElement('div');
       item.className = 'instruction-item';
       item.style.cursor = 'pointer';
       item.title = 'Click to edit';
       
       const canMoveUp = index > 0;
-      const canMoveDown = index < this.drawInstructionData.length - 1;
-      
-      // Build preview text with prefix/suffix
-      let previewText = '';
-      if (instr.prefix) previewText += `<em>"${instr.prefix}"</em> `;
-      previewText += `<strong>[${instr.label}]</strong>`;
-      if (instr.suffix) previewText += ` <em>"${instr.suffix}"</em>`;
-      
-      item.innerHTML = `
-        <div class="instruction-header">
-          <h4>${instr.label} (${instr.action})</h4>
+      const canMoveDown = index < instructions.length - 1;
+      const controlsHtml = `
           <div class="instruction-controls">
             <button class="instruction-move-up" data-index="${index}" ${!canMoveUp ? 'disabled' : ''} title="Move up">▲</button>
             <button class="instruction-move-down" data-index="${index}" ${!canMoveDown ? 'disabled' : ''} title="Move down">▼</button>
             <span class="instruction-remove" data-index="${index}">✕</span>
+          </div>`;
+      const isBranch = CARD_VALIDATOR.BRANCH_ACTIONS.includes(instr.action);
+
+      if (instr.action === 'subQuest') {
+        item.innerHTML = `
+          <div class="instruction-header">
+            <h4>${this.escapeHtml(instr.label || 'Sub-quest')} (subQuest)</h4>${controlsHtml}
           </div>
-        </div>
-        <div class="instruction-preview">${previewText}</div>
-        <div class="instruction-details">
-          <span><strong>Deck:</strong> ${instr.deck}</span>
-          <span><strong>Count:</strong> ${instr.count}</span>
-        </div>
-        ${instr.tags.length > 0 || instr.polarity ? `<div class="instruction-tags">
-          ${instr.polarity ? `<span class="polarity-badge polarity-${instr.polarity.toLowerCase()}">${instr.polarity}</span>` : ''}
-          ${instr.tags.map(tag => {
-            const tagLabel = window.TAG_CONFIG_MANAGER?.getLabel(tag) || tag;
-            return `<span class="tag tag-${tag.toLowerCase()}">${tagLabel}</span>`;
-          }).join('')}
-        </div>` : ''}
-      `;
+          <div class="instruction-details">
+            <span><strong>Template:</strong> ${this.escapeHtml(instr.template || 'drawn from QuestTemplate')}</span>
+          </div>
+          ${!instr.template && ((instr.tags || []).length > 0 || instr.polarity || instr.tagExpression) ? `<div class="instruction-tags">
+            ${instr.polarity ? `<span class="polarity-badge polarity-${instr.polarity.toLowerCase()}">${instr.polarity}</span>` : ''}
+            ${(instr.tags || []).map(tag => `<span class="tag tag-${tag.toLowerCase()}">${window.TAG_CONFIG_MANAGER?.getLabel(tag) || tag}</span>`).join('')}
+            ${instr.tagExpression ? `<span class="tag-expression">${this.escapeHtml(instr.tagExpression)}</span>` : ''}
+          </div>` : ''}
+        `;
+      } else if (isBranch) {
+        item.classList.add('branch-item');
+        item.innerHTML = `
+          <div class="instruction-header">
+            <h4>${this.escapeHtml(this.describeBranch(instr))} (${instr.action})</h4>${controlsHtml}
+          </div>
+        `;
+      } else {
+        // Build preview text with prefix/suffix
+        let previewText = '';
+        if (instr.prefix) previewText += `<em>"${instr.prefix}"</em> `;
+        previewText += `<strong>[${instr.label}]</strong>`;
+        if (instr.suffix) previewText += ` <em>"${instr.suffix}"</em>`;
+      
+        item.innerHTML = `
+          <div class="instruction-header">
+            <h4>${instr.label} (${instr.action})</h4>${controlsHtml}
+          </div>
+          <div class="instruction-preview">${previewText}</div>
+          <div class="instruction-details">
+            <span><strong>Deck:</strong> ${instr.deck}</span>
+            <span><strong>Count:</strong> ${instr.count}</span>
+          </div>
+          ${(instr.tags || []).length > 0 || instr.polarity || instr.tagExpression ? `<div class="instruction-tags">
+            ${instr.polarity ? `<span class="polarity-badge polarity-${instr.polarity.toLowerCase()}">${instr.polarity}</span>` : ''}
+            ${(instr.tags || []).map(tag => {
+              const tagLabel = window.TAG_CONFIG_MANAGER?.getLabel(tag) || tag;
+              return `<span class="tag tag-${tag.toLowerCase()}">${tagLabel}</span>`;
+            }).join('')}
+            ${instr.tagExpression ? `<span class="tag-expression">${this.escapeHtml(instr.tagExpression)}</span>` : ''}
+          </div>` : ''}
+        `;
+      }
 
-      // Click to edit instruction
+      // Click to edit instruction (nested items handle their own clicks)
       item.addEventListener('click', (e) => {
+        e.stopPropagation();
         if (e.target.classList.contains('instruction-remove') ||
             e.target.classList.contains('instruction-move-up') ||
             e.target.classList.contains('instruction-move-down')) {
           return;
         }
-        this.editDrawInstruction(index);
+        this.editDrawInstruction(index, instructions);
       });
 
       // Move up button
@@ -1396,8 +2442,8 @@ class CardManager {
       moveUpBtn?.addEventListener('click', (e) => {
         e.stopPropagation();
         if (index > 0) {
-          [this.drawInstructionData[index - 1], this.drawInstructionData[index]] = 
-            [this.drawInstructionData[index], this.drawInstructionData[index - 1]];
+          [instructions[index - 1], instructions[index]] = 
+            [instructions[index], instructions[index - 1]];
           this.renderDrawInstructions();
         }
       });
@@ -1406,9 +2452,9 @@ class CardManager {
       const moveDownBtn = item.querySelector('.instruction-move-down');
       moveDownBtn?.addEventListener('click', (e) => {
         e.stopPropagation();
-        if (index < this.drawInstructionData.length - 1) {
-          [this.drawInstructionData[index], this.drawInstructionData[index + 1]] = 
-            [this.drawInstructionData[index + 1], this.drawInstructionData[index]];
+        if (index < instructions.length - 1) {
+          [instructions[index], instructions[index + 1]] = 
+            [instructions[index + 1], instructions[index]];
           this.renderDrawInstructions();
         }
       });
@@ -1417,10 +2463,39 @@ class CardManager {
       const removeBtn = item.querySelector('.instruction-remove');
       removeBtn.addEventListener('click', (e) => {
         e.stopPropagation();
-        this.drawInstructionData.splice(index, 1);
+        instructions.splice(index, 1);
         this.renderDrawInstructions();
       });
 
+      // Branches: nested instruction lists, each with its own add button
+      if (isBranch) {
+        this.getBranchLists(instr).forEach(branch => {
+          const block = document.createElement('div');
+          block.className = 'branch-block';
+          block.innerHTML = `<div class="branch-title">${this.escapeHtml(branch.name)}</div>`;
+
+          const branchList = document.createElement('div');
+          branchList.className = 'instructions-list branch-instructions';
+          this.renderDrawInstructionList(branch.instructions || [], branchList);
+          block.appendChild(branchList);
+
+          const addBtn = document.createElement('button');
+          addBtn.type = 'button';
+          addBtn.className = 'btn btn-secondary btn-small';
+          addBtn.textContent = `+ Add to ${branch.name}`;
+          addBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const owner = instr.action === 'choose' ? instr.options[branch.key] : instr;
+            const ownerKey = instr.action === 'choose' ? 'instructions' : branch.key;
+            if (!Array.isArray(owner[ownerKey])) owner[ownerKey] = [];
+            this.openDrawInstructionModal(owner[ownerKey]);
+          });
+          block.appendChild(addBtn);
+          block.addEventListener('click', (e) => e.stopPropagation());
+          item.appendChild(block);
+        });
+      }
+
         // InstructionText preview for draw instruction
         const fullText = instr.InstructionText || '';
         if (fullText && fullText.length > 0) {
@@ -1460,23 +2535,47 @@ class CardManager {
   /**
    * Edit an existing draw instruction
    */
-  editDrawInstruction(index) {
-    const instruction = this.drawInstructionData[index];
+  editDrawInstruction(index, list = this.drawInstructionData) {
+    const instruction = list[index];
     if (!instruction) return;
 
     this.editingDrawInstructionIndex = index;
+    this.editingDrawInstructionList = list;
 
-    // Populate deck dropdown first
+    // Populate deck dropdown and references to earlier draws first
     this.populateDrawDeckDropdown();
+    this.populateReferenceOptions(instruction.polarity || '', instruction.condition ? instruction.condition.label || '' : '');
 
     // Populate modal
     document.getElementById('draw-action').value = instruction.action;
-    document.getElementById('draw-deck').value = instruction.deck;
-    document.getElementById('draw-count').value = instruction.count;
-    document.getElementById('draw-label').value = instruction.label;
+
+    // Branch settings (the branches' instructions are edited in the list)
+    if (CARD_VALIDATOR.BRANCH_ACTIONS.includes(instruction.action)) {
+      const condition = instruction.condition || {};
+      document.getElementById('draw-condition-polarity').value = condition.polarity || '';
+      this.setTagExpression('condition', condition.tagExpression || '');
+      document.getElementById('draw-chance').value = instruction.chance !== undefined ? instruction.chance : 50;
+      this.editingChooseOptions = (instruction.options || []).map(option => ({ ...option }));
+      this.renderChooseOptions();
+      this.updateDrawActionFields();
+
+      const modal = document.getElementById('draw-instruction-modal');
+      if (modal) {
+        modal.style.display = 'flex';
+      }
+      return;
+    }
+    this.editingChooseOptions = [];
+    this.updateDrawActionFields();
+
+    this.populateSubQuestTemplates(instruction.action === 'subQuest' ? instruction.template || '' : '');
+    document.getElementById('draw-deck').value = instruction.deck || '';
+    document.getElementById('draw-count').value = instruction.count || 1;
+    document.getElementById('draw-label').value = instruction.label || '';
     document.getElementById('draw-prefix').value = instruction.prefix || '';
     document.getElementById('draw-suffix').value = instruction.suffix || '';
     document.getElementById('draw-polarity').value = instruction.polarity || '';
+    document.getElementById('draw-habitat').value = (instruction.habitat || []).join(', ');
 
     // Clear and populate tags
     this.clearTagList('draw-tags-list');
@@ -1492,9 +2591,10 @@ class CardManager {
       faceDownCheckbox.checked = instruction.faceDown || false;
     }
 
-    // Populate draw instruction text
+    // Populate draw instruction text and tag expression
     const drawText = document.getElementById('draw-instruction-text');
     if (drawText) drawText.value = instruction.InstructionText || '';
+    this.setTagExpression('draw', instruction.tagExpression || '');
 
     // Open modal
     const modal = document.getElementById('draw-instruction-modal');
@@ -1666,6 +2766,9 @@ class CardManager {
       
       // Create Polarity badge
       const polarityBadgeHtml = card.Polarity ? `<span class="polarity-badge polarity-${card.Polarity.toLowerCase()}">${card.Polarity}</span>` : '';
+      const rarityBadgeHtml = CARD_RARITY.weightOf(card) !== CARD_RARITY.WEIGHTS[CARD_RARITY.DEFAULT_RARITY]
+        ? `<span class="rarity-badge" title="Draw weight ${CARD_RARITY.weightOf(card)}">${this.escapeHtml(CARD_RARITY.describe(card))}</span>`
+        : '';
       
       // Create separate sections for TypeTags and AspectTags with specific CSS classes
       const typeTagsHtml = card.TypeTags.length > 0 ? `
@@ -1692,6 +2795,15 @@ class CardManager {
         </div>
       ` : '';
 
+      const habitatHtml = (card.Habitat || []).length > 0 ? `
+        <div class="tag-group">
+          <span class="tag-group-label">Habitat:</span>
+          <div class="tag-group-tags">
+            ${card.Habitat.map(habitat => `<span class="tag">${this.escapeHtml(habitat)}</span>`).join('')}
+          </div>
+        </div>
+      ` : '';
+
       // Create instructions section - check for both DrawInstructions (QuestTemplate) and Instructions (other cards)
       let instructionsHtml = '';
       
@@ -1701,14 +2813,30 @@ class CardManager {
           <div class="instructions-section">
             <div class="section-title">Draw Instructions:</div>
             ${card.DrawInstructions.map(inst => {
+              if (CARD_VALIDATOR.BRANCH_ACTIONS.includes(inst.action)) {
+                const branches = this.getBranchLists(inst)
+                  .map(branch => `${branch.name}: ${(branch.instructions || []).length}`)
+                  .join(', ');
+                return `
+                <div class="instruction-item">
+                  <strong>${this.escapeHtml(this.describeBranch(inst))}</strong><br>
+                  ${this.escapeHtml(branches)} instruction(s)
+                </div>
+              `;
+              }
               const tags = inst.tags || [];
-              const tagsText = tags.length > 0 ? ` with tag(s) ${tags.join(', ')}` : '';
+              const tagsText = (tags.length > 0 ? ` with tag(s) ${tags.join(', ')}` : '') +
+                (inst.tagExpression ? ` matching ${this.escapeHtml(inst.tagExpression)}` : '') +
+                ((inst.habitat || []).length > 0 ? ` in habitat ${this.escapeHtml(inst.habitat.join(' or '))}` : '');
               const instrText = inst.InstructionText || '';
               const instrTrunc = instrText.length > 120 ? instrText.slice(0,120) + '...' : instrText;
+              const actionText = inst.action === 'subQuest'
+                ? `sub-quest ${inst.template ? this.escapeHtml(inst.template) : `drawn from QuestTemplate${inst.polarity ? ` (${inst.polarity})` : ''}${tagsText}`}`
+                : `${inst.action} ${inst.count} from ${inst.deck}${tagsText}`;
               return `
                 <div class="instruction-item">
                   <strong>${inst.label}:</strong><br>
-                  ${inst.action} ${inst.count} from ${inst.deck}${tagsText}
+                  ${actionText}
                   ${instrText ? `<div class="instruction-text" data-full="${this.escapeHtml(instrText)}">${this.escapeHtml(instrTrunc)}</div>` : ''}
                 </div>
               `;
@@ -1732,8 +2860,9 @@ class CardManager {
             <div class="section-title">Instructions:</div>
             ${card.Instructions.map(inst => `
               <div class="instruction-item">
-                <span class="instruction-target">${inst.TargetDeck}</span>
-                <span class="instruction-tags">[${inst.Tags.join(', ')}]</span>
+                <span class="instruction-target">${this.escapeHtml(this.describeInstructionAction(inst))}</span>
+                ${(inst.Tags || []).length > 0 ? `<span class="instruction-tags">[${inst.Tags.join(', ')}]</span>` : ''}
+                ${inst.TagExpression ? `<span class="tag-expression">${this.escapeHtml(inst.TagExpression)}</span>` : ''}
                 ${inst.InstructionText ? `<div class="instruction-text" data-full="${this.escapeHtml(inst.InstructionText)}">${this.escapeHtml(inst.InstructionText.length>120?inst.InstructionText.slice(0,120)+'...':inst.InstructionText)}</div>` : ''}
               </div>
             `).join('')}
@@ -1745,11 +2874,12 @@ class CardManager {
 
       item.innerHTML = `
         <div class="card-item-left">
-          <h4>${polarityBadgeHtml}${card.CardName}</h4>
+          <h4>${polarityBadgeHtml}${card.CardName}${rarityBadgeHtml}</h4>
           <span class="card-deck">${deckDisplayName}</span>
           <div class="card-tags">
             ${typeTagsHtml}
             ${aspectTagsHtml}
+            ${habitatHtml}
           </div>
           ${card.DesignerNotes ? `<div class="designer-notes"><strong>Designer Notes:</strong> ${card.DesignerNotes}</div>` : ''}
           <div class="card-item-actions">
@@ -1847,6 +2977,9 @@ class CardManager {
       this.refreshTypeTagsAutocomplete(); // Refresh autocomplete for this Polarity
     }
 
+    // Set rarity and custom weight
+    this.setRarityFields(card);
+
     // Set tags
     this.clearTagList('type-tags-list');
     card.TypeTags.forEach(tag => this.addTag('type-tags-input', tag));
@@ -1857,8 +2990,11 @@ class CardManager {
     this.clearTagList('mutable-tags-list');
     card.mutableTags.forEach(tag => this.addTag('mutable-tags-input', tag));
 
+    const habitatInput = document.getElementById('card-habitat');
+    if (habitatInput) habitatInput.value = (card.Habitat || []).join(', ');
+
     // Set instructions based on card type
-    const isQuestTemplate = deckName === 'questtemplates';
+    const isQuestTemplate = DECK_REGISTRY.usesDrawInstructions(deckName);
     
     if (isQuestTemplate) {
       // Load DrawInstructions for QuestTemplate cards
@@ -1927,6 +3063,9 @@ class CardManager {
       this.refreshTypeTagsAutocomplete(); // Refresh autocomplete for this Polarity
     }
 
+    // Set rarity and custom weight
+    this.setRarityFields(card);
+
     // Set tags
     this.clearTagList('type-tags-list');
     card.TypeTags.forEach(tag => this.addTag('type-tags-input', tag));
@@ -1937,8 +3076,11 @@ class CardManager {
     this.clearTagList('mutable-tags-list');
     card.mutableTags.forEach(tag => this.addTag('mutable-tags-input', tag));
 
+    const habitatInput = document.getElementById('card-habitat');
+    if (habitatInput) habitatInput.value = (card.Habitat || []).join(', ');
+
     // Set instructions based on card type
-    const isQuestTemplate = deckName === 'questtemplates';
+    const isQuestTemplate = DECK_REGISTRY.usesDrawInstructions(deckName);
     
     if (isQuestTemplate) {
       // Load DrawInstructions for QuestTemplate cards
@@ -1979,8 +3121,8 @@ class CardManager {
     const deck = this.cards[deckName];
     const index = deck.findIndex(c => c.CardName === cardName);
     if (index >= 0) {
-      deck.splice(index, 1);
-      this.saveCardsToFile();
+      const [removed] = deck.splice(index, 1);
+      this.removeCard(deckName, removed);
       
       // Re-extract tags and refresh autocomplete after deleting
       this.extractAllTags();
@@ -2068,7 +3210,7 @@ class CardManager {
 
       // Update cards
       this.cards = importedCards;
-      this.saveCardsToFile();
+      this.saveCardsToFile({ message: `Imported cards from ${file.name}` });
       this.extractAllTags();
       this.refreshAutocomplete();
       this.populateDeckFilter();
@@ -2110,13 +3252,15 @@ class CardManager {
       // If server mode, save the fresh data to server/database
       if (this.serverMode) {
         console.log('Updating server with fresh data...');
+        // Reset deliberately overwrites whatever is on the server
         const response = await fetch(CONFIG.API_CARDS, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: { 'Content-Type': 'application/json', 'If-Match': '*', ...this.authorHeaders('Reset to default cards') },
           body: JSON.stringify(this.cards)
         });
         if (response.ok) {
           console.log('✓ Server database updated with fresh data');
+          await this.fetchServerCards();
         }
       }
       
@@ -2138,7 +3282,7 @@ class CardManager {
    * Download CSV template
    */
   downloadCSVTemplate() {
-    const template = CSVImporter.generateTemplate();
+    const template = CSVImporter.getCSVTemplate();
     const blob = new Blob([template], { type: 'text/csv' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -2192,7 +3336,7 @@ class CardManager {
       });
 
       // Save and update
-      this.saveCardsToFile();
+      this.saveCardsToFile({ message: `Imported cards from CSV ${file.name}` });
       this.extractAllTags();
       this.refreshAutocomplete();
       this.populateDeckFilter();
@@ -2213,42 +3357,17 @@ class CardManager {
 
   /**
    * Convert CSV deck format to card manager format
+   * (CSVImporter already sorted the cards into registry decks)
    */
   convertCSVToCards(csvDecks) {
     const cards = {};
-    
-    // Map CSV deck names to card manager deck names
-    const deckMapping = {
-      'questgivers': 'npcs',
-      'harmedparties': 'npcs',
-      'verbs': 'questtemplates',
-      'targets': 'npcs',
-      'locations': 'locations',
-      'twists': 'twists',
-      'rewards': 'loot',
-      'failures': 'twists'
-    };
-
-    Object.entries(csvDecks).forEach(([csvDeckName, csvCards]) => {
-      const targetDeck = deckMapping[csvDeckName] || csvDeckName;
-      
-      if (!cards[targetDeck]) {
-        cards[targetDeck] = [];
-      }
 
-      csvCards.forEach(csvCard => {
-        const card = {
-          id: `${targetDeck}-${csvCard.name}-${Math.random()}`,
-          Deck: targetDeck.charAt(0).toUpperCase() + targetDeck.slice(1),
-          CardName: csvCard.name,
-          TypeTags: csvCard.tags || [],
-          AspectTags: [],
-          mutableTags: [],
-          Instructions: []
-        };
-
-        cards[targetDeck].push(card);
-      });
+    Object.entries(csvDecks).forEach(([deckKey, csvCards]) => {
+      cards[deckKey] = csvCards.map(csvCard => ({
+        id: `${csvCard.Deck}-${csvCard.CardName}-${Math.random()}`,
+        ...csvCard,
+        Deck: DECK_REGISTRY.deckValue(deckKey)
+      }));
     });
 
     return cards;
@@ -2299,6 +3418,144 @@ class CardManager {
     return csv;
   }
 
+  // ============================================
+  // REVISION HISTORY
+  // ============================================
+
+  /**
+   * Open the revision history panel
+   */
+  async openHistoryModal() {
+    const modal = document.getElementById('history-modal');
+    if (!modal) return;
+    modal.style.display = 'flex';
+    document.getElementById('history-diff').innerHTML = '';
+    await this.renderHistoryList();
+  }
+
+  /**
+   * Close the revision history panel
+   */
+  closeHistoryModal() {
+    const modal = document.getElementById('history-modal');
+    if (modal) {
+      modal.style.display = 'none';
+    }
+  }
+
+  /**
+   * Load and show the list of revisions
+   */
+  async renderHistoryList() {
+    const list = document.getElementById('history-list');
+    if (!this.serverMode) {
+      list.innerHTML = '<p>Revision history needs the server - it is not available offline.</p>';
+      return;
+    }
+
+    list.innerHTML = '<p>Loading revisions...</p>';
+    try {
+      const response = await this.sendCardRequest(CONFIG.API_REVISIONS);
+      const revisions = await response.json();
+      if (revisions.length === 0) {
+        list.innerHTML = '<p>No revisions recorded yet.</p>';
+        return;
+      }
+
+      list.innerHTML = revisions.map((revision, index) => `
+        <div class="history-item">
+          <div>
+            <div>${this.escapeHtml(revision.message || '(no message)')}</div>
+            <div class="history-item-meta">
+              ${this.escapeHtml(revision.author || 'unknown')} · ${revision.timestamp ? new Date(revision.timestamp).toLocaleString() : ''}
+            </div>
+          </div>
+          <div class="history-item-actions">
+            ${index < revisions.length - 1
+              ? `<button type="button" class="btn btn-secondary btn-small" data-diff-from="${this.escapeHtml(revisions[index + 1].id)}" data-diff-to="${this.escapeHtml(revision.id)}">Changes</button>`
+              : ''}
+            <button type="button" class="btn btn-secondary btn-small" data-diff-from="${this.escapeHtml(revision.id)}" data-diff-to="current">Diff vs current</button>
+            <button type="button" class="btn btn-warning btn-small" data-restore="${this.escapeHtml(revision.id)}">Restore</button>
+          </div>
+        </div>
+      `).join('');
+
+      list.querySelectorAll('[data-diff-from]').forEach(button => {
+        button.addEventListener('click', () => this.showRevisionDiff(button.dataset.diffFrom, button.dataset.diffTo));
+      });
+      list.querySelectorAll('[data-restore]').forEach(button => {
+        button.addEventListener('click', () => this.restoreRevision(button.dataset.restore));
+      });
+    } catch (error) {
+      console.error('Failed to load revisions:', error);
+      list.innerHTML = `<p>Failed to load revisions: ${this.escapeHtml(error.message)}</p>`;
+    }
+  }
+
+  /**
+   * Show a card-by-card diff between two revisions
+   */
+  async showRevisionDiff(fromId, toId) {
+    const container = document.getElementById('history-diff');
+    container.innerHTML = '<p>Loading diff...</p>';
+    try {
+      const response = await this.sendCardRequest(CONFIG.revisionDiffUrl(fromId, toId));
+      const diff = await response.json();
+      const { added, removed, changed } = diff.summary;
+
+      if (added + removed + changed === 0) {
+        container.innerHTML = '<h4>No differences</h4>';
+        return;
+      }
+
+      const formatValue = (value) => this.escapeHtml(value === undefined ? '(none)' : JSON.stringify(value));
+      const sections = Object.entries(diff.decks).map(([deck, deckDiff]) => `
+        <h4>${this.escapeHtml(this.getDeckDisplayName(deck))}</h4>
+        ${deckDiff.added.map(card => `<div class="diff-added">+ ${this.escapeHtml(card.CardName || card.id)}</div>`).join('')}
+        ${deckDiff.removed.map(card => `<div class="diff-removed">− ${this.escapeHtml(card.CardName || card.id)}</div>`).join('')}
+        ${deckDiff.changed.map(card => `
+          <div class="diff-changed">~ ${this.escapeHtml(card.CardName || card.id)}</div>
+          ${card.fields.map(f => `<div class="diff-field"><strong>${this.escapeHtml(f.field)}:</strong> ${formatValue(f.from)} → ${formatValue(f.to)}</div>`).join('')}
+        `).join('')}
+      `).join('');
+
+      container.innerHTML = `
+        <h4>${added} added, ${removed} removed, ${changed} changed</h4>
+        ${sections}
+      `;
+    } catch (error) {
+      console.error('Failed to load diff:', error);
+      container.innerHTML = `<p>Failed to load diff: ${this.escapeHtml(error.message)}</p>`;
+    }
+  }
+
+  /**
+   * Roll the card data back to a revision (recorded as a new revision, so it can be undone)
+   */
+  async restoreRevision(revisionId) {
+    if (!confirm('Restore this revision? The current cards will be replaced (the current state stays in the history).')) return;
+
+    try {
+      await this.sendCardRequest(CONFIG.revisionRestoreUrl(revisionId), {
+        method: 'POST',
+        headers: this.authorHeaders()
+      });
+      await this.fetchServerCards();
+      localStorage.setItem('cardManagerCards', JSON.stringify(this.cards));
+
+      this.extractAllTags();
+      this.refreshAutocomplete();
+      this.populateDeckFilter();
+      this.renderCardsList();
+      this.resetForm();
+      this.showNotification('✓ Revision restored', 'success');
+      await this.renderHistoryList();
+    } catch (error) {
+      console.error('Restore failed:', error);
+      this.showNotification(`⚠️ Restore failed: ${error.message}`, 'error');
+    }
+  }
+
   /**
    * Reload card data from database/API
    */
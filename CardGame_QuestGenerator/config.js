@@ -19,6 +19,28 @@ const CONFIG = {
     return `${this.API_BASE_URL}/api/health`;
   },
   
+  // Per-card endpoints: /api/decks/:deck/cards[/:id]
+  deckCardsUrl(deckKey) {
+    return `${this.API_BASE_URL}/api/decks/${encodeURIComponent(deckKey)}/cards`;
+  },
+  
+  cardUrl(deckKey, cardId) {
+    return `${this.deckCardsUrl(deckKey)}/${encodeURIComponent(cardId)}`;
+  },
+  
+  // Revision history: /api/revisions[/diff|/:id/restore]
+  get API_REVISIONS() {
+    return `${this.API_BASE_URL}/api/revisions`;
+  },
+  
+  revisionDiffUrl(fromId, toId = 'current') {
+    return `${this.API_REVISIONS}/diff?from=${encodeURIComponent(fromId)}&to=${encodeURIComponent(toId)}`;
+  },
+  
+  revisionRestoreUrl(revisionId) {
+    return `${this.API_REVISIONS}/${encodeURIComponent(revisionId)}/restore`;
+  },
+  
   // Environment detection
   get isLocal() {
     return window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
@@ -130,6 +130,9 @@ class CSVImporter {
         // Instructions: pipe-separated deck instructions
         // Format: Location[Building;Vault;Fortress]|Target[Magic Item;Artifact]
         card[header] = this.parseInstructions(value);
+      } else if (header === 'Weight') {
+        // Custom draw weight (blank = use the card's Rarity)
+        if (value !== '') card[header] = Number(value);
       } else if (value === '') {
         card[header] = value;
       } else {
@@ -168,6 +171,11 @@ class CSVImporter {
    * Parse instructions from pipe-separated format
    * Format: Location[Building;Vault;Fortress]|Target[Magic Item;Artifact]
    * With faceDown flag: Location[Building;Vault;Fortress]:facedown|Target[Magic Item;Artifact]
+   * With a tag expression (write AND/OR/NOT as words): NPC{Justice AND NOT Undead}|Location[Urban]{NOT Ruins}
+   * With pending instruction semantics (any order): Location[Justice]:accumulate:consume|NPC[Greed]:expires=2
+   * With an action other than addTags (see QuestEngine.CARD_ACTIONS):
+   *   forbidTags:Location[Undead]|removeTags:ThisCard[Justice]|forcePolarity:Twist[Shadow]:keep
+   *   extraDraw:QuestGiver[2]|discard:Location[3]|swap:QuestGiver|reveal:Treasure
    */
   static parseInstructions(instructionString) {
     if (!instructionString || instructionString.trim() === '') {
@@ -178,26 +186,43 @@ class CSVImporter {
     const parts = instructionString.split('|');
     
     for (const part of parts) {
-      // Check for facedown flag at the end
+      // Check for :facedown, :accumulate, :consume, :keep and :expires=N flags at the end
       let faceDown = false;
+      const semantics = {};
       let cleanPart = part.trim();
-      if (cleanPart.toLowerCase().endsWith(':facedown')) {
-        faceDown = true;
-        cleanPart = cleanPart.slice(0, -9).trim(); // Remove ':facedown'
+      let flag;
+      while ((flag = cleanPart.match(/:(facedown|accumulate|consume|keep|expires=(\d+))$/i))) {
+        const name = flag[1].toLowerCase();
+        if (name === 'facedown') faceDown = true;
+        else if (name === 'accumulate') semantics.Stacking = 'accumulate';
+        else if (name === 'consume') semantics.Consume = true;
+        else if (name === 'keep') semantics.Consume = false;
+        else semantics.ExpiresAfter = parseInt(flag[2], 10);
+        cleanPart = cleanPart.slice(0, flag.index).trim();
       }
       
-      const match = cleanPart.match(/^(\w+)\[(.+)\]$/);
+      const match = cleanPart.match(/^(?:(\w+):)?([^[\]{}:]+?)(?:\[(.*?)\])?(?:\{(.+)\})?$/);
       if (match) {
-        const targetDeck = match[1].trim();
-        const tagsString = match[2];
-        const tags = this.parseTags(tagsString);
+        const action = match[1] || 'addTags';
+        const target = match[2].trim();
+        const tags = match[3] ? this.parseTags(match[3]) : [];
+        const tagExpression = match[4] ? match[4].trim() : '';
+
+        if (action !== 'addTags') {
+          const instruction = this.parseActionInstruction(action, target, match[3] ? match[3].trim() : '');
+          if (instruction) instructions.push(Object.assign(instruction, semantics));
+          continue;
+        }
         
-        if (targetDeck && tags.length > 0) {
-          instructions.push({
-            TargetDeck: targetDeck,
+        if (target && (tags.length > 0 || tagExpression)) {
+          const instruction = {
+            TargetDeck: target,
             Tags: tags,
             faceDown: faceDown
-          });
+          };
+          if (tagExpression) instruction.TagExpression = tagExpression;
+          Object.assign(instruction, semantics);
+          instructions.push(instruction);
         }
       }
     }
@@ -206,35 +231,84 @@ class CSVImporter {
   }
 
   /**
-   * Organize cards by deck
+   * Helper: An instruction with an action other than addTags, from its target and bracket text
+   * (tags for removeTags/forbidTags, a polarity for forcePolarity, a count for extraDraw/discard)
+   */
+  static parseActionInstruction(action, target, bracket) {
+    switch (action) {
+      case 'removeTags':
+      case 'forbidTags': {
+        const tags = this.parseTags(bracket);
+        return tags.length > 0 ? { Action: action, TargetDeck: target, Tags: tags } : null;
+      }
+      case 'forcePolarity':
+        return bracket ? { Action: action, TargetDeck: target, Polarity: bracket } : null;
+      case 'discard':
+        return { Action: action, TargetDeck: target, Count: bracket ? parseInt(bracket, 10) : 1 };
+      case 'extraDraw':
+        return { Action: action, TargetLabel: target, Count: bracket ? parseInt(bracket, 10) : 1 };
+      case 'swap':
+      case 'reveal':
+        return { Action: action, TargetLabel: target };
+      default:
+        // Unknown actions are kept so validation can report them
+        return { Action: action, TargetDeck: target, Tags: this.parseTags(bracket) };
+    }
+  }
+
+  /**
+   * Helper: One instruction in the pipe-separated Instructions format
+   */
+  static formatInstruction(instr) {
+    const action = instr.Action || 'addTags';
+    let instrStr;
+    if (action === 'forcePolarity') {
+      instrStr = `${action}:${instr.TargetDeck}[${instr.Polarity || ''}]`;
+    } else if (action === 'extraDraw' || action === 'discard') {
+      instrStr = `${action}:${instr.TargetLabel || instr.TargetDeck}[${instr.Count || 1}]`;
+    } else if (action === 'swap' || action === 'reveal') {
+      instrStr = `${action}:${instr.TargetLabel}`;
+    } else {
+      instrStr = instr.TagExpression && (!instr.Tags || instr.Tags.length === 0)
+        ? instr.TargetDeck
+        : `${instr.TargetDeck}[${(instr.Tags || []).join(';')}]`;
+      if (action !== 'addTags') instrStr = `${action}:${instrStr}`;
+    }
+    if (instr.TagExpression) {
+      instrStr += `{${instr.TagExpression}}`;
+    }
+    if (instr.faceDown) {
+      instrStr += ':facedown';
+    }
+    if (instr.Stacking === 'accumulate') {
+      instrStr += ':accumulate';
+    }
+    if (instr.Consume) {
+      instrStr += ':consume';
+    } else if (instr.Consume === false && action === 'forcePolarity') {
+      instrStr += ':keep';
+    }
+    if (instr.ExpiresAfter) {
+      instrStr += `:expires=${instr.ExpiresAfter}`;
+    }
+    return instrStr;
+  }
+
+  /**
+   * Organize cards by deck (keys from the deck registry; old CSV deck names are mapped too)
    */
   static organizeByDeck(cards) {
-    const organized = {
-      questgivers: [],
-      harmedparties: [],
-      verbs: [],
-      targets: [],
-      locations: [],
-      twists: [],
-      rewards: [],
-      failures: []
-    };
-
-    const deckMap = {
-      'questgiver': 'questgivers',
-      'harmedparty': 'harmedparties',
-      'verb': 'verbs',
-      'target': 'targets',
-      'location': 'locations',
-      'twist': 'twists',
-      'reward': 'rewards',
-      'failure': 'failures'
-    };
+    const organized = {};
 
     for (const card of cards) {
-      const deckKey = deckMap[card.Deck.toLowerCase()];
+      const deckKey = DECK_REGISTRY.resolveImportKey(card.Deck);
       if (!deckKey) {
-        throw new Error(`Invalid deck: ${card.Deck}. Must be one of: QuestGiver, HarmedParty, Verb, Target, Location, Twist, Reward, Failure`);
+        const deckNames = DECK_REGISTRY.keys().map(key => DECK_REGISTRY.deckValue(key));
+        throw new Error(`Invalid deck: ${card.Deck}. Must be one of: ${deckNames.join(', ')}`);
+      }
+      card.Deck = DECK_REGISTRY.deckValue(deckKey);
+      if (!organized[deckKey]) {
+        organized[deckKey] = [];
       }
       organized[deckKey].push(card);
     }
@@ -248,21 +322,10 @@ class CSVImporter {
   static validateDecks(decks) {
     const errors = [];
 
-    // Check deck sizes
-    const minSizes = {
-      questgivers: 2,
-      harmedparties: 2,
-      verbs: 3,
-      targets: 4,
-      locations: 3,
-      twists: 3,
-      rewards: 2,
-      failures: 2
-    };
-
-    for (const [deck, minSize] of Object.entries(minSizes)) {
-      if (decks[deck].length < minSize) {
-        errors.push(`${deck}: ${decks[deck].length} cards (minimum ${minSize})`);
+    // Check that every required deck has cards
+    for (const deck of DECK_REGISTRY.requiredKeys()) {
+      if (!decks[deck] || decks[deck].length === 0) {
+        errors.push(`${deck}: no cards`);
       }
     }
 
@@ -284,27 +347,16 @@ class CSVImporter {
    * Get CSV template as string
    */
   static getCSVTemplate() {
-    return `Deck,CardName,TypeTags,AspectTags,Instructions
-QuestGiver,King,Royalty;Authority,Leadership,
-QuestGiver,Noble House,Aristocracy;Wealth,Power,
-HarmedParty,Demon Lord,Evil;Supernatural,Darkness,
-HarmedParty,Corporate Rival,Business;Competition,Commerce,
-Verb,Defend,Protective;Action,Military,Target[Evil Monster;Dangerous]
-Verb,Retrieve,Heroic;Action,Quest,Target[Magical]
-Verb,Heist,Criminal;Action,Stealth,Location[Building;Vault;Fortress]|Target[Magic Item;Artifact;Jewel;Treasure;Vault]
-Target,Ironfang Raider,Evil Monster;Humanoid,Military,ThisCard[Hostile]
-Target,Forgotten Amulet,Magical;Artifact,Ancient,
-Target,Castle Guard,Structure;Humanoid,Military,Location[Fortified]
-Location,Dark Forest,Wilderness;Dangerous,Nature,Twist[Perilous]
-Location,Ancient Ruins,Exploration;Ancient,Mystery,
-Location,Bank Vault,Building;Secure,Commerce,Reward[Protected]|Failure[Protected]
-Twist,Betrayal,Danger;Social,Mystery,Failure[Treacherous]
-Twist,Time Pressure,Challenge;Urgency,Quest,
-Twist,Sabotage,Danger;Deception,Crime,Reward[Compromised]|Failure[Compromised]
-Reward,Gold Coins,Treasure;Wealth,Commerce,
-Reward,Magical Sword,Weapon;Magical,Magic,ThisCard[Enchanted]
-Failure,Death,Permanent;Catastrophic,Doom,
-Failure,Curse,Magical;Permanent,Magic,ThisCard[Afflicted]`;
+    return `Deck,CardName,Polarity,TypeTags,AspectTags,Instructions
+NPC,King Aldric,Light,Justice;Righteousness,Royalty,Location[Justice]
+NPC,Smuggler Queen,Shadow,Greed;Deceit,Criminal,Loot[Greed]:facedown
+Location,Dark Forest,Shadow,Blight,Wilderness,Twist[Blight]
+Location,Great Library,Light,Knowledge,Ancient,
+Twist,Betrayal,Shadow,Deceit,Social,forcePolarity:Loot[Shadow]|swap:QuestGiver
+Loot,Gold Coins,Light,Wealth,Treasure,
+Loot,Cursed Blade,Shadow,Savagery,Weapon,ThisCard[Cursed]
+Monster,Ironfang Raider,Shadow,Savagery,Humanoid,
+Encounter,Healing Fountain,Light,Nature,Blessing,`;
   }
 
   /**
@@ -335,14 +387,16 @@ Failure,Curse,Magical;Permanent,Magic,ThisCard[Afflicted]`;
       'CardName',
       'TypeTags',
       'AspectTags',
-      'Instructions'
+      'Instructions',
+      'Rarity',
+      'Weight'
     ]);
 
     // Collect all cards from all decks
     const allCards = [];
     for (const [deckName, cards] of Object.entries(decks)) {
       for (const card of cards) {
-        allCards.push({ deckName: deckName.slice(0, -1), ...card }); // Remove 's' from plural
+        allCards.push({ deckName: DECK_REGISTRY.deckValue(deckName), ...card });
       }
     }
 
@@ -352,13 +406,7 @@ Failure,Curse,Magical;Permanent,Magic,ThisCard[Afflicted]`;
       let instructionsStr = '';
       if (card.Instructions && Array.isArray(card.Instructions) && card.Instructions.length > 0) {
         instructionsStr = card.Instructions
-          .map(instr => {
-            let instrStr = `${instr.TargetDeck}[${instr.Tags.join(';')}]`;
-            if (instr.faceDown) {
-              instrStr += ':facedown';
-            }
-            return instrStr;
-          })
+          .map(instr => this.formatInstruction(instr))
           .join('|');
       }
 
@@ -367,7 +415,9 @@ Failure,Curse,Magical;Permanent,Magic,ThisCard[Afflicted]`;
         card.CardName,
         (card.TypeTags && card.TypeTags.join(';')) || '',
         (card.AspectTags && card.AspectTags.join(';')) || '',
-        instructionsStr
+        instructionsStr,
+        card.Rarity || '',
+        typeof card.Weight === 'number' ? String(card.Weight) : ''
       ]);
     }
 
@@ -5,16 +5,9 @@
 
 class DataLoader {
   constructor() {
-    this.decks = {
-      npcs: [],
-      questtemplates: [],
-      locations: [],
-      twists: [],
-      loot: [],
-      monsters: [],
-      encounters: []
-    };
+    this.decks = DECK_REGISTRY.emptyDecks();
     this.allCards = [];
+    this.dataRevision = null; // Content fingerprint of the loaded card data (see fingerprint())
   }
 
   /**
@@ -70,25 +63,38 @@ class DataLoader {
    * Populate decks from loaded data
    */
   populateDecks(data) {
-    const deckNames = ['npcs', 'questtemplates', 'locations', 'twists', 'loot', 'monsters', 'encounters'];
+    // Registry decks plus any other deck arrays in the data
+    const deckNames = DECK_REGISTRY.orderedKeys(data);
     
     // Clear allCards when repopulating (for reload scenarios)
     this.allCards = [];
+    this.dataRevision = DataLoader.fingerprint(data);
     
     deckNames.forEach(deckName => {
       if (data[deckName] && Array.isArray(data[deckName])) {
-        this.decks[deckName] = data[deckName].map(card => this.initializeCard(card));
+        this.decks[deckName] = data[deckName].map(card => this.initializeCard(card, deckName));
         this.allCards.push(...this.decks[deckName]);
       }
     });
   }
 
+  /**
+   * Use decks that were already loaded and initialized elsewhere (e.g. sent to a Web Worker)
+   */
+  useDecks(decks, dataRevision = null) {
+    this.decks = decks;
+    this.allCards = Object.values(decks).filter(Array.isArray).flat();
+    this.dataRevision = dataRevision;
+  }
+
   /**
    * Initialize a card with runtime fields
+   * @param {Object} cardData - Card as stored
+   * @param {string} deckKey - Deck the card was loaded from (defaults to the deck named by its Deck field)
    */
-  initializeCard(cardData) {
+  initializeCard(cardData, deckKey = cardData.Deck) {
     // For QuestTemplate cards, normalize DrawInstructions
-    if (cardData.Deck === 'QuestTemplate') {
+    if (DECK_REGISTRY.usesDrawInstructions(deckKey)) {
       const drawInstructions = cardData.DrawInstructions || [];
       return {
         ...cardData,
@@ -121,6 +127,28 @@ class DataLoader {
     };
   }
 
+  /**
+   * Short content hash of card data, used to check that a quest code is replayed on the same cards.
+   * Keys are sorted and server-managed revision numbers ignored, so only real edits change it.
+   */
+  static fingerprint(data) {
+    const stable = value => {
+      if (Array.isArray(value)) return `[${value.map(stable).join(',')}]`;
+      if (value && typeof value === 'object') {
+        return `{${Object.keys(value).filter(key => key !== 'revision').sort()
+          .map(key => `${JSON.stringify(key)}:${stable(value[key])}`).join(',')}}`;
+      }
+      return JSON.stringify(value === undefined ? null : value);
+    };
+    const text = stable(data);
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
   /**
    * Get a copy of decks for quest generation
    */
@@ -0,0 +1,771 @@
+/**
+ * drawProbability.js
+ * Exact draw probabilities for a quest template: each card's chance of filling each label slot
+ * under the draw rule (redraws, fallback, pending instructions, branches), without sampling
+ */
+
+class DrawProbabilityCalculator {
+  constructor(questEngine, dataLoader) {
+    this.engine = questEngine;
+    this.dataLoader = dataLoader;
+    this.maxStates = 20000; // Distinct quest states kept at once before giving up
+  }
+
+  /**
+   * Calculate the probabilities for a template with the current deck contents.
+   *
+   * Cards that the template can't tell apart (same tags as far as its constraints, references and
+   * pending instructions are concerned, same Polarity, Instructions and weight) are grouped, and the
+   * calculator follows every reachable quest state - which cards of each group are still unread
+   * and which were sent to the bottom - with its probability. This is exact as long as no deck is
+   * read all the way through; after that the cards at the bottom are treated as being in random
+   * order (the result is then flagged `approximate`).
+   *
+   * @param {Object} template - QuestTemplate card
+   * @param {Object} options - { maxRedraws } (defaults to the engine's setting)
+   * @returns {Object} { template, maxRedraws, successProbability, failures, approximate, labels: [{ label, deck, count, probability, fallbackProbability, cards }] }
+   * @throws {Error} If a tag expression doesn't parse, the template has too many states or uses an
+   *   instruction the calculator can't follow (subQuest; extraDraw, discard or swap card instructions)
+   */
+  calculate(template, options = {}) {
+    const decks = this.dataLoader.getDecks();
+    this.maxRedraws = options.maxRedraws !== undefined ? options.maxRedraws : this.engine.maxRedraws;
+    this.approximate = false;
+    this.failures = new Map(); // reason -> probability
+    this.slots = new Map(); // label -> { deck, count, filled, fallback, classMass }
+    this.drawCache = new Map(); // instruction + deck state + matching groups -> drawCards result
+    this.drawOneCache = new Map(); // deck + deck state + matching groups -> drawOne result (within one drawCards)
+    this.cachedGroups = 0;
+
+    // Scratch engine to resolve references and pending instructions against a state's components
+    this.scratch = new QuestEngine(decks);
+    this.scratch.tagPairings = this.engine.tagPairings;
+    this.scratch.log = () => {};
+    this.classes = this.buildClasses(template, decks);
+    this.planTemplate(template);
+    this.checkCardActions(decks);
+
+    const start = { decks: {}, components: {}, pending: [] };
+    let states = new Map();
+    this.addState(states, start, 1);
+    states = this.processList(states, template.DrawInstructions || [], '');
+
+    let successProbability = 0;
+    states.forEach(({ probability }) => { successProbability += probability; });
+    return this.buildResult(template, successProbability);
+  }
+
+  /**
+   * Note what later instructions can still observe, so states that only differ in something
+   * nothing will look at again are merged: which decks each instruction is followed by a draw
+   * from (in document order, which covers every branch) and which labels are referenced
+   */
+  planTemplate(template) {
+    this.instructionOrder = new Map(); // instruction -> document position
+    this.keptLabels = new Set(); // Labels used by references or if conditions
+    const drawnDecks = []; // document position -> deck key drawn there (null if none)
+
+    const addReferences = (value) => {
+      if (!value) return;
+      TAG_EXPRESSION.references(TAG_EXPRESSION.parse(value)).forEach(reference => this.keptLabels.add(reference.label));
+    };
+    const walk = (instructions) => (instructions || []).forEach(instruction => {
+      if (!instruction) return;
+      if (instruction.action === 'subQuest') {
+        throw new Error('This template generates a sub-quest, which the calculator can\'t follow - use Validate to sample it instead');
+      }
+      this.instructionOrder.set(instruction, drawnDecks.length);
+      drawnDecks.push(instruction.action === 'draw' ? DECK_REGISTRY.resolveKey(instruction.deck) || instruction.deck : null);
+      (instruction.tags || []).forEach(addReferences);
+      (instruction.habitat || []).forEach(addReferences);
+      addReferences(instruction.tagExpression);
+      addReferences(instruction.polarity);
+      if (instruction.condition) {
+        if (instruction.condition.label) this.keptLabels.add(instruction.condition.label);
+        addReferences(instruction.condition.tagExpression);
+        addReferences(instruction.condition.polarity);
+      }
+      walk(instruction.then);
+      walk(instruction.else);
+      (instruction.options || []).forEach(option => walk(option && option.instructions));
+    });
+    walk(template.DrawInstructions);
+
+    // decksDrawnAfter[i] = decks drawn by any instruction after position i
+    this.decksDrawnAfter = drawnDecks.map((deck, i) => new Set(drawnDecks.slice(i + 1).filter(Boolean)));
+    this.drawnDecks = new Set(drawnDecks.filter(Boolean));
+  }
+
+  /**
+   * Helper: Refuse templates drawing cards whose instructions change decks or draw counts
+   * (extraDraw, discard, swap) - the calculator doesn't follow those
+   * @throws {Error} Naming the first such card
+   */
+  checkCardActions(decks) {
+    const unsupported = ['extraDraw', 'discard', 'swap'];
+    this.drawnDecks.forEach(deckKey => (decks[deckKey] || []).forEach(card => {
+      const instruction = (card.Instructions || []).find(i => unsupported.includes(this.scratch.getInstructionAction(i)));
+      if (instruction) {
+        throw new Error(`"${card.CardName}" has a ${instruction.Action} instruction, which the calculator can't follow - use Validate to sample this template instead`);
+      }
+    }));
+  }
+
+  /**
+   * Helper: Drop what no instruction after this one can observe - the decks it won't draw from
+   * again and pending instructions for them
+   */
+  pruneState(state, instruction) {
+    const later = this.decksDrawnAfter[this.instructionOrder.get(instruction)];
+    const decks = {};
+    Object.keys(state.decks).forEach(deckKey => {
+      if (later.has(deckKey)) decks[deckKey] = state.decks[deckKey];
+    });
+    const pending = state.pending.filter(entry => later.has(DECK_REGISTRY.resolveKey(entry.targetDeck) || entry.targetDeck));
+    return { ...state, decks, pending };
+  }
+
+  /**
+   * Group each deck's cards into classes the template can't tell apart
+   * @returns {Object} deck key -> [{ cards, weight, card, drawnCard, pending }]
+   */
+  buildClasses(template, decks) {
+    const features = this.featureTags(template, decks);
+    const project = (tags) => (tags || []).filter(tag => features.has(tag)).sort();
+
+    const classes = {};
+    Object.entries(decks).forEach(([deckKey, cards]) => {
+      if (!Array.isArray(cards)) return;
+      const byKey = new Map();
+      cards.forEach(card => {
+        const weight = CARD_RARITY.weightOf(card);
+        const key = JSON.stringify([project(card.TypeTags), project(card.mutableTags), project(card.AspectTags), card.Polarity || null, card.Habitat || [], card.Instructions || [], weight]);
+        if (!byKey.has(key)) {
+          byKey.set(key, { cards: [], weight, card, drawnCard: this.drawnCopy(card), pending: this.pendingFrom(card) });
+        }
+        byKey.get(key).cards.push(card);
+      });
+      classes[deckKey] = [...byKey.values()];
+    });
+    return classes;
+  }
+
+  /**
+   * Tags that can affect the template: those in its constraints and conditions, in the cards'
+   * Instructions (pending instructions and ThisCard tags) and every tag (and paired tag) of a deck
+   * whose cards are referenced ($Label.TypeTags, paired(...))
+   */
+  featureTags(template, decks) {
+    const tags = new Set();
+    const referencedLabels = new Set();
+    const labelDecks = {};
+
+    const addExpression = (text) => {
+      if (!text) return;
+      const expression = TAG_EXPRESSION.parse(text);
+      TAG_EXPRESSION.tagNames(expression).forEach(tag => tags.add(tag));
+      TAG_EXPRESSION.references(expression).forEach(reference => referencedLabels.add(reference.label));
+    };
+    const addValue = (value) => {
+      if (!value) return;
+      if (TAG_EXPRESSION.isReference(value)) {
+        referencedLabels.add(TAG_EXPRESSION.parseReference(value).label);
+      } else {
+        tags.add(value);
+      }
+    };
+    const walk = (instructions) => (instructions || []).forEach(instruction => {
+      if (!instruction) return;
+      (instruction.tags || []).forEach(addValue);
+      (instruction.habitat || []).forEach(addValue);
+      addExpression(instruction.tagExpression);
+      addValue(instruction.polarity);
+      if (instruction.condition) {
+        addExpression(instruction.condition.tagExpression);
+        addValue(instruction.condition.polarity);
+      }
+      if (instruction.action === 'draw' && instruction.label) {
+        (labelDecks[instruction.label] = labelDecks[instruction.label] || new Set())
+          .add(DECK_REGISTRY.resolveKey(instruction.deck) || instruction.deck);
+      }
+      walk(instruction.then);
+      walk(instruction.else);
+      (instruction.options || []).forEach(option => walk(option && option.instructions));
+    });
+    walk(template.DrawInstructions);
+
+    Object.values(decks).forEach(cards => (Array.isArray(cards) ? cards : []).forEach(card => {
+      (card.Instructions || []).forEach(instruction => {
+        (instruction.Tags || []).forEach(tag => tags.add(tag));
+        addExpression(instruction.TagExpression);
+      });
+    }));
+
+    referencedLabels.forEach(label => (labelDecks[label] || []).forEach(deckKey => {
+      (decks[deckKey] || []).forEach(card => {
+        [...(card.TypeTags || []), ...(card.AspectTags || []), ...(card.mutableTags || [])].forEach(tag => {
+          tags.add(tag);
+          const paired = this.scratch.getPairedTag(tag);
+          if (paired) tags.add(paired);
+        });
+      });
+    }));
+    return tags;
+  }
+
+  /**
+   * Helper: A card as it looks once drawn (ThisCard instructions applied by applyModifyEffects)
+   */
+  drawnCopy(card) {
+    const copy = { ...card, mutableTags: [...(card.mutableTags || [])] };
+    this.scratch.applyModifyEffects(copy);
+    return copy;
+  }
+
+  /**
+   * Helper: Instructions a card applies to the pending instructions when drawn (as
+   * storePendingInstruction does): [{ source, instruction }]
+   */
+  pendingFrom(card) {
+    return (card.Instructions || [])
+      .filter(instruction => instruction.TargetDeck && instruction.TargetDeck.toLowerCase() !== 'thiscard')
+      .map(instruction => ({ source: card.CardName, instruction }));
+  }
+
+  /**
+   * Helper: A state's pending instructions after a draw instruction, as the engine leaves them -
+   * the ones it used are consumed or count down, then the drawn cards' instructions are applied
+   * @param {Array} used - Entries the draw's requirement came from
+   * @param {Array} added - pendingFrom() of the cards drawn, in draw order
+   */
+  pendingAfterDraw(state, used, added) {
+    this.scratch.pendingInstructions = state.pending;
+    this.scratch.settlePendingInstructions(used, state.pending);
+    added.forEach(({ source, instruction }) => this.scratch.applyPendingAction(source, instruction));
+    return this.scratch.pendingInstructions;
+  }
+
+  /**
+   * Process a list of DrawInstructions for every state
+   * @param {Map} states - state key -> { probability, state }
+   */
+  processList(states, instructions, path) {
+    instructions.forEach((instruction, i) => {
+      const position = path ? `${path} › ${i + 1}` : `${i + 1}`;
+      this.position = position;
+      if (QuestEngine.BRANCH_ACTIONS.includes(instruction.action)) {
+        states = this.processBranch(states, instruction, position);
+      } else if (instruction.action === 'addToken') {
+        states = this.processAddToken(states, instruction, position);
+      } else {
+        const label = instruction.label || (path ? `component_${position.split(' › ').join('_')}` : `component_${i}`);
+        states = this.processDraw(states, instruction, label, position);
+      }
+    });
+    return states;
+  }
+
+  /**
+   * Split each state over the branches of an if / chance / choose instruction
+   */
+  processBranch(states, instruction, position) {
+    const branches = new Map(); // branch name -> { instructions, states }
+    states.forEach(({ probability, state }) => {
+      let options;
+      try {
+        options = this.branchProbabilities(instruction, state);
+      } catch (error) {
+        this.fail(`Instruction ${position}: ${error.message}`, probability);
+        return;
+      }
+      options.forEach(option => {
+        if (option.probability <= 0) return;
+        if (!branches.has(option.name)) branches.set(option.name, { instructions: option.instructions, states: new Map() });
+        this.addState(branches.get(option.name).states, state, probability * option.probability);
+      });
+    });
+
+    const result = new Map();
+    branches.forEach(({ instructions, states: branchStates }, name) => {
+      this.processList(branchStates, instructions, `${position} › ${name}`)
+        .forEach(({ probability, state }) => this.addState(result, state, probability));
+    });
+    return result;
+  }
+
+  /**
+   * Probability of each branch, the way chooseBranch picks them
+   * @returns {Array} [{ name, instructions, probability }]
+   */
+  branchProbabilities(instruction, state) {
+    if (instruction.action === 'if') {
+      this.useState(state);
+      const name = this.scratch.evaluateCondition(instruction.condition) ? 'then' : 'else';
+      return [{ name, instructions: instruction[name] || [], probability: 1 }];
+    }
+
+    if (instruction.action === 'chance') {
+      const chance = Number(instruction.chance);
+      if (!Number.isFinite(chance)) {
+        throw new Error(`chance must be a percentage (got "${instruction.chance}")`);
+      }
+      const probability = Math.min(Math.max(chance, 0), 100) / 100;
+      return [
+        { name: 'then', instructions: instruction.then || [], probability },
+        { name: 'else', instructions: instruction.else || [], probability: 1 - probability }
+      ];
+    }
+
+    const options = (instruction.options || []).filter(option => option && (option.weight === undefined || option.weight > 0));
+    if (options.length === 0) {
+      throw new Error('choose has no options to pick from');
+    }
+    const weights = options.map(option => option.weight === undefined ? 1 : Number(option.weight));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return options.map((option, index) => ({
+      name: option.name || `option ${instruction.options.indexOf(option) + 1}`,
+      instructions: option.instructions || [],
+      probability: weights[index] / total
+    }));
+  }
+
+  /**
+   * Add an addToken instruction's pending instruction to every state
+   */
+  processAddToken(states, instruction, position) {
+    const result = new Map();
+    states.forEach(({ probability, state }) => {
+      this.useState(state);
+      let tags;
+      try {
+        tags = this.scratch.resolveTags(instruction.tags);
+      } catch (error) {
+        this.fail(`Instruction ${position}: ${error.message}`, probability);
+        return;
+      }
+      this.scratch.addPendingInstruction(this.scratch.createPendingInstruction('DrawInstruction', { targetDeck: instruction.deck, tags: tags || [], expression: instruction.tagExpression || null }, instruction));
+      this.addState(result, this.pruneState({ ...state, pending: this.scratch.pendingInstructions }, instruction), probability);
+    });
+    return result;
+  }
+
+  /**
+   * Draw `count` cards for a label in every state, recording which card groups fill the slot
+   */
+  processDraw(states, instruction, label, position) {
+    const result = new Map();
+    const deckKey = DECK_REGISTRY.resolveKey(instruction.deck) || instruction.deck;
+    const classes = this.classes[deckKey];
+    if (!classes) {
+      states.forEach(({ probability }) => this.fail(`Instruction ${position}: deck "${instruction.deck}" not found`, probability));
+      return result;
+    }
+
+    const count = instruction.count || 1;
+    if (!this.slots.has(label)) {
+      this.slots.set(label, { deck: deckKey, count, filled: 0, fallback: 0, classMass: {} });
+    }
+    const slot = this.slots.get(label);
+    // Cached draws are keyed by instruction, so they are no use to the next one
+    this.drawCache.clear();
+    this.cachedGroups = 0;
+
+    states.forEach(({ probability, state }) => {
+      this.useState(state);
+      let constraints;
+      try {
+        constraints = this.scratch.resolveDrawConstraints(instruction);
+      } catch (error) {
+        this.fail(`Instruction ${position}: ${error.message}`, probability);
+        return;
+      }
+      const { requirement, polarity, habitats, pending } = constraints;
+      const matches = classes.map(group => this.scratch.cardMeetsConstraints(group.card, requirement, polarity, habitats));
+
+      // Zero match pool aborts the quest (checked once per instruction, as the engine does)
+      const deck = this.deckState(state, deckKey);
+      const matchCount = classes.reduce((sum, group, c) => sum + (matches[c] ? deck.unread[c] + deck.bottom[c] : 0), 0);
+      if ((requirement || polarity || habitats.length > 0) && matchCount === 0) {
+        this.fail(`Instruction ${position} (${label}): zero match pool in ${deckKey}`, probability);
+        return;
+      }
+
+      const draw = this.drawCards(instruction, label, deckKey, deck, matches);
+      draw.failures.forEach(failure => this.fail(`Instruction ${position} (${label}): ${failure.reason}`, probability * failure.probability));
+      slot.filled += probability * draw.filled;
+      slot.fallback += probability * draw.fallback;
+      Object.entries(draw.classMass).forEach(([classIndex, mass]) => {
+        slot.classMass[classIndex] = (slot.classMass[classIndex] || 0) + probability * mass;
+      });
+      draw.groups.forEach(group => {
+        const decks = { ...state.decks };
+        if (group.deck) {
+          decks[deckKey] = group.deck;
+        } else {
+          delete decks[deckKey];
+        }
+        const components = group.drawn ? { ...state.components, [label]: { deck: deckKey, classes: group.drawn } } : state.components;
+        this.addState(result, this.pruneState({ decks, components, pending: this.pendingAfterDraw(state, pending.entries, group.pending) }, instruction), probability * group.probability);
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Every way a draw instruction's cards can come out of a deck state (remembered per instruction,
+   * deck state and matching groups):
+   *   filled, fallback, classMass - slot statistics (probability the slot is filled, filled by a
+   *     fallback, and expected number of cards from each group)
+   *   groups - outcomes merged by what later instructions can see: [{ probability, deck, drawn, pending }]
+   *   failures - [{ reason, probability }]
+   */
+  drawCards(instruction, label, deckKey, deck, matches) {
+    const cacheKey = `${this.instructionOrder.get(instruction)}|${deck.unread.join(',')}|${deck.bottom.join(',')}|${matches.map(Number).join('')}`;
+    if (this.drawCache.has(cacheKey)) return this.drawCache.get(cacheKey);
+
+    const classes = this.classes[deckKey];
+    const count = instruction.count || 1;
+    const later = this.decksDrawnAfter[this.instructionOrder.get(instruction)];
+    const failures = new Map();
+    // order: the groups drawn so far, in draw order (which decides the pending instructions)
+    let outcomes = [{ probability: 1, deck, drawn: [], order: '', pending: [], fallback: false }];
+    for (let n = 0; n < count; n++) {
+      // The deck left after the last card only matters if a later instruction draws from it
+      const keepDeck = n < count - 1 || later.has(deckKey);
+      const next = new Map();
+      outcomes.forEach(outcome => {
+        const { accepted, failures: drawFailures } = this.drawOneCached(deckKey, outcome.deck, matches, keepDeck);
+        drawFailures.forEach(failure => {
+          failures.set(failure.reason, (failures.get(failure.reason) || 0) + outcome.probability * failure.probability);
+        });
+        accepted.forEach(draw => {
+          const order = `${outcome.order}${draw.classIndex},`;
+          const fallback = outcome.fallback || draw.fallback;
+          const key = `${this.deckText(draw.deck)}|${order}|${fallback}`;
+          const existing = next.get(key);
+          if (existing) {
+            existing.probability += outcome.probability * draw.probability;
+          } else {
+            next.set(key, {
+              probability: outcome.probability * draw.probability,
+              deck: draw.deck,
+              drawn: [...outcome.drawn, draw.classIndex].sort((a, b) => a - b),
+              order,
+              pending: [...outcome.pending, ...classes[draw.classIndex].pending],
+              fallback
+            });
+            this.checkStateCount(next.size);
+          }
+        });
+      });
+      outcomes = [...next.values()];
+    }
+
+    const groups = new Map();
+    outcomes.forEach(outcome => {
+      const visible = {
+        deck: later.has(deckKey) ? outcome.deck : null,
+        drawn: this.keptLabels.has(label) ? outcome.drawn : null,
+        pending: outcome.pending.filter(({ instruction }) => later.has(DECK_REGISTRY.resolveKey(instruction.TargetDeck) || instruction.TargetDeck))
+      };
+      const key = `${this.deckText(visible.deck)}|${visible.drawn}|${visible.pending.length ? JSON.stringify(visible.pending) : ''}`;
+      if (groups.has(key)) {
+        groups.get(key).probability += outcome.probability;
+      } else {
+        groups.set(key, { probability: outcome.probability, ...visible });
+      }
+    });
+
+    const result = {
+      filled: 0,
+      fallback: 0,
+      classMass: {},
+      groups: [...groups.values()],
+      failures: [...failures.entries()].map(([reason, probability]) => ({ reason, probability }))
+    };
+    outcomes.forEach(outcome => {
+      result.filled += outcome.probability;
+      if (outcome.fallback) result.fallback += outcome.probability;
+      outcome.drawn.forEach(classIndex => {
+        result.classMass[classIndex] = (result.classMass[classIndex] || 0) + outcome.probability;
+      });
+    });
+    this.drawOneCache.clear();
+
+    // Quest states often share a deck state, but don't let the cache outgrow the states themselves
+    this.cachedGroups += result.groups.length;
+    if (this.cachedGroups > this.maxStates * 5) {
+      this.drawCache.clear();
+      this.cachedGroups = result.groups.length;
+    }
+    this.drawCache.set(cacheKey, result);
+    return result;
+  }
+
+  /**
+   * Helper: drawOne, remembered per deck state (the cards of a multi-card draw often leave the same deck)
+   */
+  drawOneCached(deckKey, deck, matches, keepDeck) {
+    const key = `${deckKey}|${deck.unread.join(',')}|${deck.bottom.join(',')}|${matches.map(Number).join('')}|${keepDeck}`;
+    if (!this.drawOneCache.has(key)) {
+      this.drawOneCache.set(key, keepDeck
+        ? this.drawOne(deck, matches, this.classes[deckKey])
+        : this.drawOneMerged(deck, matches, this.classes[deckKey]));
+    }
+    return this.drawOneCache.get(key);
+  }
+
+  /**
+   * drawOne when the deck left afterwards doesn't matter (accepted draws have deck: null).
+   * Cards that match alike, weigh the same and start in the same part of the deck (unread or
+   * bottom) are interchangeable during the draw, so they are drawn as one group and the group's
+   * probability is shared out by how many of its cards each class has
+   */
+  drawOneMerged(deck, matches, classes) {
+    const groupIndex = new Map(); // "match|weight|part" -> group
+    const groups = []; // [{ weight, match, members: [{ classIndex, count }] }]
+    const unread = [];
+    const bottom = [];
+    const add = (classIndex, part, count) => {
+      if (count === 0) return;
+      const key = `${matches[classIndex]}|${classes[classIndex].weight}|${part}`;
+      if (!groupIndex.has(key)) {
+        groupIndex.set(key, groups.length);
+        groups.push({ weight: classes[classIndex].weight, match: matches[classIndex], members: [] });
+        unread.push(0);
+        bottom.push(0);
+      }
+      const g = groupIndex.get(key);
+      groups[g].members.push({ classIndex, count });
+      (part === 'unread' ? unread : bottom)[g] += count;
+    };
+    classes.forEach((group, c) => {
+      add(c, 'unread', deck.unread[c]);
+      add(c, 'bottom', deck.bottom[c]);
+    });
+
+    const { accepted, failures } = this.drawOne({ unread, bottom }, groups.map(group => group.match), groups);
+    const byClass = new Map();
+    accepted.forEach(draw => {
+      const members = groups[draw.classIndex].members;
+      const total = members.reduce((sum, member) => sum + member.count, 0);
+      members.forEach(({ classIndex, count }) => {
+        const key = `${classIndex}|${draw.fallback}`;
+        const probability = draw.probability * count / total;
+        if (byClass.has(key)) {
+          byClass.get(key).probability += probability;
+        } else {
+          byClass.set(key, { probability, classIndex, deck: null, fallback: draw.fallback });
+        }
+      });
+    });
+    return { accepted: [...byClass.values()], failures };
+  }
+
+  /**
+   * Every way one card can be drawn from a deck state under the redraw/fallback rule
+   * (drawWithFallbackSteps): the top card is accepted if it matches, otherwise it goes to the
+   * bottom; after maxRedraws rejections the next card is accepted whatever it is
+   * @param {Object} deck - { unread: counts per class, bottom: counts per class }
+   * @returns {{accepted: Array, failures: Array}} accepted: [{ probability, classIndex, deck, fallback }]
+   */
+  drawOne(deck, matches, classes) {
+    const infinite = this.maxRedraws === -1;
+    const accepted = new Map(); // class + deck left + fallback -> accepted draw
+    const failures = [];
+    const accept = (probability, classIndex, unread, bottom, fallback) => {
+      const key = `${classIndex}|${unread.join(',')}|${bottom.join(',')}|${fallback}`;
+      const existing = accepted.get(key);
+      if (existing) {
+        existing.probability += probability;
+      } else {
+        accepted.set(key, { probability, classIndex, deck: { unread, bottom }, fallback });
+        this.checkStateCount(accepted.size);
+      }
+    };
+
+    let frontier = [{ probability: 1, unread: deck.unread, bottom: deck.bottom }];
+    for (let attempt = 1; frontier.length > 0; attempt++) {
+      const next = new Map();
+      frontier.forEach(entry => {
+        this.readTop(entry.unread, entry.bottom, classes).forEach(read => {
+          const probability = entry.probability * read.probability;
+          if (read.classIndex === -1) {
+            failures.push({ reason: 'no cards available in deck', probability });
+            return;
+          }
+          if (matches[read.classIndex]) {
+            accept(probability, read.classIndex, read.unread, read.bottom, false);
+            return;
+          }
+
+          // Rejected - moved to the bottom
+          const bottom = [...read.bottom];
+          bottom[read.classIndex]++;
+          if (!infinite && attempt === this.maxRedraws) {
+            this.readTop(read.unread, bottom, classes).forEach(fallback => {
+              if (fallback.classIndex === -1) return;
+              accept(probability * fallback.probability, fallback.classIndex, fallback.unread, fallback.bottom, true);
+            });
+          } else if (!infinite && attempt > this.maxRedraws) {
+            failures.push({ reason: 'first card rejected and Max Redraws is 0', probability });
+          } else if (infinite && !read.unread.some((n, c) => matches[c] && n > 0) && !bottom.some((n, c) => matches[c] && n > 0)) {
+            failures.push({ reason: 'no matching card left (the engine would keep redrawing)', probability });
+          } else {
+            const key = `${read.unread.join(',')}|${bottom.join(',')}`;
+            const existing = next.get(key);
+            if (existing) {
+              existing.probability += probability;
+            } else {
+              next.set(key, { probability, unread: read.unread, bottom });
+              this.checkStateCount(next.size);
+            }
+          }
+        });
+      });
+      frontier = [...next.values()];
+    }
+    return { accepted: [...accepted.values()], failures };
+  }
+
+  /**
+   * Every card that can be on top of a deck, with its probability and the deck without it.
+   * Unread cards come first (a weighted shuffle reads them in weighted order); once they run out
+   * the cards at the bottom come round again, treated as being in random order
+   * @returns {Array} [{ probability, classIndex (-1 = empty deck), unread, bottom }]
+   */
+  readTop(unread, bottom, classes) {
+    if (!unread.some(n => n > 0)) {
+      if (!bottom.some(n => n > 0)) return [{ probability: 1, classIndex: -1, unread, bottom }];
+      if (bottom.filter(n => n > 0).length > 1) this.approximate = true;
+      unread = bottom;
+      bottom = bottom.map(() => 0);
+    }
+
+    const weightOf = (c) => classes[c].weight * unread[c];
+    let total = unread.reduce((sum, n, c) => sum + weightOf(c), 0);
+    const useCounts = total === 0; // Only weight-0 cards left - they come in plain shuffled order
+    if (useCounts) total = unread.reduce((sum, n) => sum + n, 0);
+
+    const reads = [];
+    unread.forEach((n, c) => {
+      if (n === 0) return;
+      const rest = [...unread];
+      rest[c]--;
+      reads.push({ probability: (useCounts ? n : weightOf(c)) / total, classIndex: c, unread: rest, bottom });
+    });
+    return reads;
+  }
+
+  /**
+   * Helper: A deck's state ({ unread, bottom } counts per class) - a fresh deck if not drawn from yet
+   */
+  deckState(state, deckKey) {
+    if (state.decks[deckKey]) return state.decks[deckKey];
+    const classes = this.classes[deckKey];
+    return { unread: classes.map(group => group.cards.length), bottom: classes.map(() => 0) };
+  }
+
+  /**
+   * Helper: Point the scratch engine at a state's components and pending instructions
+   */
+  useState(state) {
+    const components = {};
+    Object.entries(state.components).forEach(([label, { deck, classes }]) => {
+      const cards = classes.map(c => this.classes[deck][c].drawnCard);
+      components[label] = cards.length === 1 ? cards[0] : cards;
+    });
+    this.scratch.quest = { components };
+    this.scratch.pendingInstructions = state.pending;
+  }
+
+  /**
+   * Helper: Add probability to a state (merging with an equal state)
+   */
+  addState(states, state, probability) {
+    const key = this.stateKey(state);
+    const existing = states.get(key);
+    if (existing) {
+      existing.probability += probability;
+    } else {
+      states.set(key, { probability, state });
+      this.checkStateCount(states.size);
+    }
+  }
+
+  /**
+   * Helper: Give up before the state space outgrows memory
+   * @throws {Error} If more than maxStates states are being tracked
+   */
+  checkStateCount(size) {
+    if (size > this.maxStates) {
+      throw new Error(`Too many possible quest states at instruction ${this.position} (over ${this.maxStates}) - try a lower Max Redraws`);
+    }
+  }
+
+  /**
+   * Helper: Key part for a deck state (null = not tracked)
+   */
+  deckText(deck) {
+    return deck ? `${deck.unread.join(',')}/${deck.bottom.join(',')}` : '';
+  }
+
+  /**
+   * Helper: Key identifying a state (deck contents, components drawn, pending instructions)
+   */
+  stateKey(state) {
+    const decks = Object.keys(state.decks).sort().map(deckKey => `${deckKey}:${this.deckText(state.decks[deckKey])}`);
+    const components = Object.keys(state.components).sort().map(label => {
+      const component = state.components[label];
+      return `${label}:${component.deck}:${component.classes.join(',')}`;
+    });
+    return `${decks.join(';')}#${components.join(';')}#${state.pending.length ? JSON.stringify(state.pending) : ''}`;
+  }
+
+  /**
+   * Helper: Count probability of the quest failing for a reason
+   */
+  fail(reason, probability) {
+    this.failures.set(reason, (this.failures.get(reason) || 0) + probability);
+  }
+
+  /**
+   * Turn the slot totals into per-card probabilities (cards in a group share its mass equally)
+   */
+  buildResult(template, successProbability) {
+    const labels = [...this.slots.entries()].map(([label, slot]) => {
+      const cards = [];
+      Object.entries(slot.classMass).forEach(([classIndex, mass]) => {
+        const group = this.classes[slot.deck][classIndex];
+        group.cards.forEach(card => {
+          cards.push({ name: card.CardName, id: card.id || null, probability: mass / group.cards.length });
+        });
+      });
+      cards.sort((a, b) => b.probability - a.probability || a.name.localeCompare(b.name));
+      return {
+        label,
+        deck: slot.deck,
+        count: slot.count,
+        probability: slot.filled,
+        fallbackProbability: slot.fallback,
+        cards
+      };
+    });
+
+    return {
+      template: template.CardName,
+      maxRedraws: this.maxRedraws,
+      successProbability,
+      failures: [...this.failures.entries()]
+        .map(([reason, probability]) => ({ reason, probability }))
+        .sort((a, b) => b.probability - a.probability),
+      approximate: this.approximate,
+      labels
+    };
+  }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DrawProbabilityCalculator;
+}
@@ -1,51 +1,60 @@
 /*
  * migrate.js
- * Create the `cards` table if it doesn't exist. Optionally seed from cards.json with --seed
+ * Create (or roll back) the normalized card tables. Optionally seed from cards.json with --seed
  *
  * Usage:
- *   node migrate.js           # create table
- *   node migrate.js --seed    # create table and seed from cards.json
+ *   node migrate.js           # up: create tables, migrating the old single-document cards table
+ *   node migrate.js up --seed # up, then replace all cards with the contents of cards.json
+ *   node migrate.js down      # fold the normalized tables back into the single-document cards table
+ *   node migrate.js check [file] # no database: migrate a legacy card document (default cards.json)
+ *                                # into table rows and back, and report what would be lost
  */
 
 require('dotenv').config();
 const fs = require('fs').promises;
 const path = require('path');
 const { Pool } = require('pg');
+const cardSchema = require('../cardSchema');
 
+// cards.json lives next to server.js
+const CARDS_FILE = path.join(__dirname, '..', 'cards.json');
+
+const checkOnly = process.argv[2] === 'check';
 const connectionString = process.env.DATABASE_URL;
-if (!connectionString) {
+if (!connectionString && !checkOnly) {
   console.error('ERROR: DATABASE_URL env var not set. Add it to .env or set it in env variables.');
   process.exit(1);
 }
 
-const pool = new Pool({
+const pool = checkOnly ? null : new Pool({
   connectionString,
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
-async function createTable() {
-  const sql = `
-  CREATE TABLE IF NOT EXISTS cards (
-    id INTEGER PRIMARY KEY DEFAULT 1,
-    data JSONB NOT NULL,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-  );
-  `;
-  await pool.query(sql);
-  console.log('✓ cards table created or already exists');
+async function up() {
+  const migrated = await cardSchema.migrateUp(pool);
+  console.log('✓ Normalized card tables created or already exist');
+  if (migrated) {
+    console.log('✓ Existing card data copied from the old cards table (kept as cards_legacy)');
+  }
+}
+
+async function down() {
+  const rolledBack = await cardSchema.migrateDown(pool);
+  if (rolledBack) {
+    console.log('✓ Card data folded back into the single-document cards table; normalized tables dropped');
+  }
 }
 
 async function seedFromJson() {
   try {
-    const file = path.join(__dirname, 'cards.json');
-    const content = await fs.readFile(file, 'utf8');
+    const content = await fs.readFile(CARDS_FILE, 'utf8');
     const cards = JSON.parse(content);
 
-    await pool.query(`
-      INSERT INTO cards (id, data, updated_at)
-      VALUES (1, $1, CURRENT_TIMESTAMP)
-      ON CONFLICT (id) DO UPDATE SET data = $1, updated_at = CURRENT_TIMESTAMP
-    `, [cards]);
+    // Go through the card store so ids/revisions are assigned and the seed is recorded as a revision
+    const cardStore = require('../cardStore');
+    cardStore.setDatabaseStorage(true);
+    await cardStore.saveCards(cards, '*', { author: 'migrate', message: 'Seeded from cards.json' });
 
     console.log('✓ Seeded cards from cards.json');
   } catch (err) {
@@ -54,12 +63,59 @@ async function seedFromJson() {
   }
 }
 
+/**
+ * Run a legacy single-document collection through the migration (prepareLegacyCards, then the
+ * rows writeCollection would insert) and back, without a database
+ * @returns {boolean} Whether every card survives unchanged
+ */
+async function check(file = CARDS_FILE) {
+  const legacyCards = JSON.parse(await fs.readFile(file, 'utf8'));
+  const prepared = cardSchema.prepareLegacyCards(legacyCards);
+  const rows = cardSchema.collectionToRows(prepared);
+  const restored = cardSchema.rowsToCollection(rows);
+
+  const cardCount = Object.values(prepared).filter(Array.isArray).reduce((sum, deck) => sum + deck.length, 0);
+  const withoutId = Object.values(legacyCards).filter(Array.isArray).flat().filter(card => !card.id).length;
+  console.log(`ℹ ${path.basename(file)}: ${cardCount} card(s) in ${rows.decks.length} deck(s), ${withoutId} without an id`);
+
+  const problems = [];
+  Object.entries(prepared).forEach(([deckKey, deckCards]) => {
+    if (!Array.isArray(deckCards)) return;
+    deckCards.forEach((card, index) => {
+      const copy = (restored[deckKey] || [])[index];
+      if (JSON.stringify(copy) !== JSON.stringify(card)) {
+        problems.push(`${deckKey}[${index}] "${card.CardName}" changes in the tables`);
+      }
+    });
+  });
+
+  problems.forEach(problem => console.error(`❌ ${problem}`));
+  if (problems.length === 0) {
+    console.log('✓ Every card migrates with a unique id and reads back unchanged');
+  }
+  return problems.length === 0;
+}
+
 (async () => {
+  if (checkOnly) {
+    try {
+      process.exit(await check(process.argv[3] ? path.resolve(process.argv[3]) : CARDS_FILE) ? 0 : 1);
+    } catch (err) {
+      console.error('Migration check failed:', err.message || err);
+      process.exit(1);
+    }
+  }
+
   try {
-    await createTable();
+    const direction = process.argv.includes('down') ? 'down' : 'up';
 
-    if (process.argv.includes('--seed')) {
-      await seedFromJson();
+    if (direction === 'down') {
+      await down();
+    } else {
+      await up();
+      if (process.argv.includes('--seed')) {
+        await seedFromJson();
+      }
     }
 
     await pool.end();
@@ -69,4 +125,4 @@ async function seedFromJson() {
     try { await pool.end(); } catch(e){}
     process.exit(1);
   }
-})();
\ No newline at end of file
+})();
@@ -13,27 +13,64 @@ class QuestEngine {
     this.debugMode = false; // Default to non-verbose logging
     this.validator = null; // Reference to validator for tracking card draws
     this.maxRedraws = 3; // Number of invalid draws before fallback (0-99, or -1 for infinite)
+    this.generationMode = 'draw'; // 'draw' (redraws + fallback rule) or 'solve' (backtracking search, see solveQuestSteps)
+    this.solverFallback = false; // In solve mode, use the draw rule when no consistent quest exists
+    this.solverMaxCandidates = 10000; // Cards the solver may try per quest before giving up
+    this.maxSubQuestDepth = 3; // How deeply subQuest instructions may nest
+    this.solverSearch = null; // State of the running search (solve mode only)
     this.rejectedCards = new Set(); // Cards rejected during this quest (temporary)
+    this.seed = null; // Seed of the current run (set by setSeed/prepareRun)
+    this.random = new SeededRandom(SeededRandom.randomSeed());
+    this.dataRevision = null; // Fingerprint of the card data the decks were built from
+    this.stepContext = null; // Instruction being processed (for step snapshots and resolved references)
+    this.swapping = false; // Carrying out the instructions of cards drawn by a swap (they don't swap again)
+    this.questStack = []; // Quests waiting for the sub-quest being generated (outermost first)
+    this.stepRun = null; // Step-through run: { steps, history, position, done, result }
+    this.tagPairings = null; // { tag: pairedWith } - null = use TAG_CONFIG_MANAGER (tag-config.json)
     this.stats = {
       drawAttempts: 0,
       fallbacksTriggered: 0,
       modifyEffectsApplied: 0,
-      poorMatchPools: 0
+      poorMatchPools: 0,
+      backtracks: 0
     };
   }
 
   /**
-   * Shuffle all decks using Fisher-Yates algorithm
+   * Seed the random number generator (same seed + same card data = same quest)
+   */
+  setSeed(seed) {
+    this.seed = String(seed);
+    this.random = new SeededRandom(this.seed);
+  }
+
+  /**
+   * Start a run: fresh decks, seeded and shuffled
+   * @param {Object} decks - Fresh copy of the decks (e.g. dataLoader.getDecks())
+   * @param {string} seed - Seed to use (a random one when omitted)
+   */
+  prepareRun(decks, seed = SeededRandom.randomSeed()) {
+    this.decks = decks;
+    this.setSeed(seed);
+    this.shuffleDecks();
+  }
+
+  /**
+   * Shuffle all decks (seeded). Decks whose cards have different weights (Rarity/Weight) get a
+   * weighted shuffle so drawing from the top favours common cards; others a plain Fisher-Yates
    */
   shuffleDecks() {
-    const deckNames = ['npcs', 'questtemplates', 'locations', 'twists', 'loot', 'monsters'];
+    if (this.seed === null) {
+      this.setSeed(SeededRandom.randomSeed());
+    }
+    const deckNames = DECK_REGISTRY.orderedKeys(this.decks);
     deckNames.forEach(deckName => {
-      if (this.decks[deckName] && Array.isArray(this.decks[deckName])) {
-        const deck = this.decks[deckName];
-        for (let i = deck.length - 1; i > 0; i--) {
-          const j = Math.floor(Math.random() * (i + 1));
-          [deck[i], deck[j]] = [deck[j], deck[i]];
-        }
+      const deck = this.decks[deckName];
+      if (!deck || !Array.isArray(deck)) return;
+      if (CARD_RARITY.isUniform(deck)) {
+        this.random.shuffle(deck);
+      } else {
+        this.random.weightedShuffle(deck, card => CARD_RARITY.weightOf(card));
       }
     });
   }
@@ -45,21 +82,30 @@ class QuestEngine {
     this.logs = [];
     this.rejectedCards = new Set(); // Clear rejected cards for new quest
     this.quest = {
+      seed: this.seed,
+      dataRevision: this.dataRevision,
+      code: null,
       template: null,
       components: {}, // Flexible storage by label (QuestGiver, Target, etc.)
       instructions: {}, // Store instruction metadata (prefix, suffix) by label
       rewardText: null,
       consequenceText: null,
-      modifications: []
+      modifications: [],
+      branches: [], // Branches taken by if/chance/choose instructions: { path, action, taken, description }
+      subQuests: {}, // Sub-quests by label (see beginSubQuest)
+      solver: null // Solve mode: { satisfiable, candidatesTried, backtracks, limitReached, conflicts, usedFallback }
     };
     this.stats = {
       drawAttempts: 0,
       fallbacksTriggered: 0,
       modifyEffectsApplied: 0,
-      poorMatchPools: 0
+      poorMatchPools: 0,
+      backtracks: 0
     };
     // Pending instructions from cards that target future decks
     this.pendingInstructions = [];
+    this.questStack = [];
+    this.stepContext = null;
   }
 
   /**
@@ -67,7 +113,7 @@ class QuestEngine {
    * @param {string} message - The message to log
    * @param {*} data - Optional data to include
    * @param {boolean} verboseOnly - If true, only log when debug mode is enabled
-   * @param {string} type - Log type: 'normal', 'error', 'warning'
+   * @param {string} type - Log type: 'normal', 'error', 'warning', 'branch'
    */
   log(message, data = null, verboseOnly = false, type = 'normal') {
     // Skip verbose logs if debug mode is off
@@ -96,16 +142,17 @@ class QuestEngine {
    */
   getCurrentTags(card) {
     const tags = [...card.TypeTags, ...card.AspectTags, ...card.mutableTags];
-    return tags;
+    return card.removedTags ? tags.filter(tag => !card.removedTags.includes(tag)) : tags;
   }
 
   /**
    * Helper: Get tags used for draw logic
-   * Only includes TypeTags and mutableTags (AspectTags are excluded)
+   * Only includes TypeTags and mutableTags (AspectTags are excluded), less any removed by the
+   * card's own removeTags instructions
    */
   getDrawTags(card) {
     const tags = [...card.TypeTags, ...card.mutableTags];
-    return tags;
+    return card.removedTags ? tags.filter(tag => !card.removedTags.includes(tag)) : tags;
   }
 
   /**
@@ -116,41 +163,247 @@ class QuestEngine {
   }
 
   /**
-   * Helper: Get deck by name
+   * Helper: Get deck by name (any name the deck registry accepts, e.g. "NPC", "npcs", "Quest Template")
    */
   getDeckByName(deckName) {
-    const normalizedName = deckName.toLowerCase();
-    const deckMap = {
-      'npc': this.decks.npcs,
-      'npcs': this.decks.npcs,
-      'location': this.decks.locations,
-      'locations': this.decks.locations,
-      'twist': this.decks.twists,
-      'twists': this.decks.twists,
-      'questtemplate': this.decks.questtemplates,
-      'questtemplates': this.decks.questtemplates,
-      'magicitem': this.decks.loot,
-      'magicitems': this.decks.loot,
-      'loot': this.decks.loot,
-      'monster': this.decks.monsters,
-      'monsters': this.decks.monsters
-    };
-    return deckMap[normalizedName] || null;
+    const deckKey = DECK_REGISTRY.resolveKey(deckName) || deckName;
+    return Array.isArray(this.decks[deckKey]) ? this.decks[deckKey] : null;
   }
 
   /**
-   * Helper: Get matching requirement tags for a given deck
-   * Checks pending instructions (most recent instruction wins)
+   * Helper: Get matching requirement for a given deck from the pending instructions targeting it:
+   * { tags, expressions, forbidden, polarity, entries } - a card must have ANY of the tags, meet ALL
+   * the expressions and have none of the forbidden tags; polarity (if set) overrides the draw's own
    */
   getMatchingRequirement(deckName) {
-    // Search in reverse to get the most recent instruction (last added)
-    for (let i = this.pendingInstructions.length - 1; i >= 0; i--) {
-      const instruction = this.pendingInstructions[i];
-      if (instruction.targetDeck && instruction.targetDeck.toLowerCase() === deckName.toLowerCase()) {
-        return instruction.tags;
+    const entries = this.pendingInstructions.filter(instruction =>
+      instruction.targetDeck && DECK_REGISTRY.sameDeck(instruction.targetDeck, deckName));
+    const ofAction = (action) => entries.filter(instruction => instruction.action === action);
+    const polarities = ofAction('forcePolarity');
+    return {
+      tags: [...new Set(ofAction('addTags').flatMap(instruction => instruction.tags))],
+      expressions: ofAction('addTags').map(instruction => instruction.expression).filter(Boolean),
+      forbidden: [...new Set(ofAction('forbidTags').flatMap(instruction => instruction.tags))],
+      polarity: polarities.length > 0 ? polarities[polarities.length - 1].polarity : null,
+      entries
+    };
+  }
+
+  /**
+   * Helper: Extra cards pending for a draw label (extraDraw instructions): { count, entries }
+   */
+  getExtraDraws(label) {
+    const entries = this.pendingInstructions.filter(instruction => instruction.action === 'extraDraw' && instruction.targetLabel === label);
+    return { count: entries.reduce((sum, instruction) => sum + instruction.count, 0), entries };
+  }
+
+  /**
+   * Helper: Pending instruction entry (never changed in place - the solver and the probability
+   * calculator keep earlier lists to restore them)
+   * @param {Object} fields - What it does: { targetDeck, tags, expression } (addTags), { action: 'forbidTags',
+   *   targetDeck, tags }, { action: 'forcePolarity', targetDeck, polarity } or { action: 'extraDraw', targetLabel, count }
+   * @param {Object} options - { stacking: 'replace'|'accumulate', consume, expiresAfter } (from the
+   *   card instruction's Stacking/Consume/ExpiresAfter or an addToken's stacking/consume/expiresAfter)
+   */
+  createPendingInstruction(source, fields, options = {}) {
+    const expiresAfter = Number(options.expiresAfter);
+    return {
+      source,
+      action: 'addTags',
+      tags: [],
+      ...fields,
+      stacking: QuestEngine.PENDING_STACKING.includes(options.stacking) ? options.stacking : 'replace',
+      consume: options.consume === true,
+      drawsLeft: Number.isInteger(expiresAfter) && expiresAfter > 0 ? expiresAfter : null
+    };
+  }
+
+  /**
+   * Helper: Add a pending instruction. A "replace" instruction drops the earlier ones of the same
+   * action for its deck (or label), an "accumulate" one is combined with them
+   */
+  addPendingInstruction(entry) {
+    let pending = this.pendingInstructions;
+    if (entry.stacking === 'replace') {
+      const replaced = pending.filter(instruction => instruction.action === entry.action && (entry.targetLabel
+        ? instruction.targetLabel === entry.targetLabel
+        : instruction.targetDeck && DECK_REGISTRY.sameDeck(instruction.targetDeck, entry.targetDeck)));
+      if (replaced.length > 0) {
+        pending = pending.filter(instruction => !replaced.includes(instruction));
+        this.log(`→ Replaces pending instruction(s) for ${entry.targetLabel || entry.targetDeck} from ${replaced.map(instruction => instruction.source).join(', ')}`, null, true);
       }
     }
-    return [];
+    this.pendingInstructions = [...pending, entry];
+  }
+
+  /**
+   * Helper: Take tags out of the pending addTags instructions for a deck (removeTags); an
+   * instruction left with nothing to require is dropped
+   */
+  removePendingTags(targetDeck, tags) {
+    let changed = false;
+    this.pendingInstructions = this.pendingInstructions.flatMap(instruction => {
+      if (instruction.action !== 'addTags' || !instruction.targetDeck || !DECK_REGISTRY.sameDeck(instruction.targetDeck, targetDeck)) {
+        return [instruction];
+      }
+      const kept = instruction.tags.filter(tag => !tags.includes(tag));
+      if (kept.length === instruction.tags.length) return [instruction];
+      changed = true;
+      return kept.length === 0 && !instruction.expression ? [] : [{ ...instruction, tags: kept }];
+    });
+    return changed;
+  }
+
+  /**
+   * Helper: Update pending instructions after a draw instruction completes - those it used that are
+   * consumed on use are removed, and the rest count down towards expiring. Instructions added
+   * during the draw (by the cards drawn) are left alone
+   * @param {Array} used - Entries the draw used (getMatchingRequirement().entries and getExtraDraws().entries)
+   * @param {Array} existing - The pending instructions when the draw started
+   */
+  settlePendingInstructions(used, existing) {
+    this.pendingInstructions = this.pendingInstructions.flatMap(instruction => {
+      if (!existing.includes(instruction)) return [instruction];
+      const target = instruction.targetLabel || instruction.targetDeck;
+      if (instruction.consume && used.includes(instruction)) {
+        this.log(`→ Pending instruction from ${instruction.source} for ${target} consumed`, null, true);
+        return [];
+      }
+      if (instruction.drawsLeft === null) return [instruction];
+      if (instruction.drawsLeft <= 1) {
+        this.log(`→ Pending instruction from ${instruction.source} for ${target} expired`, null, true);
+        return [];
+      }
+      return [{ ...instruction, drawsLeft: instruction.drawsLeft - 1 }];
+    });
+  }
+
+  /**
+   * Helper: Readable form of what a pending instruction does, e.g. "Location: [Justice] requiring (NOT Undead)",
+   * "Twist: forbid [Greed]", "Twist: polarity Shadow" or "QuestGiver: +1 card"
+   */
+  describePendingInstruction(instruction) {
+    if (instruction.action === 'extraDraw') return `${instruction.targetLabel}: +${instruction.count} card${instruction.count === 1 ? '' : 's'}`;
+    if (instruction.action === 'forbidTags') return `${instruction.targetDeck}: forbid [${instruction.tags.join(', ')}]`;
+    if (instruction.action === 'forcePolarity') return `${instruction.targetDeck}: polarity ${instruction.polarity}`;
+    return `${instruction.targetDeck}: [${instruction.tags.join(', ')}]${instruction.expression ? ` requiring (${instruction.expression})` : ''}`;
+  }
+
+  /**
+   * Helper: Readable form of a pending instruction's semantics, e.g. "accumulates, consumed on use"
+   * (empty for the default: replaces earlier instructions and lasts the whole quest)
+   */
+  describePendingSemantics(instruction) {
+    const parts = [];
+    if (instruction.stacking === 'accumulate') parts.push('accumulates');
+    if (instruction.consume) parts.push('consumed on use');
+    if (instruction.drawsLeft !== null) parts.push(`expires in ${instruction.drawsLeft} draw${instruction.drawsLeft === 1 ? '' : 's'}`);
+    return parts.join(', ');
+  }
+
+  /**
+   * Use tag pairings from a tag-config.json `tagConfigurations` object (when TAG_CONFIG_MANAGER
+   * isn't available, e.g. outside the browser)
+   */
+  setTagPairings(tagConfigurations) {
+    this.tagPairings = {};
+    Object.values(tagConfigurations || {}).forEach(config => {
+      if (config && config.name && config.pairedWith) this.tagPairings[config.name] = config.pairedWith;
+    });
+  }
+
+  /**
+   * Helper: The pairedWith tag of a tag (e.g. Justice -> Tyranny), or null
+   */
+  getPairedTag(tag) {
+    if (this.tagPairings) return this.tagPairings[tag] || null;
+    const config = typeof window !== 'undefined' && window.TAG_CONFIG_MANAGER ? window.TAG_CONFIG_MANAGER.getConfig(tag) : null;
+    return config && config.pairedWith ? config.pairedWith : null;
+  }
+
+  /**
+   * Helper: Resolve a reference ({ fn, label, field }) against the components drawn so far
+   * e.g. paired($QuestGiver.TypeTags) -> the pairedWith tags of the QuestGiver's TypeTags
+   * @returns {string[]} Tags (or Polarity values)
+   * @throws {Error} If the label hasn't been drawn yet
+   */
+  resolveReference({ fn, label, field }) {
+    const component = this.quest ? this.quest.components[label] : null;
+    if (!component) {
+      throw new Error(`$${label} has not been drawn yet (references must name an earlier draw label)`);
+    }
+
+    const cards = Array.isArray(component) ? component : [component];
+    const values = [...new Set(cards.flatMap(card => {
+      if (field === 'Tags') return this.getDrawTags(card);
+      if (field === 'Polarity') return card.Polarity ? [card.Polarity] : [];
+      return card[field] || [];
+    }))];
+
+    if (fn === 'paired' || fn === 'opposite') {
+      const opposites = { Light: 'Shadow', Shadow: 'Light' };
+      return [...new Set(values
+        .map(value => this.getPairedTag(value) || (fn === 'opposite' ? opposites[value] : null))
+        .filter(Boolean))];
+    }
+    return values;
+  }
+
+  /**
+   * Helper: Expand references in a DrawInstruction's tags (e.g. "$QuestGiver.TypeTags") to tags
+   */
+  resolveTags(tags) {
+    return [...new Set((tags || []).flatMap(tag =>
+      TAG_EXPRESSION.isReference(tag) ? this.resolveReference(TAG_EXPRESSION.parseReference(tag)) : [tag]
+    ))];
+  }
+
+  /**
+   * Helper: Resolve a DrawInstruction's polarity ("Light", "$QuestGiver.Polarity", "opposite($QuestGiver.Polarity)")
+   * @returns {string|null} Polarity, or null for no constraint
+   */
+  resolvePolarity(polarity) {
+    if (!polarity || !TAG_EXPRESSION.isReference(polarity)) return polarity || null;
+    const values = this.resolveReference(TAG_EXPRESSION.parseReference(polarity));
+    if (values.length > 1) {
+      this.log(`⚠️ ${polarity} resolved to several polarities (${values.join(', ')}) - using ${values[0]}`, null, false, 'warning');
+    }
+    return values[0] || null;
+  }
+
+  /**
+   * Helper: Combine the classic tag list (a card needs ANY of them) with tag expressions
+   * (a card must satisfy ALL of them) into one parsed requirement, or null for no constraint
+   * @param {string[]} tags - Tags from the instruction and pending instructions
+   * @param {string[]} expressions - Expression strings (empty ones are ignored; references are resolved)
+   * @param {string[]} forbidden - Tags a card must not have (forbidTags instructions)
+   * @throws {Error} If an expression doesn't parse or a reference can't be resolved
+   */
+  buildRequirement(tags, expressions = [], forbidden = []) {
+    return TAG_EXPRESSION.allOf([
+      TAG_EXPRESSION.anyOf(tags),
+      forbidden.length > 0 ? { type: 'not', operand: TAG_EXPRESSION.anyOf(forbidden) } : null,
+      ...expressions.map(expression => TAG_EXPRESSION.resolveReferences(
+        TAG_EXPRESSION.parse(expression),
+        reference => this.resolveReference(reference)
+      ))
+    ]);
+  }
+
+  /**
+   * Helper: Requirement from a tag array (ANY), an expression string or an already parsed expression
+   */
+  toRequirement(required) {
+    if (Array.isArray(required)) return TAG_EXPRESSION.anyOf(required);
+    if (typeof required === 'string') return TAG_EXPRESSION.parse(required);
+    return required || null;
+  }
+
+  /**
+   * Helper: Readable form of a requirement for logs
+   */
+  describeRequirement(requirement) {
+    return TAG_EXPRESSION.toString(this.toRequirement(requirement));
   }
 
   /**
@@ -159,42 +412,69 @@ class QuestEngine {
   storePendingInstruction(card) {
     if (card.Instructions && Array.isArray(card.Instructions) && card.Instructions.length > 0) {
       for (const instruction of card.Instructions) {
-        const targetDeck = instruction.TargetDeck;
-        const tags = instruction.Tags || [];
-        
         // Don't store if target is "ThisCard" (applied immediately)
-        if (targetDeck && targetDeck.toLowerCase() === 'thiscard') {
+        if (instruction.TargetDeck && instruction.TargetDeck.toLowerCase() === 'thiscard') {
           continue;
         }
-        
-        if (targetDeck && tags.length > 0) {
-          this.pendingInstructions.push({
-            source: card.CardName,
-            targetDeck: targetDeck,
-            tags: tags
-          });
-          
-          this.log(`→ Instruction: Add [${tags.join(', ')}] to ${targetDeck}`, {
-            source: card.CardName,
-            targetDeck: targetDeck,
-            tags: tags
-          }, true); // Verbose only
-        }
+        this.applyPendingAction(card.CardName, instruction);
       }
     }
   }
 
+  /**
+   * Helper: Carry out a card instruction that works through pending instructions (addTags,
+   * removeTags, forbidTags and forcePolarity for a deck, extraDraw for a label); others are ignored
+   * @param {string} source - Name of the card the instruction is on
+   */
+  applyPendingAction(source, instruction) {
+    const action = this.getInstructionAction(instruction);
+    const targetDeck = instruction.TargetDeck;
+    const tags = instruction.Tags || [];
+    const expression = instruction.TagExpression || null;
+    const options = { stacking: instruction.Stacking, consume: instruction.Consume, expiresAfter: instruction.ExpiresAfter };
+    const store = (fields, text) => {
+      const entry = this.createPendingInstruction(source, fields, options);
+      const semantics = this.describePendingSemantics(entry);
+      this.log(`→ Instruction: ${text}${semantics ? ` (${semantics})` : ''}`, { source, ...fields }, true); // Verbose only
+      this.addPendingInstruction(entry);
+    };
+
+    if (action === 'addTags' && targetDeck && (tags.length > 0 || expression)) {
+      store({ targetDeck, tags, expression }, `Add [${tags.join(', ')}]${expression ? ` requiring (${expression})` : ''} to ${targetDeck}`);
+    } else if (action === 'forbidTags' && targetDeck && tags.length > 0) {
+      store({ action, targetDeck, tags }, `Forbid [${tags.join(', ')}] in ${targetDeck}`);
+    } else if (action === 'forcePolarity' && targetDeck && instruction.Polarity) {
+      // Forcing a polarity is about the next draw, so it's consumed on use unless Consume is false
+      options.consume = instruction.Consume !== false;
+      store({ action, targetDeck, polarity: instruction.Polarity }, `Force polarity ${instruction.Polarity} on ${targetDeck}`);
+    } else if (action === 'extraDraw' && instruction.TargetLabel) {
+      options.consume = true;
+      const count = Number.isInteger(instruction.Count) && instruction.Count > 0 ? instruction.Count : 1;
+      store({ action, targetLabel: instruction.TargetLabel, count }, `Draw ${count} extra card${count === 1 ? '' : 's'} for ${instruction.TargetLabel}`);
+    } else if (action === 'removeTags' && targetDeck && tags.length > 0) {
+      const changed = this.removePendingTags(targetDeck, tags);
+      this.log(`→ Instruction: Remove [${tags.join(', ')}] from pending instructions for ${targetDeck}${changed ? '' : ' (none pending)'}`, { source, targetDeck, tags }, true);
+    }
+  }
+
+  /**
+   * Helper: A card instruction's action (addTags when it has none)
+   */
+  getInstructionAction(instruction) {
+    return instruction.Action || 'addTags';
+  }
+
   /**
    * Helper: Get cards matching criteria
+   * @param {Array} deck - Cards to filter
+   * @param {string[]|string|Object|null} required - Tag array (ANY), expression string or parsed expression
    */
-  getMatchingCards(deck, requiredTags) {
-    if (!requiredTags || requiredTags.length === 0) {
+  getMatchingCards(deck, required) {
+    const requirement = this.toRequirement(required);
+    if (!requirement) {
       return deck;
     }
-    return deck.filter(card => {
-      const cardTags = this.getDrawTags(card);
-      return requiredTags.some(req => cardTags.includes(req));
-    });
+    return deck.filter(card => TAG_EXPRESSION.evaluate(requirement, this.getDrawTags(card)));
   }
 
   /**
@@ -221,7 +501,17 @@ class QuestEngine {
   /**
    * Helper: Draw with fallback rule (configurable redraws before auto-accept)
    */
-  drawWithFallback(deck, requiredTags, deckName, targetName, requiredPolarity) {
+  drawWithFallback(deck, required, deckName, targetName, requiredPolarity, requiredHabitats = null) {
+    return this.runSteps(this.drawWithFallbackSteps(deck, required, deckName, targetName, requiredPolarity, requiredHabitats));
+  }
+
+  /**
+   * Generator version of drawWithFallback - yields a step after every draw attempt
+   * and returns the selected card
+   */
+  *drawWithFallbackSteps(deck, required, deckName, targetName, requiredPolarity, requiredHabitats = null) {
+    const requirement = this.toRequirement(required);
+    const requirementText = TAG_EXPRESSION.toString(requirement);
     let attempts = 0;
     let selectedCard = null;
     let selectedIndex = -1;
@@ -238,34 +528,43 @@ class QuestEngine {
       }
 
       const cardTags = this.getDrawTags(card);
-      const matches = this.getTagIntersection(cardTags, requiredTags);
+      const matches = this.getTagIntersection(cardTags, TAG_EXPRESSION.positiveTags(requirement));
 
       // Check Polarity match (undefined/null requiredPolarity means accept any)
       const polarityMatch = !requiredPolarity || (card.Polarity === requiredPolarity);
+      const habitatMatch = this.matchesHabitat(card, requiredHabitats);
       
-      // Empty requiredTags means no tag constraint, but still check Polarity
-      const tagMatch = requiredTags.length === 0 || matches.length > 0;
-      const isMatch = tagMatch && polarityMatch;
+      // No requirement means no tag constraint, but still check Polarity
+      const tagMatch = TAG_EXPRESSION.evaluate(requirement, cardTags);
+      const isMatch = tagMatch && polarityMatch && habitatMatch;
 
       if (isMatch) {
         selectedCard = card;
         selectedIndex = deckIndex;
         
         const reasons = [];
-        if (requiredTags.length === 0) {
+        if (!requirement) {
           reasons.push('no tag constraints');
-        } else {
+        } else if (matches.length > 0) {
           reasons.push(`matched tags: ${matches.join(', ')}`);
+        } else {
+          reasons.push(`matched ${requirementText}`);
         }
         if (requiredPolarity) {
           reasons.push(`polarity: ${card.Polarity}`);
         }
+        if (requiredHabitats && requiredHabitats.length > 0) {
+          reasons.push(`habitat: ${(card.Habitat || []).join(', ') || 'any'}`);
+        }
         
         this.log(
           `${deckName} Draw #${attempts}: ACCEPTED "${card.CardName}" (${reasons.join(', ')})`,
           { card: card.CardName, matchedTags: matches, polarity: card.Polarity },
           true // Verbose only
         );
+        yield this.snapshot('attempt', `${deckName} draw #${attempts}: accepted "${card.CardName}"`, {
+          attempt: { number: attempts, card: this.summarizeCard(card), accepted: true, fallback: false, reasons }
+        });
       } else {
         // Card was rejected - move it to bottom of deck
         deck.splice(deckIndex, 1);
@@ -273,22 +572,34 @@ class QuestEngine {
         
         const rejectionReasons = [];
         if (!tagMatch) {
-          rejectionReasons.push(`no matching tags, needs: ${requiredTags.join(', ')}`);
+          rejectionReasons.push(`no matching tags, needs: ${requirementText}`);
         }
         if (!polarityMatch) {
           rejectionReasons.push(`wrong polarity: ${card.Polarity}, needs: ${requiredPolarity}`);
         }
+        if (!habitatMatch) {
+          rejectionReasons.push(`wrong habitat: ${card.Habitat.join(', ')}, needs: ${requiredHabitats.join(' or ')}`);
+        }
         
         this.log(
           `${deckName} Draw #${attempts}: REJECTED "${card.CardName}" (${rejectionReasons.join(', ')}) - moved to bottom`,
-          { card: card.CardName, requiredTags: requiredTags, requiredPolarity: requiredPolarity, cardPolarity: card.Polarity },
+          { card: card.CardName, requirement: requirementText, requiredPolarity: requiredPolarity, cardPolarity: card.Polarity },
           true // Verbose only
         );
+        if (this.stepContext) {
+          this.stepContext.rejections.push({ card: card.CardName, reasons: rejectionReasons });
+        }
+        yield this.snapshot('attempt', `${deckName} draw #${attempts}: rejected "${card.CardName}"`, {
+          attempt: { number: attempts, card: this.summarizeCard(card), accepted: false, fallback: false, reasons: rejectionReasons }
+        });
 
         // Check if we should trigger fallback (only if not infinite mode)
         if (!isInfinite && attempts === this.maxRedraws) {
           this.log(`${deckName}: Fallback triggered - auto-accepting next card`);
           this.stats.fallbacksTriggered++;
+          if (this.validator) {
+            this.validator.trackFallback(this.quest.template, targetName);
+          }
           const fallbackResult = this.drawRandomCard(deck);
           if (fallbackResult.card) {
             selectedCard = fallbackResult.card;
@@ -298,6 +609,9 @@ class QuestEngine {
               { card: selectedCard.CardName, isFallback: true },
               true // Verbose only
             );
+            yield this.snapshot('attempt', `${deckName} draw #${attempts + 1}: fallback accepted "${selectedCard.CardName}"`, {
+              attempt: { number: attempts + 1, card: this.summarizeCard(selectedCard), accepted: true, fallback: true, reasons: ['redraw limit reached'] }
+            });
           }
         }
       }
@@ -317,7 +631,7 @@ class QuestEngine {
   }
 
   /**
-   * Apply Modify effects from a card
+   * Apply Modify effects from a card (addTags / removeTags instructions targeting ThisCard)
    */
   applyModifyEffects(card) {
     if (!card.Instructions || !Array.isArray(card.Instructions)) {
@@ -327,13 +641,14 @@ class QuestEngine {
     for (const instruction of card.Instructions) {
       const targetDeck = instruction.TargetDeck;
       const tags = instruction.Tags || [];
+      const action = this.getInstructionAction(instruction);
       
       if (!targetDeck || tags.length === 0) {
         continue;
       }
 
       // Handle ThisCard instruction (applied immediately to this card)
-      if (targetDeck.toLowerCase() === 'thiscard') {
+      if (targetDeck.toLowerCase() === 'thiscard' && action === 'addTags') {
         card.mutableTags.push(...tags);
         this.log(
           `→ Instruction: Add [${tags.join(', ')}] to THISCARD`,
@@ -341,6 +656,19 @@ class QuestEngine {
           true // Verbose only
         );
         this.stats.modifyEffectsApplied++;
+      } else if (targetDeck.toLowerCase() === 'thiscard' && action === 'removeTags') {
+        const removedTags = card.removedTags;
+        card.removedTags = [...(removedTags || []), ...tags];
+        this.recordUndo(() => {
+          if (removedTags) card.removedTags = removedTags;
+          else delete card.removedTags;
+        });
+        this.log(
+          `→ Instruction: Remove [${tags.join(', ')}] from THISCARD`,
+          { appliedTo: 'ThisCard', tags: tags },
+          true // Verbose only
+        );
+        this.stats.modifyEffectsApplied++;
       } else {
         // Will be applied to future deck via pending instructions
         // (logging handled in storePendingInstruction)
@@ -348,52 +676,252 @@ class QuestEngine {
     }
   }
 
+  /**
+   * Carry out a drawn card's instructions that act at once on the decks and the quest so far:
+   * discard (the top Count cards of TargetDeck), swap (redraw the component drawn as TargetLabel)
+   * and reveal (turn the TargetLabel component face up). Each is noted in quest.modifications
+   */
+  *applyInstructionActionsSteps(card) {
+    for (const instruction of card.Instructions || []) {
+      const action = this.getInstructionAction(instruction);
+      if (action === 'discard') {
+        this.discardCards(card, instruction);
+      } else if (action === 'reveal') {
+        this.revealComponent(card, instruction.TargetLabel);
+      } else if (action === 'swap') {
+        yield* this.swapComponentSteps(card, instruction.TargetLabel);
+      }
+    }
+  }
+
+  /**
+   * Helper: Discard the top cards of a deck for the rest of the quest (discard instruction)
+   */
+  discardCards(card, instruction) {
+    const deck = this.getDeckByName(instruction.TargetDeck);
+    if (!deck) {
+      this.log(`⚠ ${card.CardName}: can't discard from unknown deck "${instruction.TargetDeck}"`, null, false, 'warning');
+      return;
+    }
+    const count = Number.isInteger(instruction.Count) && instruction.Count > 0 ? instruction.Count : 1;
+    const discarded = deck.splice(0, count);
+    this.recordUndo(() => deck.splice(0, 0, ...discarded));
+    if (this.solverSearch) this.solverSearch.decksChanged = true;
+    this.noteModification(card, 'discard', instruction.TargetDeck,
+      `Discarded ${discarded.length} from ${instruction.TargetDeck}${discarded.length ? `: ${discarded.map(c => `"${c.CardName}"`).join(', ')}` : ''}`);
+  }
+
+  /**
+   * Helper: Turn a face-down component face up (reveal instruction)
+   */
+  revealComponent(card, label) {
+    const details = this.quest.instructions[label];
+    if (!details) {
+      this.log(`→ ${card.CardName}: nothing to reveal - ${label} hasn't been drawn`, null, true);
+      return;
+    }
+    if (!details.faceDown) {
+      this.log(`→ ${card.CardName}: ${label} is already face up`, null, true);
+      return;
+    }
+    details.faceDown = false;
+    details.revealedBy = card.CardName;
+    this.recordUndo(() => {
+      details.faceDown = true;
+      delete details.revealedBy;
+    });
+    this.noteModification(card, 'reveal', label, `Revealed ${label}`);
+  }
+
+  /**
+   * Helper: Put a drawn component back at the bottom of its deck and draw its replacement with its
+   * draw instruction's constraints (swap instruction). The replacement's own instructions are carried
+   * out, except further swaps. The solver takes the first card that meets the constraints
+   */
+  *swapComponentSteps(card, label) {
+    const component = this.quest.components[label];
+    const details = this.quest.instructions[label];
+    if (!component || !details) {
+      this.log(`→ ${card.CardName}: nothing to swap - ${label} hasn't been drawn`, null, true);
+      return;
+    }
+    if (this.swapping) {
+      this.log(`→ ${card.CardName}: swap of ${label} skipped (cards drawn by a swap don't swap again)`, null, true);
+      return;
+    }
+    const deck = this.getDeckByName(details.deck);
+    let requirement;
+    try {
+      requirement = this.buildRequirement(details.tags || [], [details.tagExpression]);
+    } catch (error) {
+      this.log(`⚠ ${card.CardName}: can't swap ${label} (${error.message})`, null, false, 'warning');
+      return;
+    }
+    const polarity = details.polarity || null;
+    const habitats = details.habitats || [];
+    const oldCards = Array.isArray(component) ? component : [component];
+    const deckBefore = deck.slice();
+    deck.push(...oldCards);
+
+    const newCards = [];
+    for (let i = 0; i < oldCards.length; i++) {
+      let replacement;
+      if (this.solverSearch) {
+        replacement = deck.find(candidate => !oldCards.includes(candidate) && this.cardMeetsConstraints(candidate, requirement, polarity, habitats)) || null;
+        if (replacement) {
+          deck.splice(deck.indexOf(replacement), 1);
+          if (this.validator) this.validator.trackCardDraw(replacement);
+        }
+      } else {
+        replacement = yield* this.drawWithFallbackSteps(deck, requirement, details.deck, label, polarity, habitats);
+      }
+      if (!replacement) break;
+      newCards.push(replacement);
+    }
+    if (newCards.length < oldCards.length) {
+      deck.splice(0, deck.length, ...deckBefore);
+      this.log(`⚠ ${card.CardName}: no replacement for ${label} in ${details.deck} - kept`, null, false, 'warning');
+      return;
+    }
+
+    this.quest.components[label] = newCards.length === 1 ? newCards[0] : newCards;
+    if (this.solverSearch) this.solverSearch.decksChanged = true;
+    const mutableTagCounts = newCards.map(newCard => newCard.mutableTags.length);
+    this.recordUndo(() => {
+      newCards.forEach((newCard, i) => { newCard.mutableTags.length = mutableTagCounts[i]; });
+      deck.splice(0, deck.length, ...deckBefore);
+      this.quest.components[label] = component;
+    });
+    this.noteModification(card, 'swap', label,
+      `Swapped ${label}: ${oldCards.map(c => `"${c.CardName}"`).join(', ')} → ${newCards.map(c => `"${c.CardName}"`).join(', ')}`);
+
+    this.swapping = true;
+    try {
+      for (const newCard of newCards) {
+        this.applyModifyEffects(newCard);
+        this.storePendingInstruction(newCard);
+        yield* this.applyInstructionActionsSteps(newCard);
+      }
+    } finally {
+      this.swapping = false;
+    }
+  }
+
+  /**
+   * Helper: Record a discard / swap / reveal in quest.modifications and the log
+   */
+  noteModification(card, action, target, description) {
+    this.quest.modifications.push({ source: card.CardName, action, target, description });
+    this.recordUndo(() => this.quest.modifications.pop());
+    this.stats.modifyEffectsApplied++;
+    this.log(`→ ${card.CardName}: ${description}`, { source: card.CardName, action, target });
+  }
+
+  /**
+   * Helper: Remember how to undo a card instruction's effect while the solver searches (it undoes
+   * them when it backtracks past the card); nothing is kept outside solve mode
+   */
+  recordUndo(undo) {
+    if (this.solverSearch) this.solverSearch.undo.push(undo);
+  }
+
+  /**
+   * Helper: Undo card instruction effects until `length` are left (solve mode)
+   */
+  undoTo(length) {
+    const undo = this.solverSearch.undo;
+    while (undo.length > length) undo.pop()();
+  }
+
   /**
    * Helper: Count cards matching criteria
+   * @param {string[]|string|Object|null} required - Tag array (ANY), expression string or parsed expression
    */
-  countMatchingCards(deck, requiredTags, requiredPolarity) {
+  countMatchingCards(deck, required, requiredPolarity, requiredHabitats = null) {
     if (!deck || !Array.isArray(deck)) {
       return 0;
     }
     
+    const requirement = this.toRequirement(required);
+
     // If no constraints at all, return full deck count
-    if ((!requiredTags || requiredTags.length === 0) && !requiredPolarity) {
+    if (!requirement && !requiredPolarity && !(requiredHabitats && requiredHabitats.length > 0)) {
       return deck.length;
     }
     
     return deck.filter(card => {
       // Check tag match
-      const tagMatch = !requiredTags || requiredTags.length === 0 || (() => {
-        const cardTags = this.getDrawTags(card);
-        return requiredTags.some(req => cardTags.includes(req));
-      })();
+      const tagMatch = TAG_EXPRESSION.evaluate(requirement, this.getDrawTags(card));
       
       // Check Polarity match (undefined/null requiredPolarity means accept any)
       const polarityMatch = !requiredPolarity || (card.Polarity === requiredPolarity);
       
-      return tagMatch && polarityMatch;
+      return tagMatch && polarityMatch && this.matchesHabitat(card, requiredHabitats);
     }).length;
   }
 
+  /**
+   * Helper: Resolve a draw's habitat list (names and references such as $Location.Habitat).
+   * References that find no Habitat leave the draw without a habitat constraint, with a warning
+   */
+  resolveHabitats(habitat) {
+    const habitats = this.resolveTags(habitat);
+    if (habitats.length === 0 && (habitat || []).some(entry => TAG_EXPRESSION.isReference(entry))) {
+      this.log(`⚠️ ${habitat.join(', ')} resolved to no habitats - drawing without a habitat constraint`, null, false, 'warning');
+    }
+    return habitats;
+  }
+
+  /**
+   * Helper: Whether a card fits one of the habitats a draw asks for (null/empty = no constraint).
+   * Cards without a Habitat, or with "Any", fit every habitat, and so does a request for "Any"
+   */
+  matchesHabitat(card, habitats) {
+    if (!habitats || habitats.length === 0 || habitats.includes('Any')) return true;
+    const own = card.Habitat || [];
+    return own.length === 0 || own.includes('Any') || own.some(habitat => habitats.includes(habitat));
+  }
+
   /**
    * Process a single draw instruction
    * Supports drawing multiple cards if count > 1
    */
-  processDrawInstruction(instruction) {
-    const { action, deck: deckName, count, tags, label, polarity } = instruction;
+  processDrawInstruction(instruction, componentLabel) {
+    return this.runSteps(this.processDrawInstructionSteps(instruction, componentLabel));
+  }
+
+  /**
+   * Generator version of processDrawInstruction - yields a step when the match pool is known
+   * and after every draw attempt; returns the drawn card(s) or null.
+   * componentLabel is the label the result is stored under (defaults to the instruction's label)
+   */
+  *processDrawInstructionSteps(instruction, componentLabel) {
+    const { action, deck: deckName, count, label, tagExpression } = instruction;
+    const slotLabel = componentLabel || label || deckName;
+
+    // Resolve references to earlier components ($QuestGiver.TypeTags, opposite($QuestGiver.Polarity), ...)
+    let tags;
+    let polarity;
+    let habitats;
+    try {
+      tags = this.resolveTags(instruction.tags);
+      polarity = this.resolvePolarity(instruction.polarity);
+      habitats = this.resolveHabitats(instruction.habitat);
+    } catch (error) {
+      this.log(`ERROR: ${error.message}`, { label, tags: instruction.tags, polarity: instruction.polarity, habitat: instruction.habitat }, false, 'error');
+      return null;
+    }
 
     if (action === 'addToken') {
       // Add pending instruction for future deck
-      this.pendingInstructions.push({
-        source: 'DrawInstruction',
-        targetDeck: deckName,
-        tags: tags || []
-      });
+      const entry = this.createPendingInstruction('DrawInstruction', { targetDeck: deckName, tags: tags || [], expression: tagExpression || null }, instruction);
+      const semantics = this.describePendingSemantics(entry);
       this.log(
-        `→ AddToken Instruction: Add [${(tags || []).join(', ')}] to ${deckName}`,
-        { targetDeck: deckName, tags: tags },
+        `→ AddToken Instruction: Add [${(tags || []).join(', ')}]${tagExpression ? ` requiring (${tagExpression})` : ''} to ${deckName}${semantics ? ` (${semantics})` : ''}`,
+        { targetDeck: deckName, tags: tags, expression: tagExpression || null },
         true
       );
+      this.addPendingInstruction(entry);
       return null;
     }
 
@@ -404,31 +932,72 @@ class QuestEngine {
         return null;
       }
 
-      // Merge instruction tags with any pending tags for this deck
-      const pendingTags = this.getMatchingRequirement(deckName);
-      const allTags = [...new Set([...(tags || []), ...pendingTags])];
+      // Merge instruction tags with any pending tags for this deck (ANY of them),
+      // and require every tag expression (instruction and pending) to hold
+      const pending = this.getMatchingRequirement(deckName);
+      const extra = this.getExtraDraws(slotLabel);
+      const pendingBefore = this.pendingInstructions;
+      const allTags = [...new Set([...(tags || []), ...pending.tags])];
+      let requirement;
+      try {
+        requirement = this.buildRequirement(allTags, [tagExpression, ...pending.expressions], pending.forbidden);
+      } catch (error) {
+        this.log(`ERROR: Invalid tag expression for ${deckName}: ${error.message}`, { tagExpression, pending: pending.expressions }, false, 'error');
+        return null;
+      }
+      const ownPolarity = polarity;
+      if (pending.polarity) polarity = pending.polarity;
+      const drawCount = (count || 1) + extra.count;
+      if (this.stepContext) {
+        this.stepContext.resolved = { tags, polarity, habitats, tagExpression: tagExpression ? TAG_EXPRESSION.toString(this.buildRequirement([], [tagExpression])) : null };
+      }
+      const requirementText = TAG_EXPRESSION.toString(requirement);
 
       this.log(`=== Drawing from ${deckName} (label: ${label || 'unlabeled'}) ===`);
+      if (pending.entries.length > 0) {
+        this.log(`Pending instructions for ${deckName}: ${pending.entries.map(entry => {
+          const semantics = this.describePendingSemantics(entry);
+          return `${entry.source} → ${this.describePendingInstruction(entry)}${semantics ? ` (${semantics})` : ''}`;
+        }).join(', ')}`);
+      }
+      if (polarity !== ownPolarity) {
+        this.log(`Polarity forced to ${polarity} by a pending instruction${ownPolarity ? ` (instead of ${ownPolarity})` : ''}`);
+      }
+      if (extra.count > 0) {
+        this.log(`${extra.count} extra card${extra.count === 1 ? '' : 's'} for ${slotLabel} (from ${extra.entries.map(entry => entry.source).join(', ')})`);
+      }
       
       // Log Polarity constraint if present
       if (polarity) {
         this.log(`Polarity constraint: ${polarity}`);
       }
+      if (habitats.length > 0) {
+        this.log(`Habitat constraint: ${habitats.join(' or ')}`);
+      }
       
-      const matchCount = this.countMatchingCards(deck, allTags, polarity);
+      const matchCount = this.countMatchingCards(deck, requirement, polarity, habitats);
       const totalCount = deck.length;
       const percentage = totalCount > 0 ? ((matchCount / totalCount) * 100).toFixed(1) : '0.0';
 
-      if (allTags.length > 0 || polarity) {
+      if (requirement || polarity || habitats.length > 0) {
         const constraints = [];
-        if (allTags.length > 0) constraints.push(`tags: [${allTags.join(', ')}]`);
+        if (requirement) constraints.push(`tags: ${requirementText}`);
         if (polarity) constraints.push(`polarity: ${polarity}`);
+        if (habitats.length > 0) constraints.push(`habitat: ${habitats.join(' or ')}`);
         this.log(`Looking for ${deckName} with ${constraints.join(', ')}`);
       } else {
         this.log(`Drawing from ${deckName} (no constraints)`);
       }
       
       this.log(`Match pool: ${matchCount}/${totalCount} (${percentage}%)`);
+      if (this.validator) {
+        this.validator.trackMatchPool(this.quest.template, slotLabel, deckName, matchCount, totalCount, drawCount);
+      }
+
+      if (this.stepContext) {
+        Object.assign(this.stepContext, { deckName, requirement, polarity: polarity || null, habitats });
+      }
+      yield this.snapshot('instruction', `Drawing ${drawCount} from ${deckName} (label: ${label || 'unlabeled'})`);
       
       // Track poor match pools
       if (parseFloat(percentage) < 40 && matchCount > 0) {
@@ -436,13 +1005,14 @@ class QuestEngine {
       }
 
       // Check for zero match pool
-      if ((allTags.length > 0 || polarity) && matchCount === 0) {
+      if ((requirement || polarity || habitats.length > 0) && matchCount === 0) {
         const constraints = [];
-        if (allTags.length > 0) constraints.push(`tags [${allTags.join(', ')}]`);
+        if (requirement) constraints.push(`tags ${requirementText}`);
         if (polarity) constraints.push(`polarity ${polarity}`);
+        if (habitats.length > 0) constraints.push(`habitat ${habitats.join(' or ')}`);
         this.log(
           `❌ FATAL ERROR: Zero match pool for ${deckName}! No cards match ${constraints.join(' and ')}.`,
-          { step: deckName, requiredTags: allTags, requiredPolarity: polarity, deckSize: totalCount },
+          { step: deckName, requirement: requirementText, requiredPolarity: polarity, deckSize: totalCount },
           false,
           'error'
         );
@@ -451,10 +1021,9 @@ class QuestEngine {
 
       // Draw the specified number of cards
       const drawnCards = [];
-      const drawCount = count || 1;
       
       for (let i = 0; i < drawCount; i++) {
-        const card = this.drawWithFallback(deck, allTags, deckName, label || deckName, polarity);
+        const card = yield* this.drawWithFallbackSteps(deck, requirement, deckName, slotLabel, polarity, habitats);
         
         if (!card) {
           this.log(`ERROR: Failed to draw card ${i + 1}/${drawCount} from ${deckName}`);
@@ -470,7 +1039,9 @@ class QuestEngine {
         
         // Store card's instructions
         this.storePendingInstruction(card);
+        yield* this.applyInstructionActionsSteps(card);
       }
+      this.settlePendingInstructions([...pending.entries, ...extra.entries], pendingBefore);
 
       return drawnCards.length === 1 ? drawnCards[0] : drawnCards;
     }
@@ -483,6 +1054,16 @@ class QuestEngine {
    * Generate a complete quest using instruction-driven approach
    */
   generateQuest(specificTemplate) {
+    return this.runSteps(this.generateQuestSteps(specificTemplate));
+  }
+
+  /**
+   * Generator version of generateQuest - yields a snapshot after the template is chosen,
+   * at the start of each DrawInstruction, when a branch is picked, after every draw attempt
+   * and when the quest is done.
+   * Returns the quest (or null on failure)
+   */
+  *generateQuestSteps(specificTemplate) {
     this.reset();
     
     this.log('=== QUEST GENERATION STARTED ===');
@@ -491,7 +1072,12 @@ class QuestEngine {
     this.log('Generation Settings:');
     this.log(`  • Debug Mode: ${this.debugMode ? 'ON' : 'OFF'}`);
     this.log(`  • Max Redraws: ${this.maxRedraws === -1 ? '∞ (Draw until match)' : this.maxRedraws}`);
+    if (this.generationMode === 'solve') {
+      this.log(`  • Generation Mode: Solve (backtracking, fallback ${this.solverFallback ? 'ON' : 'OFF'})`);
+    }
     this.log(`  • Step-Through Mode: ${this.stepThroughMode ? 'ON' : 'OFF'}`);
+    this.log(`  • Seed: ${this.seed}`);
+    this.log(`  • Card Data Revision: ${this.dataRevision || 'unknown'}`);
     if (specificTemplate) {
       this.log(`  • Template: "${specificTemplate.CardName}" (User-selected)`);
     } else {
@@ -527,6 +1113,7 @@ class QuestEngine {
     this.log(`=== Quest Template: "${template.CardName}" ===`);
     this.log(`Reward: ${this.quest.rewardText}`);
     this.log(`Consequence: ${this.quest.consequenceText}`);
+    yield this.snapshot('template', `Quest template: "${template.CardName}"`);
 
     // Step 2: Process DrawInstructions in order
     if (!template.DrawInstructions || !Array.isArray(template.DrawInstructions)) {
@@ -534,50 +1121,758 @@ class QuestEngine {
       return null;
     }
 
-    for (let i = 0; i < template.DrawInstructions.length; i++) {
-      const instruction = template.DrawInstructions[i];
+    const completed = this.generationMode === 'solve'
+      ? yield* this.solveQuestSteps(template.DrawInstructions)
+      : yield* this.processInstructionListSteps(template.DrawInstructions);
+    if (!completed) {
+      return null;
+    }
+    this.stepContext = null;
+
+    this.log('\n=== QUEST GENERATION COMPLETE ===');
+    this.log(`Total draw attempts: ${this.stats.drawAttempts}`);
+    this.log(`Fallbacks triggered: ${this.stats.fallbacksTriggered}`);
+    this.log(`Poor match pools (<40%): ${this.stats.poorMatchPools}`);
+    this.log(`Modify effects applied: ${this.stats.modifyEffectsApplied}`);
+    if (this.quest.solver) {
+      this.log(`Solver backtracks: ${this.stats.backtracks}`);
+    }
+
+    this.quest.code = QuestEngine.encodeQuestCode({
+      seed: this.seed,
+      template: specificTemplate ? specificTemplate.CardName : null,
+      maxRedraws: this.maxRedraws,
+      dataRevision: this.dataRevision,
+      mode: this.generationMode,
+      solverFallback: this.solverFallback
+    });
+    this.log(`Seed: ${this.seed} | Quest code: ${this.quest.code}`);
+
+    return this.quest;
+  }
+
+  /**
+   * Process a list of DrawInstructions in order - the template's, or the branch an
+   * if/chance/choose instruction picked. Returns false if an instruction failed
+   * @param {Array} instructions - DrawInstructions to process
+   * @param {string} path - Where the list sits in the template (e.g. "3 › then"), '' for the top level
+   */
+  *processInstructionListSteps(instructions, path = '') {
+    for (let i = 0; i < instructions.length; i++) {
+      const instruction = instructions[i];
+      const position = path ? `${path} › ${i + 1}` : `${i + 1}`;
       this.log(''); // Empty line for readability
-      this.log(`--- Processing Instruction ${i + 1}/${template.DrawInstructions.length} ---`);
-      
-      const result = this.processDrawInstruction(instruction);
+      this.log(`--- Processing Instruction ${position}/${instructions.length} ---`);
+
+      this.stepContext = {
+        instructionIndex: i,
+        instructionCount: instructions.length,
+        instructionPath: position,
+        instruction: { ...instruction },
+        deckName: instruction.deck,
+        requirement: null,
+        polarity: instruction.polarity || null,
+        rejections: []
+      };
+
+      // Branches: pick one, then process its instructions in place
+      if (QuestEngine.BRANCH_ACTIONS.includes(instruction.action)) {
+        let branch;
+        try {
+          branch = this.chooseBranch(instruction);
+        } catch (error) {
+          this.log(`ERROR: ${error.message}`, { action: instruction.action }, false, 'error');
+          this.log('ERROR: Instruction processing failed, aborting quest generation');
+          return false;
+        }
+        this.log(`↳ Branch: ${branch.description}`, null, false, 'branch');
+        this.quest.branches.push({ path: position, action: instruction.action, taken: branch.name, description: branch.description });
+        yield this.snapshot('branch', `Instruction ${position}: ${branch.description}`);
+
+        const completed = yield* this.processInstructionListSteps(branch.instructions, `${position} › ${branch.name}`);
+        if (!completed) return false;
+        continue;
+      }
+
+      const label = instruction.label || (path ? `component_${position.split(' › ').join('_')}` : `component_${i}`);
+      if (instruction.action === 'subQuest') {
+        const completed = yield* this.processSubQuestSteps(instruction, label, position);
+        if (!completed) return false;
+        continue;
+      }
+
+      const result = yield* this.processDrawInstructionSteps(instruction, label);
       
       // Only store if it's a draw action (addToken actions return null)
       if (instruction.action === 'draw') {
         if (!result) {
           this.log('ERROR: Instruction processing failed, aborting quest generation');
-          return null;
+          return false;
         }
         
-        const label = instruction.label || `component_${i}`;
-        
-        // Store instruction metadata (prefix, suffix, deck, count, tags, faceDown, polarity)
-        this.quest.instructions[label] = {
-          prefix: instruction.prefix || '',
-          suffix: instruction.suffix || '',
-          deck: instruction.deck || '',
-          count: instruction.count || 1,
-          tags: instruction.tags || [],
-          label: label,
-          faceDown: instruction.faceDown || false,
-          polarity: instruction.polarity || null
-        };
-        
-        // If multiple cards drawn, store as array
-        if (Array.isArray(result)) {
-          this.quest.components[label] = result;
-        } else {
-          this.quest.components[label] = result;
-        }
+        this.storeComponent(instruction, label, result);
       }
+      yield this.snapshot('instruction-complete', instruction.action === 'draw'
+        ? `Instruction ${position} complete: ${label}`
+        : `Instruction ${position} complete: token added to ${instruction.deck}`);
     }
+    return true;
+  }
 
-    this.log('\n=== QUEST GENERATION COMPLETE ===');
-    this.log(`Total draw attempts: ${this.stats.drawAttempts}`);
-    this.log(`Fallbacks triggered: ${this.stats.fallbacksTriggered}`);
-    this.log(`Poor match pools (<40%): ${this.stats.poorMatchPools}`);
-    this.log(`Modify effects applied: ${this.stats.modifyEffectsApplied}`);
+  /**
+   * Generate a sub-quest (subQuest instruction) from the template it names or draws, then return to
+   * the current quest. Returns false if the template couldn't be chosen or the sub-quest failed
+   */
+  *processSubQuestSteps(instruction, label, position) {
+    let template;
+    try {
+      template = this.chooseSubQuestTemplate(instruction);
+    } catch (error) {
+      this.log(`ERROR: ${error.message}`, { action: instruction.action }, false, 'error');
+      this.log('ERROR: Instruction processing failed, aborting quest generation');
+      return false;
+    }
 
-    return this.quest;
+    const saved = this.beginSubQuest(template, label);
+    this.log(`=== Sub-quest ${label}: "${template.CardName}" (depth ${this.questStack.length}) ===`);
+    yield this.snapshot('subquest', `Instruction ${position}: sub-quest ${label} - "${template.CardName}"`);
+    const completed = yield* this.processInstructionListSteps(template.DrawInstructions, `${position} › ${template.CardName}`);
+    this.endSubQuest(saved);
+    if (!completed) return false;
+
+    this.log(`=== Sub-quest ${label} complete, back to "${this.quest.template.CardName}" ===`);
+    yield this.snapshot('instruction-complete', `Instruction ${position} complete: sub-quest ${label}`);
+    return true;
+  }
+
+  /**
+   * Helper: The templates a subQuest instruction may use, best first. It names one
+   * ({ action: 'subQuest', label, template: 'Rescue' }) or draws one from the QuestTemplate deck
+   * that meets its tags / tagExpression / polarity and isn't already running (top of the deck first)
+   * @returns {Object} { templates, drawn, deck, available, requirement, polarity } - available = every
+   *   template that could be drawn, whatever its tags
+   * @throws {Error} If sub-quests are nested maxSubQuestDepth deep, or the named template doesn't exist
+   */
+  getSubQuestTemplates(instruction) {
+    if (this.questStack.length >= this.maxSubQuestDepth) {
+      throw new Error(`Sub-quests can only be nested ${this.maxSubQuestDepth} deep ("${this.quest.template.CardName}" is at depth ${this.questStack.length})`);
+    }
+    const deck = this.getDeckByName('QuestTemplate') || [];
+    // By name: a user-selected template is a copy of the one in the deck
+    const running = [...this.questStack.map(quest => quest.template), this.quest.template];
+    const isRunning = card => running.some(template => template.CardName === card.CardName);
+
+    if (instruction.template) {
+      // A template this quest has drawn has left the deck, so look for it among the quest's too
+      const root = this.questStack.length > 0 ? this.questStack[0] : this.quest;
+      const used = [];
+      const collect = quest => {
+        used.push(quest.template);
+        Object.values(quest.subQuests).forEach(collect);
+      };
+      collect(root);
+      const template = [...deck, ...used].find(card => card.CardName === instruction.template);
+      if (!template || !Array.isArray(template.DrawInstructions)) {
+        throw new Error(`Sub-quest template "${instruction.template}" ${template ? 'has no DrawInstructions' : 'not found'}`);
+      }
+      return { templates: [template], drawn: false, deck, available: [template], requirement: null, polarity: null };
+    }
+
+    const available = deck.filter(card => !isRunning(card) && Array.isArray(card.DrawInstructions));
+    const requirement = this.buildRequirement(this.resolveTags(instruction.tags), [instruction.tagExpression]);
+    const polarity = this.resolvePolarity(instruction.polarity);
+    const templates = available.filter(card => this.cardMeetsConstraints(card, requirement, polarity));
+    return { templates, drawn: true, deck, available, requirement, polarity };
+  }
+
+  /**
+   * Helper: Pick a subQuest instruction's template (draw mode). A drawn template leaves the deck;
+   * when none meets the constraints the top available one is used (fallback)
+   * @throws {Error} As getSubQuestTemplates, or if there is no template left to draw
+   */
+  chooseSubQuestTemplate(instruction) {
+    const options = this.getSubQuestTemplates(instruction);
+    let template = options.templates[0];
+    if (options.drawn) {
+      if (!template) {
+        template = options.available[0];
+        if (!template) throw new Error('No quest templates left to draw a sub-quest from');
+        this.stats.fallbacksTriggered++;
+        this.log(`⚠️ FALLBACK: no quest template meets ${this.describeConstraints(options.requirement, options.polarity)} - using "${template.CardName}"`, null, false, 'warning');
+      }
+      options.deck.splice(options.deck.indexOf(template), 1);
+    }
+    return template;
+  }
+
+  /**
+   * Helper: Make a sub-quest of the current quest the one being generated. It has its own labels,
+   * branches and pending instructions but draws from the same decks
+   * @returns {Object} What endSubQuest needs to return to the current quest
+   */
+  beginSubQuest(template, label) {
+    const parent = this.quest;
+    parent.subQuests[label] = {
+      template,
+      label,
+      depth: this.questStack.length + 1,
+      components: {},
+      instructions: {},
+      rewardText: template.RewardText || 'No reward specified',
+      consequenceText: template.ConsequenceText || 'No consequence specified',
+      modifications: [],
+      branches: [],
+      subQuests: {}
+    };
+    const saved = { parent, label, pending: this.pendingInstructions };
+    this.questStack.push(parent);
+    this.quest = parent.subQuests[label];
+    this.pendingInstructions = [];
+    return saved;
+  }
+
+  /**
+   * Helper: Return from a sub-quest to the quest that started it (the sub-quest stays in its subQuests)
+   */
+  endSubQuest(saved) {
+    this.questStack.pop();
+    this.quest = saved.parent;
+    this.pendingInstructions = saved.pending;
+  }
+
+  /**
+   * Store a drawn component under its label, with its instruction metadata (prefix, suffix, deck,
+   * count, tags, faceDown, polarity) - references replaced by what they resolved to
+   */
+  storeComponent(instruction, label, result) {
+    const resolved = this.stepContext.resolved || {};
+    this.quest.instructions[label] = {
+      prefix: instruction.prefix || '',
+      suffix: instruction.suffix || '',
+      deck: instruction.deck || '',
+      count: Array.isArray(result) ? result.length : 1, // Includes extra cards from extraDraw instructions
+      tags: resolved.tags || instruction.tags || [],
+      tagExpression: resolved.tagExpression || instruction.tagExpression || null,
+      label: label,
+      faceDown: instruction.faceDown || false,
+      polarity: 'polarity' in resolved ? resolved.polarity : instruction.polarity || null,
+      habitats: resolved.habitats || instruction.habitat || []
+    };
+
+    // If multiple cards drawn, store as array
+    this.quest.components[label] = result;
+  }
+
+  /**
+   * Pick the branch of an if / chance / choose instruction:
+   *   { action: 'if', condition: { label, tagExpression, polarity }, then: [...], else: [...] }
+   *   { action: 'chance', chance: 30, then: [...], else: [...] }   (chance in percent)
+   *   { action: 'choose', options: [{ name, weight, instructions: [...] }, ...] }
+   * @returns {{name: string, instructions: Array, description: string}}
+   * @throws {Error} If the condition can't be checked or there is nothing to choose from
+   */
+  chooseBranch(instruction) {
+    if (instruction.action === 'if') {
+      const met = this.evaluateCondition(instruction.condition);
+      const name = met ? 'then' : 'else';
+      return {
+        name,
+        instructions: instruction[name] || [],
+        description: `if ${this.describeCondition(instruction.condition)} → ${met ? 'yes' : 'no'}, taking "${name}"`
+      };
+    }
+
+    if (instruction.action === 'chance') {
+      const chance = Number(instruction.chance);
+      if (!Number.isFinite(chance)) {
+        throw new Error(`chance must be a percentage (got "${instruction.chance}")`);
+      }
+      const roll = this.random.next() * 100;
+      const name = roll < chance ? 'then' : 'else';
+      return {
+        name,
+        instructions: instruction[name] || [],
+        description: `${chance}% chance → rolled ${roll.toFixed(1)}, taking "${name}"`
+      };
+    }
+
+    const options = (instruction.options || []).filter(option => option && (option.weight === undefined || option.weight > 0));
+    if (options.length === 0) {
+      throw new Error('choose has no options to pick from');
+    }
+    const weights = options.map(option => option.weight === undefined ? 1 : Number(option.weight));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let roll = this.random.next() * total;
+    let index = 0;
+    while (index < options.length - 1 && roll >= weights[index]) {
+      roll -= weights[index];
+      index++;
+    }
+    const option = options[index];
+    const name = option.name || `option ${(instruction.options || []).indexOf(option) + 1}`;
+    return {
+      name,
+      instructions: option.instructions || [],
+      description: `choose one of ${options.length} → "${name}" (weight ${weights[index]}/${total})`
+    };
+  }
+
+  /**
+   * Helper: Whether a drawn component meets an `if` condition ({ label, tagExpression, polarity }).
+   * The tag expression is checked against all current tags (any card of a multi-card draw may match)
+   * @throws {Error} If the label hasn't been drawn yet or the expression doesn't parse
+   */
+  evaluateCondition(condition) {
+    if (!condition || !condition.label) {
+      throw new Error('if needs a condition with a label (e.g. { label: "Location", tagExpression: "Wilderness" })');
+    }
+    const component = this.quest ? this.quest.components[condition.label] : null;
+    if (!component) {
+      throw new Error(`$${condition.label} has not been drawn yet (conditions must name an earlier draw label)`);
+    }
+
+    const expression = condition.tagExpression ? this.buildRequirement([], [condition.tagExpression]) : null;
+    const polarity = this.resolvePolarity(condition.polarity);
+    const cards = Array.isArray(component) ? component : [component];
+    return cards.some(card =>
+      (!expression || TAG_EXPRESSION.evaluate(expression, this.getCurrentTags(card))) &&
+      (!polarity || card.Polarity === polarity)
+    );
+  }
+
+  /**
+   * Helper: Readable form of an `if` condition, e.g. "Location has (Wilderness)"
+   */
+  describeCondition(condition) {
+    if (!condition) return '(no condition)';
+    const parts = [];
+    if (condition.tagExpression) parts.push(`has (${condition.tagExpression})`);
+    if (condition.polarity) parts.push(`is ${condition.polarity}`);
+    return `${condition.label} ${parts.join(' and ') || 'was drawn'}`;
+  }
+
+  /**
+   * Solve mode: search for a quest in which every draw meets its constraints, backtracking over
+   * earlier draws, the pending instructions they added and chance/choose branches instead of
+   * using the fallback rule. Candidates are tried in deck order, so the seed still decides the quest.
+   * When there is none, the conflicts (constraints that ran out of cards) are logged and stored
+   * in quest.solver; the draw rule is then used only if solverFallback is on.
+   * Returns false if no quest was generated
+   */
+  *solveQuestSteps(instructions) {
+    const search = {
+      candidatesTried: 0,
+      backtracks: 0,
+      limitReached: false,
+      deadEnd: false, // Set when a constraint fails whatever was drawn before it
+      conflicts: new Map(), // instruction path -> conflict
+      taken: [], // { deck, card } for every card currently drawn by the search
+      undo: [], // Undo functions for card instruction effects (see recordUndo)
+      decksChanged: false // Set once a discard or swap instruction has changed a deck
+    };
+    this.solverSearch = search;
+    this.log('Solver: searching for a quest that meets every constraint');
+
+    const solved = yield* this.solveAgendaSteps([{ instructions, index: 0, path: '' }]);
+    this.solverSearch = null;
+    const conflicts = [...search.conflicts.values()].sort((a, b) => b.count - a.count);
+    this.quest.solver = {
+      satisfiable: solved,
+      candidatesTried: search.candidatesTried,
+      backtracks: search.backtracks,
+      limitReached: !solved && search.limitReached,
+      conflicts,
+      usedFallback: false
+    };
+
+    if (solved) {
+      this.log(`✓ Solver: consistent quest found after trying ${search.candidatesTried} card(s) (${search.backtracks} backtrack(s))`);
+      return true;
+    }
+
+    if (search.limitReached) {
+      this.log(`❌ Solver gave up after trying ${search.candidatesTried} cards (limit ${this.solverMaxCandidates}) without finding a consistent quest`, null, false, 'error');
+    } else {
+      this.log(`❌ Template "${this.quest.template.CardName}" is unsatisfiable - no combination of cards meets every constraint`, null, false, 'error');
+    }
+    conflicts.slice(0, 5).forEach(conflict => {
+      this.log(
+        `  • Instruction ${conflict.path}${conflict.label ? ` (${conflict.label})` : ''}: ${conflict.reason}${conflict.impossible ? ' - whatever is drawn before it' : ` (${conflict.count}×)`}`,
+        conflict, false, 'error'
+      );
+    });
+
+    if (!this.solverFallback) {
+      this.log('No quest generated (turn on the solver fallback to accept cards that break the constraints)');
+      return false;
+    }
+    this.log('Solver fallback: generating with the redraw/fallback rule instead', null, false, 'warning');
+    this.quest.solver.usedFallback = true;
+    return yield* this.processInstructionListSteps(instructions);
+  }
+
+  /**
+   * Solve the remaining instructions. The agenda is a stack of instruction lists still to process
+   * ({ instructions, index, path }) - a branch pushes its list on top of the one it sits in.
+   * Everything an instruction changes is undone before returning false
+   */
+  *solveAgendaSteps(agenda) {
+    if (agenda.length === 0) return true;
+
+    const frame = agenda[agenda.length - 1];
+    if (frame.index >= frame.instructions.length) {
+      if (!frame.subQuest) return yield* this.solveAgendaSteps(agenda.slice(0, -1));
+
+      // A sub-quest's instructions are done: carry on with the quest that started it
+      const subQuest = this.quest;
+      const subPending = this.pendingInstructions;
+      this.endSubQuest(frame.subQuest);
+      if (yield* this.solveAgendaSteps(agenda.slice(0, -1))) return true;
+      this.questStack.push(frame.subQuest.parent);
+      this.quest = subQuest;
+      this.pendingInstructions = subPending;
+      return false;
+    }
+
+    const search = this.solverSearch;
+    const i = frame.index;
+    const instruction = frame.instructions[i];
+    const position = frame.path ? `${frame.path} › ${i + 1}` : `${i + 1}`;
+    const rest = [...agenda.slice(0, -1), { ...frame, index: i + 1 }];
+    const context = {
+      instructionIndex: i,
+      instructionCount: frame.instructions.length,
+      instructionPath: position,
+      instruction: { ...instruction },
+      deckName: instruction.deck,
+      requirement: null,
+      polarity: instruction.polarity || null,
+      rejections: []
+    };
+    this.stepContext = context;
+    this.log(`--- Solving Instruction ${position}/${frame.instructions.length} ---`, null, true);
+
+    // Branches: the rolled branch first, then (for chance/choose) the others
+    if (QuestEngine.BRANCH_ACTIONS.includes(instruction.action)) {
+      let branches;
+      try {
+        branches = this.branchAlternatives(instruction);
+      } catch (error) {
+        this.recordConflict({ position, label: null, deckName: null }, error.message);
+        return false;
+      }
+
+      for (const branch of branches) {
+        this.stepContext = context;
+        this.log(`↳ Branch: ${branch.description}`, null, false, 'branch');
+        this.quest.branches.push({ path: position, action: instruction.action, taken: branch.name, description: branch.description });
+        yield this.snapshot('branch', `Instruction ${position}: ${branch.description}`);
+
+        const solved = yield* this.solveAgendaSteps([...rest, { instructions: branch.instructions, index: 0, path: `${position} › ${branch.name}` }]);
+        if (solved) return true;
+        this.quest.branches.pop();
+        search.deadEnd = false; // A constraint that can never hold only rules out this branch
+        if (search.limitReached) return false;
+      }
+      return false;
+    }
+
+    if (instruction.action === 'addToken') {
+      let tags;
+      try {
+        tags = this.resolveTags(instruction.tags);
+      } catch (error) {
+        this.recordConflict({ position, label: null, deckName: instruction.deck }, error.message);
+        return false;
+      }
+      const pendingBefore = this.pendingInstructions;
+      this.log(`→ AddToken Instruction: Add [${tags.join(', ')}] to ${instruction.deck}`, null, true);
+      this.addPendingInstruction(this.createPendingInstruction('DrawInstruction', { targetDeck: instruction.deck, tags, expression: instruction.tagExpression || null }, instruction));
+      yield this.snapshot('instruction-complete', `Instruction ${position} complete: token added to ${instruction.deck}`);
+
+      if (yield* this.solveAgendaSteps(rest)) return true;
+      this.pendingInstructions = pendingBefore;
+      return false;
+    }
+
+    const label = instruction.label || (frame.path ? `component_${position.split(' › ').join('_')}` : `component_${i}`);
+    if (instruction.action === 'subQuest') {
+      return yield* this.solveSubQuestSteps(instruction, label, position, rest);
+    }
+
+    const deck = this.getDeckByName(instruction.deck);
+    if (instruction.action !== 'draw' || !deck) {
+      this.recordConflict({ position, label, deckName: instruction.deck },
+        instruction.action !== 'draw' ? `Unknown instruction action "${instruction.action}"` : `Deck "${instruction.deck}" not found`, true);
+      search.deadEnd = true;
+      return false;
+    }
+
+    let constraints;
+    try {
+      constraints = this.resolveDrawConstraints(instruction);
+    } catch (error) {
+      this.recordConflict({ position, label, deckName: instruction.deck }, error.message);
+      return false;
+    }
+    const { tags, polarity, habitats, requirement, pending } = constraints;
+    const extra = this.getExtraDraws(label);
+    context.resolved = {
+      tags,
+      polarity,
+      habitats,
+      tagExpression: instruction.tagExpression ? TAG_EXPRESSION.toString(this.buildRequirement([], [instruction.tagExpression])) : null
+    };
+    Object.assign(context, { deckName: instruction.deck, requirement, polarity: polarity || null, habitats });
+
+    const draw = {
+      instruction,
+      label,
+      position,
+      deck,
+      deckName: instruction.deck,
+      requirement,
+      polarity,
+      habitats,
+      pending,
+      used: [...pending.entries, ...extra.entries],
+      pendingBefore: this.pendingInstructions,
+      count: (instruction.count || 1) + extra.count,
+      candidates: deck.filter(card => this.cardMeetsConstraints(card, requirement, polarity, habitats)),
+      context,
+      rest
+    };
+    this.log(`Solver: ${draw.candidates.length}/${deck.length} ${draw.deckName} card(s) meet ${this.describeConstraints(requirement, polarity, habitats)} (label: ${label})`, null, true);
+    if (this.validator) {
+      this.validator.trackMatchPool(this.quest.template, label, draw.deckName, draw.candidates.length, deck.length, draw.count);
+    }
+    yield this.snapshot('instruction', `Solving ${draw.count} from ${draw.deckName} (label: ${label}): ${draw.candidates.length} candidate(s)`);
+
+    if (draw.candidates.length < draw.count) {
+      const impossible = this.isDeadEnd(draw, pending);
+      this.recordConflict(draw, draw.candidates.length === 0
+        ? `no ${draw.deckName} card meets ${this.describeConstraints(requirement, polarity, habitats)}`
+        : `only ${draw.candidates.length} ${draw.deckName} card(s) meet ${this.describeConstraints(requirement, polarity, habitats)}, ${draw.count} needed`, impossible);
+      search.deadEnd = impossible;
+      return false;
+    }
+
+    return yield* this.solveDrawSteps(draw, 0, []);
+  }
+
+  /**
+   * Solve a subQuest instruction: its template's instructions are solved in place (a frame that
+   * returns to the current quest when done), then the rest. A drawn template is chosen like a
+   * chance/choose branch - the top matching one first, then the others
+   */
+  *solveSubQuestSteps(instruction, label, position, rest) {
+    const search = this.solverSearch;
+    let options;
+    try {
+      options = this.getSubQuestTemplates(instruction);
+    } catch (error) {
+      // Too deep, or a named template that doesn't exist: no card drawn before can change that
+      const impossible = Boolean(instruction.template) || this.questStack.length >= this.maxSubQuestDepth;
+      this.recordConflict({ position, label, deckName: 'QuestTemplate' }, error.message, impossible);
+      search.deadEnd = impossible;
+      return false;
+    }
+    if (options.templates.length === 0) {
+      this.recordConflict({ position, label, deckName: 'QuestTemplate' },
+        `no quest template meets ${this.describeConstraints(options.requirement, options.polarity)}`);
+      return false;
+    }
+
+    for (const template of options.templates) {
+      const deckIndex = options.drawn ? options.deck.indexOf(template) : -1;
+      if (deckIndex !== -1) options.deck.splice(deckIndex, 1);
+      const saved = this.beginSubQuest(template, label);
+      this.log(`Solver: sub-quest ${label} - "${template.CardName}" (depth ${this.questStack.length})`, null, true);
+      yield this.snapshot('subquest', `Instruction ${position}: sub-quest ${label} - "${template.CardName}"`);
+
+      const solved = yield* this.solveAgendaSteps([...rest, {
+        instructions: template.DrawInstructions,
+        index: 0,
+        path: `${position} › ${template.CardName}`,
+        subQuest: saved
+      }]);
+      if (solved) return true;
+
+      this.endSubQuest(saved);
+      delete saved.parent.subQuests[label];
+      if (deckIndex !== -1) options.deck.splice(deckIndex, 0, template);
+      search.deadEnd = false; // A constraint that can never hold only rules out this template
+      if (search.limitReached) return false;
+    }
+    return false;
+  }
+
+  /**
+   * Pick the remaining cards of a draw from its candidates (in deck order; cards are combined,
+   * not permuted, so a multi-card draw tries each set once), then solve the instructions after it
+   */
+  *solveDrawSteps(draw, start, drawn) {
+    const search = this.solverSearch;
+
+    if (drawn.length === draw.count) {
+      this.stepContext = draw.context;
+      const pendingDrawn = this.pendingInstructions;
+      this.storeComponent(draw.instruction, draw.label, drawn.length === 1 ? drawn[0] : drawn);
+      this.settlePendingInstructions(draw.used, draw.pendingBefore);
+      this.log(`${draw.label}: ${drawn.map(card => `"${card.CardName}"`).join(', ')}`, null, true);
+      yield this.snapshot('instruction-complete', `Instruction ${draw.position} complete: ${draw.label}`);
+
+      if (yield* this.solveAgendaSteps(draw.rest)) return true;
+      this.pendingInstructions = pendingDrawn;
+      delete this.quest.components[draw.label];
+      delete this.quest.instructions[draw.label];
+      return false;
+    }
+
+    const total = draw.candidates.length;
+    for (let c = start; c <= total - (draw.count - drawn.length); c++) {
+      if (search.limitReached || search.deadEnd) return false;
+      if (search.candidatesTried >= this.solverMaxCandidates) {
+        search.limitReached = true;
+        return false;
+      }
+
+      const card = draw.candidates[c];
+      // A swap by a card taken earlier in this draw may have drawn it already
+      const deckIndex = draw.deck.indexOf(card);
+      if (deckIndex === -1) continue;
+      search.candidatesTried++;
+      this.stats.drawAttempts++;
+      if (this.validator) {
+        this.validator.trackCardDraw(card);
+      }
+
+      // Take the card - undone below if nothing after it can be satisfied
+      const mutableTagCount = card.mutableTags.length;
+      const pendingBefore = this.pendingInstructions;
+      const undoCount = search.undo.length;
+      draw.deck.splice(deckIndex, 1);
+      search.taken.push({ deck: draw.deck, card });
+      this.applyModifyEffects(card);
+      this.storePendingInstruction(card);
+      yield* this.applyInstructionActionsSteps(card);
+
+      this.stepContext = draw.context;
+      this.log(`${draw.deckName} candidate ${c + 1}/${total}: trying "${card.CardName}"`, { card: card.CardName }, true);
+      yield this.snapshot('attempt', `${draw.deckName} candidate ${c + 1}/${total}: trying "${card.CardName}"`, {
+        attempt: { number: c + 1, card: this.summarizeCard(card), accepted: true, fallback: false, reasons: ['meets every constraint'] }
+      });
+
+      if (yield* this.solveDrawSteps(draw, c + 1, [...drawn, card])) return true;
+
+      search.taken.pop();
+      this.undoTo(undoCount);
+      this.pendingInstructions = pendingBefore;
+      card.mutableTags.length = mutableTagCount;
+      draw.deck.splice(deckIndex, 0, card);
+      search.backtracks++;
+      this.stats.backtracks++;
+
+      this.stepContext = draw.context;
+      draw.context.rejections.push({ card: card.CardName, reasons: ['later instructions could not be met'] });
+      this.log(`↩ Backtrack: "${card.CardName}" as ${draw.label} leads to a dead end`, null, true);
+      yield this.snapshot('backtrack', `Backtracking: "${card.CardName}" as ${draw.label} leads to a dead end`);
+    }
+    return false;
+  }
+
+  /**
+   * Helper: Resolve a draw instruction's constraints as processDrawInstructionSteps does:
+   * { tags, polarity, habitats, requirement, pending } (pending = getMatchingRequirement() for the
+   * deck; a polarity it forces replaces the instruction's)
+   * @throws {Error} If a reference can't be resolved or an expression doesn't parse
+   */
+  resolveDrawConstraints(instruction) {
+    const tags = this.resolveTags(instruction.tags);
+    const pending = this.getMatchingRequirement(instruction.deck);
+    const polarity = this.resolvePolarity(instruction.polarity);
+    const habitats = this.resolveHabitats(instruction.habitat);
+    const requirement = this.buildRequirement([...new Set([...tags, ...pending.tags])], [instruction.tagExpression, ...pending.expressions], pending.forbidden);
+    return { tags, polarity: pending.polarity || polarity, habitats, requirement, pending };
+  }
+
+  /**
+   * Helper: Whether a card meets a parsed requirement, polarity and habitats (null = no constraint)
+   */
+  cardMeetsConstraints(card, requirement, polarity, habitats = null) {
+    return TAG_EXPRESSION.evaluate(requirement, this.getDrawTags(card)) && (!polarity || card.Polarity === polarity) &&
+      this.matchesHabitat(card, habitats);
+  }
+
+  /**
+   * Helper: Readable form of a draw's constraints, e.g. "tags (Martial), polarity Shadow"
+   */
+  describeConstraints(requirement, polarity, habitats = null) {
+    const constraints = [];
+    if (requirement) constraints.push(`tags ${TAG_EXPRESSION.toString(requirement)}`);
+    if (polarity) constraints.push(`polarity ${polarity}`);
+    if (habitats && habitats.length > 0) constraints.push(`habitat ${habitats.join(' or ')}`);
+    return constraints.join(', ') || 'no constraints';
+  }
+
+  /**
+   * Helper: Whether a draw that ran out of candidates would fail whatever was drawn before it -
+   * it uses no references, no pending instruction targets its deck, no card has discarded or
+   * swapped cards and no earlier draw holds a card it could have used. The solver then stops backtracking (up to the enclosing branch)
+   */
+  isDeadEnd(draw, pending) {
+    const instruction = draw.instruction;
+    const expression = instruction.tagExpression ? TAG_EXPRESSION.parse(instruction.tagExpression) : null;
+    const usesReferences = [...(instruction.tags || []), ...(instruction.habitat || [])].some(tag => TAG_EXPRESSION.isReference(tag)) ||
+      TAG_EXPRESSION.isReference(instruction.polarity) ||
+      TAG_EXPRESSION.references(expression).length > 0;
+    if (usesReferences || pending.entries.length > 0 || this.solverSearch.decksChanged) return false;
+
+    const held = this.solverSearch.taken.filter(taken =>
+      taken.deck === draw.deck && this.cardMeetsConstraints(taken.card, draw.requirement, draw.polarity, draw.habitats));
+    return draw.candidates.length + held.length < draw.count;
+  }
+
+  /**
+   * Helper: Count a constraint the solver couldn't meet (reported when the template is unsatisfiable)
+   * @param {Object} at - Where: { position, label, deckName } (a draw has these)
+   */
+  recordConflict({ position, label, deckName }, reason, impossible = false) {
+    const conflicts = this.solverSearch.conflicts;
+    const conflict = conflicts.get(position) || { path: position, label, deck: deckName || null, reason, impossible, count: 0 };
+    conflict.count++;
+    conflict.reason = reason;
+    conflict.impossible = conflict.impossible || impossible;
+    conflicts.set(position, conflict);
+    this.log(`✗ Instruction ${position}: ${reason}`, null, true);
+  }
+
+  /**
+   * Branches the solver may take for an if / chance / choose instruction: the one chooseBranch
+   * rolled, then for chance/choose the others (an `if` only has the branch its condition picks)
+   */
+  branchAlternatives(instruction) {
+    const rolled = this.chooseBranch(instruction);
+    if (instruction.action === 'if') return [rolled];
+
+    if (instruction.action === 'chance') {
+      const other = rolled.name === 'then' ? 'else' : 'then';
+      return [rolled, {
+        name: other,
+        instructions: instruction[other] || [],
+        description: `${instruction.chance}% chance → "${rolled.name}" has no consistent quest, taking "${other}"`
+      }];
+    }
+
+    const others = (instruction.options || [])
+      .map((option, index) => ({ option, name: option && (option.name || `option ${index + 1}`) }))
+      .filter(({ option, name }) => option && (option.weight === undefined || option.weight > 0) && name !== rolled.name)
+      .map(({ option, name }) => ({
+        name,
+        instructions: option.instructions || [],
+        description: `choose → "${rolled.name}" has no consistent quest, trying "${name}"`
+      }));
+    return [rolled, ...others];
   }
 
   /**
@@ -627,8 +1922,220 @@ class QuestEngine {
 
     return summary;
   }
+
+  /**
+   * Run a step generator to completion and return its result
+   */
+  runSteps(steps) {
+    let next = steps.next();
+    while (!next.done) {
+      next = steps.next();
+    }
+    return next.value;
+  }
+
+  /**
+   * Short, copied description of a card for step snapshots
+   */
+  summarizeCard(card) {
+    if (!card) return null;
+    return {
+      name: card.CardName,
+      polarity: card.Polarity || null,
+      tags: this.getDrawTags(card)
+    };
+  }
+
+  /**
+   * Copy of the engine state at the current step (safe to keep after the run continues).
+   * Only built in step-through mode
+   * @param {string} kind - 'template', 'branch', 'subquest', 'instruction', 'attempt', 'backtrack', 'instruction-complete', 'complete' or 'failed'
+   * @param {string} message - What just happened
+   * @param {Object} extra - Additional fields (e.g. attempt)
+   */
+  snapshot(kind, message, extra = {}) {
+    // Normal generation and validation runs skip the copying
+    if (!this.stepThroughMode) return null;
+
+    const context = this.stepContext;
+    const deck = context ? this.getDeckByName(context.deckName) : null;
+    const matchPool = deck
+      ? this.getMatchingCards(deck, context.requirement).filter(card => !context.polarity || card.Polarity === context.polarity)
+      : [];
+
+    const components = {};
+    for (const [label, value] of Object.entries(this.quest ? this.quest.components : {})) {
+      components[label] = Array.isArray(value) ? value.map(card => card.CardName) : value.CardName;
+    }
+
+    return {
+      kind,
+      message,
+      template: this.quest && this.quest.template ? this.quest.template.CardName : null,
+      subQuest: this.questStack.length > 0 ? [...this.questStack.slice(1), this.quest].map(quest => quest.label).join(' › ') : null,
+      instructionIndex: context ? context.instructionIndex : null,
+      instructionCount: context ? context.instructionCount : null,
+      instructionPath: context ? context.instructionPath : null,
+      instruction: context ? { ...context.instruction } : null,
+      deckName: context ? context.deckName : null,
+      requirement: context ? TAG_EXPRESSION.toString(context.requirement) : '',
+      polarity: context ? context.polarity : null,
+      deckSize: deck ? deck.length : 0,
+      deckTop: deck ? deck.slice(0, 5).map(card => this.summarizeCard(card)) : [],
+      matchPool: {
+        count: matchPool.length,
+        total: deck ? deck.length : 0,
+        cards: matchPool.slice(0, 20).map(card => card.CardName)
+      },
+      pendingInstructions: (this.pendingInstructions || []).map(pending => ({
+        ...pending,
+        tags: [...pending.tags],
+        description: this.describePendingInstruction(pending),
+        semantics: this.describePendingSemantics(pending)
+      })),
+      rejections: context ? context.rejections.map(rejection => ({ ...rejection })) : [],
+      components,
+      logCount: this.logs.length,
+      ...extra
+    };
+  }
+
+  /**
+   * Start a step-through run (decks should already be prepared with prepareRun)
+   * @returns {Object} The first step snapshot
+   */
+  startStepThrough(specificTemplate) {
+    this.stepThroughMode = true;
+    this.stepRun = {
+      steps: this.generateQuestSteps(specificTemplate),
+      history: [],
+      position: -1,
+      done: false,
+      result: null
+    };
+    return this.stepForward();
+  }
+
+  /**
+   * Move one step forward - replays from history after stepBack(), otherwise advances the run
+   * @param {string} untilKind - Keep advancing until a step of this kind (e.g. 'instruction-complete')
+   * @returns {Object|null} The step snapshot, or null when there is no run
+   */
+  stepForward(untilKind = null) {
+    const run = this.stepRun;
+    if (!run) return null;
+
+    do {
+      if (run.position < run.history.length - 1) {
+        run.position++;
+      } else if (!run.done) {
+        const next = run.steps.next();
+        if (next.done) {
+          run.done = true;
+          run.result = next.value;
+          run.history.push(next.value
+            ? this.snapshot('complete', 'Quest generation complete')
+            : this.snapshot('failed', 'Quest generation failed'));
+          this.stepThroughMode = false;
+        } else {
+          run.history.push(next.value);
+        }
+        run.position = run.history.length - 1;
+      } else {
+        break;
+      }
+    } while (untilKind && !['complete', 'failed', untilKind].includes(run.history[run.position].kind));
+
+    return run.history[run.position];
+  }
+
+  /**
+   * Move one step back through the steps already taken
+   * @returns {Object|null} The previous step snapshot
+   */
+  stepBack() {
+    const run = this.stepRun;
+    if (!run || run.position <= 0) return run ? run.history[run.position] || null : null;
+    run.position--;
+    return run.history[run.position];
+  }
+
+  /**
+   * Leave step-through mode (e.g. when a normal quest is generated)
+   */
+  endStepThrough() {
+    this.stepThroughMode = false;
+    this.stepRun = null;
+  }
+
+  /**
+   * Position in the step-through run: { position, total, done, atEnd }
+   */
+  getStepStatus() {
+    const run = this.stepRun;
+    if (!run) return null;
+    return {
+      position: run.position,
+      total: run.history.length,
+      done: run.done,
+      atEnd: run.done && run.position === run.history.length - 1
+    };
+  }
+
+  /**
+   * Encode everything needed to regenerate a quest as a shareable code
+   * @param {Object} params - { seed, template (name or null for random), maxRedraws, dataRevision, mode, solverFallback }
+   */
+  static encodeQuestCode({ seed, template = null, maxRedraws, dataRevision = null, mode = 'draw', solverFallback = false }) {
+    // Draw-mode codes leave out m/f, so they stay the same as before solve mode existed
+    const json = JSON.stringify({
+      v: 1, s: seed, t: template, r: maxRedraws, d: dataRevision,
+      m: mode === 'solve' ? mode : undefined,
+      f: mode === 'solve' && solverFallback ? 1 : undefined
+    });
+    const bytes = new TextEncoder().encode(json);
+    return btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+
+  /**
+   * Decode a quest code made by encodeQuestCode
+   * @returns {{seed: string, template: string|null, maxRedraws: number, dataRevision: string|null, mode: string, solverFallback: boolean}}
+   */
+  static decodeQuestCode(code) {
+    try {
+      const base64 = String(code).trim().replace(/-/g, '+').replace(/_/g, '/');
+      const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+      const data = JSON.parse(new TextDecoder().decode(bytes));
+      if (data.v !== 1 || data.s === undefined) throw new Error('unsupported version');
+      return {
+        seed: String(data.s),
+        template: data.t || null,
+        maxRedraws: typeof data.r === 'number' ? data.r : null,
+        dataRevision: data.d || null,
+        mode: data.m === 'solve' ? 'solve' : 'draw',
+        solverFallback: data.f === 1
+      };
+    } catch (error) {
+      throw new Error(`Invalid quest code (${error.message})`);
+    }
+  }
 }
 
+// DrawInstruction actions that pick a nested list of instructions instead of drawing
+QuestEngine.BRANCH_ACTIONS = ['if', 'chance', 'choose'];
+
+// How a pending instruction combines with earlier ones for the same deck (the first is the default)
+QuestEngine.PENDING_STACKING = ['replace', 'accumulate'];
+
+// Card instruction actions (Instructions[].Action, addTags when not set):
+//   addTags, removeTags, forbidTags - TargetDeck (or ThisCard for add/remove) + Tags
+//   forcePolarity - TargetDeck + Polarity        extraDraw - TargetLabel + Count
+//   discard - TargetDeck + Count                 swap, reveal - TargetLabel
+QuestEngine.CARD_ACTIONS = ['addTags', 'removeTags', 'forbidTags', 'forcePolarity', 'extraDraw', 'discard', 'swap', 'reveal'];
+
 // Export for use in modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = QuestEngine;
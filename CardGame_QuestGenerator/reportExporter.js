@@ -0,0 +1,305 @@
+/**
+ * reportExporter.js
+ * Turn a QuestValidator report into downloadable files: JSON (the whole report, for tooling),
+ * CSV tables (card and tag utilization) and a standalone HTML report with charts
+ */
+
+const REPORT_CHART_COLORS = {
+  bar: '#4a6fa5',
+  danger: '#c0392b',
+  warning: '#f39c12',
+  success: '#27ae60',
+  marker: '#2c3e50'
+};
+
+class ReportExporter {
+  /**
+   * The whole report as JSON
+   */
+  static toJSON(report) {
+    return JSON.stringify(report, null, 2);
+  }
+
+  /**
+   * Card utilization as CSV - one row per card with its draws, selections and expected selections
+   */
+  static cardsToCSV(report) {
+    const { totalIterations } = report.summary;
+    const { deadKeys, overactiveKeys } = this.cardStatusKeys(report);
+    const rows = [['Deck', 'Card', 'Weight', 'Draws', 'Selected', 'Expected', 'Ratio', 'Selected/100 Quests', 'Status']];
+
+    this.sortedCards(report).forEach(card => {
+      const key = `${card.deck}:${card.name}`;
+      rows.push([
+        card.deck,
+        card.name,
+        card.weight,
+        card.drawCount,
+        card.selectedCount,
+        card.expectedCount.toFixed(1),
+        card.expectedCount > 0 ? (card.selectedCount / card.expectedCount).toFixed(2) : '',
+        totalIterations > 0 ? ((card.selectedCount / totalIterations) * 100).toFixed(2) : '0.00',
+        deadKeys.has(key) ? 'dead' : overactiveKeys.has(key) ? 'overactive' : ''
+      ]);
+    });
+    return this.rowsToCSV(rows);
+  }
+
+  /**
+   * Tag utilization as CSV - every tag with its uses and share of all tag uses
+   */
+  static tagsToCSV(report) {
+    const tags = report.tagUtilization.tags || report.tagUtilization.topTags;
+    const totalUses = tags.reduce((sum, tag) => sum + tag.usageCount, 0);
+    const rows = [['Tag', 'Uses', 'Share %']];
+    tags.forEach(tag => {
+      rows.push([tag.tag, tag.usageCount, totalUses > 0 ? ((tag.usageCount / totalUses) * 100).toFixed(2) : '0.00']);
+    });
+    return this.rowsToCSV(rows);
+  }
+
+  /**
+   * A baseline comparison (QuestValidator.compareReports) as CSV - one row per card
+   */
+  static comparisonToCSV(comparison) {
+    const flags = ['newlyDeadCards', 'revivedCards', 'newlyOveractiveCards', 'noLongerOveractiveCards']
+      .map(list => new Set(comparison[list].map(card => `${card.deck}:${card.name}`)));
+    const rows = [['Card', 'Deck', 'Before', 'After', 'Change', 'Status', 'Newly Dead', 'Revived', 'Newly Overactive', 'No Longer Overactive']];
+    comparison.cards.forEach(card => {
+      const key = `${card.deck}:${card.name}`;
+      rows.push([card.name, card.deck, card.before.toFixed(2), card.after.toFixed(2), card.change.toFixed(2), card.status || '',
+        ...flags.map(set => set.has(key) ? 'yes' : '')]);
+    });
+    return this.rowsToCSV(rows);
+  }
+
+  /**
+   * A self-contained HTML report (inline styles and SVG charts, no scripts) to share with people
+   * who don't run the app
+   * @param {Object} options - { title, generatedAt }
+   */
+  static toHTML(report, { title = 'Quest Validation Report', generatedAt = new Date() } = {}) {
+    const esc = (value) => this.escapeHtml(value);
+    const { summary } = report;
+    const { deadKeys, overactiveKeys } = this.cardStatusKeys(report);
+
+    const summaryRows = [
+      ['Iterations', summary.totalIterations],
+      ['Card Data Revision', summary.dataRevision || 'unknown'],
+      ['Generation Mode', summary.generationMode || 'draw'],
+      ['Failed Runs', `${summary.failedRuns} (${summary.failureRate})`],
+      ['Avg Draws/Quest', summary.avgDrawsPerQuest],
+      ['Fallback Rate', summary.fallbackRate],
+      ...(summary.generationMode === 'solve'
+        ? [['Unsatisfiable Runs', summary.unsatisfiableRuns], ['Solver Backtracks', summary.totalBacktracks]]
+        : []),
+      ['Cards Used', `${report.cardUtilization.cardsUsed}/${report.cardUtilization.totalCards}`],
+      ['Dead Cards', report.cardUtilization.deadCards.count],
+      ['Overactive Cards', report.cardUtilization.overactiveCards.count],
+      ['Avg Match Pool', `${report.verbTightness.avgPercentage}%`]
+    ];
+
+    // Templates: failure rate and fallbacks per quest
+    const templateChart = this.barChart(report.templates.map(t => ({
+      label: t.template,
+      value: t.failureRate,
+      color: t.failures > 0 ? REPORT_CHART_COLORS.danger : REPORT_CHART_COLORS.bar
+    })), { max: 100, format: value => `${value.toFixed(1)}%` });
+    const fallbackChart = this.barChart(report.templates.map(t => ({
+      label: t.template,
+      value: t.fallbacksPerQuest,
+      color: REPORT_CHART_COLORS.warning
+    })), { format: value => value.toFixed(2) });
+
+    // Cards per deck: selections with a marker at the expected count
+    const decks = {};
+    this.sortedCards(report).forEach(card => (decks[card.deck] = decks[card.deck] || []).push(card));
+    const deckCharts = Object.entries(decks).map(([deck, cards]) => `
+      <h3>${esc(deck)}</h3>
+      ${this.barChart(cards.map(card => {
+        const key = `${card.deck}:${card.name}`;
+        return {
+          label: card.name,
+          value: card.selectedCount,
+          marker: card.expectedCount,
+          color: deadKeys.has(key) ? REPORT_CHART_COLORS.danger : overactiveKeys.has(key) ? REPORT_CHART_COLORS.warning : REPORT_CHART_COLORS.bar
+        };
+      }), { format: value => String(value) })}
+    `).join('');
+
+    const tagChart = this.barChart((report.tagUtilization.tags || report.tagUtilization.topTags).slice(0, 30)
+      .map(tag => ({ label: tag.tag, value: tag.usageCount })), { format: value => String(value) });
+
+    const poolChart = this.barChart(report.matchPools.bySlot.map(slot => ({
+      label: `${slot.template} › ${slot.label}`,
+      value: slot.avgPercentage,
+      color: slot.zeroPoolRate > 0 ? REPORT_CHART_COLORS.danger : slot.avgPercentage < 50 ? REPORT_CHART_COLORS.warning : REPORT_CHART_COLORS.bar
+    })), { max: 100, format: value => `${value.toFixed(1)}%` });
+
+    const table = (headers, rows) => rows.length > 0
+      ? `<table><thead><tr>${headers.map(h => `<th>${esc(h)}</th>`).join('')}</tr></thead><tbody>${rows.map(row =>
+        `<tr>${row.map(cell => `<td>${esc(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`
+      : '<p><em>None</em></p>';
+
+    const templateDetails = report.templates.map(t => `
+      <details>
+        <summary>${esc(t.template)} - ${t.runs} runs, ${t.failureRate.toFixed(1)}% failed</summary>
+        ${t.failureReasons.length > 0 ? `<ul>${t.failureReasons.map(f => `<li>Failed ${f.count}x: ${esc(f.reason)}</li>`).join('')}</ul>` : ''}
+        ${(t.subQuests || []).map(subQuest => `
+          <h4>Sub-quest ${esc(subQuest.label)} (${subQuest.total} generated)</h4>
+          ${table(['Template', 'Count', 'Share'], subQuest.templates.map(template => [template.name, template.count, `${template.percentage.toFixed(1)}%`]))}
+        `).join('')}
+        ${t.labels.map(slot => `
+          <h4>${esc(slot.label)} (${slot.total} cards)</h4>
+          ${table(['Card', 'Count', 'Share'], slot.cards.map(card => [card.name, card.count, `${card.percentage.toFixed(1)}%`]))}
+        `).join('')}
+        ${t.topTags.length > 0 ? `<p><strong>Top Tags:</strong> ${t.topTags.map(tag => `${esc(tag.tag)} (${tag.count})`).join(', ')}</p>` : ''}
+      </details>
+    `).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${esc(title)}</title>
+<style>
+  body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #2c3e50; max-width: 1000px; margin: 0 auto; padding: 20px; }
+  h1 { margin-bottom: 4px; }
+  h2 { border-bottom: 2px solid #4a6fa5; padding-bottom: 4px; margin-top: 32px; }
+  .meta { color: #7f8c8d; margin-top: 0; }
+  table { border-collapse: collapse; width: 100%; margin: 8px 0 16px; font-size: 0.9em; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #ddd; }
+  th { background: #f4f6fb; }
+  .chart { display: block; max-width: 100%; height: auto; margin: 8px 0 16px; font-size: 12px; }
+  .legend span { display: inline-block; margin-right: 16px; font-size: 0.9em; }
+  .swatch { display: inline-block; width: 12px; height: 12px; margin-right: 4px; vertical-align: middle; }
+  details { margin: 8px 0; }
+  summary { cursor: pointer; font-weight: 600; }
+</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+<p class="meta">Generated ${esc(generatedAt.toLocaleString())}</p>
+
+<h2>Summary</h2>
+${table(['Metric', 'Value'], summaryRows)}
+
+<h2>Templates</h2>
+<h3>Failure Rate</h3>
+${templateChart}
+<h3>Fallbacks per Quest</h3>
+${fallbackChart}
+${table(['Template', 'Runs', 'Failed', 'Fallbacks/Quest', 'Draws/Quest'], report.templates.map(t =>
+  [t.template, t.runs, `${t.failureRate.toFixed(1)}%`, t.fallbacksPerQuest.toFixed(2), t.avgDrawsPerQuest.toFixed(2)]))}
+${templateDetails}
+
+<h2>Card Utilization</h2>
+<p class="legend">
+  <span><i class="swatch" style="background:${REPORT_CHART_COLORS.bar}"></i>Selections</span>
+  <span><i class="swatch" style="background:${REPORT_CHART_COLORS.danger}"></i>Dead</span>
+  <span><i class="swatch" style="background:${REPORT_CHART_COLORS.warning}"></i>Overactive</span>
+  <span><i class="swatch" style="background:${REPORT_CHART_COLORS.marker}; width:3px"></i>Expected (by weight)</span>
+</p>
+${deckCharts}
+<h3>Overactive Cards</h3>
+${table(['Card', 'Deck', 'Weight', 'Selected', 'Expected', 'Ratio'], report.cardUtilization.overactiveCards.cards.map(card =>
+  [card.name, card.deck, card.weight, card.selectedCount, card.expectedCount, `${card.ratio}x`]))}
+<h3>Dead Cards</h3>
+${table(['Card', 'Deck'], report.cardUtilization.deadCards.cards.map(card => [card.name, card.deck]))}
+
+<h2>Tags</h2>
+<p>${report.tagUtilization.uniqueTags} unique tags</p>
+${tagChart}
+
+<h2>Match Pools</h2>
+<p>Average share of the deck that matched each label's draw (red: the pool was sometimes empty, orange: under 50%)</p>
+${poolChart}
+${table(['Template', 'Label', 'Deck', 'Avg Pool', 'Pool %', 'Zero Pool', 'Fallback', 'Draws'], report.matchPools.bySlot.map(slot => [
+  slot.template, slot.label, slot.deck, `${slot.avgPoolSize.toFixed(1)}/${slot.avgDeckSize.toFixed(1)}`,
+  `${slot.avgPercentage.toFixed(1)}%`, `${slot.zeroPoolRate.toFixed(1)}%`, `${slot.fallbackRate.toFixed(1)}%`, slot.samples]))}
+
+<h2>Routing Bottlenecks</h2>
+${table(['Step', 'Occurrences', 'Of Runs', 'Avg Pool', 'Pool %'], report.routingBottlenecks.byStep.map(b =>
+  [b.step, b.bottleneckOccurrences, `${b.bottleneckPercentage}%`, b.avgPoolSize, `${b.avgPercentage}%`]))}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Helper: Horizontal SVG bar chart
+   * @param {Array} rows - [{ label, value, color, marker }] (marker - value to draw a tick at)
+   * @param {Object} options - { max, format }
+   */
+  static barChart(rows, { max = null, format = String } = {}) {
+    if (rows.length === 0) return '<p><em>No data</em></p>';
+
+    const labelWidth = 260;
+    const barWidth = 420;
+    const rowHeight = 20;
+    const top = max || Math.max(...rows.map(row => Math.max(row.value, row.marker || 0))) || 1;
+    const scale = (value) => (Math.min(value, top) / top) * barWidth;
+    const truncate = (text) => text.length > 38 ? `${text.slice(0, 37)}…` : text;
+
+    const bars = rows.map((row, i) => {
+      const y = i * rowHeight;
+      const width = scale(row.value);
+      const marker = row.marker !== undefined
+        ? `<line x1="${(labelWidth + scale(row.marker)).toFixed(1)}" x2="${(labelWidth + scale(row.marker)).toFixed(1)}" y1="${y + 2}" y2="${y + rowHeight - 2}" stroke="${REPORT_CHART_COLORS.marker}" stroke-width="2"/>`
+        : '';
+      return `<text x="${labelWidth - 6}" y="${y + 14}" text-anchor="end">${this.escapeHtml(truncate(row.label))}<title>${this.escapeHtml(row.label)}</title></text>` +
+        `<rect x="${labelWidth}" y="${y + 4}" width="${width.toFixed(1)}" height="${rowHeight - 8}" fill="${row.color || REPORT_CHART_COLORS.bar}"/>` +
+        marker +
+        `<text x="${(labelWidth + width + 4).toFixed(1)}" y="${y + 14}">${this.escapeHtml(format(row.value))}</text>`;
+    }).join('');
+
+    const width = labelWidth + barWidth + 70;
+    const height = rows.length * rowHeight;
+    return `<svg class="chart" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">${bars}</svg>`;
+  }
+
+  /**
+   * Helper: Cards sorted by deck, then most selected first
+   */
+  static sortedCards(report) {
+    return [...(report.cardUtilization.cards || [])].map(card => ({ expectedCount: 0, ...card }))
+      .sort((a, b) => a.deck.localeCompare(b.deck) || b.selectedCount - a.selectedCount || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Helper: "deck:name" keys of the dead and overactive cards
+   */
+  static cardStatusKeys(report) {
+    const keys = (cards) => new Set(cards.map(card => `${card.deck}:${card.name}`));
+    return {
+      deadKeys: keys(report.cardUtilization.deadCards.cards),
+      overactiveKeys: keys(report.cardUtilization.overactiveCards.cards)
+    };
+  }
+
+  /**
+   * Helper: Rows of cells to CSV text (quoting cells with commas, quotes or newlines)
+   */
+  static rowsToCSV(rows) {
+    return rows.map(row => row.map(value => {
+      const cell = String(value);
+      return /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    }).join(',')).join('\n');
+  }
+
+  /**
+   * Helper: Escape text for HTML
+   */
+  static escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReportExporter;
+}
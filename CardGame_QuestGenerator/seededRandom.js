@@ -0,0 +1,85 @@
+/**
+ * seededRandom.js
+ * Seedable pseudo-random number generator so a quest can be regenerated from its seed
+ * (mulberry32, seeded from a string hash)
+ */
+
+class SeededRandom {
+  /**
+   * @param {string|number} seed - Any string or number; the same seed always gives the same sequence
+   */
+  constructor(seed) {
+    this.seed = String(seed);
+    this.state = SeededRandom.hashString(this.seed);
+  }
+
+  /**
+   * Next float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Next integer in [0, max)
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Shuffle an array in place (Fisher-Yates)
+   */
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = this.int(i + 1);
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+
+  /**
+   * Weighted shuffle in place: heavier items tend to come first, so taking items from the front
+   * picks each with probability weight / total weight (Efraimidis-Spirakis keys u^(1/w)).
+   * Items with weight 0 go last
+   * @param {Array} array - Items to shuffle
+   * @param {Function} weightOf - item -> weight (>= 0)
+   */
+  weightedShuffle(array, weightOf) {
+    const keyed = array.map(item => {
+      const weight = weightOf(item);
+      return { item, key: weight > 0 ? Math.log(this.next()) / weight : -Infinity };
+    });
+    keyed.sort((a, b) => b.key - a.key);
+    keyed.forEach(({ item }, i) => { array[i] = item; });
+    return array;
+  }
+
+  /**
+   * 32-bit hash of a string (FNV-1a)
+   */
+  static hashString(str) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Short readable seed for when the user didn't choose one (e.g. "k3x9q2")
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 2176782336).toString(36).padStart(6, '0');
+  }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SeededRandom;
+}
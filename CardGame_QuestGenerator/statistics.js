@@ -13,6 +13,7 @@ class StatisticsManager {
   async initialize() {
     try {
       // Load card data
+      await DECK_REGISTRY.init();
       const loader = new DataLoader();
       await loader.loadData();
       this.cards = loader.decks;
@@ -296,16 +297,7 @@ class StatisticsManager {
    * Get display name for deck
    */
   getDeckDisplayName(deckKey) {
-    const mapping = {
-      'npcs': 'NPC',
-      'questtemplates': 'Quest Template',
-      'locations': 'Location',
-      'twists': 'Twist',
-      'magicitems': 'Magic Item',
-      'monsters': 'Monster',
-      'loot': 'Loot'
-    };
-    return mapping[deckKey] || deckKey;
+    return DECK_REGISTRY.displayName(deckKey);
   }
 
   /**
@@ -4,11 +4,19 @@
  */
 
 class UIManager {
-  constructor(engine, validator) {
+  constructor(engine, validator, probabilityCalculator = null, baselineStore = null, campaignStore = null) {
     this.engine = engine;
     this.validator = validator;
+    this.probabilityCalculator = probabilityCalculator;
+    this.baselineStore = baselineStore;
+    this.campaignStore = campaignStore;
     this.mode = 'normal'; // normal, step-through
     this.stepState = null;
+    this.seed = null; // Seed from the settings panel (null = new random seed per quest)
+    this.validationWorker = null; // Running validatorWorker.js, if any
+    this.validationSettings = null; // Settings of the last validation run, saved with baselines
+    this.whatIfChanges = []; // Card changes for the next what-if analysis (see whatIfAnalysis.js)
+    this.campaign = null; // Campaign shown in the quest output (see campaign.js)
   }
 
   /**
@@ -25,17 +33,35 @@ class UIManager {
     bind('btn-generate', 'click', () => this.handleGenerate());
     bind('btn-step-through', 'click', () => this.handleStepThrough());
     bind('btn-next-step', 'click', () => this.handleNextStep());
+    bind('btn-prev-step', 'click', () => this.handlePrevStep());
+    bind('btn-next-instruction', 'click', () => this.handleNextStep('instruction-complete'));
     bind('btn-validate', 'click', () => this.handleValidate());
+    bind('btn-cancel-validation', 'click', () => this.handleCancelValidation());
+    bind('btn-add-what-if', 'click', () => this.handleAddWhatIfChange());
+    bind('btn-run-what-if', 'click', () => this.handleValidate(this.whatIfChanges));
+    bind('what-if-action', 'change', () => this.updateWhatIfInputs());
+    bind('what-if-deck', 'change', () => this.populateWhatIfCards());
+    bind('what-if-card', 'change', () => this.updateWhatIfInputs());
     bind('btn-clear-logs', 'click', () => this.handleClearLogs());
     bind('btn-reload-data', 'click', () => this.handleReloadData());
     bind('btn-import-csv', 'click', () => this.handleImportCSV());
     bind('btn-export-csv', 'click', () => this.handleExportCSV());
     bind('btn-csv-template', 'click', () => this.handleDownloadTemplate());
     bind('csv-file-input', 'change', (e) => this.handleCSVFileSelected(e));
+    bind('btn-generate-campaign', 'click', () => this.handleGenerateCampaign());
+    bind('campaign-reshuffle', 'change', () => this.updateCampaignInputs());
+    bind('btn-save-campaign', 'click', () => this.handleSaveCampaign());
+    bind('btn-load-campaign', 'click', () => this.handleLoadCampaign());
+    bind('btn-delete-campaign', 'click', () => this.handleDeleteCampaign());
+    bind('btn-load-quest-code', 'click', () => {
+      const input = document.getElementById('quest-code-input');
+      if (input && input.value.trim()) this.loadQuestCode(input.value);
+    });
 
     // Settings
     const seedInput = document.getElementById('seed-input');
     if (seedInput) {
+      this.setSeed(seedInput.value);
       seedInput.addEventListener('change', (e) => {
         this.setSeed(e.target.value);
       });
@@ -61,8 +87,28 @@ class UIManager {
       });
     }
 
+    const generationMode = document.getElementById('generation-mode');
+    if (generationMode) {
+      this.engine.generationMode = generationMode.value;
+      generationMode.addEventListener('change', (e) => {
+        this.engine.generationMode = e.target.value;
+        console.log('Generation mode set to:', e.target.value);
+      });
+    }
+
+    const solverFallback = document.getElementById('solver-fallback');
+    if (solverFallback) {
+      this.engine.solverFallback = solverFallback.checked;
+      solverFallback.addEventListener('change', (e) => {
+        this.engine.solverFallback = e.target.checked;
+      });
+    }
+
     // Populate verb selector
     this.populateVerbSelector();
+    this.populateWhatIfDecks();
+    this.updateCampaignInputs();
+    if (this.campaignStore) this.refreshCampaignList();
     
     // Setup collapsible sections
     this.setupCollapsibleSections();
@@ -115,6 +161,145 @@ class UIManager {
       option.textContent = templateName;
       selector.appendChild(option);
     }
+
+    // Same templates for the validation template list (keeping what is still selected)
+    const validationSelector = document.getElementById('validation-templates');
+    if (validationSelector) {
+      const selected = new Set([...validationSelector.selectedOptions].map(option => option.value));
+      validationSelector.innerHTML = '';
+      for (const templateName of templateNames) {
+        const option = document.createElement('option');
+        option.value = templateName;
+        option.textContent = templateName;
+        option.selected = selected.has(templateName);
+        validationSelector.appendChild(option);
+      }
+    }
+  }
+
+  /**
+   * Templates to validate: every template, the selected ones, or [] for a random template per run
+   */
+  getValidationTemplates() {
+    // The full loaded deck - the engine's copy is missing whatever the last quest drew
+    const templates = window.dataLoader.getDecks().questtemplates || [];
+    const everyTemplate = document.getElementById('validate-every-template');
+    if (everyTemplate && everyTemplate.checked) return templates;
+
+    const selector = document.getElementById('validation-templates');
+    if (!selector) return [];
+    const names = new Set([...selector.selectedOptions].map(option => option.value));
+    return templates.filter(t => names.has(t.CardName));
+  }
+
+  /**
+   * Fill the what-if deck selector (keeping the selected deck) and its card list
+   */
+  populateWhatIfDecks() {
+    const selector = document.getElementById('what-if-deck');
+    if (!selector) return;
+
+    const decks = this.validator.dataLoader.decks;
+    const selected = selector.value;
+    selector.innerHTML = DECK_REGISTRY.orderedKeys(decks)
+      .filter(key => Array.isArray(decks[key]))
+      .map(key => `<option value="${this.escapeHtml(key)}"${key === selected ? ' selected' : ''}>${this.escapeHtml(DECK_REGISTRY.displayName(key))}</option>`)
+      .join('');
+    this.populateWhatIfCards();
+    this.renderWhatIfChanges();
+  }
+
+  /**
+   * Fill the what-if card selector with the chosen deck's cards
+   */
+  populateWhatIfCards() {
+    const selector = document.getElementById('what-if-card');
+    if (!selector) return;
+
+    const cards = this.validator.dataLoader.decks[document.getElementById('what-if-deck').value] || [];
+    const names = [...new Set(cards.map(card => card.CardName))].sort();
+    selector.innerHTML = names.map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`).join('');
+    this.updateWhatIfInputs();
+  }
+
+  /**
+   * Show the inputs the chosen what-if action needs, with the chosen card's tags filled in
+   */
+  updateWhatIfInputs() {
+    const action = document.getElementById('what-if-action').value;
+    document.getElementById('what-if-name-group').hidden = action !== 'add';
+    document.getElementById('what-if-tags-group').hidden = action === 'remove';
+
+    const card = this.getWhatIfCard();
+    document.getElementById('what-if-type-tags').value = card ? (card.TypeTags || []).join(', ') : '';
+    document.getElementById('what-if-aspect-tags').value = card ? (card.AspectTags || []).join(', ') : '';
+  }
+
+  /**
+   * Helper: The card chosen in the what-if selectors
+   */
+  getWhatIfCard() {
+    const cards = this.validator.dataLoader.decks[document.getElementById('what-if-deck').value] || [];
+    return cards.find(card => card.CardName === document.getElementById('what-if-card').value) || null;
+  }
+
+  /**
+   * Handle Add Change button - add the chosen what-if change to the list
+   */
+  handleAddWhatIfChange() {
+    const action = document.getElementById('what-if-action').value;
+    const deck = document.getElementById('what-if-deck').value;
+    const card = this.getWhatIfCard();
+    const tags = (id) => document.getElementById(id).value.split(/[,;]/).map(tag => tag.trim()).filter(Boolean);
+    if (!card) {
+      this.addLog('⚠ Choose a card for the what-if change');
+      return;
+    }
+
+    let change;
+    if (action === 'add') {
+      const name = document.getElementById('what-if-name').value.trim();
+      if (!name) {
+        this.addLog('⚠ Enter a name for the new card');
+        return;
+      }
+      const { id, revision, ...copy } = card;
+      change = { action, deck, card: { ...copy, CardName: name, TypeTags: tags('what-if-type-tags'), AspectTags: tags('what-if-aspect-tags') } };
+    } else if (action === 'retag') {
+      change = { action, deck, cardName: card.CardName, typeTags: tags('what-if-type-tags'), aspectTags: tags('what-if-aspect-tags') };
+    } else {
+      change = { action, deck, cardName: card.CardName };
+    }
+
+    // Catch changes that conflict with earlier ones (e.g. retagging a removed card) now
+    try {
+      WhatIfAnalysis.applyChanges(this.validator.dataLoader.decks, [...this.whatIfChanges, change]);
+    } catch (error) {
+      this.addLog(`❌ ${error.message}`);
+      return;
+    }
+    this.whatIfChanges.push(change);
+    this.renderWhatIfChanges();
+  }
+
+  /**
+   * Show the what-if changes, each with a button to drop it
+   */
+  renderWhatIfChanges() {
+    const list = document.getElementById('what-if-changes');
+    if (!list) return;
+
+    list.innerHTML = this.whatIfChanges.map((change, index) => `
+      <li>${this.escapeHtml(WhatIfAnalysis.describeChange(change))}
+        <button class="btn-remove-change" data-index="${index}" title="Remove this change">×</button>
+      </li>`).join('');
+    list.querySelectorAll('.btn-remove-change').forEach(button => {
+      button.addEventListener('click', () => {
+        this.whatIfChanges.splice(parseInt(button.dataset.index), 1);
+        this.renderWhatIfChanges();
+      });
+    });
+    document.getElementById('btn-run-what-if').disabled = this.whatIfChanges.length === 0 || Boolean(this.validationWorker);
   }
 
   /**
@@ -124,8 +309,9 @@ class UIManager {
     const selector = document.getElementById('verb-selector');
     if (!selector || !selector.value) return null;
 
+    // Looked up in the full loaded deck, not the engine's copy (which lacks templates the last quest drew)
     const templateName = selector.value;
-    const templates = this.engine.decks.questtemplates || [];
+    const templates = window.dataLoader.getDecks().questtemplates || [];
     const template = templates.find(t => t.CardName === templateName);
     return template || null;
   }
@@ -136,7 +322,8 @@ class UIManager {
   handleGenerate() {
     this.clearLogs();
     this.mode = 'normal';
-    document.getElementById('btn-next-step').disabled = true;
+    this.engine.endStepThrough();
+    this.updateStepButtons();
     
     // Update engine debug mode from checkbox
     const debugToggle = document.getElementById('debug-toggle');
@@ -154,11 +341,10 @@ class UIManager {
       }
     }
     
-    // Refresh decks with fresh copies for new quest
+    // Refresh decks with fresh copies for new quest, shuffled with this quest's seed
     if (window.dataLoader) {
-      this.engine.decks = window.dataLoader.getDecks();
-      // Shuffle all decks before quest generation
-      this.engine.shuffleDecks();
+      this.engine.dataRevision = window.dataLoader.dataRevision;
+      this.engine.prepareRun(window.dataLoader.getDecks(), this.seed || SeededRandom.randomSeed());
     }
     
     const selectedVerb = this.getSelectedVerb();
@@ -172,102 +358,593 @@ class UIManager {
     } else {
       // Quest generation failed - logs will show the detailed error
       const questOutput = document.getElementById('quest-output');
-      questOutput.innerHTML = '<p class="error-message">Quest generation failed. See log for details.</p>';
+      questOutput.innerHTML = `<p class="error-message">Quest generation failed. See log for details.</p>${this.formatSolverConflicts(this.engine.getQuest())}`;
     }
   }
 
   /**
-   * Handle Step Through Mode button
+   * Why the solver found no consistent quest: the constraints that ran out of cards ('' outside solve mode)
    */
-  handleStepThrough() {
-    alert('Step-through mode is currently disabled. This feature needs to be updated to work with the new instruction-driven quest generation system.\n\nPlease use the "Generate Quest" button instead.');
-    return;
-    
-    // Refresh decks with fresh copies for new quest
-    if (window.dataLoader) {
-      this.engine.decks = window.dataLoader.getDecks();
-      // Shuffle all decks before quest generation
-      this.engine.shuffleDecks();
+  formatSolverConflicts(quest) {
+    const solver = quest && quest.solver;
+    if (!solver || solver.satisfiable || solver.conflicts.length === 0) return '';
+
+    const esc = (value) => this.escapeHtml(value);
+    const heading = solver.limitReached
+      ? `The solver gave up after trying ${solver.candidatesTried} cards. Constraints that failed most often:`
+      : `"${esc(quest.template.CardName)}" is unsatisfiable with the current cards:`;
+    return `
+      <div class="solver-conflicts">
+        <strong>${heading}</strong>
+        <ul>${solver.conflicts.slice(0, 5).map(conflict => `
+          <li>Instruction ${esc(conflict.path)}${conflict.label ? ` (${esc(conflict.label)})` : ''}: ${esc(conflict.reason)}
+            ${conflict.impossible ? '<em>whatever is drawn before it</em>' : `<em>${conflict.count}×</em>`}</li>`).join('')}
+        </ul>
+      </div>`;
+  }
+
+  /**
+   * Show the reshuffle input the chosen campaign reshuffle rule needs
+   */
+  updateCampaignInputs() {
+    const rule = document.getElementById('campaign-reshuffle');
+    if (!rule) return;
+    document.getElementById('campaign-reshuffle-below-group').hidden = rule.value !== 'low';
+    document.getElementById('campaign-reshuffle-every-group').hidden = rule.value !== 'interval';
+  }
+
+  /**
+   * Handle Generate Campaign button - generate a sequence of quests over shared, depleting decks
+   */
+  handleGenerateCampaign() {
+    this.clearLogs();
+    this.mode = 'normal';
+    this.engine.endStepThrough();
+    this.updateStepButtons();
+
+    const number = (id) => parseInt(document.getElementById(id).value, 10);
+    const template = this.getSelectedVerb();
+    let campaign;
+    try {
+      this.engine.dataRevision = window.dataLoader.dataRevision;
+      campaign = new CampaignGenerator(this.engine, window.dataLoader, {
+        quests: number('campaign-quests'),
+        seed: this.seed || SeededRandom.randomSeed(),
+        templates: template ? [template.CardName] : [],
+        reshuffle: document.getElementById('campaign-reshuffle').value,
+        reshuffleBelow: number('campaign-reshuffle-below'),
+        reshuffleEvery: number('campaign-reshuffle-every'),
+        recurringChance: number('campaign-recurring') / 100
+      }).generate();
+    } catch (error) {
+      this.addLog(`❌ Campaign generation failed: ${error.message}`);
+      return;
     }
-    
+
+    const completed = campaign.quests.filter(entry => entry.quest).length;
+    this.addLog(`${completed === campaign.quests.length ? '✓' : '⚠'} Campaign generated: ${completed} of ${campaign.quests.length} quests (seed ${campaign.seed})`);
+    campaign.quests.filter(entry => !entry.quest).forEach(entry => {
+      this.addLog(`  ❌ Quest ${entry.number}: ${entry.error}`);
+    });
+    this.displayCampaign(campaign);
+  }
+
+  /**
+   * Show a campaign as a timeline: each quest with its cards, the cards that recur from earlier
+   * quests, reshuffles and the cards left afterwards. Show Quest opens the full quest below it
+   * @param {string} name - Name it was saved under (if any)
+   */
+  displayCampaign(campaign, name = null) {
+    this.campaign = campaign;
+    const saveButton = document.getElementById('btn-save-campaign');
+    if (saveButton) saveButton.disabled = false;
+
+    const esc = (value) => this.escapeHtml(value);
+    const deckName = (key) => esc(DECK_REGISTRY.displayName(key));
+    const formatEntry = (entry, index) => {
+      if (!entry.quest) {
+        return `
+          <li class="campaign-entry campaign-failed">
+            <div class="campaign-entry-header"><strong>Quest ${entry.number}:</strong> failed</div>
+            <div class="error-message">${esc(entry.error)}</div>
+            ${formatEvents(entry)}
+          </li>`;
+      }
+
+      const recurring = new Map(entry.recurring.map(card => [card.cardName, card.firstQuest]));
+      const cards = QuestValidator.withSubQuests(entry.quest).flatMap(({ quest, path }) =>
+        Object.entries(quest.components).map(([label, component]) => `
+          <div class="campaign-card"><span class="tag-label">${esc(path ? `${path} › ${label}` : label)}:</span>
+            ${[].concat(component).map(card => `${esc(card.CardName)}${recurring.has(card.CardName)
+              ? ` <span class="campaign-recurring" title="Also in quest ${recurring.get(card.CardName)}">↺ quest ${recurring.get(card.CardName)}</span>` : ''}`).join(', ')}
+          </div>`));
+      return `
+        <li class="campaign-entry">
+          <div class="campaign-entry-header">
+            <strong>Quest ${entry.number}:</strong> <span class="card-name">${esc(entry.quest.template.CardName)}</span>
+            <button class="btn-go-to-card" data-campaign-quest="${index}">📜 Show Quest</button>
+          </div>
+          ${formatEvents(entry)}
+          ${cards.join('')}
+          <div class="campaign-decks">Cards left: ${Object.entries(entry.deckSizes).map(([key, size]) => `${deckName(key)} ${size}`).join(' · ')}</div>
+        </li>`;
+    };
+    // What happened to the decks before the quest (and what it discarded)
+    const formatEvents = (entry) => {
+      const events = [
+        ...entry.reshuffled.map(r => `🔀 ${r.count} used ${deckName(r.deck)} card${r.count === 1 ? '' : 's'} reshuffled in`),
+        ...entry.returned.map(r => `↺ ${esc(r.cardName)} (quest ${r.firstQuest}) back in the ${deckName(r.deck)} deck`),
+        ...(entry.discarded.length > 0 ? [`🗑 Discarded: ${entry.discarded.map(d => esc(d.cardName)).join(', ')}`] : [])
+      ];
+      return events.length > 0 ? `<div class="campaign-events">${events.map(event => `<div>${event}</div>`).join('')}</div>` : '';
+    };
+
+    const container = document.getElementById('quest-output');
+    const completed = campaign.quests.filter(entry => entry.quest).length;
+    container.innerHTML = `
+      <div class="campaign-display">
+        <div class="quest-header">
+          <h3>Campaign${name ? `: ${esc(name)}` : ''}</h3>
+        </div>
+        <p>${esc(CampaignGenerator.describeSettings(campaign.settings))} - ${completed} of ${campaign.quests.length} quests generated</p>
+        <div class="quest-seed">
+          <span>Seed: <code>${esc(campaign.seed)}</code></span>
+          <span>Card data revision: ${esc(campaign.dataRevision || 'unknown')}</span>
+        </div>
+        <ol class="campaign-timeline">${campaign.quests.map(formatEntry).join('')}</ol>
+        <div id="campaign-quest"></div>
+      </div>
+    `;
+
+    container.querySelectorAll('[data-campaign-quest]').forEach(button => {
+      button.addEventListener('click', () => {
+        const questContainer = document.getElementById('campaign-quest');
+        this.displayQuest(campaign.quests[parseInt(button.dataset.campaignQuest, 10)].quest, questContainer);
+        questContainer.scrollIntoView({ behavior: 'smooth' });
+      });
+    });
+  }
+
+  /**
+   * Helper: Fill the saved campaign selector
+   */
+  async refreshCampaignList(selectedName = null) {
+    const select = document.getElementById('campaign-select');
+    if (!select) return;
+
+    try {
+      const campaigns = await this.campaignStore.list();
+      select.innerHTML = campaigns.length > 0
+        ? campaigns.map(c => `<option value="${this.escapeHtml(c.name)}"${c.name === selectedName ? ' selected' : ''}>${this.escapeHtml(c.name)} (${c.completed}/${c.questCount} quests, ${new Date(c.savedAt).toLocaleString()})</option>`).join('')
+        : '<option value="">No saved campaigns</option>';
+    } catch (error) {
+      select.innerHTML = '<option value="">Could not load campaigns</option>';
+      this.addLog(`❌ Failed to load campaigns: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle Save Campaign button
+   */
+  async handleSaveCampaign() {
+    const name = document.getElementById('campaign-name').value.trim();
+    if (!this.campaign) return;
+    if (!name) {
+      this.addLog('⚠ Enter a name for the campaign');
+      return;
+    }
+
+    try {
+      await this.campaignStore.save(name, this.campaign);
+      this.addLog(`✓ Saved campaign "${name}"${this.campaignStore.offline ? ' (in this browser - server unavailable)' : ''}`);
+      await this.refreshCampaignList(name);
+    } catch (error) {
+      this.addLog(`❌ Failed to save campaign: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle Load campaign button
+   */
+  async handleLoadCampaign() {
+    const name = document.getElementById('campaign-select').value;
+    if (!name) return;
+
+    try {
+      const saved = await this.campaignStore.load(name);
+      if (saved.campaign.dataRevision && saved.campaign.dataRevision !== window.dataLoader.dataRevision) {
+        this.addLog(`⚠ Campaign "${name}" was generated from other card data (revision ${saved.campaign.dataRevision})`);
+      }
+      this.displayCampaign(saved.campaign, name);
+    } catch (error) {
+      this.addLog(`❌ Failed to load campaign: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle Delete campaign button
+   */
+  async handleDeleteCampaign() {
+    const name = document.getElementById('campaign-select').value;
+    if (!name || !confirm(`Delete campaign "${name}"?`)) return;
+
+    try {
+      await this.campaignStore.remove(name);
+      this.addLog(`✓ Deleted campaign "${name}"`);
+      await this.refreshCampaignList();
+    } catch (error) {
+      this.addLog(`❌ Failed to delete campaign: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle Step Through Mode button - start a run that advances one draw attempt per click
+   */
+  handleStepThrough() {
+    this.clearLogs();
+    this.mode = 'step-through';
+
     // Update engine debug mode from checkbox
     const debugToggle = document.getElementById('debug-toggle');
     if (debugToggle) {
       this.engine.debugMode = debugToggle.checked;
     }
-    
-    this.stepState = {
-      step: 0, // 0: Verb, 1: Quest Giver, 2: Harmed Party, 3: Target, 4: Location, 5: Twist, 6: Reward, 7: Failure
-      questGiver: null,
-      harmedParty: null,
-      verb: null,
-      target: null,
-      location: null,
-      twist: null,
-      reward: null,
-      failure: null,
-      selectedVerb: this.getSelectedVerb()
-    };
 
-    document.getElementById('btn-next-step').disabled = false;
-    this.addLog('Step-through mode activated. Click "Next Step" to proceed.');
+    // Same deck preparation as a normal quest, so the seed reproduces it
+    if (window.dataLoader) {
+      this.engine.dataRevision = window.dataLoader.dataRevision;
+      this.engine.prepareRun(window.dataLoader.getDecks(), this.seed || SeededRandom.randomSeed());
+    }
+
+    const step = this.engine.startStepThrough(this.getSelectedVerb());
+    this.displayStep(step);
   }
 
   /**
-   * Handle Next Step button (in step-through mode)
+   * Handle Next Step / Next Instruction buttons (in step-through mode)
+   * @param {string} untilKind - Advance until a step of this kind (null = one step)
    */
-  handleNextStep() {
+  handleNextStep(untilKind = null) {
     if (this.mode !== 'step-through') {
       return;
     }
+    this.displayStep(this.engine.stepForward(untilKind));
+  }
 
-    alert('Step-through mode is currently disabled. This feature needs to be updated to work with the new instruction-driven quest generation system.\n\nPlease use the "Generate Quest" button instead.');
-    
-    // Reset to normal mode
-    this.mode = 'normal';
-    document.getElementById('btn-next-step').style.display = 'none';
-    document.getElementById('btn-generate').style.display = 'inline-block';
-    document.getElementById('btn-step-through').style.display = 'inline-block';
+  /**
+   * Handle Previous Step button (in step-through mode)
+   */
+  handlePrevStep() {
+    if (this.mode !== 'step-through') {
+      return;
+    }
+    this.displayStep(this.engine.stepBack());
   }
 
   /**
-   * Handle Validate button
+   * Enable/disable the step navigation buttons for the current run
    */
-  handleValidate() {
+  updateStepButtons() {
+    const status = this.mode === 'step-through' ? this.engine.getStepStatus() : null;
+    const setDisabled = (id, disabled) => {
+      const button = document.getElementById(id);
+      if (button) button.disabled = disabled;
+    };
+    setDisabled('btn-prev-step', !status || status.position <= 0);
+    setDisabled('btn-next-step', !status || status.atEnd);
+    setDisabled('btn-next-instruction', !status || status.atEnd);
+  }
+
+  /**
+   * Show one step-through snapshot: the finished quest at the end, otherwise the engine state
+   */
+  displayStep(step) {
+    if (!step) return;
+    this.updateStepButtons();
+    this.displayLogs(this.engine.getLogs().slice(0, step.logCount));
+
+    const status = this.engine.getStepStatus();
+    const quest = this.engine.getQuest();
+    if (step.kind === 'complete' && quest) {
+      this.displayQuest(quest);
+      return;
+    }
+
+    const esc = (value) => this.escapeHtml(value);
+    const cardLine = (card) => `<strong>${esc(card.name)}</strong>${card.polarity ? ` (${esc(card.polarity)})` : ''}${card.tags.length ? ` <span class="tag-list">[${esc(card.tags.join(', '))}]</span>` : ''}`;
+    const list = (items, empty) => items.length > 0 ? `<ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>` : `<p class="step-empty">${empty}</p>`;
+
+    const instruction = step.instruction;
+    const instructionText = !instruction ? '—'
+      : `${esc(step.instructionPath || step.instructionIndex + 1)}/${step.instructionCount}: ${QuestEngine.BRANCH_ACTIONS.includes(instruction.action)
+        ? `${esc(instruction.action)} (branch)`
+        : instruction.action === 'subQuest'
+          ? `subQuest ${instruction.template ? `"${esc(instruction.template)}"` : 'drawn from QuestTemplate'}${instruction.label ? ` as <strong>${esc(instruction.label)}</strong>` : ''}`
+          : `${esc(instruction.action)} ${esc(instruction.count || 1)} from ${esc(instruction.deck)}${instruction.label ? ` as <strong>${esc(instruction.label)}</strong>` : ''}`}`;
+    const constraints = [];
+    if (step.requirement) constraints.push(`tags ${esc(step.requirement)}`);
+    if (step.polarity) constraints.push(`polarity ${esc(step.polarity)}`);
+
+    const attemptHTML = step.attempt ? `
+      <div class="step-attempt ${step.attempt.accepted ? 'step-accepted' : 'step-rejected'}">
+        Draw #${step.attempt.number}: ${step.attempt.accepted ? (step.attempt.fallback ? 'FALLBACK ACCEPTED' : 'ACCEPTED') : 'REJECTED'}
+        ${cardLine(step.attempt.card)} — ${esc(step.attempt.reasons.join(', '))}
+      </div>` : '';
+
+    const components = Object.entries(step.components).map(([label, names]) =>
+      `<strong>${esc(label)}:</strong> ${esc(Array.isArray(names) ? names.join(', ') : names)}`);
+
+    document.getElementById('quest-output').innerHTML = `
+      <div class="quest-display step-display">
+        <div class="quest-header">
+          <h3>Step ${status.position + 1}${status.done ? ` of ${status.total}` : ''}</h3>
+          <div class="step-nav">
+            <button class="btn-toggle-details" onclick="window.uiManager.handlePrevStep()" ${status.position <= 0 ? 'disabled' : ''}>◀ Back</button>
+            <button class="btn-toggle-details" onclick="window.uiManager.handleNextStep()" ${status.atEnd ? 'disabled' : ''}>Next Step ▶</button>
+            <button class="btn-toggle-details" onclick="window.uiManager.handleNextStep('instruction-complete')" ${status.atEnd ? 'disabled' : ''}>Next Instruction ⏭</button>
+          </div>
+        </div>
+        <div class="step-message ${step.kind === 'failed' ? 'error-message' : ''}">${esc(step.message)}</div>
+        ${attemptHTML}
+        <div class="quest-role">
+          <strong>Template:</strong> ${esc(step.template || '—')}${step.subQuest ? ` (sub-quest ${esc(step.subQuest)})` : ''}<br>
+          <strong>Instruction:</strong> ${instructionText}<br>
+          <strong>Constraints:</strong> ${constraints.length > 0 ? constraints.join(', ') : 'none'}
+        </div>
+        <div class="quest-role">
+          <strong>Top of ${esc(step.deckName || 'deck')}</strong> (${step.deckSize} cards)
+          ${list(step.deckTop.map(cardLine), 'No deck for this step')}
+        </div>
+        <div class="quest-role">
+          <strong>Match pool:</strong> ${step.matchPool.count}/${step.matchPool.total}
+          ${list(step.matchPool.cards.map(esc), 'No matching cards')}
+        </div>
+        <div class="quest-role">
+          <strong>Rejections this instruction:</strong>
+          ${list(step.rejections.map(rejection => `${esc(rejection.card)} — ${esc(rejection.reasons.join(', '))}`), 'None')}
+        </div>
+        <div class="quest-role">
+          <strong>Pending instructions:</strong>
+          ${list(step.pendingInstructions.map(pending => `${esc(pending.source)} → ${esc(pending.targetDeck)}: [${esc(pending.tags.join(', '))}]${pending.expression ? ` requiring ${esc(pending.expression)}` : ''}${pending.semantics ? ` (${esc(pending.semantics)})` : ''}`), 'None')}
+        </div>
+        <div class="quest-role">
+          <strong>Drawn so far:</strong>
+          ${list(components, 'Nothing yet')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Handle Validate button (and Run What-If, which passes the what-if changes)
+   * @param {Array} whatIf - Card changes to compare against the current data (null = plain validation)
+   */
+  handleValidate(whatIf = null) {
     const iterationsInput = document.getElementById('iterations-input');
     const iterations = parseInt(iterationsInput.value) || 100;
+    const templates = this.getValidationTemplates();
 
     this.clearLogs();
-    this.addLog(`Running validator with ${iterations} iterations...`);
+    if (whatIf) {
+      this.addLog(`Running what-if analysis (${whatIf.length} change(s)): ${iterations} paired iterations${templates.length > 0 ? ` for each of ${templates.length} template(s)` : ''}...`);
+    } else {
+      this.addLog(templates.length > 0
+        ? `Running validator with ${iterations} iterations for each of ${templates.length} template(s)...`
+        : `Running validator with ${iterations} iterations...`);
+    }
     document.getElementById('btn-validate').disabled = true;
+    this.validationSettings = {
+      iterations,
+      maxRedraws: this.engine.maxRedraws,
+      generationMode: this.engine.generationMode,
+      templates: templates.map(t => t.CardName)
+    };
+
+    if (this.startValidationWorker(iterations, templates, whatIf)) return;
+
+    // No Web Worker (e.g. the page was opened from file://) - validate on the page.
+    // The validator reuses the engine, so a step-through run can't continue afterwards
+    this.mode = 'normal';
+    this.engine.endStepThrough();
+    this.updateStepButtons();
 
     // Use setTimeout to allow UI to update
     setTimeout(() => {
       try {
-        const report = this.validator.validateAll(iterations, (current, total) => {
-          if (current % 10 === 0) {
-            this.addLog(`Progress: ${current}/${total} iterations`);
-          }
-        });
+        const validation = whatIf ? new WhatIfAnalysis(this.engine, this.validator.dataLoader, whatIf) : this.validator;
+        const report = whatIf
+          ? validation.run(iterations, { templates })
+          : validation.validateAll(iterations, (current, total) => {
+            if (current % 10 === 0) {
+              this.addLog(`Progress: ${current}/${total} iterations`);
+            }
+          }, { templates });
 
-        const reportText = this.validator.formatReportAsText(report);
+        const reportText = validation.formatReportAsText(report);
         this.clearLogs();
         this.addLog(reportText);
 
         // Also display as structured data
-        this.displayValidationReport(report);
+        this.displayReport(report);
+      } catch (error) {
+        this.addLog(`❌ Validation failed: ${error.message}`);
       } finally {
         document.getElementById('btn-validate').disabled = false;
       }
     }, 100);
   }
 
+  /**
+   * Run the validation in validatorWorker.js, showing progress and partial reports as they arrive
+   * @param {Array} whatIf - Card changes for a what-if analysis (null = plain validation)
+   * @returns {boolean} False if a worker can't be started
+   */
+  startValidationWorker(iterations, templates, whatIf = null) {
+    if (typeof Worker === 'undefined') return false;
+
+    let worker;
+    try {
+      worker = new Worker('validatorWorker.js');
+    } catch (error) {
+      console.warn('Validation worker unavailable, validating on the page:', error.message);
+      return false;
+    }
+    this.validationWorker = worker;
+    this.setValidationRunning(true);
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        this.updateValidationProgress(message.current, message.total);
+        if (message.report) {
+          this.displayReport(message.report, { current: message.current, total: message.total });
+        }
+      } else if (message.type === 'done') {
+        this.stopValidationWorker();
+        this.clearLogs();
+        if (message.cancelled) {
+          const summary = message.report.whatIf ? message.report.current.summary : message.report.summary;
+          this.addLog(`⚠ Validation cancelled after ${summary.totalIterations} iterations`);
+        }
+        this.addLog(message.text);
+        this.displayReport(message.report);
+      } else if (message.type === 'error') {
+        this.stopValidationWorker();
+        this.addLog(`❌ Validation failed: ${message.message}`);
+      }
+    };
+    worker.onerror = (event) => {
+      this.stopValidationWorker();
+      this.addLog(`❌ Validation worker error: ${event.message || 'could not load validatorWorker.js'}`);
+    };
+
+    const dataLoader = this.validator.dataLoader;
+    worker.postMessage({
+      type: 'start',
+      decks: dataLoader.decks,
+      dataRevision: dataLoader.dataRevision,
+      deckDefinitions: DECK_REGISTRY.toJSON().decks,
+      tagConfigurations: window.TAG_CONFIG_MANAGER ? window.TAG_CONFIG_MANAGER.getAllConfigs() : null,
+      settings: {
+        maxRedraws: this.engine.maxRedraws,
+        generationMode: this.engine.generationMode,
+        solverFallback: this.engine.solverFallback,
+        solverMaxCandidates: this.engine.solverMaxCandidates
+      },
+      iterations,
+      templates: templates.map(t => t.CardName),
+      whatIf
+    });
+    return true;
+  }
+
+  /**
+   * Handle Cancel Validation button - the worker stops after its current batch and sends
+   * a report of the iterations run so far
+   */
+  handleCancelValidation() {
+    if (!this.validationWorker) return;
+    this.validationWorker.postMessage({ type: 'cancel' });
+    document.getElementById('btn-cancel-validation').disabled = true;
+    this.addLog('Cancelling validation...');
+  }
+
+  /**
+   * Helper: Shut down the validation worker and restore the validation controls
+   */
+  stopValidationWorker() {
+    if (this.validationWorker) {
+      this.validationWorker.terminate();
+      this.validationWorker = null;
+    }
+    this.setValidationRunning(false);
+  }
+
+  /**
+   * Helper: Enable/disable the validation controls and show/hide the progress bar
+   */
+  setValidationRunning(running) {
+    document.getElementById('btn-validate').disabled = running;
+    const whatIfButton = document.getElementById('btn-run-what-if');
+    if (whatIfButton) whatIfButton.disabled = running || this.whatIfChanges.length === 0;
+    const cancelButton = document.getElementById('btn-cancel-validation');
+    if (cancelButton) cancelButton.disabled = !running;
+    const progress = document.getElementById('validation-progress');
+    if (progress) progress.hidden = !running;
+    if (running) this.updateValidationProgress(0, 1);
+  }
+
+  /**
+   * Helper: Show validation progress
+   */
+  updateValidationProgress(current, total) {
+    const bar = document.getElementById('validation-progress-bar');
+    const text = document.getElementById('validation-progress-text');
+    if (bar) {
+      bar.max = total;
+      bar.value = current;
+    }
+    if (text) text.textContent = `${current}/${total}`;
+  }
+
+  /**
+   * Display a validation report, or a what-if analysis (see whatIfAnalysis.js)
+   * @param {Object} progress - { current, total } while the validation is still running (partial report)
+   */
+  displayReport(report, progress = null) {
+    if (report.whatIf) {
+      this.displayWhatIfReport(report, progress);
+    } else {
+      this.displayValidationReport(report, progress);
+    }
+  }
+
+  /**
+   * Display a what-if analysis: the changes, then how the quests generated with them differ from
+   * the same runs on the current data
+   */
+  displayWhatIfReport(result, progress = null) {
+    const questOutput = document.getElementById('quest-output');
+    questOutput.innerHTML = progress
+      ? `<h3>What-If Analysis <small>(running: ${progress.current}/${progress.total})</small></h3>`
+      : '<h3>What-If Analysis</h3>';
+
+    const changesDiv = document.createElement('div');
+    changesDiv.className = 'report-section';
+    changesDiv.innerHTML = `
+      <h4>Changes</h4>
+      <ul>${result.changes.map(change => `<li>${this.escapeHtml(WhatIfAnalysis.describeChange(change))}</li>`).join('')}</ul>
+      ${result.skippedTemplates.length > 0 ? `<p><em>Not run with the changes (template removed): ${result.skippedTemplates.map(name => this.escapeHtml(name)).join(', ')}</em></p>` : ''}
+      <p><strong>Paired Runs:</strong> ${result.current.summary.totalIterations} (the same seeds with and without the changes)</p>
+    `;
+    questOutput.appendChild(changesDiv);
+
+    const impactDiv = document.createElement('div');
+    impactDiv.className = 'report-section';
+    impactDiv.innerHTML = `<h4>Impact</h4>${this.formatComparisonDetails(result.comparison)}`;
+    if (!progress) {
+      const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+      impactDiv.insertAdjacentHTML('beforeend', `
+        <button class="btn btn-secondary" data-export="csv">Export (CSV)</button>
+        <button class="btn btn-secondary" data-export="json">Export (JSON)</button>
+      `);
+      impactDiv.querySelectorAll('[data-export]').forEach(button => {
+        button.addEventListener('click', () => this.exportComparison(result.comparison, button.dataset.export, `what-if-${stamp}`));
+      });
+    }
+    questOutput.appendChild(impactDiv);
+  }
+
   /**
    * Display validation report in structured format
+   * @param {Object} report - Validation report
+   * @param {Object} progress - { current, total } while the validation is still running (partial report)
    */
-  displayValidationReport(report) {
+  displayValidationReport(report, progress = null) {
     const questOutput = document.getElementById('quest-output');
-    questOutput.innerHTML = '<h3>Validation Report</h3>';
+    questOutput.innerHTML = progress
+      ? `<h3>Validation Report <small>(running: ${progress.current}/${progress.total})</small></h3>`
+      : '<h3>Validation Report</h3>';
 
     // Summary
     const summaryDiv = document.createElement('div');
@@ -275,11 +952,32 @@ class UIManager {
     summaryDiv.innerHTML = `
       <h4>Summary</h4>
       <p><strong>Total Iterations:</strong> ${report.summary.totalIterations}</p>
+      <p><strong>Failed Runs:</strong> ${report.summary.failedRuns} (${report.summary.failureRate})</p>
       <p><strong>Avg Draws/Quest:</strong> ${report.summary.avgDrawsPerQuest}</p>
       <p><strong>Fallback Rate:</strong> ${report.summary.fallbackRate}</p>
+      ${report.summary.generationMode === 'solve' ? `
+      <p><strong>Unsatisfiable Runs:</strong> ${report.summary.unsatisfiableRuns}</p>
+      <p><strong>Solver Backtracks:</strong> ${report.summary.totalBacktracks}</p>` : ''}
     `;
     questOutput.appendChild(summaryDiv);
 
+    // Downloads of the finished report
+    if (!progress) {
+      const exportDiv = document.createElement('div');
+      exportDiv.className = 'report-section report-exports';
+      exportDiv.innerHTML = `
+        <h4>Export</h4>
+        <button class="btn btn-secondary" data-export="json">Report (JSON)</button>
+        <button class="btn btn-secondary" data-export="cards">Cards (CSV)</button>
+        <button class="btn btn-secondary" data-export="tags">Tags (CSV)</button>
+        <button class="btn btn-secondary" data-export="html">Report (HTML)</button>
+      `;
+      exportDiv.querySelectorAll('[data-export]').forEach(button => {
+        button.addEventListener('click', () => this.exportValidationReport(report, button.dataset.export));
+      });
+      questOutput.appendChild(exportDiv);
+    }
+
     // Card Utilization
     const cardDiv = document.createElement('div');
     cardDiv.className = 'report-section';
@@ -301,7 +999,7 @@ class UIManager {
     if (report.cardUtilization.overactiveCards.count > 0) {
       overactiveCardsHTML = '<ul>' + report.cardUtilization.overactiveCards.cards
         .slice(0, 10)
-        .map(c => `<li>${c.name} (${c.deck}): ${c.selectedCount} times (${c.ratio}x expected)</li>`)
+        .map(c => `<li>${c.name} (${c.deck}): ${c.selectedCount} times vs ${c.expectedCount} expected at weight ${c.weight} (${c.ratio}x)</li>`)
         .join('') + '</ul>';
       if (report.cardUtilization.overactiveCards.count > 10) {
         overactiveCardsHTML += `<p><em>...and ${report.cardUtilization.overactiveCards.count - 10} more</em></p>`;
@@ -324,6 +1022,417 @@ class UIManager {
     tagDiv.className = 'report-section';
     tagDiv.innerHTML = `<h4>Top Tags</h4><ul>${report.tagUtilization.topTags.slice(0, 10).map(t => `<li>${t.tag}: ${t.usageCount}</li>`).join('')}</ul>`;
     questOutput.appendChild(tagDiv);
+
+    // Templates side by side, then each template's details
+    const templateDiv = document.createElement('div');
+    templateDiv.className = 'report-section';
+    templateDiv.innerHTML = `
+      <h4>Templates</h4>
+      <table class="match-pool-table template-comparison">
+        <thead><tr><th>Template</th><th>Runs</th><th>Failed</th><th>Fallbacks/Quest</th><th>Draws/Quest</th></tr></thead>
+        <tbody>
+          ${report.templates.map(t => `
+          <tr class="${t.failures > 0 ? 'template-failing' : ''}">
+            <td>${this.escapeHtml(t.template)}</td>
+            <td>${t.runs}</td>
+            <td>${t.failureRate.toFixed(1)}%</td>
+            <td>${t.fallbacksPerQuest.toFixed(2)}</td>
+            <td>${t.avgDrawsPerQuest.toFixed(2)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+      ${report.templates.map(t => this.formatTemplateReport(t)).join('')}
+    `;
+    questOutput.appendChild(templateDiv);
+
+    // Match pools per template + label
+    const poolDiv = document.createElement('div');
+    poolDiv.className = 'report-section';
+    poolDiv.innerHTML = `
+      <h4>Match Pools</h4>
+      <p><strong>Avg Match Pool:</strong> ${report.verbTightness.avgPercentage}%</p>
+      <p><strong>Bottleneck Steps (&lt;50% pool):</strong> ${report.routingBottlenecks.totalBottlenecks}</p>
+      <div class="match-pool-results"></div>
+    `;
+    questOutput.appendChild(poolDiv);
+    this.renderMatchPoolTable(poolDiv.querySelector('.match-pool-results'), report.matchPools.bySlot, { key: 'avgPercentage', ascending: true });
+
+    // Save a finished run as a baseline, or compare it with one
+    if (!progress && this.baselineStore) {
+      questOutput.appendChild(this.createBaselineSection(report));
+    }
+
+    // Exact per-slot probabilities, to compare against the sampled utilization above
+    if (this.probabilityCalculator) {
+      const templates = this.engine.decks.questtemplates || [];
+      const selected = this.getSelectedVerb() || templates[0];
+      const probabilityDiv = document.createElement('div');
+      probabilityDiv.className = 'report-section';
+      probabilityDiv.innerHTML = `
+        <h4>Draw Probabilities</h4>
+        <select id="probability-template">
+          ${templates.map((t, i) => `<option value="${i}"${t === selected ? ' selected' : ''}>${this.escapeHtml(t.CardName)}</option>`).join('')}
+        </select>
+        <button id="btn-calculate-probabilities" class="btn btn-secondary">Calculate</button>
+        <div id="probability-results"></div>
+      `;
+      questOutput.appendChild(probabilityDiv);
+      document.getElementById('btn-calculate-probabilities').addEventListener('click', () => {
+        const template = templates[parseInt(document.getElementById('probability-template').value)];
+        if (template) this.showDrawProbabilities(template);
+      });
+    }
+  }
+
+  /**
+   * Helper: One template's validation details - failure reasons, cards drawn per label and tags
+   */
+  formatTemplateReport(t) {
+    const failures = t.failureReasons.length > 0
+      ? `<ul>${t.failureReasons.map(f => `<li>Failed ${f.count}x: ${this.escapeHtml(f.reason)}</li>`).join('')}</ul>`
+      : '';
+    const subQuests = (t.subQuests || []).map(subQuest => `
+      <p><strong>Sub-quest ${this.escapeHtml(subQuest.label)}</strong> (${subQuest.total} generated)</p>
+      <ul>${subQuest.templates.map(template => `<li>${this.escapeHtml(template.name)}: ${template.count} (${template.percentage.toFixed(1)}%)</li>`).join('')}</ul>
+    `).join('');
+    const labels = t.labels.map(slot => `
+      <p><strong>${this.escapeHtml(slot.label)}</strong> (${slot.total} cards)</p>
+      <ul>${slot.cards.slice(0, 10).map(card => `<li>${this.escapeHtml(card.name)}: ${card.count} (${card.percentage.toFixed(1)}%)</li>`).join('')}</ul>
+      ${slot.cards.length > 10 ? `<p><em>...and ${slot.cards.length - 10} more</em></p>` : ''}
+    `).join('');
+    const tags = t.topTags.length > 0
+      ? `<p><strong>Top Tags:</strong> ${t.topTags.map(tag => `${this.escapeHtml(tag.tag)} (${tag.count})`).join(', ')}</p>`
+      : '';
+
+    return `
+      <details class="template-report">
+        <summary>${this.escapeHtml(t.template)} - ${t.runs} runs, ${t.failureRate.toFixed(1)}% failed</summary>
+        ${failures}${subQuests}${labels}${tags}
+      </details>
+    `;
+  }
+
+  /**
+   * Download the validation report: the whole report as JSON, card or tag utilization as CSV,
+   * or a standalone HTML report with charts
+   */
+  exportValidationReport(report, format) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    const exports = {
+      json: () => [`validation-report-${stamp}.json`, ReportExporter.toJSON(report), 'application/json'],
+      cards: () => [`validation-cards-${stamp}.csv`, ReportExporter.cardsToCSV(report), 'text/csv'],
+      tags: () => [`validation-tags-${stamp}.csv`, ReportExporter.tagsToCSV(report), 'text/csv'],
+      html: () => [`validation-report-${stamp}.html`, ReportExporter.toHTML(report), 'text/html']
+    };
+
+    try {
+      const [fileName, content, type] = exports[format]();
+      this.downloadFile(fileName, content, type);
+      this.addLog(`✓ Validation report exported as ${fileName}`);
+    } catch (error) {
+      this.addLog(`❌ Report Export Error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Helper: Report section for saving the report as a baseline and comparing it with a saved one
+   */
+  createBaselineSection(report) {
+    const baselineDiv = document.createElement('div');
+    baselineDiv.className = 'report-section';
+    baselineDiv.innerHTML = `
+      <h4>Baselines</h4>
+      <input type="text" id="baseline-name" placeholder="Baseline name (e.g. before rebalance)">
+      <button id="btn-save-baseline" class="btn btn-secondary">Save as Baseline</button>
+      <div class="baseline-compare">
+        <select id="baseline-select"><option value="">Loading baselines...</option></select>
+        <button id="btn-compare-baseline" class="btn btn-secondary">Compare</button>
+        <button id="btn-delete-baseline" class="btn btn-secondary">Delete</button>
+      </div>
+      <div id="baseline-comparison"></div>
+    `;
+
+    baselineDiv.querySelector('#btn-save-baseline').addEventListener('click', () => this.handleSaveBaseline(report));
+    baselineDiv.querySelector('#btn-compare-baseline').addEventListener('click', () => this.handleCompareBaseline(report));
+    baselineDiv.querySelector('#btn-delete-baseline').addEventListener('click', () => this.handleDeleteBaseline());
+    this.refreshBaselineList();
+    return baselineDiv;
+  }
+
+  /**
+   * Helper: Fill the baseline selector with the saved baselines
+   */
+  async refreshBaselineList(selectedName = null) {
+    const select = document.getElementById('baseline-select');
+    if (!select) return;
+
+    try {
+      const baselines = await this.baselineStore.list();
+      select.innerHTML = baselines.length > 0
+        ? baselines.map(b => `<option value="${this.escapeHtml(b.name)}"${b.name === selectedName ? ' selected' : ''}>${this.escapeHtml(b.name)} (${b.iterations} iterations, ${new Date(b.savedAt).toLocaleString()})</option>`).join('')
+        : '<option value="">No saved baselines</option>';
+    } catch (error) {
+      select.innerHTML = '<option value="">Could not load baselines</option>';
+      this.addLog(`❌ Failed to load baselines: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle Save as Baseline button
+   */
+  async handleSaveBaseline(report) {
+    const name = document.getElementById('baseline-name').value.trim();
+    if (!name) {
+      this.addLog('⚠ Enter a name for the baseline');
+      return;
+    }
+
+    try {
+      await this.baselineStore.save(name, report, this.validationSettings || {});
+      this.addLog(`✓ Saved validation baseline "${name}"${this.baselineStore.offline ? ' (in this browser - server unavailable)' : ''}`);
+      await this.refreshBaselineList(name);
+    } catch (error) {
+      this.addLog(`❌ Failed to save baseline: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle Compare button - compare the report with the selected baseline
+   */
+  async handleCompareBaseline(report) {
+    const name = document.getElementById('baseline-select').value;
+    if (!name) return;
+
+    try {
+      const baseline = await this.baselineStore.load(name);
+      const comparison = QuestValidator.compareReports(report, baseline);
+      this.addLog(this.validator.formatComparisonAsText(comparison));
+      this.renderBaselineComparison(document.getElementById('baseline-comparison'), comparison, baseline.settings);
+    } catch (error) {
+      this.addLog(`❌ Failed to compare with baseline: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle Delete baseline button
+   */
+  async handleDeleteBaseline() {
+    const name = document.getElementById('baseline-select').value;
+    if (!name || !confirm(`Delete validation baseline "${name}"?`)) return;
+
+    try {
+      await this.baselineStore.remove(name);
+      this.addLog(`✓ Deleted validation baseline "${name}"`);
+      await this.refreshBaselineList();
+    } catch (error) {
+      this.addLog(`❌ Failed to delete baseline: ${error.message}`);
+    }
+  }
+
+  /**
+   * Show a baseline comparison with notes on the card data and settings it was run with
+   * @param {Object} baselineSettings - Settings the baseline was run with (a warning is shown if they differ)
+   */
+  renderBaselineComparison(container, comparison, baselineSettings = {}) {
+    const current = this.validationSettings || {};
+    const settingsDiffer = ['maxRedraws', 'generationMode'].some(key =>
+      baselineSettings[key] !== undefined && current[key] !== undefined && baselineSettings[key] !== current[key]);
+
+    container.innerHTML = `
+      <p><strong>Compared with "${this.escapeHtml(comparison.baseline.name)}"</strong>
+        (${comparison.baseline.iterations} vs ${comparison.current.iterations} iterations)</p>
+      <p><em>${comparison.sameCardData
+        ? 'Same card data as the baseline - differences are sampling noise or setting changes'
+        : `Card data changed since the baseline (revision ${this.escapeHtml(comparison.baseline.dataRevision || 'unknown')} → ${this.escapeHtml(comparison.current.dataRevision || 'unknown')})`}</em></p>
+      ${settingsDiffer ? `<p class="delta-worse">⚠ The baseline was run with different settings (Max Redraws ${baselineSettings.maxRedraws}, ${this.escapeHtml(baselineSettings.generationMode)} mode)</p>` : ''}
+      ${this.formatComparisonDetails(comparison)}
+      <button class="btn btn-secondary" data-export="csv">Export Comparison (CSV)</button>
+      <button class="btn btn-secondary" data-export="json">Export Comparison (JSON)</button>
+    `;
+
+    container.querySelectorAll('[data-export]').forEach(button => {
+      button.addEventListener('click', () => this.exportComparison(comparison, button.dataset.export));
+    });
+  }
+
+  /**
+   * Helper: A comparison's changes as HTML - rates, cards that changed status, templates losing
+   * coverage, slots hitting zero-match pools and the largest selection changes. Worse changes
+   * are red/orange, improvements green
+   */
+  formatComparisonDetails(comparison) {
+    const esc = (value) => this.escapeHtml(value);
+    const signed = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+    const changeClass = (change) => change > 0.05 ? 'delta-worse' : change < -0.05 ? 'delta-better' : '';
+    const cardList = (cards, className, title) => cards.length > 0
+      ? `<p class="${className}"><strong>${title} (${cards.length}):</strong> ${cards.map(c => `${esc(c.name)} (${esc(c.deck)})`).join(', ')}</p>`
+      : '';
+
+    const losing = (comparison.templates || []).filter(t => t.failureRate.change > 0 || t.lostCoverage.length > 0 || t.status === 'removed');
+    const templatesHTML = losing.length > 0 ? `
+      <p><strong>Templates Losing Coverage (${losing.length}):</strong></p>
+      <ul>${losing.map(t => `
+        <li><strong>${esc(t.template)}</strong>${t.status ? ` (${t.status})` : ''}: failed ${t.failureRate.before.toFixed(1)}% → ${t.failureRate.after.toFixed(1)}%
+          <span class="${changeClass(t.failureRate.change)}">(${signed(t.failureRate.change)})</span>
+          ${t.lostCoverage.map(slot => `<br><span class="card-newly-dead">${esc(slot.label)} lost ${slot.lostCards.map(esc).join(', ')}</span>`).join('')}
+        </li>`).join('')}
+      </ul>` : '';
+
+    const emptying = (comparison.matchPools || []).filter(slot => slot.zeroPoolRate.change > 0);
+    const poolsHTML = emptying.length > 0 ? `
+      <p><strong>Slots Hitting Zero-Match Pools (${emptying.length}):</strong></p>
+      <table class="match-pool-table baseline-comparison">
+        <thead><tr><th>Template</th><th>Label</th><th>Deck</th><th>Zero Pool</th><th>Pool %</th></tr></thead>
+        <tbody>${emptying.map(slot => `
+          <tr class="${slot.newlyZero ? 'card-newly-dead' : ''}">
+            <td>${esc(slot.template)}</td>
+            <td>${esc(slot.label)}</td>
+            <td>${esc(slot.deck)}</td>
+            <td>${slot.zeroPoolRate.before.toFixed(1)}% → ${slot.zeroPoolRate.after.toFixed(1)}%</td>
+            <td>${slot.avgPercentage.before.toFixed(1)}% → ${slot.avgPercentage.after.toFixed(1)}%</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>` : '';
+
+    const rows = comparison.cards.filter(card => Math.abs(card.change) > 0 || card.status).slice(0, 25).map(card => `
+      <tr class="${card.status ? `card-${card.status}` : ''}">
+        <td>${esc(card.name)}</td>
+        <td>${esc(card.deck)}</td>
+        <td>${card.before.toFixed(1)}</td>
+        <td>${card.after.toFixed(1)}</td>
+        <td class="${card.change > 0 ? 'delta-up' : 'delta-down'}">${signed(card.change)}</td>
+        <td>${card.status || ''}</td>
+      </tr>`).join('');
+
+    return `
+      <p><strong>Fallbacks/100 Quests:</strong> ${comparison.fallbackRate.before.toFixed(1)} → ${comparison.fallbackRate.after.toFixed(1)}
+        <span class="${changeClass(comparison.fallbackRate.change)}">(${signed(comparison.fallbackRate.change)})</span></p>
+      <p><strong>Failure Rate:</strong> ${comparison.failureRate.before.toFixed(1)}% → ${comparison.failureRate.after.toFixed(1)}%
+        <span class="${changeClass(comparison.failureRate.change)}">(${signed(comparison.failureRate.change)})</span></p>
+      ${cardList(comparison.newlyDeadCards, 'card-newly-dead', 'Newly Dead')}
+      ${cardList(comparison.newlyOveractiveCards, 'card-newly-overactive', 'Newly Overactive')}
+      ${cardList(comparison.revivedCards, 'card-revived', 'Revived')}
+      ${cardList(comparison.noLongerOveractiveCards, 'card-revived', 'No Longer Overactive')}
+      ${templatesHTML}
+      ${poolsHTML}
+      ${rows ? `
+      <table class="match-pool-table baseline-comparison">
+        <thead><tr><th>Card</th><th>Deck</th><th>Before</th><th>After</th><th>Change</th><th></th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <p><em>Selections per 100 quests, largest changes first</em></p>` : '<p><em>No selection changes</em></p>'}
+    `;
+  }
+
+  /**
+   * Download a baseline comparison as CSV (one row per card) or JSON
+   */
+  exportComparison(comparison, format, fileName = `validation-comparison-${comparison.baseline.name.replace(/[^\w-]+/g, '_')}`) {
+    if (format === 'json') {
+      this.downloadFile(`${fileName}.json`, JSON.stringify(comparison, null, 2), 'application/json');
+    } else {
+      this.downloadFile(`${fileName}.csv`, ReportExporter.comparisonToCSV(comparison), 'text/csv');
+    }
+    this.addLog(`✓ Comparison exported as ${fileName}.${format}`);
+  }
+
+  /**
+   * Helper: Download text content as a file
+   */
+  downloadFile(fileName, content, type) {
+    const blob = new Blob([content], { type });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Render the match pool table, sorted by a column (click a column header to sort by it,
+   * again to reverse)
+   */
+  renderMatchPoolTable(container, slots, sort) {
+    const columns = [
+      { key: 'template', title: 'Template' },
+      { key: 'label', title: 'Label' },
+      { key: 'deck', title: 'Deck' },
+      { key: 'avgPoolSize', title: 'Avg Pool', format: (slot) => `${slot.avgPoolSize.toFixed(1)}/${slot.avgDeckSize.toFixed(1)}` },
+      { key: 'avgPercentage', title: 'Pool %', format: (slot) => `${slot.avgPercentage.toFixed(1)}%` },
+      { key: 'zeroPoolRate', title: 'Zero Pool', format: (slot) => `${slot.zeroPoolRate.toFixed(1)}%` },
+      { key: 'fallbackRate', title: 'Fallback', format: (slot) => `${slot.fallbackRate.toFixed(1)}%` },
+      { key: 'samples', title: 'Draws' }
+    ];
+
+    if (slots.length === 0) {
+      container.innerHTML = '<p><em>No draws recorded</em></p>';
+      return;
+    }
+
+    const sorted = [...slots].sort((a, b) => {
+      const order = typeof a[sort.key] === 'number' ? a[sort.key] - b[sort.key] : String(a[sort.key]).localeCompare(String(b[sort.key]));
+      return sort.ascending ? order : -order;
+    });
+
+    const header = columns.map(column => {
+      const arrow = column.key === sort.key ? (sort.ascending ? ' ▲' : ' ▼') : '';
+      return `<th data-sort="${column.key}">${column.title}${arrow}</th>`;
+    }).join('');
+    const rows = sorted.map(slot => `<tr>${columns.map(column =>
+      `<td>${this.escapeHtml(column.format ? column.format(slot) : slot[column.key])}</td>`).join('')}</tr>`).join('');
+    container.innerHTML = `<table class="match-pool-table"><thead><tr>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+
+    container.querySelectorAll('th[data-sort]').forEach(th => {
+      th.addEventListener('click', () => {
+        const key = th.dataset.sort;
+        this.renderMatchPoolTable(container, slots, { key, ascending: key === sort.key ? !sort.ascending : true });
+      });
+    });
+  }
+
+  /**
+   * Calculate and show each card's chance of filling each label slot of a template
+   */
+  showDrawProbabilities(template) {
+    const results = document.getElementById('probability-results');
+    const button = document.getElementById('btn-calculate-probabilities');
+    results.innerHTML = '<p><em>Calculating...</em></p>';
+    button.disabled = true;
+
+    // Use setTimeout to allow UI to update
+    setTimeout(() => {
+      try {
+        const result = this.probabilityCalculator.calculate(template);
+        const percent = (p) => `${(p * 100).toFixed(1)}%`;
+        const redraws = result.maxRedraws === -1 ? '∞' : result.maxRedraws;
+
+        let html = `<p><strong>Success:</strong> ${percent(result.successProbability)} (Max Redraws ${redraws})</p>`;
+        if (result.approximate) {
+          html += '<p><em>⚠ A deck can be read all the way through - cards sent to the bottom are assumed to come back in random order</em></p>';
+        }
+        if (result.failures.length > 0) {
+          html += `<ul>${result.failures.map(f => `<li>${this.escapeHtml(f.reason)}: ${percent(f.probability)}</li>`).join('')}</ul>`;
+        }
+
+        html += '<table class="probability-table"><thead><tr><th>Card</th><th>Probability</th></tr></thead><tbody>';
+        result.labels.forEach(slot => {
+          const count = slot.count > 1 ? ` ×${slot.count}` : '';
+          html += `<tr class="probability-label"><th colspan="2">${this.escapeHtml(slot.label)}${count} (${this.escapeHtml(slot.deck)}) - filled ${percent(slot.probability)}, fallback ${percent(slot.fallbackProbability)}</th></tr>`;
+          slot.cards.forEach(card => {
+            html += `<tr><td>${this.escapeHtml(card.name)}</td><td>${percent(card.probability)}</td></tr>`;
+          });
+        });
+        html += '</tbody></table>';
+        results.innerHTML = html;
+      } catch (error) {
+        results.innerHTML = `<p>❌ ${this.escapeHtml(error.message)}</p>`;
+      } finally {
+        button.disabled = false;
+      }
+    }, 100);
   }
 
   /**
@@ -333,7 +1442,7 @@ class UIManager {
   generatePlayerInstruction(instructionData) {
     if (!instructionData || !instructionData.deck) return '';
     
-    const { deck, count, tags, label, faceDown, polarity } = instructionData;
+    const { deck, count, tags, tagExpression, label, faceDown, polarity, habitats, revealedBy } = instructionData;
     const countText = count > 1 ? `${count} cards` : '1 card';
     const deckText = `<strong>${deck}</strong>`;
     
@@ -361,20 +1470,49 @@ class UIManager {
       }
     }
     
+    // Tag expression (e.g. "Justice AND NOT Undead") on top of any tags
+    if (tagExpression) {
+      tagsText += `${tagsText ? ' and' : ' which'} match <strong>${this.escapeHtml(tagExpression)}</strong>`;
+    }
+
+    // Habitat constraint (e.g. the drawn Location's Habitat)
+    if (habitats && habitats.length > 0) {
+      tagsText += `${tagsText ? ' and' : ' which'} live in <strong>${this.escapeHtml(habitats.join(' or '))}</strong>`;
+    }
+    
     let instruction = `Draw ${countText} from ${deckText}${tagsText}.`;
     
     if (faceDown) {
       instruction += ' (Leave face down until battleground setup phase)';
+    } else if (revealedBy) {
+      instruction += ` (Revealed by ${this.escapeHtml(revealedBy)} - place face up)`;
     }
     
     return instruction;
   }
 
   /**
-   * Display a quest in the Quest Output section
+   * Helper: One card instruction as text, e.g. "Location: [Justice]" or "Discard 2 from Location"
    */
-  displayQuest(quest) {
-    const container = document.getElementById('quest-output');
+  describeCardInstruction(inst) {
+    const tags = `[${(inst.Tags || []).join(', ')}]${inst.TagExpression ? ` ${inst.TagExpression}` : ''}`;
+    const count = inst.Count || 1;
+    switch (inst.Action || 'addTags') {
+      case 'removeTags': return `Remove from ${inst.TargetDeck}: ${tags}`;
+      case 'forbidTags': return `Forbid in ${inst.TargetDeck}: ${tags}`;
+      case 'forcePolarity': return `Force ${inst.Polarity} on ${inst.TargetDeck}`;
+      case 'extraDraw': return `Draw ${count} extra for ${inst.TargetLabel}`;
+      case 'discard': return `Discard ${count} from ${inst.TargetDeck}`;
+      case 'swap': return `Swap ${inst.TargetLabel}`;
+      case 'reveal': return `Reveal ${inst.TargetLabel}`;
+      default: return `${inst.TargetDeck}: ${tags}`;
+    }
+  }
+
+  /**
+   * Display a quest in the Quest Output section (or in `container`, e.g. below a campaign timeline)
+   */
+  displayQuest(quest, container = document.getElementById('quest-output')) {
     container.innerHTML = '';
 
     // Helper function to format instructions
@@ -382,16 +1520,17 @@ class UIManager {
       if (!instructions || instructions.length === 0) return '';
       return `<div class="instructions">
         <span class="tag-label">Instructions:</span>
-        ${instructions.map(inst => `<div class="instruction-item">${inst.TargetDeck}: [${inst.Tags.join(', ')}]</div>`).join('')}
+        ${instructions.map(inst => `<div class="instruction-item">${this.escapeHtml(this.describeCardInstruction(inst))}</div>`).join('')}
       </div>`;
     };
 
-    // Helper function to format a component (single card or array of cards)
-    const formatComponent = (label, componentData) => {
+    // Helper function to format a component (single card or array of cards) - instructionsByLabel
+    // is the metadata of the quest or sub-quest it belongs to
+    const formatComponent = (label, componentData, instructionsByLabel = quest.instructions) => {
       if (!componentData) return '';
       
       // Get instruction metadata (prefix/suffix/deck/count/tags) for this label
-      const instructionMeta = quest.instructions && quest.instructions[label] ? quest.instructions[label] : {};
+      const instructionMeta = instructionsByLabel && instructionsByLabel[label] ? instructionsByLabel[label] : {};
       const prefix = instructionMeta.prefix || '';
       const suffix = instructionMeta.suffix || '';
       
@@ -510,6 +1649,19 @@ class UIManager {
             Show Player Instructions Only
           </button>
         </div>
+        ${quest.solver ? `
+        <div class="quest-solver ${quest.solver.usedFallback ? 'solver-fallback' : ''}">
+          ${quest.solver.usedFallback
+            ? '⚠️ No consistent quest exists - generated with the redraw/fallback rule'
+            : `✓ Solved: every constraint met (${quest.solver.candidatesTried} cards tried, ${quest.solver.backtracks} backtracks)`}
+        </div>
+        ${this.formatSolverConflicts(quest)}` : ''}
+        ${quest.code ? `
+        <div class="quest-seed">
+          <span>Seed: <code>${this.escapeHtml(quest.seed)}</code></span>
+          <button class="btn-copy-code" onclick="window.uiManager.copyQuestCode('code')" title="Copy a code that regenerates this quest">📋 Copy Code</button>
+          <button class="btn-copy-code" onclick="window.uiManager.copyQuestCode('link')" title="Copy a link that regenerates this quest">🔗 Copy Link</button>
+        </div>` : ''}
         <div class="quest-role">
           <div class="quest-details">
             <div class="quest-role-header">
@@ -525,6 +1677,41 @@ class UIManager {
       questHTML += formatComponent(label, component);
     }
 
+    // Changes card instructions made to the quest as it was drawn (discard, swap, reveal)
+    const formatModifications = (modifications) => {
+      if (!modifications || modifications.length === 0) return '';
+      return `
+        <div class="quest-role quest-modifications">
+          <strong>Card Effects:</strong>
+          ${modifications.map(mod => `<div class="instruction-item">${this.escapeHtml(mod.source)}: ${this.escapeHtml(mod.description)}</div>`).join('')}
+        </div>
+      `;
+    };
+
+    // Sub-quests (subQuest instructions), each nested in the quest that started it
+    const formatSubQuests = (subQuests) => Object.entries(subQuests || {}).map(([label, subQuest]) => `
+        <div class="quest-role quest-subquest">
+          <div class="quest-role-header">
+            <strong>Sub-quest ${this.escapeHtml(label)}:</strong> <span class="card-name">${subQuest.template.CardName}</span>
+            <button class="btn-go-to-card" onclick="window.open('cardManager.html?cardId=${encodeURIComponent(subQuest.template.id || '')}&cardName=${encodeURIComponent(subQuest.template.CardName)}', '_blank')" title="Open in Card Manager">🔍 Go to Template</button>
+          </div>
+          ${Object.entries(subQuest.components).map(([componentLabel, component]) => formatComponent(componentLabel, component, subQuest.instructions)).join('')}
+          ${formatModifications(subQuest.modifications)}
+          ${formatSubQuests(subQuest.subQuests)}
+          <div class="quest-role quest-outcome">
+            <strong>Reward:</strong>
+            <div class="outcome-text">${subQuest.rewardText}</div>
+          </div>
+          <div class="quest-role quest-outcome">
+            <strong>Consequence:</strong>
+            <div class="outcome-text">${subQuest.consequenceText}</div>
+          </div>
+        </div>
+      `).join('');
+
+    questHTML += formatModifications(quest.modifications);
+    questHTML += formatSubQuests(quest.subQuests);
+
     // Add reward and consequence text
     questHTML += `
         <div class="quest-role quest-outcome">
@@ -556,6 +1743,11 @@ class UIManager {
       if (log.type === 'error') {
         logEntry.classList.add('log-error');
       }
+
+      // Highlight which branch an if/chance/choose instruction took
+      if (log.type === 'branch') {
+        logEntry.classList.add('log-branch');
+      }
       
       // Add rejected class for rejected draw entries
       if (log.message && log.message.includes('REJECTED')) {
@@ -588,9 +1780,9 @@ class UIManager {
         }
       }
 
-      let content = `<span class="log-num">[${log.timestamp}]</span> ${log.message}`;
+      let content = `<span class="log-num">[${log.timestamp}]</span> ${this.escapeHtml(log.message)}`;
       if (log.data && Object.keys(log.data).length > 0) {
-        content += ` <span class="log-data">${JSON.stringify(log.data)}</span>`;
+        content += ` <span class="log-data">${this.escapeHtml(JSON.stringify(log.data))}</span>`;
       }
 
       logEntry.innerHTML = content;
@@ -613,6 +1805,18 @@ class UIManager {
     logWindow.scrollTop = logWindow.scrollHeight;
   }
 
+  /**
+   * Escape text for insertion into HTML (quest codes and seeds can come from a shared link)
+   */
+  escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   /**
    * Clear logs
    */
@@ -655,6 +1859,7 @@ class UIManager {
       
       // Repopulate quest template selector
       this.populateVerbSelector();
+      this.populateWhatIfDecks();
       
       this.addLog(`✓ Card data reloaded successfully`);
       this.addLog(`📊 Data source: ${dataSourceInfo}`);
@@ -672,11 +1877,98 @@ class UIManager {
   }
 
   /**
-   * Set a seed for pseudo-random generation (stub for now)
+   * Set a seed for pseudo-random generation (empty = a new random seed for every quest)
    */
   setSeed(seed) {
-    // In a full implementation, this would seed a PRNG
-    console.log('Seed set to:', seed);
+    this.seed = String(seed || '').trim() || null;
+    console.log('Seed set to:', this.seed || '(random)');
+  }
+
+  /**
+   * Link that regenerates the current quest (index.html?quest=<code>)
+   */
+  getQuestLink(code) {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set('quest', code);
+    return url.toString();
+  }
+
+  /**
+   * Copy the current quest's code or link to the clipboard
+   * @param {string} kind - 'code' or 'link'
+   */
+  async copyQuestCode(kind = 'code') {
+    const quest = this.engine.getQuest();
+    if (!quest || !quest.code) return;
+
+    const text = kind === 'link' ? this.getQuestLink(quest.code) : quest.code;
+    try {
+      await navigator.clipboard.writeText(text);
+      this.addLog(`✓ Quest ${kind} copied to clipboard`);
+    } catch (error) {
+      // Clipboard API unavailable (e.g. plain http) - let the user copy it by hand
+      prompt(`Copy this quest ${kind}:`, text);
+    }
+  }
+
+  /**
+   * Regenerate a quest from a quest code: applies its seed, template, redraw limit and generation mode, then generates
+   */
+  loadQuestCode(code) {
+    let params;
+    try {
+      params = QuestEngine.decodeQuestCode(code);
+    } catch (error) {
+      alert(`❌ ${error.message}`);
+      return false;
+    }
+
+    // Seed
+    this.setSeed(params.seed);
+    const seedInput = document.getElementById('seed-input');
+    if (seedInput) seedInput.value = params.seed;
+
+    // Redraw limit
+    if (params.maxRedraws !== null) {
+      this.engine.maxRedraws = params.maxRedraws;
+      const redrawLimit = document.getElementById('redraw-limit');
+      if (redrawLimit) {
+        if (![...redrawLimit.options].some(option => option.value === String(params.maxRedraws))) {
+          redrawLimit.add(new Option(String(params.maxRedraws), String(params.maxRedraws)));
+        }
+        redrawLimit.value = String(params.maxRedraws);
+      }
+    }
+
+    // Generation mode (codes from before solve mode existed are draw mode)
+    this.engine.generationMode = params.mode;
+    this.engine.solverFallback = params.solverFallback;
+    const generationMode = document.getElementById('generation-mode');
+    if (generationMode) generationMode.value = params.mode;
+    const solverFallback = document.getElementById('solver-fallback');
+    if (solverFallback) solverFallback.checked = params.solverFallback;
+
+    // Template (empty = random, which the seed reproduces)
+    const selector = document.getElementById('verb-selector');
+    if (selector) {
+      selector.value = params.template || '';
+      if (params.template && selector.value !== params.template) {
+        alert(`⚠️ Quest template "${params.template}" no longer exists - a random template will be used.`);
+      }
+    }
+
+    this.handleGenerate();
+
+    // Warn after generating (handleGenerate clears the log)
+    const currentRevision = window.dataLoader ? window.dataLoader.dataRevision : null;
+    if (params.dataRevision && currentRevision && params.dataRevision !== currentRevision) {
+      this.addLog(`⚠️ This quest code was made from different card data (revision ${this.escapeHtml(params.dataRevision)}, current ${currentRevision}). The quest may not match the original.`);
+    } else {
+      this.addLog(`✓ Quest regenerated from code (seed ${this.escapeHtml(params.seed)})`);
+    }
+    return true;
   }
 
   /**
@@ -709,14 +2001,9 @@ class UIManager {
 
       // Show summary
       this.addLog(`\n📊 Deck Summary:`);
-      this.addLog(`  Quest Givers: ${decks.questgivers.length}`);
-      this.addLog(`  Harmed Parties: ${decks.harmedparties.length}`);
-      this.addLog(`  Verbs: ${decks.verbs.length}`);
-      this.addLog(`  Targets: ${decks.targets.length}`);
-      this.addLog(`  Locations: ${decks.locations.length}`);
-      this.addLog(`  Twists: ${decks.twists.length}`);
-      this.addLog(`  Rewards: ${decks.rewards.length}`);
-      this.addLog(`  Failures: ${decks.failures.length}`);
+      Object.entries(decks).forEach(([deckKey, cards]) => {
+        this.addLog(`  ${DECK_REGISTRY.displayName(deckKey)}: ${cards.length}`);
+      });
       this.addLog(`  Total: ${Object.values(decks).reduce((sum, arr) => sum + arr.length, 0)} cards`);
 
       // Update engine with new decks
@@ -726,6 +2013,7 @@ class UIManager {
 
       // Repopulate verb selector with new decks
       this.populateVerbSelector();
+      this.populateWhatIfDecks();
 
       this.addLog('\n✓ Decks loaded successfully! Ready to generate quests.');
       this.addLog('Tip: Run validation to check card balance.');
@@ -9,15 +9,20 @@ class QuestValidator {
     this.dataLoader = dataLoader;
     this.stats = {
       totalIterations: 0,
+      failedRuns: 0,
       cardUtilization: {},
       tagUtilization: {},
       fallbackFrequency: 0,
+      unsatisfiableRuns: 0,
+      backtracks: 0,
       drawAttempts: 0,
       modifyEffectsApplied: 0,
       deadCards: new Set(),
       overactiveCards: {},
-      verbTightness: [],
-      routingBottlenecks: {}
+      verbTightness: { samples: 0, totalPercentage: 0 },
+      routingBottlenecks: {},
+      matchPools: {},
+      templates: {}
     };
   }
 
@@ -27,15 +32,20 @@ class QuestValidator {
   resetStats() {
     this.stats = {
       totalIterations: 0,
+      failedRuns: 0,
       cardUtilization: {},
       tagUtilization: {},
       fallbackFrequency: 0,
+      unsatisfiableRuns: 0,
+      backtracks: 0,
       drawAttempts: 0,
       modifyEffectsApplied: 0,
       deadCards: new Set(),
       overactiveCards: {},
-      verbTightness: [],
-      routingBottlenecks: {}
+      verbTightness: { samples: 0, totalPercentage: 0 },
+      routingBottlenecks: {},
+      matchPools: {},
+      templates: {}
     };
   }
 
@@ -49,6 +59,7 @@ class QuestValidator {
       this.stats.cardUtilization[cardId] = {
         deck: card.Deck,
         name: card.CardName,
+        weight: CARD_RARITY.weightOf(card),
         drawCount: 0,
         selectedCount: 0,
         rejectionCount: 0
@@ -97,16 +108,62 @@ class QuestValidator {
     });
   }
 
+  /**
+   * Track one draw instruction's match pool (called by the engine during validation runs):
+   * per template + label pool sizes, zero pools and cards requested, plus verb tightness and
+   * bottlenecks
+   */
+  trackMatchPool(template, label, deckName, matchPoolSize, totalCards, count = 1) {
+    const entry = this.getMatchPoolEntry(template, label);
+    entry.deck = DECK_REGISTRY.resolveKey(deckName) || deckName;
+    entry.samples++;
+    entry.totalPoolSize += matchPoolSize;
+    entry.totalDeckSize += totalCards;
+    entry.cardsRequested += count;
+    if (matchPoolSize === 0) entry.zeroPools++;
+
+    if (totalCards > 0) {
+      this.trackVerbTightness(matchPoolSize, totalCards);
+      this.trackBottleneck(`${entry.template} › ${label}`, matchPoolSize, totalCards);
+    }
+  }
+
+  /**
+   * Track a fallback (redraw limit reached) for a template + label
+   */
+  trackFallback(template, label) {
+    this.getMatchPoolEntry(template, label).fallbacks++;
+  }
+
+  /**
+   * Helper: Match pool stats for a template + label, created on first use
+   */
+  getMatchPoolEntry(template, label) {
+    const templateName = template ? template.CardName : 'Unknown template';
+    const key = `${templateName}|${label}`;
+    if (!this.stats.matchPools[key]) {
+      this.stats.matchPools[key] = {
+        template: templateName,
+        label: label,
+        deck: null,
+        samples: 0,
+        totalPoolSize: 0,
+        totalDeckSize: 0,
+        zeroPools: 0,
+        cardsRequested: 0,
+        fallbacks: 0
+      };
+    }
+    return this.stats.matchPools[key];
+  }
+
   /**
    * Track verb tightness (match pool size)
    */
   trackVerbTightness(matchPoolSize, totalCards) {
     const percentage = (matchPoolSize / totalCards) * 100;
-    this.stats.verbTightness.push({
-      size: matchPoolSize,
-      total: totalCards,
-      percentage: percentage
-    });
+    this.stats.verbTightness.samples++;
+    this.stats.verbTightness.totalPercentage += percentage;
   }
 
   /**
@@ -118,57 +175,108 @@ class QuestValidator {
       if (!this.stats.routingBottlenecks[stepName]) {
         this.stats.routingBottlenecks[stepName] = {
           occurrences: 0,
-          avgPoolSize: 0,
-          avgPercentage: 0
+          totalPoolSize: 0,
+          totalPercentage: 0
         };
       }
-      this.stats.routingBottlenecks[stepName].occurrences++;
+      const bottleneck = this.stats.routingBottlenecks[stepName];
+      bottleneck.occurrences++;
+      bottleneck.totalPoolSize += matchPoolSize;
+      bottleneck.totalPercentage += percentage;
     }
   }
 
   /**
    * Run validation for N iterations
+   * @param {number} iterations - Runs (per template when options.templates is given)
+   * @param {Function} progressCallback - (current, total)
+   * @param {Object} options - { templates: QuestTemplate cards to run N times each (default: a random template per run),
+   *   seed: seeds each run from this, the template and the run number (default: random seeds) }
    */
-  validateAll(iterations = 100, progressCallback = null) {
+  validateAll(iterations = 100, progressCallback = null, options = {}) {
+    this.startValidation(iterations, options);
+    this.runIterations(this.progress.total, progressCallback);
+    return this.buildReport();
+  }
+
+  /**
+   * Start a validation whose iterations are then run in batches with runIterations()
+   * (validatorWorker.js does this so it can report progress and be cancelled)
+   * @returns {Object} { iterations, templates, total, current }
+   */
+  startValidation(iterations = 100, options = {}) {
     this.resetStats();
     this.initializeCardTracking();
 
     // Set validator reference in engine for card draw tracking
     this.engine.validator = this;
 
+    // One pass with a random template per run, or one pass per chosen template
+    const templates = options.templates && options.templates.length > 0 ? options.templates : [null];
+    this.progress = { iterations, templates, total: iterations * templates.length, current: 0, seed: options.seed || null };
+    return this.progress;
+  }
+
+  /**
+   * Run up to `count` more iterations of the current validation
+   * @returns {boolean} Whether every iteration has run
+   */
+  runIterations(count, progressCallback = null) {
+    const progress = this.progress;
+    const end = Math.min(progress.current + count, progress.total);
+
     // Clone decks for each iteration to avoid state carryover
-    for (let i = 0; i < iterations; i++) {
+    for (; progress.current < end; progress.current++) {
       if (progressCallback) {
-        progressCallback(i + 1, iterations);
+        progressCallback(progress.current + 1, progress.total);
       }
 
-      // Fresh decks for this iteration
-      this.engine.decks = this.dataLoader.getDecks();
+      // Fresh decks for this iteration, shuffled (weighted by Rarity/Weight). With a seed, run N of
+      // a template gets the same seed in every validation (what-if analysis pairs runs this way)
+      const template = progress.templates[Math.floor(progress.current / progress.iterations)];
+      const seed = progress.seed
+        ? `${progress.seed}-${template ? template.CardName : 'any'}-${progress.current % progress.iterations}`
+        : undefined;
+      this.engine.prepareRun(this.dataLoader.getDecks(), seed);
       this.engine.reset();
 
+      // A chosen template isn't drawn from the deck, so count the draw here (analyzeQuestRun counts it as selected)
+      if (template) this.trackCardDraw(template);
+
       // Generate quest silently (suppress logs)
-      this.generateQuestSilent();
+      const run = this.generateQuestSilent(template);
 
       // Track stats from this quest
-      this.analyzeQuestRun();
+      this.analyzeQuestRun(run);
 
       this.stats.totalIterations++;
     }
+    return progress.current >= progress.total;
+  }
 
-    // Calculate aggregate stats
+  /**
+   * Report on the iterations run so far (a partial report while a validation is still running)
+   */
+  buildReport() {
     this.calculateAggregateStats();
     return this.generateReport();
   }
 
   /**
-   * Generate quest without logging
+   * Generate quest without logging (errors are kept to explain a failed run)
+   * @param {Object} template - QuestTemplate to use (null = random)
+   * @returns {Object} { completed, errors }
    */
-  generateQuestSilent() {
+  generateQuestSilent(template = null) {
     const originalLog = this.engine.log.bind(this.engine);
-    this.engine.log = () => {}; // Suppress logs
+    const errors = [];
+    this.engine.log = (message, data, verboseOnly, type) => {
+      if (type === 'error') errors.push(message);
+    };
 
     try {
-      this.engine.generateQuest();
+      const quest = this.engine.generateQuest(template);
+      return { completed: Boolean(quest), errors };
     } finally {
       this.engine.log = originalLog; // Restore logs
     }
@@ -177,14 +285,18 @@ class QuestValidator {
   /**
    * Analyze the results of a single quest run
    */
-  analyzeQuestRun() {
+  analyzeQuestRun(run = { completed: true, errors: [] }) {
     const quest = this.engine.getQuest();
+    if (!run.completed) this.stats.failedRuns++;
+    this.trackTemplateRun(quest, run);
+    const quests = QuestValidator.withSubQuests(quest);
     
-    // Track selected template
-    if (quest.template) this.trackCardSelected(quest.template);
+    // Track selected templates (the quest's and its sub-quests')
+    quests.forEach(({ quest: q }) => { if (q.template) this.trackCardSelected(q.template); });
     
     // Track all component cards (handle both single cards and arrays)
-    for (const component of Object.values(quest.components)) {
+    const components = quests.flatMap(({ quest: q }) => Object.values(q.components));
+    for (const component of components) {
       if (Array.isArray(component)) {
         component.forEach(card => this.trackCardSelected(card));
       } else if (component) {
@@ -193,12 +305,14 @@ class QuestValidator {
     }
 
     // Track stats
+    if (quest.solver && !quest.solver.satisfiable) this.stats.unsatisfiableRuns++;
+    this.stats.backtracks += this.engine.stats.backtracks;
     this.stats.fallbackFrequency += this.engine.stats.fallbacksTriggered;
     this.stats.drawAttempts += this.engine.stats.drawAttempts;
     this.stats.modifyEffectsApplied += this.engine.stats.modifyEffectsApplied;
 
     // Track tag usage for all components
-    for (const component of Object.values(quest.components)) {
+    for (const component of components) {
       if (Array.isArray(component)) {
         component.forEach(card => this.trackTagUsage(this.engine.getCurrentTags(card)));
       } else if (component) {
@@ -207,31 +321,102 @@ class QuestValidator {
     }
   }
 
+  /**
+   * Track one run in its template's stats: failures (with the first error as the reason),
+   * fallbacks, and for completed quests the cards drawn for each label and their tags
+   */
+  trackTemplateRun(quest, run) {
+    const name = quest.template ? quest.template.CardName : 'No template';
+    if (!this.stats.templates[name]) {
+      this.stats.templates[name] = {
+        template: name,
+        runs: 0,
+        failures: 0,
+        failureReasons: {},
+        fallbacks: 0,
+        drawAttempts: 0,
+        labels: {},
+        subQuests: {},
+        tags: {}
+      };
+    }
+    const templateStats = this.stats.templates[name];
+    templateStats.runs++;
+    templateStats.fallbacks += this.engine.stats.fallbacksTriggered;
+    templateStats.drawAttempts += this.engine.stats.drawAttempts;
+
+    if (!run.completed) {
+      templateStats.failures++;
+      const reason = run.errors[0] || 'Generation aborted';
+      templateStats.failureReasons[reason] = (templateStats.failureReasons[reason] || 0) + 1;
+      return;
+    }
+
+    // Sub-quest components count under the top template, as "sub-quest label › label"
+    QuestValidator.withSubQuests(quest).forEach(({ quest: q, path }) => {
+      if (path) {
+        const subQuestStats = templateStats.subQuests[path] || (templateStats.subQuests[path] = {});
+        subQuestStats[q.template.CardName] = (subQuestStats[q.template.CardName] || 0) + 1;
+      }
+      Object.entries(q.components).forEach(([label, component]) => {
+        const cards = Array.isArray(component) ? component : [component];
+        const key = path ? `${path} › ${label}` : label;
+        const labelStats = templateStats.labels[key] || (templateStats.labels[key] = {});
+        cards.filter(Boolean).forEach(card => {
+          labelStats[card.CardName] = (labelStats[card.CardName] || 0) + 1;
+          this.engine.getCurrentTags(card).forEach(tag => {
+            templateStats.tags[tag] = (templateStats.tags[tag] || 0) + 1;
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Helper: A quest and all its sub-quests (depth first) as [{ quest, path }], where path joins the
+   * sub-quest labels (e.g. "Rescue › Ambush"; '' for the quest itself)
+   */
+  static withSubQuests(quest, path = '') {
+    return [{ quest, path }, ...Object.entries(quest.subQuests || {}).flatMap(([label, subQuest]) =>
+      QuestValidator.withSubQuests(subQuest, path ? `${path} › ${label}` : label))];
+  }
+
   /**
    * Calculate aggregate statistics
    */
   calculateAggregateStats() {
-    // Identify overactive cards (selected much more than expected)
-    const avgSelectionsPerCard = this.stats.totalIterations / Object.keys(this.stats.cardUtilization).length;
+    // Identify overactive cards (selected much more than expected). A deck's selections are
+    // expected to split by card weight (Rarity/Weight), so a rare card is expected less often
+    this.stats.overactiveCards = {};
+    const decks = {};
+    Object.values(this.stats.cardUtilization).forEach(cardStats => {
+      const deck = decks[cardStats.deck] || (decks[cardStats.deck] = { selections: 0, totalWeight: 0 });
+      deck.selections += cardStats.selectedCount;
+      deck.totalWeight += cardStats.weight;
+    });
     
     Object.keys(this.stats.cardUtilization).forEach(cardId => {
       const cardStats = this.stats.cardUtilization[cardId];
-      const overactiveRatio = cardStats.selectedCount / (avgSelectionsPerCard || 1);
+      const deck = decks[cardStats.deck];
+      const expectedCount = deck.totalWeight > 0 ? deck.selections * cardStats.weight / deck.totalWeight : 0;
+      cardStats.expectedCount = expectedCount;
+      const overactiveRatio = cardStats.selectedCount / (expectedCount || 1);
       
       if (overactiveRatio > 1.5) {
         this.stats.overactiveCards[cardId] = {
           name: cardStats.name,
           deck: cardStats.deck,
+          weight: cardStats.weight,
           selectedCount: cardStats.selectedCount,
-          expectedCount: avgSelectionsPerCard.toFixed(1),
+          expectedCount: expectedCount.toFixed(1),
           ratio: overactiveRatio.toFixed(2)
         };
       }
     });
 
     // Calculate average verb tightness
-    if (this.stats.verbTightness.length > 0) {
-      const avgTightness = this.stats.verbTightness.reduce((sum, v) => sum + v.percentage, 0) / this.stats.verbTightness.length;
+    if (this.stats.verbTightness.samples > 0) {
+      const avgTightness = this.stats.verbTightness.totalPercentage / this.stats.verbTightness.samples;
       this.stats.avgVerbTightness = avgTightness.toFixed(1);
     }
   }
@@ -247,30 +432,101 @@ class QuestValidator {
 
     const overactiveCardsList = Object.values(this.stats.overactiveCards);
 
-    const sortedTags = Object.values(this.stats.tagUtilization)
-      .sort((a, b) => b.usageCount - a.usageCount)
-      .slice(0, 20);
+    const allTags = Object.values(this.stats.tagUtilization)
+      .map(({ tag, usageCount }) => ({ tag, usageCount }))
+      .sort((a, b) => b.usageCount - a.usageCount || a.tag.localeCompare(b.tag));
+    const sortedTags = allTags.slice(0, 20);
 
     const sortedBottlenecks = Object.entries(this.stats.routingBottlenecks)
       .map(([step, data]) => ({
         step: step,
         bottleneckOccurrences: data.occurrences,
-        bottleneckPercentage: ((data.occurrences / this.stats.totalIterations) * 100).toFixed(1)
+        bottleneckPercentage: ((data.occurrences / this.stats.totalIterations) * 100).toFixed(1),
+        avgPoolSize: (data.totalPoolSize / data.occurrences).toFixed(1),
+        avgPercentage: (data.totalPercentage / data.occurrences).toFixed(1)
       }))
       .sort((a, b) => b.bottleneckOccurrences - a.bottleneckOccurrences);
 
+    // Numbers (not strings) so the UI can sort by them
+    const matchPools = Object.values(this.stats.matchPools)
+      .map(entry => ({
+        template: entry.template,
+        label: entry.label,
+        deck: entry.deck,
+        samples: entry.samples,
+        avgPoolSize: entry.samples > 0 ? entry.totalPoolSize / entry.samples : 0,
+        avgDeckSize: entry.samples > 0 ? entry.totalDeckSize / entry.samples : 0,
+        avgPercentage: entry.totalDeckSize > 0 ? (entry.totalPoolSize / entry.totalDeckSize) * 100 : 0,
+        zeroPoolRate: entry.samples > 0 ? (entry.zeroPools / entry.samples) * 100 : 0,
+        fallbackRate: entry.cardsRequested > 0 ? (entry.fallbacks / entry.cardsRequested) * 100 : 0
+      }))
+      .sort((a, b) => a.template.localeCompare(b.template) || a.label.localeCompare(b.label));
+
+    const templates = Object.values(this.stats.templates)
+      .map(entry => ({
+        template: entry.template,
+        runs: entry.runs,
+        failures: entry.failures,
+        failureRate: (entry.failures / entry.runs) * 100,
+        failureReasons: Object.entries(entry.failureReasons)
+          .map(([reason, count]) => ({ reason, count }))
+          .sort((a, b) => b.count - a.count),
+        fallbacks: entry.fallbacks,
+        fallbacksPerQuest: entry.fallbacks / entry.runs,
+        avgDrawsPerQuest: entry.drawAttempts / entry.runs,
+        labels: Object.entries(entry.labels).map(([label, cards]) => {
+          const total = Object.values(cards).reduce((sum, count) => sum + count, 0);
+          return {
+            label,
+            total,
+            cards: Object.entries(cards)
+              .map(([name, count]) => ({ name, count, percentage: (count / total) * 100 }))
+              .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+          };
+        }),
+        subQuests: Object.entries(entry.subQuests).map(([label, templates]) => {
+          const total = Object.values(templates).reduce((sum, count) => sum + count, 0);
+          return {
+            label,
+            total,
+            templates: Object.entries(templates)
+              .map(([name, count]) => ({ name, count, percentage: (count / total) * 100 }))
+              .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+          };
+        }),
+        topTags: Object.entries(entry.tags)
+          .map(([tag, count]) => ({ tag, count }))
+          .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+          .slice(0, 10)
+      }))
+      .sort((a, b) => a.template.localeCompare(b.template));
+
     return {
       summary: {
         totalIterations: this.stats.totalIterations,
+        dataRevision: this.dataLoader.dataRevision || null,
+        failedRuns: this.stats.failedRuns,
+        failureRate: ((this.stats.failedRuns / this.stats.totalIterations) * 100).toFixed(1) + '%',
         totalDraws: this.stats.drawAttempts,
         avgDrawsPerQuest: (this.stats.drawAttempts / this.stats.totalIterations).toFixed(2),
         totalFallbacks: this.stats.fallbackFrequency,
         fallbackRate: ((this.stats.fallbackFrequency / this.stats.totalIterations) * 100).toFixed(1) + '%',
+        generationMode: this.engine.generationMode,
+        unsatisfiableRuns: this.stats.unsatisfiableRuns,
+        totalBacktracks: this.stats.backtracks,
         avgModifyEffectsPerQuest: (this.stats.modifyEffectsApplied / this.stats.totalIterations).toFixed(2)
       },
       cardUtilization: {
         totalCards: Object.keys(this.stats.cardUtilization).length,
         cardsUsed: Object.keys(this.stats.cardUtilization).length - this.stats.deadCards.size,
+        cards: Object.values(this.stats.cardUtilization).map(card => ({
+          deck: card.deck,
+          name: card.name,
+          weight: card.weight,
+          drawCount: card.drawCount,
+          selectedCount: card.selectedCount,
+          expectedCount: card.expectedCount || 0
+        })),
         deadCards: {
           count: this.stats.deadCards.size,
           cards: deadCardsList
@@ -282,7 +538,8 @@ class QuestValidator {
       },
       tagUtilization: {
         uniqueTags: Object.keys(this.stats.tagUtilization).length,
-        topTags: sortedTags
+        topTags: sortedTags,
+        tags: allTags
       },
       verbTightness: {
         avgPercentage: this.stats.avgVerbTightness || 'N/A',
@@ -291,10 +548,158 @@ class QuestValidator {
       routingBottlenecks: {
         totalBottlenecks: sortedBottlenecks.length,
         byStep: sortedBottlenecks
-      }
+      },
+      matchPools: {
+        bySlot: matchPools
+      },
+      templates
+    };
+  }
+
+  /**
+   * Compare a report with a saved baseline report: fallback and failure rate changes, each card's
+   * selections per 100 quests before and after, cards that became (or stopped being) dead or
+   * overactive, templates that fail more or fill labels from fewer cards, and match pool changes
+   * per template + label. Rates are per quest, so runs with different iteration counts compare fairly.
+   * @param {Object} report - Current report
+   * @param {Object} baseline - { name, savedAt, report }
+   */
+  static compareReports(report, baseline) {
+    const before = baseline.report;
+    const perQuest = (count, summary) => summary.totalIterations > 0 ? (count / summary.totalIterations) * 100 : 0;
+    const rateChange = (beforeValue, afterValue) => ({ before: beforeValue, after: afterValue, change: afterValue - beforeValue });
+    const cardKey = card => `${card.deck}:${card.name}`;
+    const keys = cards => new Set(cards.map(cardKey));
+
+    const beforeCards = new Map((before.cardUtilization.cards || []).map(card => [cardKey(card), card]));
+    const afterCards = new Map((report.cardUtilization.cards || []).map(card => [cardKey(card), card]));
+    const cards = [...new Set([...beforeCards.keys(), ...afterCards.keys()])].map(key => {
+      const beforeCard = beforeCards.get(key);
+      const afterCard = afterCards.get(key);
+      const card = afterCard || beforeCard;
+      const beforeRate = beforeCard ? perQuest(beforeCard.selectedCount, before.summary) : 0;
+      const afterRate = afterCard ? perQuest(afterCard.selectedCount, report.summary) : 0;
+      return {
+        deck: card.deck,
+        name: card.name,
+        ...rateChange(beforeRate, afterRate),
+        status: !beforeCard ? 'added' : !afterCard ? 'removed' : null
+      };
+    }).sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || a.name.localeCompare(b.name));
+
+    const beforeDead = keys(before.cardUtilization.deadCards.cards);
+    const afterDead = keys(report.cardUtilization.deadCards.cards);
+    const beforeOveractive = keys(before.cardUtilization.overactiveCards.cards);
+    const afterOveractive = keys(report.cardUtilization.overactiveCards.cards);
+    const onlyIn = (cardList, exclude, present) => cardList
+      .filter(card => !exclude.has(cardKey(card)) && present.has(cardKey(card)))
+      .map(card => ({ deck: card.deck, name: card.name }));
+
+    // Templates: failure and fallback changes, and labels that lost cards. A card counts as lost
+    // when it filled the label at least 5 times (and 1% of the time) before and never after - rarer
+    // cards missing is sampling noise
+    const beforeTemplates = new Map((before.templates || []).map(t => [t.template, t]));
+    const afterTemplates = new Map((report.templates || []).map(t => [t.template, t]));
+    const labelSlots = t => new Map((t ? t.labels : []).map(slot => [slot.label, slot]));
+    const templates = [...new Set([...beforeTemplates.keys(), ...afterTemplates.keys()])].map(name => {
+      const beforeTemplate = beforeTemplates.get(name);
+      const afterTemplate = afterTemplates.get(name);
+      const afterLabels = labelSlots(afterTemplate);
+      const lostCoverage = !afterTemplate ? [] : [...labelSlots(beforeTemplate).values()].map(slot => {
+        const afterSlot = afterLabels.get(slot.label);
+        const afterNames = new Set(afterSlot ? afterSlot.cards.map(card => card.name) : []);
+        return {
+          label: slot.label,
+          before: slot.cards.length,
+          after: afterNames.size,
+          lostCards: slot.cards.filter(card => card.count >= 5 && card.percentage >= 1 && !afterNames.has(card.name)).map(card => card.name)
+        };
+      }).filter(slot => slot.lostCards.length > 0);
+      return {
+        template: name,
+        status: !beforeTemplate ? 'added' : !afterTemplate ? 'removed' : null,
+        failureRate: rateChange(beforeTemplate ? beforeTemplate.failureRate : 0, afterTemplate ? afterTemplate.failureRate : 0),
+        fallbacksPerQuest: rateChange(beforeTemplate ? beforeTemplate.fallbacksPerQuest : 0, afterTemplate ? afterTemplate.fallbacksPerQuest : 0),
+        lostCoverage
+      };
+    }).sort((a, b) => b.failureRate.change - a.failureRate.change || b.lostCoverage.length - a.lostCoverage.length || a.template.localeCompare(b.template));
+
+    // Match pools per template + label, most newly empty first
+    const slotKey = slot => `${slot.template}|${slot.label}`;
+    const beforeSlots = new Map(((before.matchPools && before.matchPools.bySlot) || []).map(slot => [slotKey(slot), slot]));
+    const matchPools = ((report.matchPools && report.matchPools.bySlot) || []).map(slot => {
+      const beforeSlot = beforeSlots.get(slotKey(slot));
+      return {
+        template: slot.template,
+        label: slot.label,
+        deck: slot.deck,
+        avgPercentage: rateChange(beforeSlot ? beforeSlot.avgPercentage : 0, slot.avgPercentage),
+        zeroPoolRate: rateChange(beforeSlot ? beforeSlot.zeroPoolRate : 0, slot.zeroPoolRate),
+        newlyZero: slot.zeroPoolRate > 0 && (!beforeSlot || beforeSlot.zeroPoolRate === 0)
+      };
+    }).sort((a, b) => b.zeroPoolRate.change - a.zeroPoolRate.change || a.avgPercentage.change - b.avgPercentage.change);
+
+    return {
+      baseline: {
+        name: baseline.name,
+        savedAt: baseline.savedAt,
+        dataRevision: before.summary.dataRevision || null,
+        iterations: before.summary.totalIterations
+      },
+      current: {
+        dataRevision: report.summary.dataRevision || null,
+        iterations: report.summary.totalIterations
+      },
+      sameCardData: Boolean(report.summary.dataRevision) && report.summary.dataRevision === before.summary.dataRevision,
+      fallbackRate: rateChange(perQuest(before.summary.totalFallbacks, before.summary), perQuest(report.summary.totalFallbacks, report.summary)),
+      failureRate: rateChange(perQuest(before.summary.failedRuns || 0, before.summary), perQuest(report.summary.failedRuns, report.summary)),
+      cards,
+      // Cards that still exist on both sides
+      newlyDeadCards: onlyIn(report.cardUtilization.deadCards.cards, beforeDead, beforeCards),
+      revivedCards: onlyIn(before.cardUtilization.deadCards.cards, afterDead, afterCards),
+      newlyOveractiveCards: onlyIn(report.cardUtilization.overactiveCards.cards, beforeOveractive, beforeCards),
+      noLongerOveractiveCards: onlyIn(before.cardUtilization.overactiveCards.cards, afterOveractive, afterCards),
+      templates,
+      matchPools
     };
   }
 
+  /**
+   * Format a baseline comparison as readable text
+   * @param {Object} labels - { title, before, after } - headings for other comparisons (e.g. what-if analysis)
+   */
+  formatComparisonAsText(comparison, labels = {}) {
+    const { title = `COMPARISON WITH BASELINE "${comparison.baseline.name}"`, before = 'Baseline', after = 'Current' } = labels;
+    const signed = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+    const list = (cards) => cards.map(card => `    - ${card.name} (${card.deck})\n`).join('');
+
+    let text = `=== ${title} ===\n`;
+    text += `${before}: ${comparison.baseline.iterations} iterations${comparison.baseline.savedAt ? `, saved ${comparison.baseline.savedAt}` : ''}, card data ${comparison.baseline.dataRevision || 'unknown'}\n`;
+    text += `${after}: ${comparison.current.iterations} iterations, card data ${comparison.current.dataRevision || 'unknown'}${comparison.sameCardData ? ' (same card data)' : ''}\n`;
+    text += `Fallbacks/100 quests: ${comparison.fallbackRate.before.toFixed(1)} → ${comparison.fallbackRate.after.toFixed(1)} (${signed(comparison.fallbackRate.change)})\n`;
+    text += `Failure rate: ${comparison.failureRate.before.toFixed(1)}% → ${comparison.failureRate.after.toFixed(1)}% (${signed(comparison.failureRate.change)})\n`;
+    text += `Newly dead cards: ${comparison.newlyDeadCards.length}\n${list(comparison.newlyDeadCards)}`;
+    text += `Revived cards: ${comparison.revivedCards.length}\n${list(comparison.revivedCards)}`;
+    text += `Newly overactive cards: ${comparison.newlyOveractiveCards.length}\n${list(comparison.newlyOveractiveCards)}`;
+    text += `No longer overactive: ${comparison.noLongerOveractiveCards.length}\n${list(comparison.noLongerOveractiveCards)}`;
+    const losing = (comparison.templates || []).filter(t => t.failureRate.change > 0 || t.lostCoverage.length > 0 || t.status === 'removed');
+    text += `Templates losing coverage: ${losing.length}\n`;
+    losing.forEach(t => {
+      text += `    - ${t.template}${t.status ? ` [${t.status}]` : ''}: failed ${t.failureRate.before.toFixed(1)}% → ${t.failureRate.after.toFixed(1)}%`;
+      text += t.lostCoverage.map(slot => `; ${slot.label} lost ${slot.lostCards.join(', ')}`).join('') + '\n';
+    });
+    const emptying = (comparison.matchPools || []).filter(slot => slot.zeroPoolRate.change > 0);
+    text += `Slots hitting zero-match pools more often: ${emptying.length}\n`;
+    emptying.forEach(slot => {
+      text += `    - ${slot.template} › ${slot.label} (${slot.deck}): zero pool ${slot.zeroPoolRate.before.toFixed(1)}% → ${slot.zeroPoolRate.after.toFixed(1)}%${slot.newlyZero ? ' [new]' : ''}\n`;
+    });
+    text += 'Largest selection changes (per 100 quests):\n';
+    comparison.cards.slice(0, 15).forEach(card => {
+      text += `    ${card.name} (${card.deck}): ${card.before.toFixed(1)} → ${card.after.toFixed(1)} (${signed(card.change)})${card.status ? ` [${card.status}]` : ''}\n`;
+    });
+    return text;
+  }
+
   /**
    * Format report as readable text
    */
@@ -303,9 +708,14 @@ class QuestValidator {
 
     text += '📊 SUMMARY\n';
     text += `Total Iterations: ${report.summary.totalIterations}\n`;
+    text += `Failed Runs: ${report.summary.failedRuns} (${report.summary.failureRate})\n`;
     text += `Total Draws: ${report.summary.totalDraws}\n`;
     text += `Avg Draws/Quest: ${report.summary.avgDrawsPerQuest}\n`;
     text += `Fallback Rate: ${report.summary.fallbackRate}\n`;
+    if (report.summary.generationMode === 'solve') {
+      text += `Unsatisfiable Runs: ${report.summary.unsatisfiableRuns}\n`;
+      text += `Solver Backtracks: ${report.summary.totalBacktracks}\n`;
+    }
     text += `Avg Modify Effects/Quest: ${report.summary.avgModifyEffectsPerQuest}\n\n`;
 
     text += '🃏 CARD UTILIZATION\n';
@@ -324,7 +734,7 @@ class QuestValidator {
     if (report.cardUtilization.overactiveCards.count > 0) {
       text += '  Overactive Cards:\n';
       report.cardUtilization.overactiveCards.cards.forEach(card => {
-        text += `    - ${card.name} (${card.deck}): ${card.selectedCount} times (ratio: ${card.ratio}x)\n`;
+        text += `    - ${card.name} (${card.deck}): ${card.selectedCount} times vs ${card.expectedCount} expected at weight ${card.weight} (ratio: ${card.ratio}x)\n`;
       });
     }
     text += '\n';
@@ -345,9 +755,36 @@ class QuestValidator {
     text += `Bottleneck Steps: ${report.routingBottlenecks.totalBottlenecks}\n`;
     if (report.routingBottlenecks.byStep.length > 0) {
       report.routingBottlenecks.byStep.forEach(bottleneck => {
-        text += `  ${bottleneck.step}: ${bottleneck.bottleneckOccurrences} times (${bottleneck.bottleneckPercentage}%)\n`;
+        text += `  ${bottleneck.step}: ${bottleneck.bottleneckOccurrences} times (${bottleneck.bottleneckPercentage}%), avg pool ${bottleneck.avgPoolSize} (${bottleneck.avgPercentage}%)\n`;
       });
     }
+    text += '\n';
+
+    text += '🎯 MATCH POOLS (template › label)\n';
+    report.matchPools.bySlot.forEach(slot => {
+      text += `  ${slot.template} › ${slot.label} (${slot.deck}): avg pool ${slot.avgPoolSize.toFixed(1)}/${slot.avgDeckSize.toFixed(1)} (${slot.avgPercentage.toFixed(1)}%), zero pool ${slot.zeroPoolRate.toFixed(1)}%, fallback ${slot.fallbackRate.toFixed(1)}%, ${slot.samples} draws\n`;
+    });
+    text += '\n';
+
+    text += '📋 TEMPLATES\n';
+    report.templates.forEach(t => {
+      text += `  ${t.template}: ${t.runs} runs, failed ${t.failureRate.toFixed(1)}%, ${t.fallbacksPerQuest.toFixed(2)} fallbacks/quest, ${t.avgDrawsPerQuest.toFixed(2)} draws/quest\n`;
+    });
+    report.templates.forEach(t => {
+      text += `\n  == ${t.template} ==\n`;
+      t.failureReasons.forEach(f => {
+        text += `  Failed ${f.count}x: ${f.reason}\n`;
+      });
+      (t.subQuests || []).forEach(subQuest => {
+        text += `  Sub-quest ${subQuest.label}: ${subQuest.templates.map(template => `${template.name} ${template.percentage.toFixed(0)}%`).join(', ')}\n`;
+      });
+      t.labels.forEach(slot => {
+        text += `  ${slot.label}: ${slot.cards.slice(0, 5).map(card => `${card.name} ${card.percentage.toFixed(0)}%`).join(', ')}${slot.cards.length > 5 ? `, +${slot.cards.length - 5} more` : ''}\n`;
+      });
+      if (t.topTags.length > 0) {
+        text += `  Tags: ${t.topTags.map(tag => `${tag.tag} (${tag.count})`).join(', ')}\n`;
+      }
+    });
 
     return text;
   }
@@ -0,0 +1,102 @@
+/**
+ * validatorWorker.js
+ * Runs QuestValidator in a Web Worker so long validations don't freeze the page
+ *
+ * Messages in:
+ *   { type: 'start', decks, dataRevision, deckDefinitions, tagConfigurations, settings, iterations, templates }
+ *     decks - dataLoader.decks; deckDefinitions - DECK_REGISTRY.toJSON().decks;
+ *     settings - { maxRedraws, generationMode, solverFallback, solverMaxCandidates };
+ *     templates - template names to run `iterations` times each ([] = a random template per run);
+ *     whatIf - optional card changes: run a paired WhatIfAnalysis instead (see whatIfAnalysis.js)
+ *   { type: 'cancel' } - stop after the current batch (the report covers the runs so far)
+ * Messages out:
+ *   { type: 'progress', current, total, report } - report is a partial report (about once a second) or null
+ *   { type: 'done', report, text, cancelled } - report is a WhatIfAnalysis report for a what-if run
+ *   { type: 'error', message }
+ */
+
+importScripts(
+  '../shared/deckRegistry.js',
+  '../shared/tagExpression.js',
+  '../shared/cardRarity.js',
+  'dataLoader.js',
+  'seededRandom.js',
+  'questEngine.js',
+  'validator.js',
+  'whatIfAnalysis.js'
+);
+
+const BATCH_MS = 100; // Run iterations for this long before checking for messages
+const PARTIAL_REPORT_MS = 1000; // How often to send a partial report
+
+let validator = null;
+let cancelled = false;
+
+self.onmessage = (event) => {
+  const message = event.data || {};
+  if (message.type === 'start') {
+    try {
+      startValidation(message);
+    } catch (error) {
+      self.postMessage({ type: 'error', message: error.message });
+    }
+  } else if (message.type === 'cancel') {
+    cancelled = true;
+  }
+};
+
+/**
+ * Build the engine and validator from the page's data and start running batches
+ */
+function startValidation({ decks, dataRevision, deckDefinitions, tagConfigurations, settings = {}, iterations, templates = [], whatIf = null }) {
+  if (deckDefinitions) DECK_REGISTRY.setDefinitions(deckDefinitions);
+
+  const dataLoader = new DataLoader();
+  dataLoader.useDecks(decks, dataRevision);
+
+  const engine = new QuestEngine(dataLoader.getDecks());
+  engine.dataRevision = dataRevision;
+  engine.setTagPairings(tagConfigurations);
+  ['maxRedraws', 'generationMode', 'solverFallback', 'solverMaxCandidates'].forEach(setting => {
+    if (settings[setting] !== undefined) engine[setting] = settings[setting];
+  });
+
+  const templateCards = (decks.questtemplates || []).filter(template => templates.includes(template.CardName));
+  validator = whatIf ? new WhatIfAnalysis(engine, dataLoader, whatIf) : new QuestValidator(engine, dataLoader);
+  validator.startValidation(iterations, { templates: templateCards });
+  cancelled = false;
+  runBatches(Date.now());
+}
+
+/**
+ * Run iterations for BATCH_MS at a time, yielding in between so a cancel message can arrive
+ */
+function runBatches(lastReport) {
+  try {
+    runBatch(lastReport);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+}
+
+/**
+ * Helper: One batch, then report progress (or the final report) and schedule the next
+ */
+function runBatch(lastReport) {
+  let done = false;
+  const batchEnd = Date.now() + BATCH_MS;
+  while (!done && !cancelled && Date.now() < batchEnd) {
+    done = validator.runIterations(10);
+  }
+
+  if (done || cancelled) {
+    const report = validator.buildReport();
+    self.postMessage({ type: 'done', report, text: validator.formatReportAsText(report), cancelled: !done });
+    return;
+  }
+
+  const { current, total } = validator.progress;
+  const sendReport = Date.now() - lastReport >= PARTIAL_REPORT_MS;
+  self.postMessage({ type: 'progress', current, total, report: sendReport ? validator.buildReport() : null });
+  setTimeout(() => runBatches(sendReport ? Date.now() : lastReport), 0);
+}
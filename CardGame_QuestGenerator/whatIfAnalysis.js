@@ -0,0 +1,173 @@
+/**
+ * whatIfAnalysis.js
+ * "What-if" card sensitivity analysis: validate the current card data and a copy with some cards
+ * removed, added or retagged, using the same seeds for both, and compare the two reports
+ */
+
+const WHAT_IF_ACTIONS = ['remove', 'add', 'retag'];
+
+class WhatIfAnalysis {
+  /**
+   * @param {QuestEngine} engine - Engine for the current data (its settings are copied to the what-if engine)
+   * @param {DataLoader} dataLoader - Current card data
+   * @param {Array} changes - [{ action: 'remove'|'retag', deck, cardName, typeTags, aspectTags }
+   *   or { action: 'add', deck, card }] (deck = deck key, e.g. 'npcs')
+   * @throws {Error} If a change names an unknown deck or card
+   */
+  constructor(engine, dataLoader, changes) {
+    this.changes = changes;
+
+    const whatIfLoader = new DataLoader();
+    whatIfLoader.useDecks(WhatIfAnalysis.applyChanges(dataLoader.decks, changes), `${dataLoader.dataRevision || 'unknown'}+what-if`);
+    const whatIfEngine = new QuestEngine(whatIfLoader.getDecks());
+    ['maxRedraws', 'generationMode', 'solverFallback', 'solverMaxCandidates', 'tagPairings'].forEach(setting => {
+      whatIfEngine[setting] = engine[setting];
+    });
+    whatIfEngine.dataRevision = whatIfLoader.dataRevision;
+
+    this.current = new QuestValidator(engine, dataLoader);
+    this.whatIf = new QuestValidator(whatIfEngine, whatIfLoader);
+    this.progress = null;
+  }
+
+  /**
+   * Copy of the decks with the changes applied
+   * @throws {Error} If a change names an unknown deck or card, or adds a card that already exists
+   */
+  static applyChanges(decks, changes) {
+    const copy = JSON.parse(JSON.stringify(decks));
+    const loader = new DataLoader();
+
+    changes.forEach(change => {
+      if (!WHAT_IF_ACTIONS.includes(change.action)) throw new Error(`Unknown what-if action "${change.action}"`);
+      const deck = copy[change.deck];
+      if (!Array.isArray(deck)) throw new Error(`Unknown deck "${change.deck}"`);
+
+      const cardName = change.action === 'add' ? change.card && change.card.CardName : change.cardName;
+      if (!cardName) throw new Error(`A card name is required to ${change.action} a card`);
+      const index = deck.findIndex(card => card.CardName === cardName);
+
+      if (change.action === 'add') {
+        if (index !== -1) throw new Error(`"${cardName}" is already in ${DECK_REGISTRY.displayName(change.deck)}`);
+        deck.push(loader.initializeCard({ ...change.card, Deck: DECK_REGISTRY.deckValue(change.deck) }, change.deck));
+        return;
+      }
+
+      if (index === -1) throw new Error(`"${cardName}" not found in ${DECK_REGISTRY.displayName(change.deck)}`);
+      if (change.action === 'remove') {
+        deck.splice(index, 1);
+      } else {
+        deck[index] = {
+          ...deck[index],
+          TypeTags: change.typeTags || deck[index].TypeTags || [],
+          AspectTags: change.aspectTags || deck[index].AspectTags || []
+        };
+      }
+    });
+    return copy;
+  }
+
+  /**
+   * One change as text (e.g. "Retag Goblin (Monster): Humanoid; Savagery, Shadow")
+   */
+  static describeChange(change) {
+    const deckName = DECK_REGISTRY.displayName(change.deck);
+    const tags = (typeTags, aspectTags) => `${(typeTags || []).join(', ') || '-'}; ${(aspectTags || []).join(', ') || '-'}`;
+    if (change.action === 'add') {
+      return `Add ${change.card.CardName} (${deckName}): ${tags(change.card.TypeTags, change.card.AspectTags)}`;
+    }
+    if (change.action === 'retag') {
+      return `Retag ${change.cardName} (${deckName}): ${tags(change.typeTags, change.aspectTags)}`;
+    }
+    return `Remove ${change.cardName} (${deckName})`;
+  }
+
+  /**
+   * Start paired validations (the same interface as QuestValidator, so validatorWorker.js can run
+   * either). Both sides use the same seeds, so differences come from the changes rather than luck.
+   * @param {Object} options - { templates: QuestTemplate cards to run N times each, seed }
+   */
+  startValidation(iterations = 100, options = {}) {
+    const seed = options.seed || SeededRandom.randomSeed();
+    const templates = options.templates || [];
+    const whatIfTemplates = this.whatIf.dataLoader.decks.questtemplates || [];
+
+    // A template removed by the changes can't run on the what-if side
+    this.current.startValidation(iterations, { templates, seed });
+    this.whatIf.startValidation(iterations, {
+      templates: templates.map(t => whatIfTemplates.find(w => w.CardName === t.CardName)).filter(Boolean),
+      seed
+    });
+    this.skippedTemplates = templates.map(t => t.CardName).filter(name => !whatIfTemplates.some(w => w.CardName === name));
+    this.updateProgress();
+    return this.progress;
+  }
+
+  /**
+   * Run up to `count` more iterations on each side
+   * @returns {boolean} Whether both validations are done
+   */
+  runIterations(count, progressCallback = null) {
+    const currentDone = this.current.runIterations(count);
+    const whatIfDone = this.whatIf.runIterations(count);
+    this.updateProgress();
+    if (progressCallback) progressCallback(this.progress.current, this.progress.total);
+    return currentDone && whatIfDone;
+  }
+
+  /**
+   * Run the whole analysis at once
+   */
+  run(iterations = 100, options = {}) {
+    this.startValidation(iterations, options);
+    this.runIterations(Math.max(this.current.progress.total, this.whatIf.progress.total));
+    return this.buildReport();
+  }
+
+  /**
+   * Both reports and their comparison (partial while the analysis is still running)
+   * @returns {Object} { whatIf: true, changes, skippedTemplates, current, modified, comparison }
+   */
+  buildReport() {
+    const current = this.current.buildReport();
+    const modified = this.whatIf.buildReport();
+    return {
+      whatIf: true,
+      changes: this.changes,
+      skippedTemplates: this.skippedTemplates || [],
+      current,
+      modified,
+      comparison: QuestValidator.compareReports(modified, { name: 'Current data', savedAt: null, report: current })
+    };
+  }
+
+  /**
+   * Format an analysis as readable text
+   */
+  formatReportAsText(report) {
+    let text = '=== WHAT-IF ANALYSIS ===\n';
+    report.changes.forEach(change => {
+      text += `  • ${WhatIfAnalysis.describeChange(change)}\n`;
+    });
+    if (report.skippedTemplates.length > 0) {
+      text += `Not run with the changes (template removed): ${report.skippedTemplates.join(', ')}\n`;
+    }
+    text += `${report.current.summary.totalIterations} paired runs\n\n`;
+    return text + this.current.formatComparisonAsText(report.comparison, { title: 'CHANGES VS CURRENT DATA', before: 'Current data', after: 'With changes' });
+  }
+
+  /**
+   * Helper: Combined progress of both sides
+   */
+  updateProgress() {
+    this.progress = {
+      current: this.current.progress.current + this.whatIf.progress.current,
+      total: this.current.progress.total + this.whatIf.progress.total
+    };
+  }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WhatIfAnalysis;
+}
@@ -0,0 +1,604 @@
+/**
+ * cardSchema.js
+ * Normalized PostgreSQL schema for the card collection, used by db.js and migrate.js.
+ *
+ * Tables:
+ *  - decks              deck keys of the collection (npcs, loot, ...) in display order
+ *  - cards              one row per card (well-known fields as columns, everything else in `extra`)
+ *  - tags               distinct tag names
+ *  - card_tags          TypeTags / AspectTags / mutableTags of a card, in order
+ *  - instructions       card Instructions (token placement)
+ *  - draw_instructions  QuestTemplate DrawInstructions
+ *  - card_revisions     full snapshots recorded on every save (revision history)
+ *  - validation_baselines  saved validation reports (namedDocumentStore.js; kept on rollback)
+ *  - campaigns          saved campaigns (namedDocumentStore.js; kept on rollback)
+ *
+ * Conversion is lossless: each row keeps the original field order (`field_order`),
+ * and any value that does not fit its column type is stored in `extra` instead,
+ * so readCollection() returns exactly the deck-keyed shape that was written.
+ */
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS decks (
+    key TEXT PRIMARY KEY,
+    position INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS cards (
+    id TEXT PRIMARY KEY,
+    deck_key TEXT NOT NULL REFERENCES decks(key) ON UPDATE CASCADE,
+    position INTEGER NOT NULL,
+    deck TEXT,
+    card_name TEXT,
+    polarity TEXT,
+    revision INTEGER,
+    extra JSONB NOT NULL DEFAULT '{}',
+    field_order TEXT[] NOT NULL DEFAULT '{}',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE INDEX IF NOT EXISTS cards_deck_key_idx ON cards (deck_key, position);
+  CREATE INDEX IF NOT EXISTS cards_card_name_idx ON cards (card_name);
+  CREATE INDEX IF NOT EXISTS cards_polarity_idx ON cards (polarity);
+
+  CREATE TABLE IF NOT EXISTS tags (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE
+  );
+
+  CREATE TABLE IF NOT EXISTS card_tags (
+    card_id TEXT NOT NULL REFERENCES cards(id) ON DELETE CASCADE,
+    tag_id INTEGER NOT NULL REFERENCES tags(id),
+    kind TEXT NOT NULL CHECK (kind IN ('type', 'aspect', 'mutable')),
+    position INTEGER NOT NULL,
+    PRIMARY KEY (card_id, kind, position)
+  );
+  CREATE INDEX IF NOT EXISTS card_tags_tag_idx ON card_tags (tag_id, kind);
+
+  CREATE TABLE IF NOT EXISTS instructions (
+    id SERIAL PRIMARY KEY,
+    card_id TEXT NOT NULL REFERENCES cards(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    target_deck TEXT,
+    tags TEXT[],
+    face_down BOOLEAN,
+    instruction_text TEXT,
+    extra JSONB NOT NULL DEFAULT '{}',
+    field_order TEXT[] NOT NULL DEFAULT '{}'
+  );
+  CREATE INDEX IF NOT EXISTS instructions_card_idx ON instructions (card_id, position);
+
+  CREATE TABLE IF NOT EXISTS draw_instructions (
+    id SERIAL PRIMARY KEY,
+    card_id TEXT NOT NULL REFERENCES cards(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    action TEXT,
+    deck TEXT,
+    count INTEGER,
+    tags TEXT[],
+    label TEXT,
+    prefix TEXT,
+    suffix TEXT,
+    polarity TEXT,
+    face_down BOOLEAN,
+    extra JSONB NOT NULL DEFAULT '{}',
+    field_order TEXT[] NOT NULL DEFAULT '{}'
+  );
+  CREATE INDEX IF NOT EXISTS draw_instructions_card_idx ON draw_instructions (card_id, position);
+
+  CREATE TABLE IF NOT EXISTS card_revisions (
+    id SERIAL PRIMARY KEY,
+    author TEXT NOT NULL DEFAULT 'anonymous',
+    message TEXT NOT NULL DEFAULT '',
+    data JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS validation_baselines (
+    name TEXT PRIMARY KEY,
+    data JSONB NOT NULL,
+    saved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS campaigns (
+    name TEXT PRIMARY KEY,
+    data JSONB NOT NULL,
+    saved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+// Tables created by this schema, in drop order (card_revisions is kept on rollback)
+const NORMALIZED_TABLES = ['draw_instructions', 'instructions', 'card_tags', 'tags', 'cards', 'decks'];
+
+// The pre-normalization table: a single JSONB document in row id = 1
+const LEGACY_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS cards (
+    id INTEGER PRIMARY KEY DEFAULT 1,
+    data JSONB NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+// Column type checks: a field is stored in its column only when it has the expected type
+const isString = value => typeof value === 'string';
+const isInteger = value => Number.isInteger(value);
+const isBoolean = value => typeof value === 'boolean';
+const isStringArray = value => Array.isArray(value) && value.every(isString);
+const isObjectArray = value => Array.isArray(value) && value.every(item => item && typeof item === 'object' && !Array.isArray(item));
+
+// Card fields -> cards columns
+const CARD_COLUMNS = {
+  Deck: { column: 'deck', check: isString },
+  CardName: { column: 'card_name', check: isString },
+  Polarity: { column: 'polarity', check: isString },
+  revision: { column: 'revision', check: isInteger }
+};
+
+// Card tag arrays -> card_tags.kind
+const TAG_KINDS = {
+  TypeTags: 'type',
+  AspectTags: 'aspect',
+  mutableTags: 'mutable'
+};
+
+// Instruction fields -> instructions columns
+const INSTRUCTION_COLUMNS = {
+  TargetDeck: { column: 'target_deck', check: isString },
+  Tags: { column: 'tags', check: isStringArray },
+  faceDown: { column: 'face_down', check: isBoolean },
+  InstructionText: { column: 'instruction_text', check: isString }
+};
+
+// Draw instruction fields -> draw_instructions columns
+const DRAW_INSTRUCTION_COLUMNS = {
+  action: { column: 'action', check: isString },
+  deck: { column: 'deck', check: isString },
+  count: { column: 'count', check: isInteger },
+  tags: { column: 'tags', check: isStringArray },
+  label: { column: 'label', check: isString },
+  prefix: { column: 'prefix', check: isString },
+  suffix: { column: 'suffix', check: isString },
+  polarity: { column: 'polarity', check: isString },
+  faceDown: { column: 'face_down', check: isBoolean }
+};
+
+// ============================================
+// OBJECT <-> ROW CONVERSION
+// ============================================
+
+/**
+ * Split an object into column values and an `extra` bag using a column map
+ * @param {Object} source - Card or instruction object
+ * @param {Object} columns - Field -> { column, check } map
+ * @param {Function} handleField - Optional hook for fields stored in other tables (returns true if handled)
+ */
+function splitFields(source, columns, handleField = () => false) {
+  const row = { extra: {}, field_order: Object.keys(source) };
+  Object.values(columns).forEach(({ column }) => { row[column] = null; });
+
+  for (const [field, value] of Object.entries(source)) {
+    const mapping = columns[field];
+    if (mapping && mapping.check(value)) {
+      row[mapping.column] = value;
+    } else if (!handleField(field, value)) {
+      row.extra[field] = value;
+    }
+  }
+  return row;
+}
+
+/**
+ * Rebuild an object from its row, in the original field order
+ * @param {Object} row - Row with extra + field_order
+ * @param {Object} columns - Field -> { column } map
+ * @param {Function} readField - Optional hook for fields stored in other tables
+ */
+function joinFields(row, columns, readField = () => undefined) {
+  const result = {};
+  for (const field of row.field_order) {
+    if (Object.prototype.hasOwnProperty.call(row.extra, field)) {
+      result[field] = row.extra[field];
+    } else if (columns[field]) {
+      result[field] = row[columns[field].column];
+    } else {
+      result[field] = readField(field);
+    }
+  }
+  return result;
+}
+
+/**
+ * Convert a deck-keyed collection into table rows
+ * (instruction/tag rows reference their card by id)
+ */
+function collectionToRows(cards) {
+  const rows = { decks: [], cards: [], cardTags: [], instructions: [], drawInstructions: [] };
+
+  Object.entries(cards).forEach(([deckKey, deckCards], deckPosition) => {
+    rows.decks.push({ key: deckKey, position: deckPosition });
+    if (!Array.isArray(deckCards)) return;
+
+    deckCards.forEach((card, position) => {
+      if (!isString(card.id) || !card.id) {
+        throw new Error(`Card "${card.CardName}" in ${deckKey} has no id`);
+      }
+
+      const cardRow = splitFields(card, CARD_COLUMNS, (field, value) => {
+        if (field === 'id') return true;
+        if (TAG_KINDS[field] && isStringArray(value)) {
+          value.forEach((tag, tagPosition) => {
+            rows.cardTags.push({ card_id: card.id, tag, kind: TAG_KINDS[field], position: tagPosition });
+          });
+          return true;
+        }
+        if (field === 'Instructions' && isObjectArray(value)) {
+          value.forEach((instruction, instructionPosition) => {
+            rows.instructions.push({
+              card_id: card.id,
+              position: instructionPosition,
+              ...splitFields(instruction, INSTRUCTION_COLUMNS)
+            });
+          });
+          return true;
+        }
+        if (field === 'DrawInstructions' && isObjectArray(value)) {
+          value.forEach((instruction, instructionPosition) => {
+            rows.drawInstructions.push({
+              card_id: card.id,
+              position: instructionPosition,
+              ...splitFields(instruction, DRAW_INSTRUCTION_COLUMNS)
+            });
+          });
+          return true;
+        }
+        return false;
+      });
+
+      rows.cards.push({ id: card.id, deck_key: deckKey, position, ...cardRow });
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Convert table rows back into the deck-keyed collection
+ */
+function rowsToCollection(rows) {
+  const byCard = (list) => {
+    const map = new Map();
+    list
+      .slice()
+      .sort((a, b) => a.position - b.position)
+      .forEach(row => {
+        if (!map.has(row.card_id)) map.set(row.card_id, []);
+        map.get(row.card_id).push(row);
+      });
+    return map;
+  };
+  const tagsByCard = byCard(rows.cardTags);
+  const instructionsByCard = byCard(rows.instructions);
+  const drawInstructionsByCard = byCard(rows.drawInstructions);
+
+  const cards = {};
+  rows.decks
+    .slice()
+    .sort((a, b) => a.position - b.position)
+    .forEach(deck => { cards[deck.key] = []; });
+
+  rows.cards
+    .slice()
+    .sort((a, b) => a.position - b.position)
+    .forEach(row => {
+      const cardTags = tagsByCard.get(row.id) || [];
+      const card = joinFields(row, CARD_COLUMNS, field => {
+        if (field === 'id') return row.id;
+        if (TAG_KINDS[field]) {
+          return cardTags.filter(tag => tag.kind === TAG_KINDS[field]).map(tag => tag.tag);
+        }
+        if (field === 'Instructions') {
+          return (instructionsByCard.get(row.id) || []).map(instruction => joinFields(instruction, INSTRUCTION_COLUMNS));
+        }
+        if (field === 'DrawInstructions') {
+          return (drawInstructionsByCard.get(row.id) || []).map(instruction => joinFields(instruction, DRAW_INSTRUCTION_COLUMNS));
+        }
+        return undefined;
+      });
+      if (!cards[row.deck_key]) cards[row.deck_key] = [];
+      cards[row.deck_key].push(card);
+    });
+
+  return cards;
+}
+
+// ============================================
+// READ / WRITE
+// ============================================
+
+/**
+ * Load the whole collection
+ * @param {Object} client - pg Pool or PoolClient
+ */
+async function readCollection(client) {
+  const [decks, cards, cardTags, instructions, drawInstructions] = await Promise.all([
+    client.query('SELECT key, position FROM decks'),
+    client.query('SELECT * FROM cards'),
+    client.query('SELECT ct.card_id, t.name AS tag, ct.kind, ct.position FROM card_tags ct JOIN tags t ON t.id = ct.tag_id'),
+    client.query('SELECT * FROM instructions'),
+    client.query('SELECT * FROM draw_instructions')
+  ]);
+  return rowsToCollection({
+    decks: decks.rows,
+    cards: cards.rows,
+    cardTags: cardTags.rows,
+    instructions: instructions.rows,
+    drawInstructions: drawInstructions.rows
+  });
+}
+
+/**
+ * Insert the rows of some cards (and their tags/instructions)
+ */
+async function insertCardRows(client, rows) {
+  if (rows.cards.length === 0) return;
+
+  await client.query(`
+    INSERT INTO cards (id, deck_key, position, deck, card_name, polarity, revision, extra, field_order)
+    SELECT id, deck_key, position, deck, card_name, polarity, revision, extra, field_order
+    FROM jsonb_to_recordset($1::jsonb) AS r(
+      id TEXT, deck_key TEXT, position INTEGER, deck TEXT, card_name TEXT,
+      polarity TEXT, revision INTEGER, extra JSONB, field_order TEXT[]
+    )
+  `, [JSON.stringify(rows.cards)]);
+
+  if (rows.cardTags.length > 0) {
+    const tagNames = [...new Set(rows.cardTags.map(row => row.tag))];
+    await client.query('INSERT INTO tags (name) SELECT unnest($1::text[]) ON CONFLICT (name) DO NOTHING', [tagNames]);
+    await client.query(`
+      INSERT INTO card_tags (card_id, tag_id, kind, position)
+      SELECT r.card_id, t.id, r.kind, r.position
+      FROM jsonb_to_recordset($1::jsonb) AS r(card_id TEXT, tag TEXT, kind TEXT, position INTEGER)
+      JOIN tags t ON t.name = r.tag
+    `, [JSON.stringify(rows.cardTags)]);
+  }
+
+  if (rows.instructions.length > 0) {
+    await client.query(`
+      INSERT INTO instructions (card_id, position, target_deck, tags, face_down, instruction_text, extra, field_order)
+      SELECT card_id, position, target_deck, tags, face_down, instruction_text, extra, field_order
+      FROM jsonb_to_recordset($1::jsonb) AS r(
+        card_id TEXT, position INTEGER, target_deck TEXT, tags TEXT[], face_down BOOLEAN,
+        instruction_text TEXT, extra JSONB, field_order TEXT[]
+      )
+    `, [JSON.stringify(rows.instructions)]);
+  }
+
+  if (rows.drawInstructions.length > 0) {
+    await client.query(`
+      INSERT INTO draw_instructions (card_id, position, action, deck, count, tags, label, prefix, suffix, polarity, face_down, extra, field_order)
+      SELECT card_id, position, action, deck, count, tags, label, prefix, suffix, polarity, face_down, extra, field_order
+      FROM jsonb_to_recordset($1::jsonb) AS r(
+        card_id TEXT, position INTEGER, action TEXT, deck TEXT, count INTEGER, tags TEXT[],
+        label TEXT, prefix TEXT, suffix TEXT, polarity TEXT, face_down BOOLEAN,
+        extra JSONB, field_order TEXT[]
+      )
+    `, [JSON.stringify(rows.drawInstructions)]);
+  }
+}
+
+/**
+ * Write a collection. With `previous` (the stored collection) only the cards that
+ * changed are rewritten; without it everything is replaced.
+ * Must run inside a transaction.
+ * @param {Object} client - pg PoolClient
+ * @param {Object} cards - Deck-keyed collection to store
+ * @param {Object} previous - Currently stored collection, if known
+ */
+async function writeCollection(client, cards, previous = null) {
+  const next = collectionToRows(cards);
+
+  if (!previous) {
+    await client.query('DELETE FROM cards');
+    await client.query('DELETE FROM decks');
+    await client.query(`
+      INSERT INTO decks (key, position)
+      SELECT key, position FROM jsonb_to_recordset($1::jsonb) AS r(key TEXT, position INTEGER)
+    `, [JSON.stringify(next.decks)]);
+    await insertCardRows(client, next);
+    return;
+  }
+
+  const before = collectionToRows(previous);
+
+  // Decks: insert/reorder first so cards can reference them, remove unused ones last
+  await client.query(`
+    INSERT INTO decks (key, position)
+    SELECT key, position FROM jsonb_to_recordset($1::jsonb) AS r(key TEXT, position INTEGER)
+    ON CONFLICT (key) DO UPDATE SET position = EXCLUDED.position
+  `, [JSON.stringify(next.decks)]);
+
+  // Cards: rewrite changed ones, move the rest in place
+  const childRows = (rows, id) => JSON.stringify([
+    rows.cardTags.filter(row => row.card_id === id),
+    rows.instructions.filter(row => row.card_id === id),
+    rows.drawInstructions.filter(row => row.card_id === id)
+  ]);
+  const contentOf = (rows, row) => JSON.stringify([row.deck, row.card_name, row.polarity, row.revision, row.extra, row.field_order]) + childRows(rows, row.id);
+  const beforeById = new Map(before.cards.map(row => [row.id, row]));
+  const nextIds = new Set(next.cards.map(row => row.id));
+
+  const removed = before.cards.filter(row => !nextIds.has(row.id)).map(row => row.id);
+  const changed = [];
+  const moved = [];
+  next.cards.forEach(row => {
+    const old = beforeById.get(row.id);
+    if (!old || contentOf(before, old) !== contentOf(next, row)) {
+      changed.push(row.id);
+    } else if (old.deck_key !== row.deck_key || old.position !== row.position) {
+      moved.push({ id: row.id, deck_key: row.deck_key, position: row.position });
+    }
+  });
+
+  const rewrite = [...removed, ...changed];
+  if (rewrite.length > 0) {
+    await client.query('DELETE FROM cards WHERE id = ANY($1::text[])', [rewrite]);
+  }
+  const changedIds = new Set(changed);
+  await insertCardRows(client, {
+    cards: next.cards.filter(row => changedIds.has(row.id)),
+    cardTags: next.cardTags.filter(row => changedIds.has(row.card_id)),
+    instructions: next.instructions.filter(row => changedIds.has(row.card_id)),
+    drawInstructions: next.drawInstructions.filter(row => changedIds.has(row.card_id))
+  });
+  if (moved.length > 0) {
+    await client.query(`
+      UPDATE cards SET deck_key = r.deck_key, position = r.position, updated_at = CURRENT_TIMESTAMP
+      FROM jsonb_to_recordset($1::jsonb) AS r(id TEXT, deck_key TEXT, position INTEGER)
+      WHERE cards.id = r.id
+    `, [JSON.stringify(moved)]);
+  }
+
+  await client.query('DELETE FROM decks WHERE NOT (key = ANY($1::text[]))', [next.decks.map(deck => deck.key)]);
+}
+
+// ============================================
+// MIGRATIONS
+// ============================================
+
+/**
+ * Check whether `cards` is still the legacy single-document table
+ */
+async function hasLegacyTable(client, tableName = 'cards') {
+  const result = await client.query(`
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = $1 AND column_name = 'data'
+  `, [tableName]);
+  return result.rows.length > 0;
+}
+
+async function tableExists(client, tableName) {
+  const result = await client.query('SELECT to_regclass($1) AS name', [tableName]);
+  return result.rows[0].name !== null;
+}
+
+/**
+ * Run a function inside a transaction on a dedicated client
+ */
+async function inTransaction(pool, task) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await task(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Give every card a unique id and a revision so it can be addressed individually.
+ * Missing ids are derived from Deck + CardName so repeated reads agree;
+ * they are persisted by the next write.
+ */
+function ensureCardIds(cards) {
+  const seen = new Set();
+  for (const deck of Object.values(cards)) {
+    if (!Array.isArray(deck)) continue;
+    deck.forEach(card => {
+      if (!card.id || seen.has(card.id)) {
+        const baseId = `${card.Deck || 'Card'}-${card.CardName || 'Unnamed'}`;
+        let candidate = baseId;
+        let suffix = 2;
+        while (seen.has(candidate)) {
+          candidate = `${baseId}-${suffix++}`;
+        }
+        card.id = candidate;
+      }
+      if (!Number.isInteger(card.revision) || card.revision < 1) {
+        card.revision = 1;
+      }
+      seen.add(card.id);
+    });
+  }
+  return cards;
+}
+
+/**
+ * The legacy single-document collection, ready for the normalized tables: a copy with every
+ * card given a unique id (the document never stored them)
+ */
+function prepareLegacyCards(legacyCards) {
+  return ensureCardIds(structuredClone(legacyCards));
+}
+
+/**
+ * Up: create the normalized schema. A legacy `cards` JSONB table is renamed to
+ * `cards_legacy` and its document is copied into the new tables.
+ * @returns {Promise<boolean>} Whether legacy data was migrated
+ */
+async function migrateUp(pool) {
+  return inTransaction(pool, async client => {
+    let legacyCards = null;
+    if (await hasLegacyTable(client)) {
+      await client.query('ALTER TABLE cards RENAME TO cards_legacy');
+      const result = await client.query('SELECT data FROM cards_legacy WHERE id = 1');
+      legacyCards = result.rows.length > 0 ? result.rows[0].data : null;
+    }
+
+    await client.query(SCHEMA_SQL);
+
+    if (legacyCards) {
+      await writeCollection(client, prepareLegacyCards(legacyCards));
+      console.log('✓ Migrated card document from cards_legacy into normalized tables');
+    }
+    return !!legacyCards;
+  });
+}
+
+/**
+ * Down: fold the normalized tables back into the single JSONB `cards` table
+ * (reusing `cards_legacy` when it is still there) and drop them.
+ */
+async function migrateDown(pool) {
+  return inTransaction(pool, async client => {
+    if (await hasLegacyTable(client)) {
+      console.log('ℹ cards is already the single-document table - nothing to roll back');
+      return false;
+    }
+
+    const cards = (await tableExists(client, 'cards')) ? await readCollection(client) : null;
+    for (const table of NORMALIZED_TABLES) {
+      await client.query(`DROP TABLE IF EXISTS ${table} CASCADE`);
+    }
+
+    if (await tableExists(client, 'cards_legacy')) {
+      await client.query('ALTER TABLE cards_legacy RENAME TO cards');
+    } else {
+      await client.query(LEGACY_TABLE_SQL);
+    }
+    if (cards) {
+      await client.query(`
+        INSERT INTO cards (id, data, updated_at)
+        VALUES (1, $1, CURRENT_TIMESTAMP)
+        ON CONFLICT (id) DO UPDATE SET data = $1, updated_at = CURRENT_TIMESTAMP
+      `, [cards]);
+    }
+    return true;
+  });
+}
+
+module.exports = {
+  SCHEMA_SQL,
+  ensureCardIds,
+  prepareLegacyCards,
+  collectionToRows,
+  rowsToCollection,
+  readCollection,
+  writeCollection,
+  inTransaction,
+  migrateUp,
+  migrateDown
+};
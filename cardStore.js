@@ -0,0 +1,533 @@
+/**
+ * cardStore.js
+ * Card storage used by server.js
+ * Reads and writes the deck-keyed card collection through db.js (PostgreSQL/Supabase)
+ * or the cards.json fallback, and provides per-card operations on top of it.
+ * Every write is recorded as a revision (card_revisions table, or cards.backup.*.json files).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const db = require('./db');
+const { ensureCardIds } = require('./cardSchema');
+const DECK_REGISTRY = require('./shared/deckRegistry');
+
+const CARDS_FILE = path.join(__dirname, 'cards.json');
+const BACKUP_PATTERN = /^cards\.backup\.(.+)\.json$/;
+
+// Storage mode (set by server.js once the database check has finished)
+let useDatabaseStorage = false;
+
+// Writes are serialized so two requests never read-modify-write the same snapshot
+let writeQueue = Promise.resolve();
+
+/**
+ * Switch between database and filesystem storage
+ */
+function setDatabaseStorage(enabled) {
+  useDatabaseStorage = !!enabled;
+}
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ * (details such as { current, etag } are copied onto the error)
+ */
+function storeError(status, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * Run a write task after every previously queued write has finished
+ */
+function withWriteLock(task) {
+  const run = writeQueue.then(task, task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Generate a new card id (same format the browser apps use)
+ */
+function generateCardId(card) {
+  return `${card.Deck || 'Card'}-${card.CardName || 'Unnamed'}-${Math.random()}`;
+}
+
+// ============================================
+// OPTIMISTIC CONCURRENCY (ETags)
+// ============================================
+
+/**
+ * JSON.stringify with sorted object keys, so the same data always hashes the same
+ * (JSONB storage does not preserve key order)
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * ETag of a single card: its revision number
+ */
+function cardETag(card) {
+  return `"${card.revision || 0}"`;
+}
+
+/**
+ * ETag of the whole collection: a hash of its contents
+ */
+function collectionETag(cards) {
+  const hash = crypto.createHash('sha1').update(stableStringify(cards)).digest('hex');
+  return `"${hash.slice(0, 16)}"`;
+}
+
+/**
+ * Check an If-Match header against the stored version of a card or the collection.
+ * Modifying something that exists requires If-Match (428 without it);
+ * a stale or dangling If-Match is a 409 carrying the server's current state.
+ */
+function checkIfMatch(ifMatch, current, currentETag, label) {
+  const expected = ifMatch ? ifMatch.trim().replace(/^W\//, '') : null;
+  if (!expected) {
+    if (current) {
+      throw storeError(428, `If-Match header required to modify ${label}`, { current, etag: currentETag });
+    }
+    return;
+  }
+  if (!current || (expected !== '*' && expected !== currentETag)) {
+    throw storeError(409, `Conflict: ${label} was changed by someone else`, {
+      current: current || null,
+      etag: current ? currentETag : null
+    });
+  }
+}
+
+/**
+ * Carry revisions over from the stored collection into an incoming one:
+ * unchanged cards keep their revision, changed cards get the next one
+ */
+function bumpRevisions(previous, next) {
+  const previousById = new Map();
+  for (const deck of Object.values(previous)) {
+    if (!Array.isArray(deck)) continue;
+    deck.forEach(card => previousById.set(card.id, card));
+  }
+  const withoutRevision = ({ revision, ...rest }) => stableStringify(rest);
+
+  for (const deck of Object.values(next)) {
+    if (!Array.isArray(deck)) continue;
+    deck.forEach(card => {
+      const before = previousById.get(card.id);
+      if (!before) {
+        card.revision = 1;
+      } else if (withoutRevision(before) === withoutRevision(card)) {
+        card.revision = before.revision;
+      } else {
+        card.revision = before.revision + 1;
+      }
+    });
+  }
+  return next;
+}
+
+/**
+ * Read the raw collection from the active storage
+ */
+async function readCards() {
+  if (useDatabaseStorage) {
+    return db.getCards();
+  }
+  const data = await fs.readFile(CARDS_FILE, 'utf8');
+  return JSON.parse(data);
+}
+
+/**
+ * Write the whole collection to cards.json and record it as a revision file
+ * (cards.backup.<timestamp>.json holding { meta, cards })
+ */
+async function writeCards(cards, meta = {}) {
+  // Keep the state being replaced if it was never recorded (first tracked save or a hand edit)
+  try {
+    const existingData = await fs.readFile(CARDS_FILE, 'utf8');
+    const [latest] = await listRevisionFiles();
+    const latestRevision = latest && await readRevisionFile(latest.id);
+    if (!latestRevision || stableStringify(latestRevision.cards) !== stableStringify(JSON.parse(existingData))) {
+      await writeRevisionFile(JSON.parse(existingData), { author: 'unknown', message: 'Untracked changes to cards.json' });
+    }
+  } catch (backupError) {
+    console.warn('Backup failed:', backupError.message);
+  }
+
+  await fs.writeFile(CARDS_FILE, JSON.stringify(cards, null, 2), 'utf8');
+  console.log('✓ Cards saved to cards.json');
+  await writeRevisionFile(cards, meta);
+}
+
+/**
+ * Apply a change to the stored collection.
+ * The mutator edits the collection in place and returns a result;
+ * returning null/undefined leaves storage untouched.
+ * @param {Function} mutator
+ * @param {Object} meta - Revision info { author, message }
+ */
+async function updateCards(mutator, meta = {}) {
+  return withWriteLock(async () => {
+    if (useDatabaseStorage) {
+      return db.updateCards(cards => mutator(ensureCardIds(cards)), meta);
+    }
+
+    const cards = ensureCardIds(await readCards());
+    const result = await mutator(cards);
+    if (result !== null && result !== undefined) {
+      await writeCards(cards, meta);
+    }
+    return result;
+  });
+}
+
+// ============================================
+// REVISION FILES (filesystem fallback)
+// ============================================
+
+/**
+ * List revision files, newest first
+ */
+async function listRevisionFiles() {
+  const files = await fs.readdir(__dirname);
+  return files
+    .map(file => BACKUP_PATTERN.exec(file))
+    .filter(Boolean)
+    .map(match => ({ id: match[1], file: match[0] }))
+    .sort((a, b) => (a.id < b.id ? 1 : -1));
+}
+
+/**
+ * Turn a revision id (filename timestamp) back into an ISO date
+ */
+function revisionTimestamp(id) {
+  const match = /^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3}Z)/.exec(id);
+  return match ? `${match[1]}:${match[2]}:${match[3]}.${match[4]}` : null;
+}
+
+/**
+ * Read a revision file. Older backups hold the raw collection without metadata.
+ */
+async function readRevisionFile(id) {
+  if (!/^[\w-]+$/.test(id)) return null;
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(path.join(__dirname, `cards.backup.${id}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  const isWrapped = data && data.meta && data.cards;
+  const meta = isWrapped ? data.meta : { author: 'unknown', message: 'Backup before save' };
+  return {
+    id,
+    author: meta.author || 'unknown',
+    message: meta.message || '',
+    timestamp: meta.timestamp || revisionTimestamp(id),
+    cards: isWrapped ? data.cards : data
+  };
+}
+
+/**
+ * Write a new revision file (ids are timestamps, suffixed if two saves share a millisecond)
+ */
+async function writeRevisionFile(cards, meta = {}) {
+  const timestamp = new Date().toISOString();
+  const baseId = timestamp.replace(/[:.]/g, '-');
+  const existing = new Set((await listRevisionFiles()).map(revision => revision.id));
+  let id = baseId;
+  for (let suffix = 2; existing.has(id); suffix++) {
+    id = `${baseId}-${suffix}`;
+  }
+
+  const revision = {
+    meta: { author: meta.author || 'anonymous', message: meta.message || '', timestamp },
+    cards
+  };
+  const backupFile = path.join(__dirname, `cards.backup.${id}.json`);
+  await fs.writeFile(backupFile, JSON.stringify(revision, null, 2), 'utf8');
+  console.log(`✓ Revision recorded: ${backupFile}`);
+  return id;
+}
+
+/**
+ * Get the deck array from a collection, or fail with 404 for decks outside the registry
+ */
+function requireDeck(cards, deck) {
+  if (!Array.isArray(cards[deck])) {
+    // Decks in the registry exist even before their first card is saved
+    if (!DECK_REGISTRY.get(deck)) {
+      throw storeError(404, `Unknown deck: ${deck}`);
+    }
+    cards[deck] = [];
+  }
+  return cards[deck];
+}
+
+/**
+ * Get the index of a card in a deck, or fail with 404
+ */
+function requireCardIndex(deckCards, deck, id) {
+  const index = deckCards.findIndex(card => card.id === id);
+  if (index === -1) {
+    throw storeError(404, `Card ${id} not found in deck ${deck}`);
+  }
+  return index;
+}
+
+/**
+ * Fail with 409 when a card id is already used in any deck (ids are unique across the
+ * collection - the database key and ensureCardIds both rely on it)
+ * @param {string} exceptDeck - Deck whose card with this id is being replaced (not a conflict)
+ */
+function requireUnusedId(cards, id, exceptDeck = null) {
+  for (const [deck, deckCards] of Object.entries(cards)) {
+    if (deck === exceptDeck || !Array.isArray(deckCards)) continue;
+    const existing = deckCards.find(card => card.id === id);
+    if (existing) {
+      throw storeError(409, `Card ${id} already exists in deck ${deck}`, { current: existing, etag: cardETag(existing) });
+    }
+  }
+}
+
+// ============================================
+// COLLECTION OPERATIONS
+// ============================================
+
+/**
+ * Load the whole collection
+ */
+async function getCards() {
+  return ensureCardIds(await readCards());
+}
+
+/**
+ * Replace the whole collection
+ * @param {Object} cards - New deck-keyed collection
+ * @param {string} ifMatch - Collection ETag the client last loaded
+ * @param {Object} meta - Revision info { author, message }
+ * @returns {Promise<string>} ETag of the saved collection
+ */
+async function saveCards(cards, ifMatch, meta = {}) {
+  return updateCards(stored => {
+    checkIfMatch(ifMatch, stored, collectionETag(stored), 'the card collection');
+    const next = bumpRevisions(stored, ensureCardIds(cards));
+    Object.keys(stored).forEach(key => delete stored[key]);
+    Object.assign(stored, next);
+    return collectionETag(stored);
+  }, { ...meta, message: meta.message || 'Replaced card collection' });
+}
+
+// ============================================
+// REVISIONS
+// ============================================
+
+/**
+ * List revisions (newest first) without their card data
+ */
+async function listRevisions(limit = 100) {
+  if (useDatabaseStorage) {
+    return db.listRevisions(limit);
+  }
+  const files = (await listRevisionFiles()).slice(0, limit);
+  const revisions = [];
+  for (const { id } of files) {
+    const { cards, ...info } = await readRevisionFile(id);
+    revisions.push(info);
+  }
+  return revisions;
+}
+
+/**
+ * Get one revision with its cards ('current' is the live collection), or fail with 404
+ */
+async function getRevision(id) {
+  if (id === 'current') {
+    return { id: 'current', author: null, message: 'Current cards', timestamp: null, cards: await getCards() };
+  }
+  const revision = useDatabaseStorage ? await db.getRevision(id) : await readRevisionFile(id);
+  if (!revision) {
+    throw storeError(404, `Revision not found: ${id}`);
+  }
+  revision.cards = ensureCardIds(revision.cards);
+  return revision;
+}
+
+/**
+ * Compare two collections card-by-card.
+ * Cards are matched by id within each deck; revision numbers are ignored.
+ */
+function diffCards(fromCards, toCards) {
+  const decks = {};
+  const summary = { added: 0, removed: 0, changed: 0 };
+  const deckKeys = new Set([...Object.keys(fromCards), ...Object.keys(toCards)]);
+
+  for (const deck of deckKeys) {
+    const before = new Map((Array.isArray(fromCards[deck]) ? fromCards[deck] : []).map(card => [card.id, card]));
+    const after = new Map((Array.isArray(toCards[deck]) ? toCards[deck] : []).map(card => [card.id, card]));
+    const deckDiff = { added: [], removed: [], changed: [] };
+
+    for (const [id, card] of after) {
+      if (!before.has(id)) {
+        deckDiff.added.push(card);
+        continue;
+      }
+      const previous = before.get(id);
+      const fields = [...new Set([...Object.keys(previous), ...Object.keys(card)])]
+        .filter(field => field !== 'revision' && stableStringify(previous[field]) !== stableStringify(card[field]))
+        .map(field => ({ field, from: previous[field], to: card[field] }));
+      if (fields.length) {
+        deckDiff.changed.push({ id, CardName: card.CardName, fields });
+      }
+    }
+    for (const [id, card] of before) {
+      if (!after.has(id)) deckDiff.removed.push(card);
+    }
+
+    if (deckDiff.added.length || deckDiff.removed.length || deckDiff.changed.length) {
+      decks[deck] = deckDiff;
+      summary.added += deckDiff.added.length;
+      summary.removed += deckDiff.removed.length;
+      summary.changed += deckDiff.changed.length;
+    }
+  }
+  return { summary, decks };
+}
+
+/**
+ * Diff two revisions ('current' for the live collection)
+ */
+async function diffRevisions(fromId, toId = 'current') {
+  const from = await getRevision(fromId);
+  const to = await getRevision(toId);
+  return { from: fromId, to: toId, ...diffCards(from.cards, to.cards) };
+}
+
+/**
+ * Make a past revision the current collection (recorded as a new revision)
+ * @returns {Promise<string>} ETag of the restored collection
+ */
+async function restoreRevision(id, meta = {}) {
+  const revision = await getRevision(id);
+  return saveCards(revision.cards, '*', {
+    ...meta,
+    message: meta.message || `Restored revision ${id}${revision.message ? ` (${revision.message})` : ''}`
+  });
+}
+
+// ============================================
+// PER-CARD OPERATIONS
+// ============================================
+
+/**
+ * List the cards of one deck
+ */
+async function listCards(deck) {
+  const cards = await getCards();
+  return requireDeck(cards, deck);
+}
+
+/**
+ * Get a single card
+ */
+async function getCard(deck, id) {
+  const deckCards = await listCards(deck);
+  return deckCards[requireCardIndex(deckCards, deck, id)];
+}
+
+/**
+ * Add a new card to a deck (id is generated when missing)
+ */
+async function createCard(deck, card, meta = {}) {
+  return updateCards(cards => {
+    const deckCards = requireDeck(cards, deck);
+    const created = { ...card, id: card.id || generateCardId(card), revision: 1 };
+    requireUnusedId(cards, created.id);
+    deckCards.push(created);
+    return created;
+  }, { ...meta, message: meta.message || `Added card "${card.CardName}" to ${deck}` });
+}
+
+/**
+ * Replace a card, creating it when it does not exist yet
+ * @param {string} ifMatch - Card ETag the client last loaded (required when the card exists)
+ * Resolves to { card, created }
+ */
+async function replaceCard(deck, id, card, ifMatch, meta = {}) {
+  if (card.id && card.id !== id) {
+    throw storeError(400, `Card id in body (${card.id}) does not match URL (${id})`);
+  }
+  return updateCards(cards => {
+    const deckCards = requireDeck(cards, deck);
+    const index = deckCards.findIndex(existing => existing.id === id);
+    const existing = index === -1 ? null : deckCards[index];
+    checkIfMatch(ifMatch, existing, existing && cardETag(existing), `card ${id}`);
+    requireUnusedId(cards, id, deck);
+
+    const replacement = { ...card, id, revision: existing ? existing.revision + 1 : 1 };
+    if (!existing) {
+      deckCards.push(replacement);
+      return { card: replacement, created: true };
+    }
+    deckCards[index] = replacement;
+    return { card: replacement, created: false };
+  }, { ...meta, message: meta.message || `Saved card "${card.CardName}" in ${deck}` });
+}
+
+/**
+ * Update some fields of a card
+ * @param {string} ifMatch - Card ETag the client last loaded
+ */
+async function patchCard(deck, id, changes, ifMatch, meta = {}) {
+  return updateCards(cards => {
+    const deckCards = requireDeck(cards, deck);
+    const index = requireCardIndex(deckCards, deck, id);
+    const existing = deckCards[index];
+    checkIfMatch(ifMatch, existing, cardETag(existing), `card ${id}`);
+    deckCards[index] = { ...existing, ...changes, id, revision: existing.revision + 1 };
+    return deckCards[index];
+  }, { ...meta, message: meta.message || `Updated ${Object.keys(changes).join(', ')} of card ${id} in ${deck}` });
+}
+
+/**
+ * Remove a card from a deck
+ * @param {string} ifMatch - Card ETag the client last loaded
+ */
+async function deleteCard(deck, id, ifMatch, meta = {}) {
+  return updateCards(cards => {
+    const deckCards = requireDeck(cards, deck);
+    const index = requireCardIndex(deckCards, deck, id);
+    checkIfMatch(ifMatch, deckCards[index], cardETag(deckCards[index]), `card ${id}`);
+    return deckCards.splice(index, 1)[0];
+  }, { ...meta, message: meta.message || `Deleted card ${id} from ${deck}` });
+}
+
+module.exports = {
+  setDatabaseStorage,
+  cardETag,
+  collectionETag,
+  getCards,
+  saveCards,
+  listCards,
+  getCard,
+  createCard,
+  replaceCard,
+  patchCard,
+  deleteCard,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+};
@@ -2,11 +2,15 @@
  * db.js
  * Database abstraction that supports raw Postgres (pg) and Supabase JS (service role key).
  * Behavior:
- *  - If SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are present, uses Supabase client for get/save.
- *  - Uses pg Pool when DATABASE_URL is present (used for DDL like creating tables if needed).
+ *  - Cards are stored in normalized tables (see cardSchema.js) through the pg Pool (DATABASE_URL).
+ *  - If SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are present, the Supabase client is used
+ *    for connectivity checks and as a read fallback for the revision history.
+ *  - getCards()/saveCards() keep returning/accepting the deck-keyed collection the apps use.
  */
 
 const { Pool } = require('pg');
+const cardSchema = require('./cardSchema');
+const DECK_REGISTRY = require('./shared/deckRegistry');
 require('dotenv').config();
 
 // Optional pg pool (used for DDL or when DATABASE_URL is present)
@@ -30,56 +34,18 @@ try {
   console.warn('Supabase client could not be initialized:', err.message || err);
 }
 
+// Serializes writers across server instances (held until the transaction ends)
+const CARDS_LOCK_KEY = 0x6361726473; // 'cards'
+
 /**
- * Initialize database - create cards table if it doesn't exist
+ * Initialize database - create the normalized card tables if they don't exist,
+ * migrating a legacy single-document cards table when one is found
  */
 async function initDatabase() {
-  // If using Supabase client, try a simple select to detect table existence.
-  if (useSupabase) {
-    try {
-      const { data, error } = await supabase.from('cards').select('id').limit(1);
-      if (error) {
-        // If table doesn't exist and we have a pg pool, try creating it via pool
-        if (pool && /does not exist|Undefined table|relation "cards" does not exist/i.test(error.message || '')) {
-          try {
-            await pool.query(`
-              CREATE TABLE IF NOT EXISTS cards (
-                id INTEGER PRIMARY KEY DEFAULT 1,
-                data JSONB NOT NULL,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-              )
-            `);
-            console.log('✓ Created cards table via pg pool (Supabase backend)');
-            return true;
-          } catch (err) {
-            console.error('Error creating table via pg pool:', err.message || err);
-            return false;
-          }
-        }
-        // Table may be missing, but connection to Supabase is valid
-        console.warn('Supabase query returned an error (table may not exist):', error.message || error);
-        return true; // connection is valid
-      }
-
-      console.log('✓ Supabase project accessible');
-      return true;
-    } catch (err) {
-      console.error('Supabase initialization error:', err.message || err);
-      return false;
-    }
-  }
-
-  // Fallback: use pg pool if present
   if (pool) {
     try {
-      await pool.query(`
-        CREATE TABLE IF NOT EXISTS cards (
-          id INTEGER PRIMARY KEY DEFAULT 1,
-          data JSONB NOT NULL,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      console.log('✓ Database initialized (pg)');
+      const migrated = await cardSchema.migrateUp(pool);
+      console.log(`✓ Database initialized (pg${migrated ? ', migrated legacy cards table' : ''})`);
       return true;
     } catch (error) {
       console.error('Database initialization error (pg):', error.message || error);
@@ -87,110 +53,213 @@ async function initDatabase() {
     }
   }
 
+  if (useSupabase) {
+    console.warn('Supabase client configured without DATABASE_URL - card tables cannot be created or written');
+    return false;
+  }
+
   console.warn('No database configured (neither Supabase nor DATABASE_URL found)');
   return false;
 }
 
+/**
+ * Empty deck structure returned when nothing is stored yet
+ */
+const empty = () => DECK_REGISTRY.emptyDecks();
+
+/**
+ * Read the collection through a pg client (empty structure when nothing is stored)
+ */
+async function readCards(client) {
+  const cards = await cardSchema.readCollection(client);
+  return Object.keys(cards).length > 0 ? cards : empty();
+}
+
 /**
  * Get all cards from database
+ * @throws {Error} If the query fails (an empty collection would look like a database to seed)
  */
 async function getCards() {
-  const empty = () => ({
-    npcs: [],
-    questtemplates: [],
-    locations: [],
-    twists: [],
-    magicitems: [],
-    monsters: []
+  if (!pool) {
+    console.log('[DB] No database connection available, returning empty structure');
+    return empty();
+  }
+
+  try {
+    console.log('[DB] Querying database with pg pool...');
+    const cards = await readCards(pool);
+    console.log('[DB] Cards loaded from pg pool:', Object.keys(cards));
+    return cards;
+  } catch (error) {
+    console.error('[DB] Error getting cards (pg):', error.message);
+    console.error('[DB] Error details:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save cards to database (replaces the whole collection)
+ */
+async function saveCards(cards) {
+  if (!pool) {
+    throw new Error('No database connection available for saving cards');
+  }
+
+  try {
+    console.log('[DB] Saving cards to database via pg pool...');
+    await cardSchema.inTransaction(pool, async client => {
+      await client.query('SELECT pg_advisory_xact_lock($1)', [CARDS_LOCK_KEY]);
+      await cardSchema.writeCollection(client, cards);
+    });
+    console.log('✓ Cards saved to database (pg)');
+    return true;
+  } catch (error) {
+    console.error('[DB] Error saving cards (pg):', error.message || error);
+    throw error;
+  }
+}
+
+/**
+ * Read-modify-write the stored cards.
+ * The mutator edits the cards in place and returns a result; returning
+ * null/undefined skips the write. Writers hold a transaction-level advisory
+ * lock so concurrent requests cannot clobber each other, and only the cards
+ * the mutator actually changed are rewritten.
+ * Every write is also recorded in card_revisions with the given author/message.
+ */
+async function updateCards(mutator, meta = {}) {
+  if (!pool) {
+    throw new Error('No database connection available for saving cards');
+  }
+
+  return cardSchema.inTransaction(pool, async client => {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [CARDS_LOCK_KEY]);
+    const previous = await readCards(client);
+    const cards = structuredClone(previous);
+    const outcome = await mutator(cards);
+    if (outcome !== null && outcome !== undefined) {
+      await cardSchema.writeCollection(client, cards, previous);
+      await client.query(
+        'INSERT INTO card_revisions (author, message, data) VALUES ($1, $2, $3)',
+        [meta.author || 'anonymous', meta.message || '', cards]
+      );
+    }
+    return outcome;
   });
+}
 
-  // Try Supabase client first (preferred for production)
+/**
+ * List stored revisions, newest first (without card data)
+ */
+async function listRevisions(limit = 100) {
+  if (pool) {
+    const result = await pool.query(
+      'SELECT id, author, message, created_at FROM card_revisions ORDER BY id DESC LIMIT $1',
+      [limit]
+    );
+    return result.rows.map(row => ({
+      id: String(row.id),
+      author: row.author,
+      message: row.message,
+      timestamp: new Date(row.created_at).toISOString()
+    }));
+  }
   if (useSupabase) {
-    try {
-      console.log('[DB] Querying database with Supabase client...');
-      const { data, error } = await supabase.from('cards').select('data').eq('id', 1).single();
-      if (error) {
-        if (/does not exist|Undefined table|relation "cards" does not exist/i.test(error.message || '')) {
-          console.log('[DB] Cards table does not exist in Supabase, returning empty structure');
-          return empty();
-        }
-        throw error;
-      }
-      console.log('[DB] Cards loaded from Supabase:', data && data.data ? Object.keys(data.data) : 'empty');
-      return data && data.data ? data.data : empty();
-    } catch (err) {
-      console.error('[DB] Supabase getCards error:', err.message || err);
-      console.error('[DB] Falling back to pg pool or empty...');
-      // Fall through to pg pool if Supabase fails
-    }
+    const { data, error } = await supabase.from('card_revisions')
+      .select('id, author, message, created_at')
+      .order('id', { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    return data.map(row => ({
+      id: String(row.id),
+      author: row.author,
+      message: row.message,
+      timestamp: new Date(row.created_at).toISOString()
+    }));
   }
+  throw new Error('No database connection available for revisions');
+}
 
-  // Fallback: try pg pool (direct Postgres connection)
+/**
+ * Get one revision including its card data (null if it does not exist)
+ */
+async function getRevision(id) {
+  if (!/^\d+$/.test(String(id))) return null;
+  let row = null;
   if (pool) {
-    try {
-      console.log('[DB] Querying database with pg pool...');
-      const result = await pool.query('SELECT data FROM cards WHERE id = 1');
-      if (result.rows.length === 0) {
-        console.log('[DB] No cards found in database, returning empty structure');
-        return empty();
-      }
-      console.log('[DB] Cards loaded from pg pool:', Object.keys(result.rows[0].data));
-      return result.rows[0].data;
-    } catch (error) {
-      console.error('[DB] Error getting cards (pg):', error.message);
-      console.error('[DB] Error details:', error);
-      // Fall through to empty
-    }
+    const result = await pool.query(
+      'SELECT id, author, message, created_at, data FROM card_revisions WHERE id = $1',
+      [id]
+    );
+    row = result.rows[0] || null;
+  } else if (useSupabase) {
+    const { data, error } = await supabase.from('card_revisions')
+      .select('id, author, message, created_at, data')
+      .eq('id', id)
+      .maybeSingle();
+    if (error) throw error;
+    row = data;
+  } else {
+    throw new Error('No database connection available for revisions');
   }
+  if (!row) return null;
+  return {
+    id: String(row.id),
+    author: row.author,
+    message: row.message,
+    timestamp: new Date(row.created_at).toISOString(),
+    cards: row.data
+  };
+}
 
-  // If both fail, return empty
-  console.log('[DB] No database connection available, returning empty structure');
-  return empty();
+/**
+ * List the named documents of a table (validation_baselines, campaigns), as saved
+ * @param {string} table - Table name (a fixed name from namedDocumentStore.js, never user input)
+ */
+async function listDocuments(table) {
+  if (!pool) {
+    throw new Error(`No database connection available for ${table}`);
+  }
+  const result = await pool.query(`SELECT data FROM ${table} ORDER BY name`);
+  return result.rows.map(row => row.data);
 }
 
 /**
- * Save cards to database
+ * Get one named document (null if it does not exist)
  */
-async function saveCards(cards) {
-  // Try Supabase client first (preferred for production)
-  if (useSupabase) {
-    try {
-      console.log('[DB] Saving cards to Supabase...');
-      // Upsert using Supabase client
-      const { data, error } = await supabase.from('cards').upsert({ id: 1, data: cards }, { onConflict: 'id' });
-      if (error) {
-        console.error('[DB] Supabase save error:', error.message || error);
-        throw error;
-      }
-      console.log('✓ Cards saved to Supabase');
-      return true;
-    } catch (err) {
-      console.error('[DB] Supabase saveCards exception:', err.message || err);
-      console.error('[DB] Falling back to pg pool...');
-      // Fall through to pg pool if Supabase fails
-    }
+async function getDocument(table, name) {
+  if (!pool) {
+    throw new Error(`No database connection available for ${table}`);
   }
+  const result = await pool.query(`SELECT data FROM ${table} WHERE name = $1`, [name]);
+  return result.rows.length > 0 ? result.rows[0].data : null;
+}
 
-  // Fallback: try pg pool (direct Postgres connection)
-  if (pool) {
-    try {
-      console.log('[DB] Saving cards to database via pg pool...');
-      await pool.query(`
-        INSERT INTO cards (id, data, updated_at)
-        VALUES (1, $1, CURRENT_TIMESTAMP)
-        ON CONFLICT (id)
-        DO UPDATE SET data = $1, updated_at = CURRENT_TIMESTAMP
-      `, [cards]);
-      console.log('✓ Cards saved to database (pg)');
-      return true;
-    } catch (error) {
-      console.error('[DB] Error saving cards (pg):', error.message || error);
-      throw error;
-    }
+/**
+ * Save (or replace) a named document in a single statement, so concurrent saves of
+ * different names never overwrite each other
+ */
+async function putDocument(table, name, data) {
+  if (!pool) {
+    throw new Error(`No database connection available for ${table}`);
   }
+  await pool.query(`
+    INSERT INTO ${table} (name, data, saved_at)
+    VALUES ($1, $2, CURRENT_TIMESTAMP)
+    ON CONFLICT (name) DO UPDATE SET data = $2, saved_at = CURRENT_TIMESTAMP
+  `, [name, data]);
+}
 
-  // If both fail, throw error
-  throw new Error('No database connection available for saving cards');
+/**
+ * Delete a named document
+ * @returns {Promise<boolean>} Whether it existed
+ */
+async function deleteDocument(table, name) {
+  if (!pool) {
+    throw new Error(`No database connection available for ${table}`);
+  }
+  const result = await pool.query(`DELETE FROM ${table} WHERE name = $1`, [name]);
+  return result.rowCount > 0;
 }
 
 /**
@@ -230,5 +299,12 @@ module.exports = {
   initDatabase,
   getCards,
   saveCards,
+  updateCards,
+  listRevisions,
+  getRevision,
+  listDocuments,
+  getDocument,
+  putDocument,
+  deleteDocument,
   isDatabaseAvailable
 };
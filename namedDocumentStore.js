@@ -0,0 +1,116 @@
+/**
+ * namedDocumentStore.js
+ * Named JSON documents saved by the apps (validation baselines, campaigns), used by server.js.
+ * Kept in a PostgreSQL table (see cardSchema.js) in database mode - the filesystem of a
+ * hosted server doesn't survive a deploy - or in a JSON file next to server.js otherwise.
+ */
+
+const fs = require('fs').promises;
+const db = require('./db');
+
+class NamedDocumentStore {
+  /**
+   * @param {Object} options - {
+   *   file: JSON file used without a database ({ version: 1, [rootKey]: { name: document } }),
+   *   rootKey: key of the document map in the file (e.g. "baselines"),
+   *   table: database table with name / data / saved_at columns }
+   */
+  constructor({ file, rootKey, table }) {
+    this.file = file;
+    this.rootKey = rootKey;
+    this.table = table;
+    this.useDatabaseStorage = false;
+    // File writes are serialized so two saves never read-modify-write the same snapshot
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Switch between database and filesystem storage
+   */
+  setDatabaseStorage(enabled) {
+    this.useDatabaseStorage = !!enabled;
+  }
+
+  /**
+   * All documents (in no particular order)
+   */
+  async list() {
+    if (this.useDatabaseStorage) {
+      return db.listDocuments(this.table);
+    }
+    return Object.values(await this.readFile());
+  }
+
+  /**
+   * One document (null if there is none with that name)
+   */
+  async get(name) {
+    if (this.useDatabaseStorage) {
+      return db.getDocument(this.table, name);
+    }
+    return (await this.readFile())[name] || null;
+  }
+
+  /**
+   * Save (or replace) a document
+   */
+  async save(name, document) {
+    if (this.useDatabaseStorage) {
+      await db.putDocument(this.table, name, document);
+      return document;
+    }
+    return this.withWriteLock(async () => {
+      const documents = await this.readFile();
+      documents[name] = document;
+      await this.writeFile(documents);
+      return document;
+    });
+  }
+
+  /**
+   * Delete a document
+   * @returns {Promise<boolean>} Whether it existed
+   */
+  async remove(name) {
+    if (this.useDatabaseStorage) {
+      return db.deleteDocument(this.table, name);
+    }
+    return this.withWriteLock(async () => {
+      const documents = await this.readFile();
+      if (!documents[name]) return false;
+      delete documents[name];
+      await this.writeFile(documents);
+      return true;
+    });
+  }
+
+  /**
+   * Helper: Run a write task after every previously queued write has finished
+   */
+  withWriteLock(task) {
+    const run = this.writeQueue.then(task, task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Helper: The documents in the file ({} when it doesn't exist yet)
+   */
+  async readFile() {
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf8'))[this.rootKey] || {};
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Write the documents file
+   */
+  async writeFile(documents) {
+    await fs.writeFile(this.file, JSON.stringify({ version: 1, [this.rootKey]: documents }, null, 2), 'utf8');
+  }
+}
+
+module.exports = NamedDocumentStore;
@@ -12,10 +12,24 @@ const fs = require('fs').promises;
 const path = require('path');
 const cors = require('cors');
 const db = require('./db');
+const cardStore = require('./cardStore');
+const NamedDocumentStore = require('./namedDocumentStore');
+const cardValidator = require('./shared/cardValidator');
+const DECK_REGISTRY = require('./shared/deckRegistry');
+const MONSTER_CONFIG = require('./CardGame_MonsterBuilder/config-monsters');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const CARDS_FILE = path.join(__dirname, 'cards.json');
+const TAG_CONFIG_FILE = path.join(__dirname, 'tag-config.json');
+const DECK_CONFIG_FILE = path.join(__dirname, 'deck-config.json');
+const BASELINES_FILE = path.join(__dirname, 'validation-baselines.json');
+const CAMPAIGNS_FILE = path.join(__dirname, 'campaigns.json');
+
+// Saved validation baselines (PostgreSQL table in database mode, else validation-baselines.json)
+const baselineStore = new NamedDocumentStore({ file: BASELINES_FILE, rootKey: 'baselines', table: 'validation_baselines' });
+// Saved campaigns (PostgreSQL table in database mode, else campaigns.json)
+const campaignStore = new NamedDocumentStore({ file: CAMPAIGNS_FILE, rootKey: 'campaigns', table: 'campaigns' });
 
 // Track if database is available
 let useDatabaseStorage = false;
@@ -23,7 +37,8 @@ let useDatabaseStorage = false;
 let dataSourceSummary = 'filesystem (cards.json)';
 
 // Middleware
-app.use(cors());
+// ETag must be exposed so browser apps can send it back in If-Match
+app.use(cors({ exposedHeaders: ['ETag'] }));
 app.use(express.json({ limit: '10mb' }));
 
 // Serve static files for the top-level apps directory (configurable via APPS_ROOT)
@@ -35,32 +50,60 @@ app.use(express.static(APPS_ROOT)); // Serve top-level apps folder
 app.use(express.static(__dirname)); // Fallback to current app folder
 console.log(`ℹ Serving static files from: ${APPS_ROOT}`);
 
+/**
+ * Load the deck registry from deck-config.json (built-in defaults when the file is missing)
+ */
+async function loadDeckConfig() {
+  try {
+    const config = JSON.parse(await fs.readFile(DECK_CONFIG_FILE, 'utf8'));
+    if (!Array.isArray(config.decks)) {
+      throw new Error('"decks" must be an array');
+    }
+    DECK_REGISTRY.setDefinitions(config.decks);
+    console.log(`✓ Deck registry loaded from deck-config.json: ${DECK_REGISTRY.keys().join(', ')}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('⚠ Could not load deck-config.json, using built-in decks:', error.message);
+    }
+  }
+}
+
 // Initialize database on startup
 (async () => {
+  await loadDeckConfig();
+
   if (process.env.DATABASE_URL) {
     console.log('🔍 Database URL detected, attempting to connect...');
-    useDatabaseStorage = await db.isDatabaseAvailable();
+    useDatabaseStorage = await db.isDatabaseAvailable() && await db.initDatabase();
     
     if (useDatabaseStorage) {
-      await db.initDatabase();
+      cardStore.setDatabaseStorage(true);
+      baselineStore.setDatabaseStorage(true);
+      campaignStore.setDatabaseStorage(true);
       console.log('✓ Using PostgreSQL for storage');
       
       // Check if database is empty and seed from cards.json if needed
-      const cards = await db.getCards();
-      const isEmpty = Object.values(cards).every(deck => deck.length === 0);
+      // (never when the cards can't be read - that would write over the stored data)
+      let isEmpty = false;
+      try {
+        const cards = await db.getCards();
+        isEmpty = Object.values(cards).every(deck => deck.length === 0);
+      } catch (error) {
+        console.warn('⚠ Could not read cards from the database, not seeding:', error.message);
+      }
       
       if (isEmpty) {
         console.log('📦 Database is empty, seeding from cards.json...');
         try {
           const fileData = await fs.readFile(CARDS_FILE, 'utf8');
-          await db.saveCards(JSON.parse(fileData));
+          await cardStore.saveCards(JSON.parse(fileData), '*', { author: 'server', message: 'Seeded from cards.json' });
           console.log('✓ Initial data loaded from cards.json');
         } catch (error) {
           console.warn('⚠ Could not seed from cards.json:', error.message);
         }
       }
     } else {
-      console.log('⚠ Database unavailable, falling back to file storage');
+      console.log('⚠ Database unavailable or could not be initialized, falling back to file storage');
     }
   } else {
     console.log('ℹ No DATABASE_URL found, using file storage (cards.json)');
@@ -94,19 +137,10 @@ console.log(`ℹ Serving static files from: ${APPS_ROOT}`);
 app.get('/api/cards', async (req, res) => {
   try {
     console.log(`[API] GET /api/cards - Storage mode: ${useDatabaseStorage ? 'database' : 'filesystem'}`);
-    let cards;
-    
-    if (useDatabaseStorage) {
-      console.log('[API] Loading cards from database...');
-      cards = await db.getCards();
-      console.log('[API] Cards loaded from database:', Object.keys(cards));
-    } else {
-      console.log('[API] Loading cards from filesystem...');
-      const data = await fs.readFile(CARDS_FILE, 'utf8');
-      cards = JSON.parse(data);
-      console.log('[API] Cards loaded from filesystem:', Object.keys(cards));
-    }
+    const cards = await cardStore.getCards();
+    console.log('[API] Cards loaded:', Object.keys(cards));
     
+    res.set('ETag', cardStore.collectionETag(cards));
     res.json(cards);
   } catch (error) {
     console.error('[API] Error reading cards:', error.message);
@@ -116,7 +150,8 @@ app.get('/api/cards', async (req, res) => {
 });
 
 /**
- * POST /api/cards - Save cards
+ * POST /api/cards - Save cards (replaces the whole collection; used for bulk import/reset)
+ * Requires If-Match with the ETag from GET /api/cards; answers 409 with the stored cards when stale
  */
 app.post('/api/cards', async (req, res) => {
   try {
@@ -125,42 +160,256 @@ app.post('/api/cards', async (req, res) => {
     console.log('[API] POST /api/cards - Received card data');
     console.log('[API] Deck keys in request:', Object.keys(cards));
     
-    // Validate the data structure
-    const requiredDecks = ['npcs', 'questtemplates', 'locations', 'twists', 'loot', 'monsters'];
-    for (const deck of requiredDecks) {
-      if (!Array.isArray(cards[deck])) {
-        const errorMsg = `Missing or invalid deck: ${deck}. Received decks: ${Object.keys(cards).join(', ')}`;
-        console.error('[API] Validation failed:', errorMsg);
-        return res.status(400).json({ error: errorMsg });
-      }
+    // Validate the data structure and every card
+    const validation = cardValidator.validateCollection(cards, {
+      ...await validationOptions(),
+      requiredDecks: DECK_REGISTRY.requiredKeys()
+    });
+    if (!validation.valid) {
+      return sendValidationError(res, validation);
     }
     
-    if (useDatabaseStorage) {
-      // Save to database
-      await db.saveCards(cards);
-      console.log('✓ Cards saved to database');
-    } else {
-      // Save to file (local development)
-      // Create backup of existing file
-      try {
-        const existingData = await fs.readFile(CARDS_FILE, 'utf8');
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const backupFile = path.join(__dirname, `cards.backup.${timestamp}.json`);
-        await fs.writeFile(backupFile, existingData);
-        console.log(`✓ Backup created: ${backupFile}`);
-      } catch (backupError) {
-        console.warn('Backup failed:', backupError.message);
-      }
-      
-      // Write new data
-      await fs.writeFile(CARDS_FILE, JSON.stringify(cards, null, 2), 'utf8');
-      console.log('✓ Cards saved to cards.json');
-    }
+    const etag = await cardStore.saveCards(cards, req.get('If-Match'), revisionMeta(req));
     
-    res.json({ success: true, message: 'Cards saved successfully' });
+    res.set('ETag', etag);
+    res.json({ success: true, message: 'Cards saved successfully', etag, warnings: validation.warnings });
+  } catch (error) {
+    sendStoreError(res, error, 'Failed to save cards');
+  }
+});
+
+/**
+ * Send a card store error (400/404/409/428 carry their own status, anything else is a 500).
+ * Precondition failures include the server's current state so the client can resolve the conflict.
+ */
+function sendStoreError(res, error, fallbackMessage) {
+  if (error.status) {
+    const body = { error: error.message };
+    if (error.current !== undefined) {
+      body.current = error.current;
+      body.etag = error.etag;
+      if (error.etag) res.set('ETag', error.etag);
+    }
+    return res.status(error.status).json(body);
+  }
+  console.error(`[API] ${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage, details: error.message });
+}
+
+/**
+ * Revision info for a write, taken from the X-Author / X-Revision-Message headers
+ */
+function revisionMeta(req) {
+  return {
+    author: (req.get('X-Author') || '').trim().slice(0, 100) || undefined,
+    message: (req.get('X-Revision-Message') || '').trim().slice(0, 500) || undefined
+  };
+}
+
+/**
+ * Options for shared/cardValidator: polarity tags from tag-config.json, harm/cost/habitat codes from MONSTER_CONFIG
+ */
+async function validationOptions() {
+  const options = {
+    harmCodes: Object.keys(MONSTER_CONFIG.HARM_TYPES),
+    costCodes: Object.keys(MONSTER_CONFIG.COST_TYPES),
+    habitatCodes: MONSTER_CONFIG.HABITATS
+  };
+  try {
+    const config = JSON.parse(await fs.readFile(TAG_CONFIG_FILE, 'utf8'));
+    const tagOptions = cardValidator.optionsFromTagConfig(config.tagConfigurations);
+    if (tagOptions.lightTags.length || tagOptions.shadowTags.length) {
+      Object.assign(options, tagOptions);
+    }
+  } catch (error) {
+    // No tag config yet; the validator falls back to its default tag lists
+  }
+  return options;
+}
+
+/**
+ * Validate a single card body for a deck; returns the validator result
+ */
+async function validateCardBody(deck, card) {
+  return cardValidator.validateCard(card, { ...await validationOptions(), deck });
+}
+
+/**
+ * Reject a payload that failed validation with per-card, per-field errors
+ */
+function sendValidationError(res, validation) {
+  console.error(`[API] Validation failed: ${validation.errors.length} error(s)`);
+  validation.errors.slice(0, 5).forEach(issue => console.error(`  ⚠ ${issue.path}: ${issue.message}`));
+  return res.status(400).json({
+    error: 'Validation failed',
+    errors: validation.errors,
+    warnings: validation.warnings
+  });
+}
+
+/**
+ * Check that a request body is a single card object
+ */
+function isCardBody(body) {
+  return body && typeof body === 'object' && !Array.isArray(body);
+}
+
+/**
+ * GET /api/decks/:deck/cards - List the cards of one deck
+ */
+app.get('/api/decks/:deck/cards', async (req, res) => {
+  try {
+    res.json(await cardStore.listCards(req.params.deck));
+  } catch (error) {
+    sendStoreError(res, error, 'Failed to load deck');
+  }
+});
+
+/**
+ * POST /api/decks/:deck/cards - Add a card to a deck
+ */
+app.post('/api/decks/:deck/cards', async (req, res) => {
+  const { deck } = req.params;
+  if (!isCardBody(req.body)) {
+    return res.status(400).json({ error: 'Request body must be a card object' });
+  }
+  try {
+    const validation = await validateCardBody(deck, req.body);
+    if (!validation.valid) {
+      return sendValidationError(res, validation);
+    }
+    const card = await cardStore.createCard(deck, req.body, revisionMeta(req));
+    console.log(`[API] Card created: ${deck}/${card.id}`);
+    res.set('ETag', cardStore.cardETag(card));
+    res.status(201).json(card);
+  } catch (error) {
+    sendStoreError(res, error, 'Failed to create card');
+  }
+});
+
+/**
+ * GET /api/decks/:deck/cards/:id - Load a single card
+ */
+app.get('/api/decks/:deck/cards/:id', async (req, res) => {
+  try {
+    const card = await cardStore.getCard(req.params.deck, req.params.id);
+    res.set('ETag', cardStore.cardETag(card));
+    res.json(card);
+  } catch (error) {
+    sendStoreError(res, error, 'Failed to load card');
+  }
+});
+
+/**
+ * PUT /api/decks/:deck/cards/:id - Replace (or create) a single card
+ * Replacing an existing card requires If-Match with its ETag
+ */
+app.put('/api/decks/:deck/cards/:id', async (req, res) => {
+  const { deck, id } = req.params;
+  if (!isCardBody(req.body)) {
+    return res.status(400).json({ error: 'Request body must be a card object' });
+  }
+  try {
+    const validation = await validateCardBody(deck, { ...req.body, id });
+    if (!validation.valid) {
+      return sendValidationError(res, validation);
+    }
+    const { card, created } = await cardStore.replaceCard(deck, id, req.body, req.get('If-Match'), revisionMeta(req));
+    console.log(`[API] Card ${created ? 'created' : 'replaced'}: ${deck}/${id}`);
+    res.set('ETag', cardStore.cardETag(card));
+    res.status(created ? 201 : 200).json(card);
+  } catch (error) {
+    sendStoreError(res, error, 'Failed to save card');
+  }
+});
+
+/**
+ * PATCH /api/decks/:deck/cards/:id - Update some fields of a card (requires If-Match)
+ */
+app.patch('/api/decks/:deck/cards/:id', async (req, res) => {
+  const { deck, id } = req.params;
+  if (!isCardBody(req.body)) {
+    return res.status(400).json({ error: 'Request body must be an object of card fields' });
+  }
+  try {
+    // Validate the card as it will look after the patch
+    const existing = await cardStore.getCard(deck, id);
+    const validation = await validateCardBody(deck, { ...existing, ...req.body, id });
+    if (!validation.valid) {
+      return sendValidationError(res, validation);
+    }
+    const card = await cardStore.patchCard(deck, id, req.body, req.get('If-Match'), revisionMeta(req));
+    console.log(`[API] Card updated: ${deck}/${id} (${Object.keys(req.body).join(', ')})`);
+    res.set('ETag', cardStore.cardETag(card));
+    res.json(card);
+  } catch (error) {
+    sendStoreError(res, error, 'Failed to update card');
+  }
+});
+
+/**
+ * DELETE /api/decks/:deck/cards/:id - Remove a card (requires If-Match)
+ */
+app.delete('/api/decks/:deck/cards/:id', async (req, res) => {
+  const { deck, id } = req.params;
+  try {
+    await cardStore.deleteCard(deck, id, req.get('If-Match'), revisionMeta(req));
+    console.log(`[API] Card deleted: ${deck}/${id}`);
+    res.json({ success: true, message: 'Card deleted successfully' });
+  } catch (error) {
+    sendStoreError(res, error, 'Failed to delete card');
+  }
+});
+
+/**
+ * GET /api/revisions - List saved revisions of the card data (newest first)
+ */
+app.get('/api/revisions', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json(await cardStore.listRevisions(limit));
   } catch (error) {
-    console.error('Error saving cards:', error);
-    res.status(500).json({ error: 'Failed to save cards' });
+    sendStoreError(res, error, 'Failed to list revisions');
+  }
+});
+
+/**
+ * GET /api/revisions/diff?from=<id>&to=<id|current> - Card-by-card diff of two revisions
+ */
+app.get('/api/revisions/diff', async (req, res) => {
+  const { from, to = 'current' } = req.query;
+  if (!from) {
+    return res.status(400).json({ error: 'Query parameter "from" is required' });
+  }
+  try {
+    res.json(await cardStore.diffRevisions(from, to));
+  } catch (error) {
+    sendStoreError(res, error, 'Failed to diff revisions');
+  }
+});
+
+/**
+ * GET /api/revisions/:id - Load one revision including its cards
+ */
+app.get('/api/revisions/:id', async (req, res) => {
+  try {
+    res.json(await cardStore.getRevision(req.params.id));
+  } catch (error) {
+    sendStoreError(res, error, 'Failed to load revision');
+  }
+});
+
+/**
+ * POST /api/revisions/:id/restore - Make a revision the current card data (recorded as a new revision)
+ */
+app.post('/api/revisions/:id/restore', async (req, res) => {
+  try {
+    const etag = await cardStore.restoreRevision(req.params.id, revisionMeta(req));
+    console.log(`[API] Restored revision ${req.params.id}`);
+    res.set('ETag', etag);
+    res.json({ success: true, message: `Revision ${req.params.id} restored`, etag });
+  } catch (error) {
+    sendStoreError(res, error, 'Failed to restore revision');
   }
 });
 
@@ -176,6 +425,13 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+/**
+ * GET /api/deck-config - Deck registry (deck keys, names and card schemas)
+ */
+app.get('/api/deck-config', (req, res) => {
+  res.json(DECK_REGISTRY.toJSON());
+});
+
 /**
  * GET /api/tag-config - Load tag configurations
  */
@@ -221,6 +477,159 @@ app.post('/api/tag-config', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/validation-baselines - List saved validation baselines (without their reports)
+ */
+app.get('/api/validation-baselines', async (req, res) => {
+  try {
+    const baselines = (await baselineStore.list())
+      .map(({ report, ...baseline }) => ({ ...baseline, iterations: report.summary.totalIterations }))
+      .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    res.json({ baselines });
+  } catch (error) {
+    console.error('Error loading validation baselines:', error);
+    res.status(500).json({ error: 'Failed to load validation baselines' });
+  }
+});
+
+/**
+ * GET /api/validation-baselines/:name - Load one baseline including its report
+ */
+app.get('/api/validation-baselines/:name', async (req, res) => {
+  try {
+    const baseline = await baselineStore.get(req.params.name);
+    if (!baseline) {
+      return res.status(404).json({ error: `Baseline "${req.params.name}" not found` });
+    }
+    res.json(baseline);
+  } catch (error) {
+    console.error('Error loading validation baseline:', error);
+    res.status(500).json({ error: 'Failed to load validation baseline' });
+  }
+});
+
+/**
+ * PUT /api/validation-baselines/:name - Save (or replace) a baseline: { report, settings }
+ */
+app.put('/api/validation-baselines/:name', async (req, res) => {
+  const { report, settings = {} } = req.body || {};
+  if (!report || !report.summary || !report.cardUtilization) {
+    return res.status(400).json({ error: 'A validation report is required' });
+  }
+  try {
+    const baseline = {
+      name: req.params.name,
+      savedAt: new Date().toISOString(),
+      dataRevision: report.summary.dataRevision || null,
+      settings,
+      report
+    };
+    await baselineStore.save(baseline.name, baseline);
+    console.log(`✓ Validation baseline "${baseline.name}" saved`);
+    res.json({ success: true, baseline: { ...baseline, report: undefined } });
+  } catch (error) {
+    console.error('Error saving validation baseline:', error);
+    res.status(500).json({ error: 'Failed to save validation baseline' });
+  }
+});
+
+/**
+ * DELETE /api/validation-baselines/:name - Remove a baseline
+ */
+app.delete('/api/validation-baselines/:name', async (req, res) => {
+  try {
+    if (!await baselineStore.remove(req.params.name)) {
+      return res.status(404).json({ error: `Baseline "${req.params.name}" not found` });
+    }
+    console.log(`✓ Validation baseline "${req.params.name}" deleted`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting validation baseline:', error);
+    res.status(500).json({ error: 'Failed to delete validation baseline' });
+  }
+});
+
+/**
+ * Helper: A saved campaign without its quests (for the campaign list)
+ */
+function campaignSummary({ name, savedAt, campaign }) {
+  return {
+    name,
+    savedAt,
+    seed: campaign.seed,
+    dataRevision: campaign.dataRevision || null,
+    settings: campaign.settings,
+    questCount: campaign.quests.length,
+    completed: campaign.quests.filter(entry => entry.quest).length
+  };
+}
+
+/**
+ * GET /api/campaigns - List saved campaigns (without their quests)
+ */
+app.get('/api/campaigns', async (req, res) => {
+  try {
+    const campaigns = (await campaignStore.list())
+      .map(campaignSummary)
+      .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    res.json({ campaigns });
+  } catch (error) {
+    console.error('Error loading campaigns:', error);
+    res.status(500).json({ error: 'Failed to load campaigns' });
+  }
+});
+
+/**
+ * GET /api/campaigns/:name - Load one campaign including its quests
+ */
+app.get('/api/campaigns/:name', async (req, res) => {
+  try {
+    const saved = await campaignStore.get(req.params.name);
+    if (!saved) {
+      return res.status(404).json({ error: `Campaign "${req.params.name}" not found` });
+    }
+    res.json(saved);
+  } catch (error) {
+    console.error('Error loading campaign:', error);
+    res.status(500).json({ error: 'Failed to load campaign' });
+  }
+});
+
+/**
+ * PUT /api/campaigns/:name - Save (or replace) a campaign: { campaign }
+ */
+app.put('/api/campaigns/:name', async (req, res) => {
+  const { campaign } = req.body || {};
+  if (!campaign || !Array.isArray(campaign.quests) || !campaign.settings) {
+    return res.status(400).json({ error: 'A campaign is required' });
+  }
+  try {
+    const saved = { name: req.params.name, savedAt: new Date().toISOString(), campaign };
+    await campaignStore.save(saved.name, saved);
+    console.log(`✓ Campaign "${saved.name}" saved`);
+    res.json({ success: true, campaign: campaignSummary(saved) });
+  } catch (error) {
+    console.error('Error saving campaign:', error);
+    res.status(500).json({ error: 'Failed to save campaign' });
+  }
+});
+
+/**
+ * DELETE /api/campaigns/:name - Remove a campaign
+ */
+app.delete('/api/campaigns/:name', async (req, res) => {
+  try {
+    if (!await campaignStore.remove(req.params.name)) {
+      return res.status(404).json({ error: `Campaign "${req.params.name}" not found` });
+    }
+    console.log(`✓ Campaign "${req.params.name}" deleted`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting campaign:', error);
+    res.status(500).json({ error: 'Failed to delete campaign' });
+  }
+});
+
 // Start server
 app.listen(PORT, () => {
   console.log(`
@@ -237,6 +646,13 @@ app.listen(PORT, () => {
 ║  API Endpoints:                                        ║
 ║  • GET  /api/cards   - Load cards                     ║
 ║  • POST /api/cards   - Save cards                     ║
+║  • GET|POST /api/decks/:deck/cards                     ║
+║  • GET|PUT|PATCH|DELETE /api/decks/:deck/cards/:id     ║
+║  • GET  /api/revisions[/:id|/diff] - History          ║
+║  • POST /api/revisions/:id/restore                     ║
+║  • GET  /api/deck-config - Deck registry              ║
+║  • GET|PUT|DELETE /api/validation-baselines[/:name]    ║
+║  • GET|PUT|DELETE /api/campaigns[/:name]               ║
 ║  • GET  /api/health  - Health check                   ║
 ╚════════════════════════════════════════════════════════╝
   `);
@@ -0,0 +1,75 @@
+/**
+ * cardRarity.js
+ * Card rarity and draw weight, shared by the Quest Generator, the apps' editors and validation.
+ *
+ * A card may set `Rarity` (common, uncommon, rare, legendary) and/or a numeric `Weight`;
+ * an explicit Weight wins. Cards with neither are common (weight 1). A card's chance of
+ * being drawn from a deck is its weight divided by the deck's total weight.
+ */
+
+const CARD_RARITY = {
+  DEFAULT_RARITY: 'common',
+
+  // Draw weight of each rarity (relative to a common card)
+  WEIGHTS: {
+    common: 1,
+    uncommon: 0.5,
+    rare: 0.2,
+    legendary: 0.05
+  },
+
+  /**
+   * Rarity names, most to least common
+   */
+  rarities() {
+    return Object.keys(this.WEIGHTS);
+  },
+
+  /**
+   * Normalized rarity name, or null if it isn't one
+   */
+  normalize(rarity) {
+    if (typeof rarity !== 'string') return null;
+    const name = rarity.trim().toLowerCase();
+    return Object.prototype.hasOwnProperty.call(this.WEIGHTS, name) ? name : null;
+  },
+
+  /**
+   * Draw weight of a card: its Weight, else its Rarity's weight, else 1
+   */
+  weightOf(card) {
+    if (!card) return 0;
+    if (typeof card.Weight === 'number' && Number.isFinite(card.Weight) && card.Weight >= 0) {
+      return card.Weight;
+    }
+    const rarity = this.normalize(card.Rarity);
+    return rarity ? this.WEIGHTS[rarity] : this.WEIGHTS[this.DEFAULT_RARITY];
+  },
+
+  /**
+   * Whether every card in a list has the same weight (a plain shuffle is then already fair)
+   */
+  isUniform(cards) {
+    if (!Array.isArray(cards) || cards.length === 0) return true;
+    const first = this.weightOf(cards[0]);
+    return cards.every(card => this.weightOf(card) === first);
+  },
+
+  /**
+   * Short label for a card's rarity/weight, e.g. "Rare" or "Weight 3"
+   */
+  describe(card) {
+    if (card && typeof card.Weight === 'number') return `Weight ${card.Weight}`;
+    const rarity = this.normalize(card && card.Rarity) || this.DEFAULT_RARITY;
+    return rarity.charAt(0).toUpperCase() + rarity.slice(1);
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.CARD_RARITY = CARD_RARITY;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CARD_RARITY;
+}
@@ -0,0 +1,613 @@
+/**
+ * cardValidator.js
+ * Card payload validation shared by server.js and the browser apps.
+ *
+ * Problems are reported per card and per field:
+ *   { deck, index, cardId, cardName, field, path, message }
+ * e.g. path "questtemplates[2].DrawInstructions[0].deck".
+ *
+ * Errors make a card unusable (missing name, malformed arrays, draws from unknown decks)
+ * and reject a save. Warnings flag content that disagrees with the configurable lists
+ * (tag polarity from the tag config, harm/cost/habitat codes from MONSTER_CONFIG) and are reported only.
+ *
+ * Deck names and the per-deck field schemas come from the deck registry (shared/deckRegistry.js);
+ * tag expressions are checked with shared/tagExpression.js and rarities with shared/cardRarity.js.
+ */
+
+const CARD_VALIDATOR_DECKS = typeof DECK_REGISTRY !== 'undefined'
+  ? DECK_REGISTRY
+  : require('./deckRegistry');
+const CARD_VALIDATOR_TAG_EXPRESSION = typeof TAG_EXPRESSION !== 'undefined'
+  ? TAG_EXPRESSION
+  : require('./tagExpression');
+const CARD_VALIDATOR_RARITY = typeof CARD_RARITY !== 'undefined'
+  ? CARD_RARITY
+  : require('./cardRarity');
+
+const CARD_VALIDATOR = {
+  POLARITIES: ['Light', 'Shadow'],
+
+  // Fallbacks when no tag configuration is available
+  DEFAULT_LIGHT_TAGS: ['Knowledge', 'Justice', 'Righteousness', 'Nature', 'Power', 'Wealth'],
+  DEFAULT_SHADOW_TAGS: ['Deceit', 'Tyranny', 'Zealotry', 'Blight', 'Savagery', 'Greed'],
+
+  DRAW_ACTIONS: ['draw', 'addToken', 'if', 'chance', 'choose', 'subQuest'],
+  BRANCH_ACTIONS: ['if', 'chance', 'choose'], // Actions holding nested DrawInstructions
+  PENDING_STACKING: ['replace', 'accumulate'], // How a pending instruction combines with earlier ones
+  CARD_ACTIONS: ['addTags', 'removeTags', 'forbidTags', 'forcePolarity', 'extraDraw', 'discard', 'swap', 'reveal'], // Instructions[].Action
+
+  /**
+   * Build validation options from the browser's globals (tag config, MONSTER_CONFIG) when present
+   */
+  getDefaultOptions() {
+    const options = {};
+    const root = typeof window !== 'undefined' ? window : {};
+    if (root.TAG_CONFIG_MANAGER && root.TAG_CONFIG_MANAGER.initialized) {
+      options.lightTags = root.TAG_CONFIG_MANAGER.getTagsByPolarity('Light');
+      options.shadowTags = root.TAG_CONFIG_MANAGER.getTagsByPolarity('Shadow');
+    }
+    if (typeof MONSTER_CONFIG !== 'undefined') {
+      options.harmCodes = Object.keys(MONSTER_CONFIG.HARM_TYPES);
+      options.costCodes = Object.keys(MONSTER_CONFIG.COST_TYPES);
+      options.habitatCodes = MONSTER_CONFIG.HABITATS;
+    }
+    return options;
+  },
+
+  /**
+   * Polarity tag lists from a tag-config.json `tagConfigurations` object
+   */
+  optionsFromTagConfig(tagConfigurations) {
+    const typeTags = Object.values(tagConfigurations || {}).filter(config => config.category === 'TypeTag');
+    return {
+      lightTags: typeTags.filter(config => config.polarityAssociation === 'Light').map(config => config.name),
+      shadowTags: typeTags.filter(config => config.polarityAssociation === 'Shadow').map(config => config.name)
+    };
+  },
+
+  /**
+   * Validate a single card
+   * @param {Object} card - Card to check
+   * @param {Object} options - { lightTags, shadowTags, harmCodes, costCodes, habitatCodes, deck, index }
+   * @returns {{valid: boolean, errors: Array, warnings: Array}}
+   */
+  validateCard(card, options = {}) {
+    const opts = { ...this.getDefaultOptions(), ...options };
+    const lightTags = opts.lightTags || this.DEFAULT_LIGHT_TAGS;
+    const shadowTags = opts.shadowTags || this.DEFAULT_SHADOW_TAGS;
+    const errors = [];
+    const warnings = [];
+
+    const location = {
+      deck: opts.deck || null,
+      index: opts.index !== undefined ? opts.index : null,
+      cardId: card && typeof card === 'object' ? card.id || null : null,
+      cardName: card && typeof card === 'object' ? card.CardName || null : null
+    };
+    const prefix = opts.deck && opts.index !== undefined ? `${opts.deck}[${opts.index}]` : '';
+    const report = (list, field, message) => {
+      list.push({ ...location, field, path: prefix ? `${prefix}.${field}` : field, message });
+    };
+    const error = (field, message) => report(errors, field, message);
+    const warn = (field, message) => report(warnings, field, message);
+
+    if (!card || typeof card !== 'object' || Array.isArray(card)) {
+      report(errors, '', 'Card must be an object');
+      return { valid: false, errors, warnings };
+    }
+
+    // Identity
+    if (typeof card.CardName !== 'string' || card.CardName.trim() === '') {
+      error('CardName', 'CardName is required');
+    }
+    if (card.id !== undefined && (typeof card.id !== 'string' || card.id === '')) {
+      error('id', 'id must be a non-empty string');
+    }
+
+    // Polarity and tags
+    if (card.Polarity === undefined || card.Polarity === null || card.Polarity === '') {
+      warn('Polarity', 'Polarity is not set');
+    } else if (!this.POLARITIES.includes(card.Polarity)) {
+      error('Polarity', `Polarity must be one of ${this.POLARITIES.join(', ')} (got "${card.Polarity}")`);
+    }
+
+    ['TypeTags', 'AspectTags', 'mutableTags'].forEach(field => {
+      if (card[field] === undefined) return;
+      if (!Array.isArray(card[field])) {
+        error(field, `${field} must be an array`);
+        return;
+      }
+      card[field].forEach((tag, i) => {
+        if (typeof tag !== 'string' || tag === '') {
+          error(`${field}[${i}]`, 'Tags must be non-empty strings');
+        }
+      });
+    });
+
+    if (this.POLARITIES.includes(card.Polarity) && Array.isArray(card.TypeTags)) {
+      const allowed = card.Polarity === 'Light' ? lightTags : shadowTags;
+      card.TypeTags.forEach((tag, i) => {
+        if (typeof tag === 'string' && !allowed.includes(tag)) {
+          warn(`TypeTags[${i}]`, `TypeTag "${tag}" does not match Polarity ${card.Polarity}`);
+        }
+      });
+    }
+
+    // Rarity and draw weight
+    if (card.Rarity !== undefined && card.Rarity !== null && card.Rarity !== '' && !CARD_VALIDATOR_RARITY.normalize(card.Rarity)) {
+      error('Rarity', `Rarity must be one of ${CARD_VALIDATOR_RARITY.rarities().join(', ')} (got "${card.Rarity}")`);
+    }
+    if (card.Weight !== undefined && card.Weight !== null) {
+      if (typeof card.Weight !== 'number' || !Number.isFinite(card.Weight) || card.Weight < 0) {
+        error('Weight', 'Weight must be a number of 0 or more');
+      } else if (card.Weight === 0) {
+        warn('Weight', 'Weight is 0 - the card is only drawn when no other card is left');
+      }
+    }
+
+    // Instructions
+    if (card.Instructions !== undefined) {
+      if (!Array.isArray(card.Instructions)) {
+        error('Instructions', 'Instructions must be an array');
+      } else {
+        card.Instructions.forEach((instruction, i) => {
+          const field = `Instructions[${i}]`;
+          if (!instruction || typeof instruction !== 'object') {
+            error(field, 'Instruction must be an object');
+            return;
+          }
+          this.checkCardInstruction(instruction, field, error, warn);
+        });
+      }
+    }
+
+    // Draw instructions (QuestTemplates)
+    if (card.DrawInstructions !== undefined) {
+      if (!Array.isArray(card.DrawInstructions)) {
+        error('DrawInstructions', 'DrawInstructions must be an array');
+      } else {
+        this.checkDrawInstructions(card.DrawInstructions, 'DrawInstructions', [], error);
+      }
+    }
+
+    // Deck membership and deck-specific fields
+    if (opts.deck) {
+      const deckDef = CARD_VALIDATOR_DECKS.get(opts.deck);
+      if (deckDef && card.Deck !== undefined && CARD_VALIDATOR_DECKS.resolveKey(card.Deck) !== deckDef.key) {
+        warn('Deck', `Deck "${card.Deck}" does not match deck ${deckDef.displayName}`);
+      }
+      const fields = deckDef ? deckDef.schema.fields : {};
+      Object.entries(fields).forEach(([field, rule]) => {
+        this.checkField(card, field, rule, opts, error, warn);
+      });
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  },
+
+  /**
+   * Check one card instruction against the fields its Action needs (see CARD_ACTIONS)
+   */
+  checkCardInstruction(instruction, field, error, warn) {
+    const action = instruction.Action === undefined ? 'addTags' : instruction.Action;
+    if (!this.CARD_ACTIONS.includes(action)) {
+      error(`${field}.Action`, `Action must be one of ${this.CARD_ACTIONS.join(', ')} (got "${action}")`);
+      return;
+    }
+    const onThisCard = typeof instruction.TargetDeck === 'string' && instruction.TargetDeck.toLowerCase() === 'thiscard';
+
+    if (['extraDraw', 'swap', 'reveal'].includes(action)) {
+      if (typeof instruction.TargetLabel !== 'string' || instruction.TargetLabel === '') {
+        error(`${field}.TargetLabel`, `TargetLabel (the draw label to ${action === 'extraDraw' ? 'add cards to' : action}) is required`);
+      }
+    } else if (typeof instruction.TargetDeck !== 'string' || instruction.TargetDeck === '') {
+      error(`${field}.TargetDeck`, 'TargetDeck is required');
+    } else if (onThisCard && !['addTags', 'removeTags'].includes(action)) {
+      error(`${field}.TargetDeck`, `${action} can't target This Card`);
+    }
+
+    if (instruction.Tags !== undefined && !Array.isArray(instruction.Tags)) {
+      error(`${field}.Tags`, 'Tags must be an array');
+    } else if (['removeTags', 'forbidTags'].includes(action) && (instruction.Tags || []).length === 0) {
+      error(`${field}.Tags`, `${action} needs at least one tag`);
+    }
+    if (action === 'addTags') {
+      this.checkTagExpression(instruction.TagExpression, `${field}.TagExpression`, error);
+    } else if (instruction.TagExpression) {
+      warn(`${field}.TagExpression`, `TagExpression is only used by addTags instructions, not ${action}`);
+    }
+    if (action === 'forcePolarity' && !this.POLARITIES.includes(instruction.Polarity)) {
+      error(`${field}.Polarity`, `Polarity must be one of ${this.POLARITIES.join(', ')}`);
+    }
+    if (['extraDraw', 'discard'].includes(action) && instruction.Count !== undefined &&
+      (!Number.isInteger(instruction.Count) || instruction.Count < 1)) {
+      error(`${field}.Count`, 'Count must be a positive whole number');
+    }
+
+    this.checkPendingSemantics(instruction, ['Stacking', 'Consume', 'ExpiresAfter'], field, error);
+    const hasSemantics = instruction.Stacking !== undefined || instruction.Consume !== undefined || instruction.ExpiresAfter !== undefined;
+    if (hasSemantics && onThisCard) {
+      warn(field, 'Stacking, Consume and ExpiresAfter have no effect on This Card (its tags are added at once)');
+    } else if (hasSemantics && ['removeTags', 'discard', 'swap', 'reveal'].includes(action)) {
+      warn(field, `Stacking, Consume and ExpiresAfter have no effect on ${action} (it is carried out at once)`);
+    }
+  },
+
+  /**
+   * Check a list of DrawInstructions (a template's, or a branch of an if/chance/choose instruction)
+   * @param {Array} instructions - DrawInstructions to check
+   * @param {string} path - Field path of the list, e.g. "DrawInstructions[2].then"
+   * @param {string[]} drawnLabels - Labels drawn before the list (references may only name these)
+   * @returns {string[]} Labels that are drawn by the time the list is done
+   */
+  checkDrawInstructions(instructions, path, drawnLabels, error) {
+    const labels = [...drawnLabels];
+    instructions.forEach((instruction, i) => {
+      const field = `${path}[${i}]`;
+      if (!instruction || typeof instruction !== 'object') {
+        error(field, 'Draw instruction must be an object');
+        return;
+      }
+      if (!this.DRAW_ACTIONS.includes(instruction.action)) {
+        error(`${field}.action`, `action must be one of ${this.DRAW_ACTIONS.join(', ')} (got "${instruction.action}")`);
+      }
+      if (this.BRANCH_ACTIONS.includes(instruction.action)) {
+        // Only labels drawn on every branch are certain to exist afterwards
+        const branches = this.checkBranches(instruction, field, labels, error);
+        branches
+          .reduce((common, branchLabels) => common.filter(label => branchLabels.includes(label)))
+          .forEach(label => { if (!labels.includes(label)) labels.push(label); });
+        return;
+      }
+      if (instruction.action === 'subQuest') {
+        this.checkSubQuest(instruction, field, labels, error);
+        return;
+      }
+      if (!CARD_VALIDATOR_DECKS.resolve(instruction.deck)) {
+        error(`${field}.deck`, `Unknown deck "${instruction.deck}"`);
+      }
+      if (instruction.count !== undefined && (!Number.isInteger(instruction.count) || instruction.count < 1)) {
+        error(`${field}.count`, 'count must be a positive whole number');
+      }
+      if (instruction.tags !== undefined && !Array.isArray(instruction.tags)) {
+        error(`${field}.tags`, 'tags must be an array');
+      } else {
+        (instruction.tags || []).forEach((tag, t) => {
+          if (CARD_VALIDATOR_TAG_EXPRESSION.isReference(tag)) {
+            this.checkReference(tag, `${field}.tags[${t}]`, labels, false, error);
+          }
+        });
+      }
+      const expression = this.checkTagExpression(instruction.tagExpression, `${field}.tagExpression`, error);
+      CARD_VALIDATOR_TAG_EXPRESSION.references(expression).forEach(reference => {
+        this.checkReference(reference, `${field}.tagExpression`, labels, false, error);
+      });
+      this.checkPolarity(instruction.polarity, `${field}.polarity`, labels, error);
+      this.checkHabitat(instruction.habitat, `${field}.habitat`, labels, error);
+      if (instruction.action === 'addToken') {
+        this.checkPendingSemantics(instruction, ['stacking', 'consume', 'expiresAfter'], field, error);
+      }
+      if (instruction.action === 'draw' && instruction.label) {
+        labels.push(instruction.label);
+      }
+    });
+    return labels;
+  },
+
+  /**
+   * Check the condition/chance/options of an if, chance or choose instruction and its branches
+   * @returns {Array<string[]>} Labels drawn by the end of each possible branch
+   */
+  checkBranches(instruction, field, drawnLabels, error) {
+    const branch = (list, listField) => {
+      if (list === undefined) return drawnLabels;
+      if (!Array.isArray(list)) {
+        error(listField, `${listField.split('.').pop()} must be an array of draw instructions`);
+        return drawnLabels;
+      }
+      return this.checkDrawInstructions(list, listField, drawnLabels, error);
+    };
+
+    if (instruction.action === 'choose') {
+      if (!Array.isArray(instruction.options) || instruction.options.length === 0) {
+        error(`${field}.options`, 'choose needs at least one option');
+        return [drawnLabels];
+      }
+      return instruction.options.map((option, o) => {
+        const optionField = `${field}.options[${o}]`;
+        if (!option || typeof option !== 'object') {
+          error(optionField, 'Option must be an object with instructions');
+          return drawnLabels;
+        }
+        if (option.weight !== undefined && (typeof option.weight !== 'number' || option.weight < 0)) {
+          error(`${optionField}.weight`, 'weight must be a number of 0 or more');
+        }
+        return branch(option.instructions || [], `${optionField}.instructions`);
+      });
+    }
+
+    if (instruction.action === 'if') {
+      const condition = instruction.condition;
+      if (!condition || typeof condition !== 'object' || !condition.label) {
+        error(`${field}.condition`, 'if needs a condition with the label of an earlier draw');
+      } else {
+        if (!drawnLabels.includes(condition.label)) {
+          error(`${field}.condition.label`, `${condition.label} is not drawn by an earlier instruction (labels so far: ${drawnLabels.join(', ') || 'none'})`);
+        }
+        const expression = this.checkTagExpression(condition.tagExpression, `${field}.condition.tagExpression`, error);
+        CARD_VALIDATOR_TAG_EXPRESSION.references(expression).forEach(reference => {
+          this.checkReference(reference, `${field}.condition.tagExpression`, drawnLabels, false, error);
+        });
+        this.checkPolarity(condition.polarity, `${field}.condition.polarity`, drawnLabels, error);
+      }
+    } else if (typeof instruction.chance !== 'number' || instruction.chance < 0 || instruction.chance > 100) {
+      error(`${field}.chance`, 'chance must be a percentage between 0 and 100');
+    }
+    return [branch(instruction.then, `${field}.then`), branch(instruction.else, `${field}.else`)];
+  },
+
+  /**
+   * Check a subQuest instruction: it names a template, or draws one that meets its tags /
+   * tagExpression / polarity (references name labels of the quest that starts the sub-quest).
+   * Whether the named template exists is checked by validateCollection
+   */
+  checkSubQuest(instruction, field, drawnLabels, error) {
+    if (instruction.template !== undefined && (typeof instruction.template !== 'string' || instruction.template.trim() === '')) {
+      error(`${field}.template`, 'template must be the name of a QuestTemplate');
+    }
+    if (instruction.tags !== undefined && !Array.isArray(instruction.tags)) {
+      error(`${field}.tags`, 'tags must be an array');
+    } else {
+      (instruction.tags || []).forEach((tag, t) => {
+        if (CARD_VALIDATOR_TAG_EXPRESSION.isReference(tag)) {
+          this.checkReference(tag, `${field}.tags[${t}]`, drawnLabels, false, error);
+        }
+      });
+    }
+    const expression = this.checkTagExpression(instruction.tagExpression, `${field}.tagExpression`, error);
+    CARD_VALIDATOR_TAG_EXPRESSION.references(expression).forEach(reference => {
+      this.checkReference(reference, `${field}.tagExpression`, drawnLabels, false, error);
+    });
+    this.checkPolarity(instruction.polarity, `${field}.polarity`, drawnLabels, error);
+  },
+
+  /**
+   * Helper: The subQuest instructions of a list of DrawInstructions, including those in branches
+   */
+  subQuestInstructions(instructions) {
+    return (Array.isArray(instructions) ? instructions : []).flatMap(instruction => {
+      if (!instruction || typeof instruction !== 'object') return [];
+      if (instruction.action === 'subQuest') return [instruction];
+      return [
+        ...this.subQuestInstructions(instruction.then),
+        ...this.subQuestInstructions(instruction.else),
+        ...(Array.isArray(instruction.options) ? instruction.options : []).flatMap(option => this.subQuestInstructions(option && option.instructions))
+      ];
+    });
+  },
+
+  /**
+   * Check the templates subQuest instructions name: each must exist, and a template that can
+   * name itself again (directly or through others) is reported, as it only stops at the depth limit
+   */
+  checkSubQuestTemplates(templates, deck, errors, warnings) {
+    const byName = new Map(templates.filter(card => card && card.CardName).map(card => [card.CardName, card]));
+    const named = card => this.subQuestInstructions(card.DrawInstructions).map(instruction => instruction.template).filter(Boolean);
+    const issue = (list, card, index, message) => list.push({
+      deck, index, cardId: card.id || null, cardName: card.CardName || null,
+      field: 'DrawInstructions', path: `${deck}[${index}].DrawInstructions`, message
+    });
+
+    templates.forEach((card, index) => {
+      if (!card || typeof card !== 'object') return;
+      named(card).forEach(name => {
+        if (!byName.has(name)) issue(errors, card, index, `subQuest names template "${name}", which doesn't exist`);
+      });
+
+      // Follow the named templates to see whether this one comes back
+      const seen = new Set();
+      const queue = named(card);
+      while (queue.length > 0) {
+        const name = queue.shift();
+        if (name === card.CardName) {
+          issue(warnings, card, index, 'Sub-quests lead back to this template, so it nests until the sub-quest depth limit stops it');
+          break;
+        }
+        if (seen.has(name) || !byName.has(name)) continue;
+        seen.add(name);
+        queue.push(...named(byName.get(name)));
+      }
+    });
+  },
+
+  /**
+   * Check an optional habitat list: habitat names (e.g. "Forest") or references such as $Location.Habitat
+   */
+  checkHabitat(habitat, field, drawnLabels, error) {
+    if (habitat === undefined) return;
+    if (!Array.isArray(habitat)) {
+      error(field, 'habitat must be an array');
+      return;
+    }
+    habitat.forEach((entry, h) => {
+      if (typeof entry !== 'string' || entry === '') {
+        error(`${field}[${h}]`, 'habitat entries must be text');
+      } else if (CARD_VALIDATOR_TAG_EXPRESSION.isReference(entry)) {
+        this.checkReference(entry, `${field}[${h}]`, drawnLabels, false, error);
+      }
+    });
+  },
+
+  /**
+   * Check an optional polarity: Light, Shadow or a Polarity reference such as opposite($QuestGiver.Polarity)
+   */
+  checkPolarity(polarity, field, drawnLabels, error) {
+    if (CARD_VALIDATOR_TAG_EXPRESSION.isReference(polarity)) {
+      this.checkReference(polarity, field, drawnLabels, true, error);
+    } else if (polarity && !this.POLARITIES.includes(polarity)) {
+      error(field, `polarity must be one of ${this.POLARITIES.join(', ')} or a reference such as opposite($QuestGiver.Polarity)`);
+    }
+  },
+
+  /**
+   * Check the optional pending instruction semantics of a card instruction or addToken
+   * @param {string[]} names - Field names of [stacking, consume, expiresAfter] (card instructions
+   *   use Stacking/Consume/ExpiresAfter, addToken stacking/consume/expiresAfter)
+   */
+  checkPendingSemantics(instruction, names, field, error) {
+    const [stacking, consume, expiresAfter] = names;
+    if (instruction[stacking] !== undefined && !this.PENDING_STACKING.includes(instruction[stacking])) {
+      error(`${field}.${stacking}`, `${stacking} must be one of ${this.PENDING_STACKING.join(', ')} (got "${instruction[stacking]}")`);
+    }
+    if (instruction[consume] !== undefined && typeof instruction[consume] !== 'boolean') {
+      error(`${field}.${consume}`, `${consume} must be true or false`);
+    }
+    if (instruction[expiresAfter] !== undefined && instruction[expiresAfter] !== null &&
+      (!Number.isInteger(instruction[expiresAfter]) || instruction[expiresAfter] < 1)) {
+      error(`${field}.${expiresAfter}`, `${expiresAfter} must be a positive whole number of draws`);
+    }
+  },
+
+  /**
+   * Check an optional tag expression (e.g. "Justice AND NOT Undead") parses
+   * @returns {Object|null} The parsed expression, if valid
+   */
+  checkTagExpression(expression, field, error) {
+    if (expression === undefined || expression === null || expression === '') return null;
+    if (typeof expression !== 'string') {
+      error(field, 'Tag expression must be text');
+      return null;
+    }
+    const result = CARD_VALIDATOR_TAG_EXPRESSION.validate(expression);
+    if (!result.valid) {
+      error(field, `Invalid tag expression: ${result.error}`);
+    }
+    return result.expression;
+  },
+
+  /**
+   * Check a reference to an earlier draw (e.g. "paired($QuestGiver.TypeTags)")
+   * @param {string|Object} reference - Reference text or parsed { fn, label, field }
+   * @param {string[]} drawnLabels - Labels drawn by earlier DrawInstructions
+   * @param {boolean} polarity - true where a Polarity reference is expected, false for tags
+   */
+  checkReference(reference, field, drawnLabels, polarity, error) {
+    let parsed = reference;
+    if (typeof reference === 'string') {
+      try {
+        parsed = CARD_VALIDATOR_TAG_EXPRESSION.parseReference(reference);
+      } catch (parseError) {
+        error(field, `Invalid reference: ${parseError.message}`);
+        return;
+      }
+    }
+    if (!drawnLabels.includes(parsed.label)) {
+      error(field, `$${parsed.label} is not drawn by an earlier instruction (labels so far: ${drawnLabels.join(', ') || 'none'})`);
+    }
+    if (polarity && parsed.field !== 'Polarity') {
+      error(field, `polarity must reference a Polarity (e.g. opposite($${parsed.label}.Polarity))`);
+    } else if (!polarity && parsed.field === 'Polarity') {
+      error(field, `Tags can't reference a Polarity - use $${parsed.label}.TypeTags, or set polarity instead`);
+    }
+  },
+
+  /**
+   * Check one field against its deck schema rule ({ type: 'string'|'number'|'array'|'codes', ... })
+   * Empty (null/undefined) fields are allowed
+   */
+  checkField(card, field, rule, opts, error, warn) {
+    const value = card[field];
+    if (value === undefined || value === null) return;
+
+    if (rule.type === 'string' && typeof value !== 'string') {
+      error(field, `${field} must be text`);
+    } else if (rule.type === 'number') {
+      const min = rule.min !== undefined ? rule.min : -Infinity;
+      const max = rule.max !== undefined ? rule.max : Infinity;
+      if (typeof value !== 'number' || value < min || value > max) {
+        error(field, rule.min !== undefined && rule.max !== undefined
+          ? `${field} must be between ${min} and ${max}`
+          : `${field} must be a number`);
+      }
+    } else if (rule.type === 'array' || rule.type === 'codes') {
+      if (!Array.isArray(value)) {
+        error(field, `${field} must be an array`);
+        return;
+      }
+      const codes = rule.type === 'codes' ? opts[`${rule.codes}Codes`] : null;
+      if (!codes) return;
+      value.forEach((code, i) => {
+        if (!codes.includes(code)) {
+          warn(`${field}[${i}]`, `Unknown ${rule.codes} code "${code}"`);
+        }
+      });
+    }
+  },
+
+  /**
+   * Validate a whole deck-keyed collection
+   * @param {Object} cards - { deckKey: [cards] }
+   * @param {Object} options - Same as validateCard, plus requiredDecks
+   * @returns {{valid: boolean, errors: Array, warnings: Array}}
+   */
+  validateCollection(cards, options = {}) {
+    const errors = [];
+    const warnings = [];
+
+    if (!cards || typeof cards !== 'object' || Array.isArray(cards)) {
+      errors.push({ deck: null, index: null, cardId: null, cardName: null, field: '', path: '', message: 'Card data must be an object of decks' });
+      return { valid: false, errors, warnings };
+    }
+
+    (options.requiredDecks || []).forEach(deck => {
+      if (!Array.isArray(cards[deck])) {
+        errors.push({ deck, index: null, cardId: null, cardName: null, field: '', path: deck, message: `Missing or invalid deck: ${deck}` });
+      }
+    });
+
+    const seenIds = new Map();
+    Object.entries(cards).forEach(([deck, deckCards]) => {
+      if (!Array.isArray(deckCards)) {
+        if (!(options.requiredDecks || []).includes(deck)) {
+          errors.push({ deck, index: null, cardId: null, cardName: null, field: '', path: deck, message: `Deck ${deck} must be an array` });
+        }
+        return;
+      }
+      deckCards.forEach((card, index) => {
+        const result = this.validateCard(card, { ...options, deck, index });
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+
+        if (card && typeof card.id === 'string' && card.id) {
+          if (seenIds.has(card.id)) {
+            errors.push({
+              deck, index, cardId: card.id, cardName: card.CardName || null,
+              field: 'id', path: `${deck}[${index}].id`,
+              message: `Duplicate id (also used by ${seenIds.get(card.id)})`
+            });
+          } else {
+            seenIds.set(card.id, `${deck}[${index}]`);
+          }
+        }
+      });
+      if (CARD_VALIDATOR_DECKS.resolveKey(deck) === CARD_VALIDATOR_DECKS.resolveKey('QuestTemplate')) {
+        this.checkSubQuestTemplates(deckCards, deck, errors, warnings);
+      }
+    });
+
+    return { valid: errors.length === 0, errors, warnings };
+  },
+
+  /**
+   * One-line summary of a problem, for alerts and logs
+   */
+  formatIssue(issue) {
+    const where = issue.cardName ? `"${issue.cardName}"` : issue.path || 'card';
+    return `${where}${issue.field ? ` → ${issue.field}` : ''}: ${issue.message}`;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CARD_VALIDATOR;
+}
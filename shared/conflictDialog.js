@@ -0,0 +1,188 @@
+/**
+ * conflictDialog.js
+ * Merge/resolve dialog shown when a save is rejected with 409 Conflict
+ * (someone else changed the card or collection since it was loaded).
+ * Shared by the Card Manager and the Monster Builder.
+ *
+ * Usage:
+ *   const result = await ConflictDialog.open({ title, mine, theirs });
+ *   // result.action: 'mine' | 'theirs' | 'merge' | 'cancel'
+ *   // result.card:   the object to save/keep (null for 'cancel', or 'theirs' when deleted on the server)
+ */
+
+const ConflictDialog = {
+  // Fields the server manages; never offered as a choice
+  IGNORED_FIELDS: ['revision'],
+
+  /**
+   * Show the dialog and resolve with the user's choice
+   * @param {Object} options
+   * @param {string} options.title - Heading (e.g. card name)
+   * @param {Object} options.mine - Local version that failed to save
+   * @param {Object|null} options.theirs - Current server version (null if deleted on the server)
+   * @returns {Promise<{action: string, card: Object|null}>}
+   */
+  open({ title = 'Save conflict', mine, theirs }) {
+    this._injectStyles();
+
+    return new Promise(resolve => {
+      const fields = theirs ? this._changedFields(mine, theirs) : [];
+      const overlay = document.createElement('div');
+      overlay.className = 'conflict-dialog-overlay';
+      overlay.innerHTML = `
+        <div class="conflict-dialog" role="dialog" aria-modal="true">
+          <h3>⚠ ${this._escape(title)}</h3>
+          <p>${theirs
+            ? 'Someone else saved a newer version while you were editing. Choose which value to keep for each field that differs.'
+            : 'This was deleted on the server while you were editing.'}</p>
+          ${fields.length ? this._renderTable(fields, mine, theirs) : ''}
+          <div class="conflict-dialog-actions">
+            <button type="button" data-action="cancel">Cancel</button>
+            <button type="button" data-action="theirs">${theirs ? 'Keep theirs' : 'Discard mine'}</button>
+            <button type="button" data-action="mine">${theirs ? 'Keep mine' : 'Save mine again'}</button>
+            ${fields.length ? '<button type="button" data-action="merge" class="primary">Save merged</button>' : ''}
+          </div>
+        </div>
+      `;
+
+      const close = (action) => {
+        overlay.remove();
+        resolve({ action, card: this._result(action, fields, mine, theirs, overlay) });
+      };
+
+      overlay.querySelectorAll('[data-action]').forEach(button => {
+        button.addEventListener('click', () => close(button.dataset.action));
+      });
+      overlay.addEventListener('keydown', e => {
+        if (e.key === 'Escape') close('cancel');
+      });
+
+      document.body.appendChild(overlay);
+      const primary = overlay.querySelector('.primary') || overlay.querySelector('[data-action="mine"]');
+      primary.focus();
+    });
+  },
+
+  /**
+   * Build the object the caller should keep for the chosen action
+   */
+  _result(action, fields, mine, theirs, overlay) {
+    if (action === 'cancel') return null;
+    if (action === 'theirs') return theirs;
+    if (action === 'mine') return { ...mine };
+
+    // Merge: start from the server version and take the fields the user picked from theirs/mine
+    const merged = { ...theirs };
+    fields.forEach(field => {
+      const choice = overlay.querySelector(`input[name="conflict-${field}"]:checked`);
+      if (choice && choice.value === 'mine') {
+        if (field in mine) {
+          merged[field] = mine[field];
+        } else {
+          delete merged[field];
+        }
+      }
+    });
+    return merged;
+  },
+
+  /**
+   * List the fields whose values differ between the two versions
+   */
+  _changedFields(mine, theirs) {
+    const keys = new Set([...Object.keys(mine || {}), ...Object.keys(theirs || {})]);
+    return [...keys].filter(key =>
+      !this.IGNORED_FIELDS.includes(key) &&
+      JSON.stringify(mine[key]) !== JSON.stringify(theirs[key])
+    );
+  },
+
+  _renderTable(fields, mine, theirs) {
+    const rows = fields.map(field => `
+      <tr>
+        <th>${this._escape(field)}</th>
+        <td>
+          <label><input type="radio" name="conflict-${this._escape(field)}" value="mine" checked>
+          <span>${this._formatValue(mine[field])}</span></label>
+        </td>
+        <td>
+          <label><input type="radio" name="conflict-${this._escape(field)}" value="theirs">
+          <span>${this._formatValue(theirs[field])}</span></label>
+        </td>
+      </tr>
+    `).join('');
+
+    return `
+      <table class="conflict-dialog-table">
+        <thead><tr><th>Field</th><th>Mine</th><th>Theirs (server)</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  },
+
+  /**
+   * Short readable form of a field value (arrays of cards are summarised)
+   */
+  _formatValue(value) {
+    if (value === undefined) return '<em>(none)</em>';
+    if (Array.isArray(value)) {
+      if (value.length && value.every(item => item && typeof item === 'object' && 'id' in item)) {
+        return `${value.length} cards`;
+      }
+      if (value.every(item => typeof item !== 'object')) {
+        return this._escape(value.join(', ')) || '<em>(empty)</em>';
+      }
+    }
+    if (value && typeof value === 'object') {
+      return `<code>${this._escape(JSON.stringify(value))}</code>`;
+    }
+    return this._escape(String(value));
+  },
+
+  _escape(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+
+  _injectStyles() {
+    if (document.getElementById('conflict-dialog-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'conflict-dialog-styles';
+    style.textContent = `
+      .conflict-dialog-overlay {
+        position: fixed; inset: 0; z-index: 10000;
+        background: rgba(0, 0, 0, 0.6);
+        display: flex; align-items: center; justify-content: center;
+      }
+      .conflict-dialog {
+        background: #1f2937; color: #f3f4f6;
+        border: 2px solid #f59e0b; border-radius: 8px;
+        padding: 20px; max-width: 800px; width: 90%;
+        max-height: 85vh; overflow: auto;
+        font-family: inherit;
+      }
+      .conflict-dialog h3 { margin-top: 0; color: #fbbf24; }
+      .conflict-dialog-table { width: 100%; border-collapse: collapse; margin: 12px 0; }
+      .conflict-dialog-table th, .conflict-dialog-table td {
+        border: 1px solid #374151; padding: 6px 8px;
+        text-align: left; vertical-align: top;
+      }
+      .conflict-dialog-table code { white-space: pre-wrap; word-break: break-word; font-size: 0.85em; }
+      .conflict-dialog-actions { display: flex; gap: 8px; justify-content: flex-end; }
+      .conflict-dialog-actions button {
+        padding: 8px 14px; border-radius: 4px; border: 1px solid #4b5563;
+        background: #374151; color: #f3f4f6; cursor: pointer;
+      }
+      .conflict-dialog-actions button.primary { background: #d97706; border-color: #d97706; }
+    `;
+    document.head.appendChild(style);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConflictDialog;
+}
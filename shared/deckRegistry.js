@@ -0,0 +1,307 @@
+/**
+ * deckRegistry.js
+ * Canonical list of deck types shared by the server and all apps.
+ *
+ * Each deck definition:
+ *   key          - collection key (e.g. "npcs"); used in cards.json, the API and draw instructions
+ *   displayName  - label shown in the UI (e.g. "Quest Template")
+ *   singular     - singular alias accepted anywhere a deck is named (e.g. "questtemplate")
+ *   deckValue    - value written to a card's Deck field (e.g. "QuestTemplate")
+ *   aliases      - other accepted names (e.g. "magicitems" for loot)
+ *   legacyNames  - deck names from old CSV files that import into this deck
+ *   required     - bulk saves must include this deck
+ *   schema       - { instructions: 'Instructions'|'DrawInstructions', fields: { Field: { type, ... } } }
+ *
+ * Deck names are matched case-insensitively and ignoring spaces, so "Quest Template",
+ * "QuestTemplate" and "questtemplates" all resolve to the same deck.
+ *
+ * The server loads deck-config.json (GET /api/deck-config); new deck types are added there.
+ */
+
+const DECK_REGISTRY_STORAGE_KEY = 'cardGame_deckRegistry_v1';
+
+const DEFAULT_DECK_DEFINITIONS = [
+  {
+    key: 'npcs',
+    displayName: 'NPC',
+    singular: 'npc',
+    deckValue: 'NPC',
+    legacyNames: ['questgiver', 'questgivers', 'harmedparty', 'harmedparties', 'target', 'targets'],
+    required: true,
+    schema: { instructions: 'Instructions', fields: {} }
+  },
+  {
+    key: 'questtemplates',
+    displayName: 'Quest Template',
+    singular: 'questtemplate',
+    deckValue: 'QuestTemplate',
+    legacyNames: ['verb', 'verbs'],
+    required: true,
+    schema: {
+      instructions: 'DrawInstructions',
+      fields: {
+        RewardText: { type: 'string' },
+        ConsequenceText: { type: 'string' }
+      }
+    }
+  },
+  {
+    key: 'locations',
+    displayName: 'Location',
+    singular: 'location',
+    deckValue: 'Location',
+    required: true,
+    schema: {
+      instructions: 'Instructions',
+      fields: {
+        Habitat: { type: 'codes', codes: 'habitat' }
+      }
+    }
+  },
+  {
+    key: 'twists',
+    displayName: 'Twist',
+    singular: 'twist',
+    deckValue: 'Twist',
+    legacyNames: ['failure', 'failures'],
+    required: true,
+    schema: { instructions: 'Instructions', fields: {} }
+  },
+  {
+    key: 'loot',
+    displayName: 'Loot',
+    singular: 'loot',
+    deckValue: 'Loot',
+    aliases: ['magicitem', 'magicitems'],
+    legacyNames: ['reward', 'rewards'],
+    required: true,
+    schema: { instructions: 'Instructions', fields: {} }
+  },
+  {
+    key: 'monsters',
+    displayName: 'Monster',
+    singular: 'monster',
+    deckValue: 'Monster',
+    required: true,
+    schema: {
+      instructions: 'Instructions',
+      fields: {
+        OnHit: { type: 'codes', codes: 'harm' },
+        BlockCost: { type: 'codes', codes: 'cost' },
+        ToVanquish: { type: 'codes', codes: 'cost' },
+        MoveDistance: { type: 'number', min: 0, max: 20 },
+        AttackRange: { type: 'number', min: 0, max: 20 },
+        Habitat: { type: 'codes', codes: 'habitat' }
+      }
+    }
+  },
+  {
+    key: 'encounters',
+    displayName: 'Encounter',
+    singular: 'encounter',
+    deckValue: 'Encounter',
+    required: true,
+    schema: {
+      instructions: 'Instructions',
+      fields: {
+        Habitat: { type: 'codes', codes: 'habitat' }
+      }
+    }
+  }
+];
+
+class DeckRegistry {
+  constructor(definitions = DEFAULT_DECK_DEFINITIONS) {
+    this.initialized = false;
+    this.setDefinitions(definitions);
+  }
+
+  /**
+   * Load the registry from the server (browser only), falling back to the last copy seen or the defaults
+   */
+  async init() {
+    if (this.initialized) return this;
+
+    let definitions = null;
+    try {
+      if (typeof window !== 'undefined' && window.CONFIG) {
+        const response = await fetch(`${CONFIG.API_BASE_URL}/api/deck-config`);
+        if (response.ok) {
+          definitions = (await response.json()).decks || null;
+          if (definitions) localStorage.setItem(DECK_REGISTRY_STORAGE_KEY, JSON.stringify(definitions));
+        }
+      }
+    } catch (error) {
+      console.warn('Server unavailable for deck config, using local:', error.message);
+    }
+
+    if (!definitions && typeof localStorage !== 'undefined') {
+      try {
+        definitions = JSON.parse(localStorage.getItem(DECK_REGISTRY_STORAGE_KEY) || 'null');
+      } catch (error) {
+        definitions = null;
+      }
+    }
+
+    if (definitions) this.setDefinitions(definitions);
+    this.initialized = true;
+    console.log('Deck registry initialized with', this.decks.length, 'decks:', this.keys().join(', '));
+    return this;
+  }
+
+  /**
+   * Replace the deck definitions (entries without a key are skipped)
+   */
+  setDefinitions(definitions) {
+    this.decks = [];
+    this.index = new Map();
+
+    (Array.isArray(definitions) ? definitions : []).forEach(definition => {
+      if (!definition || typeof definition.key !== 'string' || !definition.key) {
+        console.warn('Deck registry: skipping definition without a key', definition);
+        return;
+      }
+      const deck = {
+        displayName: definition.key,
+        singular: definition.key,
+        deckValue: definition.displayName || definition.key,
+        aliases: [],
+        legacyNames: [],
+        required: false,
+        ...definition,
+        schema: { instructions: 'Instructions', fields: {}, ...(definition.schema || {}) }
+      };
+      this.decks.push(deck);
+      [deck.key, deck.singular, deck.displayName, deck.deckValue, ...deck.aliases].forEach(name => {
+        const normalized = this.normalize(name);
+        if (normalized && !this.index.has(normalized)) this.index.set(normalized, deck);
+      });
+    });
+  }
+
+  /**
+   * Comparable form of a deck name (lowercase, no spaces)
+   */
+  normalize(name) {
+    return typeof name === 'string' ? name.toLowerCase().replace(/\s+/g, '') : '';
+  }
+
+  /**
+   * All deck keys in registry order
+   */
+  keys() {
+    return this.decks.map(deck => deck.key);
+  }
+
+  /**
+   * Keys of the decks every bulk save must contain
+   */
+  requiredKeys() {
+    return this.decks.filter(deck => deck.required).map(deck => deck.key);
+  }
+
+  /**
+   * Registry keys followed by any other deck arrays found in a card collection
+   */
+  orderedKeys(cards = {}) {
+    const extra = Object.keys(cards).filter(key => Array.isArray(cards[key]) && !this.get(key));
+    return [...this.keys(), ...extra];
+  }
+
+  /**
+   * Definition for an exact deck key
+   */
+  get(key) {
+    return this.decks.find(deck => deck.key === key) || null;
+  }
+
+  /**
+   * Definition for any accepted deck name (key, singular, display name, Deck value or alias)
+   */
+  resolve(name) {
+    return this.index.get(this.normalize(name)) || null;
+  }
+
+  /**
+   * Deck key for any accepted deck name, or null
+   */
+  resolveKey(name) {
+    const deck = this.resolve(name);
+    return deck ? deck.key : null;
+  }
+
+  /**
+   * Deck key for a name from an imported file, also accepting legacy CSV deck names
+   */
+  resolveImportKey(name) {
+    const deck = this.resolve(name) ||
+      this.decks.find(candidate => candidate.legacyNames.some(legacy => this.normalize(legacy) === this.normalize(name)));
+    return deck ? deck.key : null;
+  }
+
+  /**
+   * Whether two deck names refer to the same deck
+   */
+  sameDeck(a, b) {
+    const keyA = this.resolveKey(a);
+    return keyA ? keyA === this.resolveKey(b) : this.normalize(a) === this.normalize(b);
+  }
+
+  displayName(key) {
+    const deck = this.resolve(key);
+    return deck ? deck.displayName : key;
+  }
+
+  deckValue(key) {
+    const deck = this.resolve(key);
+    return deck ? deck.deckValue : key;
+  }
+
+  /**
+   * Card schema of a deck ({ instructions, fields })
+   */
+  schema(key) {
+    const deck = this.resolve(key);
+    return deck ? deck.schema : { instructions: 'Instructions', fields: {} };
+  }
+
+  /**
+   * Whether cards in this deck carry DrawInstructions (quest templates) rather than Instructions
+   */
+  usesDrawInstructions(key) {
+    return this.schema(key).instructions === 'DrawInstructions';
+  }
+
+  /**
+   * Every accepted deck name (lowercase), for validating deck references
+   */
+  names() {
+    return [...this.index.keys()];
+  }
+
+  /**
+   * Empty collection with every registry deck
+   */
+  emptyDecks() {
+    return Object.fromEntries(this.keys().map(key => [key, []]));
+  }
+
+  /**
+   * Definitions in the shape stored in deck-config.json
+   */
+  toJSON() {
+    return { version: 1, decks: this.decks };
+  }
+}
+
+// Create singleton instance
+const DECK_REGISTRY = new DeckRegistry();
+
+if (typeof window !== 'undefined') {
+  window.DECK_REGISTRY = DECK_REGISTRY;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DECK_REGISTRY;
+}
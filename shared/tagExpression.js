@@ -0,0 +1,328 @@
+/**
+ * tagExpression.js
+ * Boolean tag expressions for DrawInstructions (`tagExpression`) and card Instructions (`TagExpression`).
+ *
+ * Syntax (keywords are case-insensitive; NOT binds tightest, then AND, then OR):
+ *   Justice AND Urban
+ *   (Justice OR Knowledge) AND NOT Undead
+ *   "Magic Item" OR Artifact          - quote tags that contain spaces
+ *   !Undead && (Martial || Nature)    - symbol forms are accepted too
+ *   paired($QuestGiver.TypeTags) AND NOT Undead
+ *
+ * References name a card already drawn by the quest template, by its DrawInstruction label:
+ *   $QuestGiver.TypeTags              - the QuestGiver's TypeTags (any of them)
+ *   $"Attacked Location".Tags         - quote labels that contain spaces
+ *   paired($QuestGiver.TypeTags)      - their pairedWith tags from tag-config.json
+ *   opposite($QuestGiver.Polarity)    - the other Polarity (Light <-> Shadow)
+ * Fields: TypeTags, AspectTags, mutableTags, Tags (TypeTags + mutableTags, as used for draws), Habitat,
+ * Polarity. The same reference text can be used as an entry of a DrawInstruction's `tags` or `habitat`,
+ * or as its `polarity`.
+ *
+ * Parsed expressions are plain objects:
+ *   { type: 'tag', tag }  { type: 'not', operand }  { type: 'and'|'or', operands: [...] }
+ *   { type: 'ref', fn, label, field }  - replaced by resolveReferences() before evaluating
+ *   { type: 'none' }                   - a reference that resolved to no tags (matches nothing)
+ * A null expression means "no tag constraint" and matches every card.
+ */
+
+const TAG_EXPRESSION = {
+  KEYWORDS: { and: 'AND', '&&': 'AND', '&': 'AND', or: 'OR', '||': 'OR', '|': 'OR', not: 'NOT', '!': 'NOT' },
+
+  REFERENCE_FUNCTIONS: ['paired', 'opposite'],
+  REFERENCE_FIELDS: ['TypeTags', 'AspectTags', 'mutableTags', 'Tags', 'Habitat', 'Polarity'],
+
+  /**
+   * Split an expression into tokens: { type: 'AND'|'OR'|'NOT'|'('|')'|'TAG'|'REF'|'FN', value, position }
+   */
+  tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+      const char = text[i];
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === '(' || char === ')') {
+        tokens.push({ type: char, value: char, position: i });
+        i++;
+      } else if (char === '"' || char === "'") {
+        const end = text.indexOf(char, i + 1);
+        if (end === -1) throw new Error(`Unclosed quote at position ${i + 1}`);
+        const tag = text.slice(i + 1, end).trim();
+        if (!tag) throw new Error(`Empty tag at position ${i + 1}`);
+        tokens.push({ type: 'TAG', value: tag, position: i });
+        i = end + 1;
+      } else if (char === '$') {
+        const { label, field, length } = this.readReference(text, i);
+        tokens.push({ type: 'REF', value: text.slice(i, i + length), label, field, position: i });
+        i += length;
+      } else if ('&|!'.includes(char)) {
+        const symbol = text[i + 1] === char && char !== '!' ? char + char : char;
+        tokens.push({ type: this.KEYWORDS[symbol], value: symbol, position: i });
+        i += symbol.length;
+      } else {
+        const match = /^[^\s()&|!"'$]+/.exec(text.slice(i));
+        const word = match[0];
+        const keyword = this.KEYWORDS[word.toLowerCase()];
+        const isFunction = this.REFERENCE_FUNCTIONS.includes(word.toLowerCase()) && /^\s*\(/.test(text.slice(i + word.length));
+        tokens.push({ type: keyword || (isFunction ? 'FN' : 'TAG'), value: isFunction ? word.toLowerCase() : word, position: i });
+        i += word.length;
+      }
+    }
+    return tokens;
+  },
+
+  /**
+   * Read a `$Label.Field` reference starting at text[start]
+   * @returns {{label: string, field: string, length: number}}
+   */
+  readReference(text, start) {
+    let i = start + 1;
+    let label;
+    if (text[i] === '"' || text[i] === "'") {
+      const end = text.indexOf(text[i], i + 1);
+      if (end === -1) throw new Error(`Unclosed quote at position ${i + 1}`);
+      label = text.slice(i + 1, end).trim();
+      i = end + 1;
+    } else {
+      const match = /^[A-Za-z0-9_-]+/.exec(text.slice(i));
+      label = match ? match[0] : '';
+      i += label.length;
+    }
+    if (!label) throw new Error(`Expected a label after "$" at position ${start + 1}`);
+
+    const fieldMatch = /^\.([A-Za-z]+)/.exec(text.slice(i));
+    if (!fieldMatch) throw new Error(`Expected .Field after $${label} at position ${i + 1} (e.g. $${label}.TypeTags)`);
+    const field = this.REFERENCE_FIELDS.find(known => known.toLowerCase() === fieldMatch[1].toLowerCase());
+    if (!field) throw new Error(`Unknown field "${fieldMatch[1]}" at position ${i + 2} (use ${this.REFERENCE_FIELDS.join(', ')})`);
+    return { label, field, length: i + fieldMatch[0].length - start };
+  },
+
+  /**
+   * Whether a string (e.g. an entry of a DrawInstruction's `tags`) is a reference rather than a tag
+   */
+  isReference(text) {
+    return typeof text === 'string' && /^\s*(\$|(paired|opposite)\s*\()/i.test(text);
+  },
+
+  /**
+   * Parse a single reference such as "$QuestGiver.TypeTags" or "opposite($QuestGiver.Polarity)"
+   * @returns {{fn: string|null, label: string, field: string}}
+   * @throws {Error} If the text is not exactly one reference
+   */
+  parseReference(text) {
+    const expression = this.parse(text);
+    if (!expression || expression.type !== 'ref') {
+      throw new Error(`"${text}" is not a reference (e.g. $QuestGiver.TypeTags or paired($QuestGiver.TypeTags))`);
+    }
+    return { fn: expression.fn, label: expression.label, field: expression.field };
+  },
+
+  /**
+   * Every reference used in an expression
+   */
+  references(expression) {
+    if (!expression) return [];
+    if (expression.type === 'ref') return [{ fn: expression.fn, label: expression.label, field: expression.field }];
+    if (expression.type === 'not') return this.references(expression.operand);
+    if (expression.type === 'and' || expression.type === 'or') {
+      return expression.operands.flatMap(operand => this.references(operand));
+    }
+    return [];
+  },
+
+  /**
+   * Replace references with the tags they resolve to
+   * @param {Object} expression - Parsed expression
+   * @param {Function} resolve - ({fn, label, field}) => string[] of tags
+   */
+  resolveReferences(expression, resolve) {
+    if (!expression) return null;
+    switch (expression.type) {
+      case 'ref': return this.anyOf(resolve({ fn: expression.fn, label: expression.label, field: expression.field })) || { type: 'none' };
+      case 'not': return { type: 'not', operand: this.resolveReferences(expression.operand, resolve) };
+      case 'and':
+      case 'or': return { type: expression.type, operands: expression.operands.map(operand => this.resolveReferences(operand, resolve)) };
+      default: return expression;
+    }
+  },
+
+  /**
+   * Parse an expression string (empty/blank = null)
+   * @throws {Error} With the position of the problem, e.g. 'Expected a tag at position 9'
+   */
+  parse(text) {
+    if (text === undefined || text === null || String(text).trim() === '') return null;
+
+    const tokens = this.tokenize(String(text));
+    let index = 0;
+    const peek = () => tokens[index];
+    const where = () => (peek() ? `at position ${peek().position + 1}` : 'at end of expression');
+
+    const parseOr = () => {
+      const operands = [parseAnd()];
+      while (peek() && peek().type === 'OR') {
+        index++;
+        operands.push(parseAnd());
+      }
+      return operands.length === 1 ? operands[0] : { type: 'or', operands };
+    };
+
+    const parseAnd = () => {
+      const operands = [parseUnary()];
+      while (peek() && peek().type === 'AND') {
+        index++;
+        operands.push(parseUnary());
+      }
+      return operands.length === 1 ? operands[0] : { type: 'and', operands };
+    };
+
+    const parseUnary = () => {
+      if (peek() && peek().type === 'NOT') {
+        index++;
+        return { type: 'not', operand: parseUnary() };
+      }
+      return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+      const token = peek();
+      if (!token) throw new Error('Expected a tag at end of expression');
+      if (token.type === 'TAG') {
+        index++;
+        return { type: 'tag', tag: token.value };
+      }
+      if (token.type === 'REF') {
+        index++;
+        return { type: 'ref', fn: null, label: token.label, field: token.field };
+      }
+      if (token.type === 'FN') {
+        index++;
+        if (!peek() || peek().type !== '(') throw new Error(`Expected "(" after ${token.value} ${where()}`);
+        index++;
+        const reference = peek();
+        if (!reference || reference.type !== 'REF') throw new Error(`${token.value}() takes a reference such as $QuestGiver.TypeTags ${where()}`);
+        index++;
+        if (!peek() || peek().type !== ')') throw new Error(`Expected ")" ${where()}`);
+        index++;
+        return { type: 'ref', fn: token.value, label: reference.label, field: reference.field };
+      }
+      if (token.type === '(') {
+        index++;
+        const inner = parseOr();
+        if (!peek() || peek().type !== ')') throw new Error(`Expected ")" ${where()}`);
+        index++;
+        return inner;
+      }
+      throw new Error(`Expected a tag ${where()} (found "${token.value}")`);
+    };
+
+    const expression = parseOr();
+    if (index < tokens.length) {
+      throw new Error(`Unexpected "${peek().value}" ${where()} - join tags with AND or OR`);
+    }
+    return expression;
+  },
+
+  /**
+   * Check an expression string without throwing
+   * @returns {{valid: boolean, expression: Object|null, error: string|null}}
+   */
+  validate(text) {
+    try {
+      return { valid: true, expression: this.parse(text), error: null };
+    } catch (error) {
+      return { valid: false, expression: null, error: error.message };
+    }
+  },
+
+  /**
+   * Whether a card's tags satisfy an expression (null matches everything)
+   */
+  evaluate(expression, tags) {
+    if (!expression) return true;
+    switch (expression.type) {
+      case 'tag': return tags.includes(expression.tag);
+      case 'not': return !this.evaluate(expression.operand, tags);
+      case 'and': return expression.operands.every(operand => this.evaluate(operand, tags));
+      case 'or': return expression.operands.some(operand => this.evaluate(operand, tags));
+      case 'none': return false;
+      case 'ref': throw new Error(`Unresolved reference ${this.toString(expression)}`);
+      default: return false;
+    }
+  },
+
+  /**
+   * Expression text with the fewest parentheses needed (round-trips through parse,
+   * except for { type: 'none' } which only appears after resolveReferences)
+   */
+  toString(expression) {
+    if (!expression) return '';
+    const format = (node, parentPrecedence) => {
+      const precedence = { or: 1, and: 2, not: 3, tag: 4, ref: 4, none: 4 }[node.type];
+      let text;
+      if (node.type === 'none') {
+        text = '(no tags)';
+      } else if (node.type === 'ref') {
+        const label = /^[A-Za-z0-9_-]+$/.test(node.label) ? node.label : `"${node.label}"`;
+        text = node.fn ? `${node.fn}($${label}.${node.field})` : `$${label}.${node.field}`;
+      } else if (node.type === 'tag') {
+        text = /^[^\s()&|!"']+$/.test(node.tag) && !this.KEYWORDS[node.tag.toLowerCase()] ? node.tag : `"${node.tag}"`;
+      } else if (node.type === 'not') {
+        text = `NOT ${format(node.operand, precedence)}`;
+      } else {
+        text = node.operands.map(operand => format(operand, precedence)).join(node.type === 'and' ? ' AND ' : ' OR ');
+      }
+      return precedence < parentPrecedence ? `(${text})` : text;
+    };
+    return format(expression, 0);
+  },
+
+  /**
+   * Every tag named in an expression
+   */
+  tagNames(expression) {
+    if (!expression || expression.type === 'ref' || expression.type === 'none') return [];
+    if (expression.type === 'tag') return [expression.tag];
+    if (expression.type === 'not') return this.tagNames(expression.operand);
+    return [...new Set(expression.operands.flatMap(operand => this.tagNames(operand)))];
+  },
+
+  /**
+   * Tags a matching card may have (those not under a NOT) - used to report which tags matched
+   */
+  positiveTags(expression, negated = false) {
+    if (!expression || expression.type === 'ref' || expression.type === 'none') return [];
+    if (expression.type === 'tag') return negated ? [] : [expression.tag];
+    if (expression.type === 'not') return this.positiveTags(expression.operand, !negated);
+    return [...new Set(expression.operands.flatMap(operand => this.positiveTags(operand, negated)))];
+  },
+
+  /**
+   * Expression matching any of the tags (the classic `tags` array), or null for none
+   */
+  anyOf(tags) {
+    const unique = [...new Set((tags || []).filter(tag => typeof tag === 'string' && tag))];
+    if (unique.length === 0) return null;
+    if (unique.length === 1) return { type: 'tag', tag: unique[0] };
+    return { type: 'or', operands: unique.map(tag => ({ type: 'tag', tag })) };
+  },
+
+  /**
+   * Expression requiring all of the given expressions (nulls are skipped), or null for none
+   */
+  allOf(expressions) {
+    const parts = expressions.filter(Boolean);
+    if (parts.length === 0) return null;
+    if (parts.length === 1) return parts[0];
+    return { type: 'and', operands: parts };
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.TAG_EXPRESSION = TAG_EXPRESSION;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TAG_EXPRESSION;
+}